@@ -66,64 +66,94 @@ function processIncomingReceipts() {
 
       const attachments = message.getAttachments();
 
-      // --- [V59.3] BRANCH: SUBSCRIPTION RECEIPT (detected by sheet lookup) ---
+      // --- [V61] BRANCH: SUBSCRIPTION RECEIPT (detected by sheet lookup) ---
+      // Same AI analysis, AI Audit Log and Receipt Log handling as one-time pledges.
+      // The verified total (not the configured monthly amount) is credited to the open installments.
       if (isSubscription) {
-        writeLog('INFO', FUNC_NAME, `Processing Subscription Receipt for ${extractedId}`);
+        pledgeId = extractedId;
+        writeLog('INFO', FUNC_NAME, `Processing Subscription Receipt for ${pledgeId}`, pledgeId);
 
-        // Call SubscriptionService to handle the payment
-        // We pass the FIRST attachment found (assuming it's the receipt)
-        // In a future update, we could add stricter attachment checks
+        const monthlyAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+        const subStartDate = subRow.data[SHEETS.monthlyPledges.cols.startDate - 1];
 
-        try {
-          // We use the first attachment or null if none (though receipt usually requires one)
-          const receiptBlob = attachments.length > 0 ? attachments[0] : null;
-
-          if (receiptBlob) {
-            // Save to Drive first (optional, but good practice)
-            // For now, recordSubscriptionPayment handles logic. 
-            // Ideally we pass the file token or ID. 
-            // Let's assume recordSubscriptionPayment helps or we save it here.
-
-            // Actually, recordSubscriptionPayment expects a file ID if we want to link it.
-            // Let's check SubscriptionService.js signature.
-            // It takes (subscriptionId, amount, receiptId, notes, date)
-            // It doesn't upload files itself.
-
-            // So we should save the file here.
-            const folderId = CONFIG.folders.receipts;
-            const folder = DriveApp.getFolderById(folderId);
-            const file = folder.createFile(receiptBlob);
-            file.setName(`${extractedId}_Receipt_${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd')}`);
-
-            // [V59.3 FIX] Get monthly amount from subscription record
-            // recordSubscriptionPayment signature: (subscriptionId, receiptId, amount)
-            const monthlyAmount = subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1] || 0;
-
-            if (!monthlyAmount || monthlyAmount <= 0) {
-              writeLog('ERROR', FUNC_NAME, `Invalid monthly amount (${monthlyAmount}) for ${extractedId}. Cannot process.`);
-              thread.addLabel(labelProcessed).removeLabel(labelToProcess);
-              continue;
-            }
+        const subAiStartTime = Date.now();
+        const subAiResult = analyzeDonorEmail(
+          getThreadContext(thread).formattedForLLM,
+          attachments,
+          subStartDate ? new Date(subStartDate) : new Date(),
+          message.getDate(),
+          monthlyAmount
+        );
+        logAIResponse(pledgeId, message.getFrom(), subject, subAiResult, Date.now() - subAiStartTime, []);
+
+        if (!subAiResult) {
+          writeLog('WARN', FUNC_NAME, 'AI Processing Failed. Skipping.', pledgeId);
+          continue;
+        }
 
-            // Call with correct signature: (subscriptionId, receiptId, amount)
-            const result = recordSubscriptionPayment(extractedId, file.getId(), monthlyAmount);
+        // [V61] Self-service request (pause, change amount, statement...) → approval queue
+        const subRequestId = queueDonorRequest(pledgeId, subAiResult, message, thread);
+        if (subAiResult.category === 'DONOR_REQUEST') {
+          thread.addLabel(GmailApp.createLabel('Receipts/Donor-Request')).removeLabel(labelToProcess);
+          subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.notes).setValue(`[Request ${subRequestId || 'not queued'}] ${subAiResult.summary}`);
+          continue;
+        }
 
-            // recordSubscriptionPayment returns boolean, not object
-            if (result) {
-              writeLog('SUCCESS', FUNC_NAME, `Subscription payment recorded for ${extractedId}`);
-              // recordSubscriptionPayment sends the confirmation email internally
-            } else {
-              writeLog('ERROR', FUNC_NAME, `Failed to record subscription payment for ${extractedId}`);
-            }
+        if (subAiResult.category === 'QUESTION') {
+          const queryLabel = GmailApp.createLabel('Receipts/Donor-Query'); // Ensure label exists
+          thread.addLabel(queryLabel).removeLabel(labelToProcess);
+          if (subAiResult.suggested_reply) { thread.createDraftReply(subAiResult.suggested_reply); }
+          subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.notes).setValue(`[Query] ${subAiResult.summary}`);
+          continue;
+        }
+
+        const subReceipts = subAiResult.valid_receipts || [];
+        if (subReceipts.length === 0) {
+          writeLog('WARN', FUNC_NAME, 'No valid subscription receipt found/extracted by AI.', pledgeId);
+          thread.addLabel(GmailApp.createLabel('Receipts/Manual-Review')).removeLabel(labelToProcess);
+          continue;
+        }
+
+        const subLogged = logAnalyzedReceipts(pledgeId, subReceipts, attachments, message, monthlyAmount);
+        if (subLogged.links.length > 0) {
+          updateAILogWithReceipts(pledgeId, subLogged.links);
+        }
+        reportDuplicateReceipts(pledgeId, subLogged.duplicates, thread.getPermalink(), subLogged.possibleDuplicates);
+        reportMissingFxRates(pledgeId, subLogged.unconverted, thread.getPermalink());
+
+        // [V61] Nothing countable yet: the installments are credited once the FX rate is added
+        if (subLogged.valid.length > 0 && subLogged.valid.length === subLogged.unconverted.length) {
+          thread.addLabel(labelProcessed).removeLabel(labelToProcess);
+          continue;
+        }
+
+        if (subLogged.valid.length === 0) {
+          if (subLogged.duplicates.length > 0) {
+            thread.addLabel(labelProcessed).removeLabel(labelToProcess);
+            logAuditEvent('SYSTEM', 'RECEIPT_DUPLICATE', pledgeId,
+              `${subLogged.duplicates.length} duplicate receipt(s) ignored`, '', STATUS.receipt.DUPLICATE,
+              { duplicates: subLogged.duplicates.map(d => d.duplicateOf) });
           } else {
-            writeLog('WARN', FUNC_NAME, 'No attachment found for subscription receipt.');
+            writeLog('WARN', FUNC_NAME, 'AI receipts did not match any attachment.', pledgeId);
+            thread.addLabel(GmailApp.createLabel('Receipts/Manual-Review')).removeLabel(labelToProcess);
           }
+          continue;
+        }
 
-        } catch (e) {
-          writeLog('ERROR', FUNC_NAME, `Error processing subscription receipt: ${e.message}`);
+        const paid = recordSubscriptionPayment(
+          pledgeId,
+          subLogged.valid.map(r => r.receiptId).join(', '),
+          subLogged.totalVerified
+        );
+
+        if (paid) {
+          writeLog('SUCCESS', FUNC_NAME, `Subscription payment of PKR ${subLogged.totalVerified} recorded`, pledgeId);
+        } else {
+          // The receipts are already VALID in the Receipt Log, so the pledge balance is correct;
+          // only the installment bookkeeping needs a manual look.
+          writeLog('ERROR', FUNC_NAME, `Receipts logged but installments could not be credited for ${pledgeId}. Check Pledge Installments.`, pledgeId);
         }
 
-        // Done with this thread
         thread.addLabel(labelProcessed).removeLabel(labelToProcess);
         continue;
       }
@@ -158,8 +188,7 @@ function processIncomingReceipts() {
       }
 
       // --- FETCH PLEDGE AMOUNT FOR CONTEXT ---
-      const durationStr = rowData.data[SHEETS.donations.cols.duration - 1]; // "One Year", "One Month"
-      const pledgeAmount = getPledgeAmountFromDuration(durationStr) || 0;
+      const pledgeAmount = resolvePledgeAmount(rowData.data);
 
       // --- AI ANALYSIS ---
       // Pass pledgeAmount for context
@@ -189,6 +218,14 @@ function processIncomingReceipts() {
       }
 
 
+      // --- [V61] HANDLE DONOR REQUEST (queued for approval, also when a receipt is attached) ---
+      const requestId = queueDonorRequest(pledgeId, aiResult, message, thread);
+      if (aiResult.category === 'DONOR_REQUEST') {
+        thread.addLabel(GmailApp.createLabel('Receipts/Donor-Request')).removeLabel(labelToProcess);
+        ws.getRange(rowData.row, SHEETS.donations.cols.notes).setValue(`[Request ${requestId || 'not queued'}] ${aiResult.summary}`);
+        continue;
+      }
+
       // --- HANDLE QUESTION ---
       if (aiResult.category === 'QUESTION') {
         // ... (Same Question Handling as before) ...
@@ -210,108 +247,80 @@ function processIncomingReceipts() {
         continue;
       }
 
-      // Open Receipt Log
-      const wsReceipts = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.receipts.name);
+      // [V61] Save, fingerprint and log every receipt (see ReceiptService.js)
+      const logged = logAnalyzedReceipts(pledgeId, receiptsFound, attachments, message, pledgeAmount);
+      const sessionTotalVerified = logged.totalVerified;
+      const validReceiptCount = logged.valid.length;
+      const lastTransferDate = logged.lastTransferDate;
+      const savedReceiptLinks = logged.links; // [V59.3] Collect receipt links for AI log
+      const duplicates = logged.duplicates;
 
-      const driveFolder = DriveApp.getFolderById(CONFIG.folderId_receipts);
-      let sessionTotalVerified = 0;
-      let lastTransferDate = "Unknown";
-      const savedReceiptLinks = []; // [V59.3] Collect receipt links for AI log
-
-      for (const rx of receiptsFound) {
-        // 1. Find file
-        const fileObj = attachments.find(a => a.getName() === rx.filename);
-        if (!fileObj) continue;
+      // [V59.3] Update AI Audit Log with receipt links
+      if (savedReceiptLinks.length > 0) {
+        updateAILogWithReceipts(pledgeId, savedReceiptLinks);
+      }
 
-        // 2. Save File
-        const newFileName = `${pledgeId} - ${rx.filename}`;
-        const savedFile = driveFolder.createFile(fileObj.copyBlob()).setName(newFileName);
-        const fileUrl = savedFile.getUrl();
-        savedReceiptLinks.push(fileUrl); // [V59.3] Track for AI log
+      // [V61] Receipts in a currency/date with no FX rate are logged but count 0 until converted
+      reportMissingFxRates(pledgeId, logged.unconverted, thread.getPermalink());
 
-        // 3. Log to Sheet
-        wsReceipts.appendRow([
-          `${pledgeId}-R${Date.now().toString().slice(-4)}`, // Unique Receipt ID
-          pledgeId,
-          new Date(),
-          message.getDate(),
-          rx.date || "Unknown",
-          rx.amount_declared || pledgeAmount || "N/A", // Declared (LLM > Pledge > N/A)
-          rx.amount || 0, // Verified Amount
-          rx.confidence_score || rx.confidence || "UNKNOWN", // Support new and old schema
-          fileUrl,
-          rx.filename,
-          "VALID"
-        ]);
-
-        sessionTotalVerified += (rx.amount || 0);
-        if (rx.date) lastTransferDate = rx.date;
+      // [V61] Report repeats (and counted possible repeats); an email with nothing new leaves the pledge untouched
+      reportDuplicateReceipts(pledgeId, duplicates, thread.getPermalink(), logged.possibleDuplicates);
+      if (duplicates.length > 0 && validReceiptCount === 0) {
+        thread.addLabel(labelProcessed).removeLabel(labelToProcess);
+        logAuditEvent('SYSTEM', 'RECEIPT_DUPLICATE', pledgeId,
+          `${duplicates.length} duplicate receipt(s) ignored`, '', STATUS.receipt.DUPLICATE,
+          { duplicates: duplicates.map(d => d.duplicateOf) });
+        continue;
       }
 
-      // [V59.3] Update AI Audit Log with receipt links
-      if (savedReceiptLinks.length > 0) {
-        updateAILogWithReceipts(pledgeId, savedReceiptLinks);
+      // [V61] Nothing countable yet: the pledge is credited once the FX rate is added
+      // (applyPendingFxConversions refreshes its totals and status then)
+      if (validReceiptCount > 0 && validReceiptCount === logged.unconverted.length) {
+        thread.addLabel(labelProcessed).removeLabel(labelToProcess);
+        continue;
       }
 
       // --- AGGREGATION & STATUS UPDATE ---
-      // We need to sum ALL receipts for this Pledge including past ones.
-      // Easiest is to add current session + whatever was verified before. 
-      // But for robustness, we should query the Receipt Log.
-      // OPTIMIZATION: For now, we take (Existing Verified + Session Verified).
-
-      const currentVerified = Number(rowData.data[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0;
-      const newTotal = currentVerified + sessionTotalVerified;
-      const balance = Math.max(0, pledgeAmount - newTotal);
-
-      // Determine Status
-      let newStatus = STATUS.pledge.PROOF_SUBMITTED; // Default "Proof Received"
-      if (newTotal > 0 && newTotal < pledgeAmount) {
-        newStatus = STATUS.pledge.PARTIAL_RECEIPT;
-      } else if (newTotal >= pledgeAmount) {
-        newStatus = STATUS.pledge.FULLY_FUNDED;
+      // [V61] Totals come from the ledgers (VALID receipts net of refunds, less allocations),
+      // not from the cached verified cell, so rejected receipts and refunds are never counted.
+      const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+      const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+      if (!refreshed) {
+        writeLog('ERROR', FUNC_NAME, 'Receipts logged but the pledge totals could not be refreshed. Left for manual review.', pledgeId);
+        thread.addLabel(GmailApp.createLabel('Receipts/Manual-Review')).removeLabel(labelToProcess);
+        continue;
       }
+      const newTotal = refreshed.verified;
 
-      // Update Donation Sheet
-      // V2.1: Balance = Real-Time Available (Verified - Allocated)
-      // We use the helper to get the true wallet balance.
-      // We must pass update newTotal first? No, helper reads from sheet? 
-      // Helper reads 'verifiedTotalAmount' from the rowData! 
-      // BUT we haven't written newTotal to the sheet yet. 
-      // So we must calculate it manually here: (newTotal - allocated).
-      // Let's rely on standard logic but fetch Allocations.
-      // OR, simpler: Write Verified Total FIRST, then call helper?
-      // Yes, writes are sequential.
-
-      ws.getRange(rowData.row, SHEETS.donations.cols.verifiedTotalAmount).setValue(newTotal);
-      SpreadsheetApp.flush(); // Ensure write is committed for the helper reading (if helper reads sheet)?
-      // Actually helper calculates: Verified - Allocated.
-      // We can pass the new verified amount explicitly if we modify helper? No.
-      // Let's just calculate allocated manually here? Or re-read?
-      // Re-reading is slow.
-      // Let's just use the helper after flush.
-      // We need to inject the NEW verified amount into the data array we pass to the helper.
-      let updatedRowData = [...rowData.data];
-      updatedRowData[SHEETS.donations.cols.verifiedTotalAmount - 1] = newTotal;
-      const walletBalance = getRealTimePledgeBalance(pledgeId, updatedRowData);
-
-      ws.getRange(rowData.row, SHEETS.donations.cols.balanceAmount).setValue(walletBalance);
-      ws.getRange(rowData.row, SHEETS.donations.cols.pledgeOutstanding).setValue(pledgeAmount - newTotal); // New Column Y
-      ws.getRange(rowData.row, SHEETS.donations.cols.status).setValue(newStatus);
       ws.getRange(rowData.row, SHEETS.donations.cols.actualTransferDate).setValue(lastTransferDate);
       ws.getRange(rowData.row, SHEETS.donations.cols.dateProofReceived).setValue(new Date());
       ws.getRange(rowData.row, SHEETS.donations.cols.proofLink).setValue(`See Receipt Log (Last: ${lastTransferDate})`); // Pointer
 
+      // [V61] Status goes through the FSM, with the target the ledger implies. An allocated pledge
+      // only moves between the allocated states; a closed pledge keeps its status (the refused move
+      // is logged). The cached totals above are updated either way.
+      const newStatus = derivePledgeStatus(pledgeAmount, refreshed.verified, refreshed.allocated);
+      const receiptAction = `Processed ${validReceiptCount} receipts. Total: ${newTotal}. Outstanding: ${refreshed.outstanding}`;
+      const receiptMeta = { receipts: validReceiptCount, amount: sessionTotalVerified, duplicates: duplicates.length };
+      const statusResult = transitionStatus({
+        type: 'PLEDGE',
+        sheet: ws,
+        row: rowData.row,
+        targetStatus: newStatus,
+        targetId: pledgeId,
+        actor: 'SYSTEM',
+        eventType: 'RECEIPT_PROCESSED_V2',
+        description: receiptAction,
+        metadata: receiptMeta
+      });
+
       thread.addLabel(labelProcessed).removeLabel(labelToProcess);
 
-      logAuditEvent(
-        'SYSTEM',
-        'RECEIPT_PROCESSED_V2',
-        pledgeId,
-        `Processed ${receiptsFound.length} receipts. Total: ${newTotal}. Balance: ${balance}`,
-        rowData.data[SHEETS.donations.cols.status - 1],
-        newStatus,
-        { receipts: receiptsFound.length, amount: sessionTotalVerified }
-      );
+      // The transition only audits real status changes; the receipt itself is always recorded.
+      if (!statusResult.changed) {
+        logAuditEvent('SYSTEM', 'RECEIPT_PROCESSED_V2', pledgeId, receiptAction,
+          statusResult.previousStatus, statusResult.newStatus, receiptMeta);
+      }
 
       // --- SYNC TRACKER ---
       try {
@@ -334,517 +343,338 @@ function processIncomingReceipts() {
  * @param {string} pledgeId The Pledge ID of the donation to process.
  * @param {string} cmsId The Student CMS ID assigned by the volunteer.
  * @param {number} amount The amount allocated by the volunteer.
- * @return {boolean} Returns true if the operation was successful, false otherwise.
+ * @return {Object} { success, pledgeId, allocationId, pledgeStatus, error } - on failure error is
+ *   { code, message } (same shape as transitionStatus) and the reason is also written to the Log.
  */
 function processAllocationTransaction(pledgeId, cmsId, amount) {
   const FUNC_NAME = 'processAllocationTransaction';
+  // [V61] Logs the reason and returns it in the transitionStatus error shape
+  const fail = (code, message) => {
+    writeLog('ERROR', FUNC_NAME, message, pledgeId);
+    return operationFailure_(code, message, { pledgeId: pledgeId });
+  };
 
   // --- ROBUSTNESS UPGRADE: LOCKING ---
   // Prevent concurrent executions from reading stale balance data.
-  const lock = LockService.getScriptLock();
-  try {
-    // Wait for up to 30 seconds for other processes to finish.
-    const hasLock = lock.tryLock(30000);
-    if (!hasLock) {
-      writeLog('ERROR', FUNC_NAME, 'Could not acquire lock. System is busy. Please try again.', pledgeId);
-      return false;
-    }
-
-    const rawWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donations.name);
-    const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
-
-    // --- STEP 1: VALIDATE INPUTS ---
-    // Sanitize the amount to handle "100,000" or other formats
-    const cleanAmount = parseCurrencyString(amount);
-
-    if (!cmsId || !cleanAmount || cleanAmount <= 0) {
-      writeLog('ERROR', FUNC_NAME, `Validation failed: CMS ID is missing or Amount (${amount}) is invalid.`, pledgeId);
-      return false;
-    }
-
-    const donationRowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
-    if (!donationRowData) {
-      writeLog('ERROR', FUNC_NAME, `Validation failed: Could not find Pledge ID ${pledgeId} in the raw data sheet.`, pledgeId);
-      return false;
-    }
-
-    const proofLink = donationRowData.data[SHEETS.donations.cols.proofLink - 1];
-    if (!proofLink || proofLink === '') {
-      writeLog('ERROR', FUNC_NAME, 'Validation failed: Proof of payment link is missing in the raw data.', pledgeId);
-      return false;
-    }
-
-    // --- LOGIC CHECK 1: REAL-TIME PLEDGE BALANCE ---
-    // Calculate balance directly from the Ledger (Allocation Log) + Raw Data
-    const maxPledgeAvailable = getRealTimePledgeBalance(pledgeId, donationRowData.data);
-
-    if (cleanAmount > maxPledgeAvailable) {
-      writeLog('ERROR', FUNC_NAME, `Allocation Rejected: Amount (${cleanAmount}) exceeds Real-Time Pledge Balance (${maxPledgeAvailable}).`, pledgeId);
-      return false;
-    }
-
-    // --- LOGIC CHECK 2: REAL-TIME STUDENT NEED ---
-    // Calculate need directly from the Ledger (Allocation Log) + Student DB
-    const maxStudentNeed = getRealTimeStudentNeed(cmsId);
-
-    if (maxStudentNeed === null) {
-      writeLog('ERROR', FUNC_NAME, `Allocation Rejected: Student ${cmsId} not found in Confidential Database.`, pledgeId);
-      return false;
-    }
+  let donorQueued = false;
+  const result = withScriptLock_(() => {
+    try {
+      const rawWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donations.name);
+      const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
 
-    if (cleanAmount > maxStudentNeed) {
-      writeLog('ERROR', FUNC_NAME, `Allocation Rejected: Amount (${cleanAmount}) exceeds Real-Time Student Need (${maxStudentNeed}).`, pledgeId);
-      return false;
-    }
+      // --- STEP 1: VALIDATE INPUTS ---
+      // Sanitize the amount to handle "100,000" or other formats
+      const cleanAmount = parseCurrencyString(amount);
 
+      if (!cmsId || !cleanAmount || cleanAmount <= 0) {
+        return fail('INVALID_INPUT', `Validation failed: CMS ID is missing or Amount (${amount}) is invalid.`);
+      }
 
-    // --- STEP 2: GATHER ALL DATA FOR EMAIL ---
-    // Get donor details from the raw data
-    const donorName = donationRowData.data[SHEETS.donations.cols.donorName - 1];
-    const donorChapter = donationRowData.data[SHEETS.donations.cols.cityCountry - 1];
+      const donationRowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+      if (!donationRowData) {
+        return fail('PLEDGE_NOT_FOUND', `Validation failed: Could not find Pledge ID ${pledgeId} in the raw data sheet.`);
+      }
 
-    // Get student details from the Confidential Database
-    const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
-    const studentRowData = findRowByValue(studentWs, SHEETS.students.cols.cmsId, cmsId);
+      const proofLink = donationRowData.data[SHEETS.donations.cols.proofLink - 1];
+      if (!proofLink || proofLink === '') {
+        return fail('PROOF_MISSING', 'Validation failed: Proof of payment link is missing in the raw data.');
+      }
 
-    if (!studentRowData) {
-      writeLog('ERROR', FUNC_NAME, `Could not find student ${cmsId} in Confidential Database.`, pledgeId);
-      return false;
-    }
+      // --- LOGIC CHECK 1: REAL-TIME PLEDGE BALANCE ---
+      // Calculate balance directly from the Ledger (Allocation Log) + Raw Data
+      const maxPledgeAvailable = getRealTimePledgeBalance(pledgeId, donationRowData.data);
 
-    const studentName = studentRowData.data[SHEETS.students.cols.name - 1];
-    const studentSchool = studentRowData.data[SHEETS.students.cols.school - 1];
-
-    // --- ROBUSTNESS UPGRADE: CC the Chapter Lead ---
-    const ccString = getCCString(donorChapter);
-
-    // Get Total Pledge Amount for Template
-    // We use the centralized logic from CoreLogic.js (available in global scope)
-    const durationText = donationRowData.data[SHEETS.donations.cols.duration - 1];
-    const totalPledgeAmount = getPledgeAmountFromDuration(durationText);
-
-    // --- [NEW] Get Extracted Transfer Date ---
-    // If empty, default to "As per attached receipt"
-    // --- STEP 1.1: FETCH VERIFIED RECEIPTS & DATES ---
-    const receiptData = getVerifiedReceiptsForPledge(pledgeId);
-    let transferDate = receiptData.dates.join(', ') || "As per attached receipt";
-    const verifiedAmount = receiptData.totalVerified;
-    const allProofFiles = receiptData.files; // Array of Blobs/Files
-
-    // --- STEP 2.1: GENERATE ALLOCATION ID EARLY ---
-    // We need this ID for the mailto link, so we generate it now instead of at the end.
-    const allocationId = `ALLOC-${new Date().getTime()}`;
-
-    // 1. Prepare Data for the Mailto Link
-    const mailtoData = {
-      donorName: donorName,
-      donorEmail: donationRowData.data[SHEETS.donations.cols.donorEmail - 1],
-      amount: cleanAmount.toLocaleString(),
-      cmsId: cmsId,
-      pledgeId: pledgeId,
-      allocationId: allocationId,
-      chapterLeadEmail: ccString,
-      studentName: studentName,
-      school: studentSchool,
-      chapter: donorChapter // [NEW] Added Chapter
-    };
-
-    const mailtoLink = generateHostelReplyLink(mailtoData, TEMPLATES.hostelMailto);
-
-    // --- Prepare Email Data with ALL required placeholders ---
-    const emailData = {
-      // Donor Details
-      donorName: donorName,
-      chapter: donorChapter,
-      amount: cleanAmount.toLocaleString(), // Allocation Amount
-      pledgeAmount: verifiedAmount.toLocaleString(), // [FIX] User requested VERIFIED amount here (Legacy Template Label says Pledge, Value is Verified)
-      verifiedAmount: verifiedAmount.toLocaleString(), // [NEW]
-      // Student Details
-      studentName: studentName,
-      studentId: cmsId,
-      school: studentSchool,
-      // Verification Details
-      transferDate: transferDate, // <--- {{transferDate}} (Joined Dates)
-      // For backward compatibility
-      pledgeId: pledgeId,
-      cmsId: cmsId,
-      allocationDetails: `<ul><li>Student: <strong>${studentName}</strong> (${cmsId}) - Amount: <strong>PKR ${cleanAmount.toLocaleString()}</strong></li></ul>`,
-      mailtoLink: mailtoLink
-    };
-
-    const emailContent = createEmailFromTemplate(TEMPLATES.hostelVerification, emailData);
-
-    // 1. Send Hostel Verification Email & Capture ID
-    let sentMessageId = 'NOT_FOUND';
-    try {
-      // Robustly construct recipient list
-      const recipients = [EMAILS.ddHostels, EMAILS.uao].filter(e => e).join(',');
+      if (cleanAmount > maxPledgeAvailable) {
+        return fail('EXCEEDS_BALANCE', `Allocation Rejected: Amount (${cleanAmount}) exceeds Real-Time Pledge Balance (${maxPledgeAvailable}).`);
+      }
 
-      const emailOptions = {
-        from: EMAILS.processOwner,
-        cc: ccString,
-        attachments: []
-      };
+      // --- LOGIC CHECK 2: REAL-TIME STUDENT NEED ---
+      // Calculate need directly from the Ledger (Allocation Log) + Student DB
+      const maxStudentNeed = getRealTimeStudentNeed(cmsId);
 
-      // ATTACHMENT HANDLING (MULTI-FILE)
-      const MAX_EMAIL_SIZE = 24 * 1024 * 1024;
-      let currentSize = 0;
-      let omittedCount = 0;
+      if (maxStudentNeed === null) {
+        return fail('STUDENT_NOT_FOUND', `Allocation Rejected: Student ${cmsId} not found in Confidential Database.`);
+      }
 
-      for (const file of allProofFiles) {
-        // Fix: Blobs use getBytes().length, not getSize()
-        if ((currentSize + file.getBytes().length) < MAX_EMAIL_SIZE) {
-          emailOptions.attachments.push(file);
-          currentSize += file.getBytes().length;
-        } else {
-          omittedCount++;
-        }
+      if (cleanAmount > maxStudentNeed) {
+        return fail('EXCEEDS_NEED', `Allocation Rejected: Amount (${cleanAmount}) exceeds Real-Time Student Need (${maxStudentNeed}).`);
       }
 
-      if (omittedCount > 0 || allProofFiles.length === 0) {
-        const folderLink = `https://drive.google.com/drive/folders/${CONFIG.folderId_receipts}`;
-        emailContent.htmlBody += `<br><p><strong>Note:</strong> ${omittedCount} receipt(s) omitted due to size limits. <a href="${folderLink}">View All Receipts</a></p>`;
+      // --- LOGIC CHECK 3: [V61] PLEDGE STATUS TRANSITION ---
+      // Validate the FSM move before any email goes out, so an illegal jump never half-commits.
+      const remainingBalance = maxPledgeAvailable - cleanAmount;
+      const pledgeStatus = (remainingBalance <= 0) ? STATUS.pledge.FULLY_ALLOCATED : STATUS.pledge.PARTIALLY_ALLOCATED;
+      const statusCheck = checkStatusTransition('PLEDGE', donationRowData.data[SHEETS.donations.cols.status - 1], pledgeStatus);
+
+      if (!statusCheck.allowed) {
+        return fail(statusCheck.error.code, `Allocation Rejected: ${statusCheck.error.message}`);
       }
 
-      sentMessageId = sendEmailAndGetId(
-        recipients,
-        emailContent.subject,
-        emailContent.htmlBody,
-        emailOptions
-      );
-    } catch (emailErr) {
-      writeLog('ERROR', FUNC_NAME, `Failed to send Hostel Verification Email: ${emailErr.message}`, pledgeId);
-      return false; // Stop transaction if primary email fails
-    }
 
-    // --- NOTIFY DONOR (INTERMEDIATE) ---
-    // Send an email to the donor saying "Your funds have been allocated, awaiting hostel confirmation."
-    let donorMessageId = 'NOT_SENT';
-    try {
-      // 1. Get Donor Email from Raw Data (Column B)
-      const donorEmail = donationRowData.data[SHEETS.donations.cols.donorEmail - 1];
+      // --- STEP 2: GATHER ALL DATA FOR EMAIL ---
+      // Get donor details from the raw data
       const donorName = donationRowData.data[SHEETS.donations.cols.donorName - 1];
+      const donorChapter = donationRowData.data[SHEETS.donations.cols.cityCountry - 1];
 
-      // 2. Get Prior Message IDs for Threading
-      // Priority 1: Receipt Message ID (where they sent the proof)
-      // Priority 2: Pledge Email ID (initial confirmation)
-      const receiptMsgId = donationRowData.data[SHEETS.donations.cols.receiptMessageId - 1];
-      const pledgeMsgId = donationRowData.data[SHEETS.donations.cols.pledgeEmailId - 1]; // New Column
-      const priorIds = [receiptMsgId, pledgeMsgId];
-
-      if (donorEmail && TEMPLATES.donorAllocationNotification && TEMPLATES.donorAllocationNotification.includes('ENTER') === false) {
-        const donorEmailData = {
-          donorName: donorName,
-          studentId: cmsId,
-          amount: cleanAmount.toLocaleString(),
-          pledgeId: pledgeId,
-          allocationId: allocationId,
-          studentName: studentName, // [NEW] Added per user request
-          school: studentSchool,     // [NEW] Added per user request
-          chapter: donorChapter      // [NEW] Added Chapter
-        };
-        const donorEmailContent = createEmailFromTemplate(TEMPLATES.donorAllocationNotification, donorEmailData);
-
-        // Use sendOrReply to enforce Single Thread Policy
-        const sentDonorMsgId = sendOrReply(
-          donorEmail,
-          donorEmailContent.subject,
-          donorEmailContent.htmlBody,
-          {
-            from: EMAILS.processOwner,
-            cc: ccString // Use the full CC list (AlwaysCC + Chapter Lead)
-          },
-          priorIds
-        );
-        donorMessageId = sentDonorMsgId;
+      // Get student details from the Confidential Database
+      const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
+      const studentRowData = findRowByValue(studentWs, SHEETS.students.cols.cmsId, cmsId);
 
-        writeLog('INFO', FUNC_NAME, 'Donor allocation notification sent (threaded if possible).', pledgeId);
-      } else {
-        writeLog('WARN', FUNC_NAME, 'Skipping donor notification: Email missing or Template ID not set.', pledgeId);
+      if (!studentRowData) {
+        return fail('STUDENT_NOT_FOUND', `Could not find student ${cmsId} in Confidential Database.`);
       }
-    } catch (donorErr) {
-      writeLog('WARN', FUNC_NAME, `Failed to send donor notification: ${donorErr.message}`, pledgeId);
-    }
 
-    writeLog('INFO', FUNC_NAME, 'Emails sent. Proceeding to commit data.', pledgeId);
-
-    // --- STEP 3: COMMIT DATA TO SHEETS (ONLY AFTER EMAIL SUCCESS) ---
-    // sentMessageId is already captured above!
-
-    // Append row with expanded columns matching new Config schema.
-    // Order: [AllocID, CMS, Pledge, PLEDGE_AMOUNT, Alloc_Amount, Date, Status, IntimationID, IntimationDate, DonorAllocID, DonorAllocDate, ReplyID, ReplyDate, FinalNotifyID, FinalNotifyDate, StudentConfirmID, StudentConfirmDate]
-    allocWs.appendRow([
-      allocationId,
-      cmsId,
-      pledgeId,
-      totalPledgeAmount, // Column 4
-      cleanAmount,       // Column 5
-      new Date(),        // Column 6
-      STATUS.allocation.PENDING_HOSTEL, // Column 7
-      formatIdForSheet(sentMessageId), new Date(), // Columns 8, 9
-      formatIdForSheet(donorMessageId), new Date(), // Columns 10, 11 (Intermediate Donor)
-      '', '', // Columns 12, 13 (Hostel Reply - Empty)
-      '', '', // Columns 14, 15 (Final Donor Notify - Empty)
-      '', ''  // Columns 16, 17 (Student Confirm - Empty)
-    ]);
-
-    // Now, write all the final data to the raw sheet.
-    rawWs.getRange(donationRowData.row, SHEETS.donations.cols.cmsIdAssigned).setValue(cmsId);
-    rawWs.getRange(donationRowData.row, SHEETS.donations.cols.amountAllocated).setValue(cleanAmount);
-
-    // --- DETERMINE CORRECT STATUS: PARTIAL vs FULL ---
-    // Calculate the remaining balance AFTER this allocation
-    const remainingBalance = maxPledgeAvailable - cleanAmount;
-    const pledgeStatus = (remainingBalance <= 0) ? STATUS.pledge.FULLY_ALLOCATED : STATUS.pledge.PARTIALLY_ALLOCATED;
-    rawWs.getRange(donationRowData.row, SHEETS.donations.cols.status).setValue(pledgeStatus);
-
-    // Trigger a background sync so the Student Lookup is updated immediately for the next user
-    syncStudentData();
-    syncPledgeData();
-
-    writeLog('SUCCESS', FUNC_NAME, 'Transaction complete. Data committed, email sent, and DB synced.', pledgeId);
-
-    // --- AUDIT TRAIL ---
-    logAuditEvent(
-      getActor(),
-      'ALLOCATION',
-      `${allocationId} (${pledgeId})`,
-      'Funds Allocated & Verified Email Sent',
-      '',
-      STATUS.allocation.PENDING_HOSTEL,
-      { amount: cleanAmount, cmsId: cmsId, method: 'Manual/Sidebar' }
-    );
-
-    return true; // --- Indicate FINAL SUCCESS
+      const studentName = studentRowData.data[SHEETS.students.cols.name - 1];
+      const studentSchool = studentRowData.data[SHEETS.students.cols.school - 1];
 
-  } catch (e) {
-    const errorMessage = `A critical error occurred: ${e.message}. File: ${e.fileName}. Line: ${e.lineNumber}.`;
-    writeLog('ERROR', FUNC_NAME, errorMessage, pledgeId);
-    return false;
-  } finally {
-    // Always release the lock
-    lock.releaseLock();
-  }
-}
+      // --- LOGIC CHECK 4: [V61] ZAKAT ELIGIBILITY ---
+      const isZakatPledge = isYesAnswer(donationRowData.data[SHEETS.donations.cols.isZakat - 1]);
+      if (!isZakatAllocationAllowed(isZakatPledge, isYesAnswer(studentRowData.data[SHEETS.students.cols.zakatEligible - 1]))) {
+        return fail('ZAKAT_INELIGIBLE', `Allocation Rejected: ${pledgeId} is a Zakat pledge and student ${cmsId} is not Zakat-eligible.`);
+      }
 
+      // --- ROBUSTNESS UPGRADE: CC the Chapter Lead ---
+      const ccString = getCCString(donorChapter);
+
+      // Get Total Pledge Amount for Template
+      // We use the centralized logic from CoreLogic.js (available in global scope)
+      const totalPledgeAmount = resolvePledgeAmount(donationRowData.data);
+
+      // --- [NEW] Get Extracted Transfer Date ---
+      // If empty, default to "As per attached receipt"
+      // --- STEP 1.1: FETCH VERIFIED RECEIPTS & DATES ---
+      const receiptData = getVerifiedReceiptsForPledge(pledgeId);
+      let transferDate = receiptData.dates.join(', ') || "As per attached receipt";
+      const verifiedAmount = receiptData.totalVerified;
+      const allProofFiles = receiptData.files; // Array of Blobs/Files
+
+      // --- STEP 2.1: GENERATE ALLOCATION ID EARLY ---
+      // We need this ID for the mailto link, so we generate it now instead of at the end.
+      const allocationId = nextSequenceId('ALLOCATION'); // [V61] See SequenceService.js
+
+      // 1. Prepare Data for the Mailto Link
+      const mailtoData = {
+        donorName: donorName,
+        donorEmail: donationRowData.data[SHEETS.donations.cols.donorEmail - 1],
+        amount: cleanAmount.toLocaleString(),
+        cmsId: cmsId,
+        pledgeId: pledgeId,
+        allocationId: allocationId,
+        chapterLeadEmail: ccString,
+        studentName: studentName,
+        school: studentSchool,
+        chapter: donorChapter // [NEW] Added Chapter
+      };
 
+      const mailtoLink = generateHostelReplyLink(mailtoData, TEMPLATES.hostelMailto);
+
+      // --- Prepare Email Data with ALL required placeholders ---
+      const emailData = {
+        // Donor Details
+        donorName: donorName,
+        chapter: donorChapter,
+        amount: cleanAmount.toLocaleString(), // Allocation Amount
+        pledgeAmount: verifiedAmount.toLocaleString(), // [FIX] User requested VERIFIED amount here (Legacy Template Label says Pledge, Value is Verified)
+        verifiedAmount: verifiedAmount.toLocaleString(), // [NEW]
+        // Student Details
+        studentName: studentName,
+        studentId: cmsId,
+        school: studentSchool,
+        // Verification Details
+        transferDate: transferDate, // <--- {{transferDate}} (Joined Dates)
+        // For backward compatibility
+        pledgeId: pledgeId,
+        cmsId: cmsId,
+        allocationDetails: `<ul><li>Student: <strong>${studentName}</strong> (${cmsId}) - Amount: <strong>PKR ${cleanAmount.toLocaleString()}</strong></li></ul>`,
+        mailtoLink: mailtoLink
+      };
 
-/**
- * Scans for university replies, analyzes them with the Gemini LLM using full conversation context.
- * VERSION 2.1: CONTEXT-AWARE
- */
-function monitorUniversityReplies() {
-  const FUNC_NAME = 'monitorUniversityReplies';
+      const emailContent = createEmailFromTemplate(TEMPLATES.hostelVerification, emailData);
 
-  const universityDomains = ['university.edu', 'finance.university.edu'];
-  const searchQueries = universityDomains.map(domain => `from:(${domain}) PLEDGE- in:inbox -label:"University Comms"`);
-  const searchQuery = searchQueries.join(' OR ');
+      // 1. Send Hostel Verification Email & Capture ID
+      let sentMessageId = 'NOT_FOUND';
+      try {
+        // Robustly construct recipient list
+        const recipients = [EMAILS.ddHostels, EMAILS.uao].filter(e => e).join(',');
 
-  const universityCommsLabel = GmailApp.getUserLabelByName('University Comms');
-  if (!universityCommsLabel) {
-    writeLog('ERROR', FUNC_NAME, 'Could not find the "University Comms" Gmail label. Halting execution.');
-    return;
-  }
+        const emailOptions = {
+          from: EMAILS.processOwner,
+          cc: ccString,
+          attachments: []
+        };
 
-  try {
-    const threads = GmailApp.search(searchQuery, 0, 10);
+        // ATTACHMENT HANDLING (MULTI-FILE)
+        const MAX_EMAIL_SIZE = 24 * 1024 * 1024;
+        let currentSize = 0;
+        let omittedCount = 0;
 
-    if (threads.length === 0) {
-      writeLog('INFO', FUNC_NAME, 'No new university communications to process.');
-      return;
-    }
+        for (const file of allProofFiles) {
+          // Fix: Blobs use getBytes().length, not getSize()
+          if ((currentSize + file.getBytes().length) < MAX_EMAIL_SIZE) {
+            emailOptions.attachments.push(file);
+            currentSize += file.getBytes().length;
+          } else {
+            omittedCount++;
+          }
+        }
 
-    writeLog('INFO', FUNC_NAME, `Found ${threads.length} new university communication threads.`);
-
-    // --- PRE-FETCH ALLOCATION LOG FOR THREAD MATCHING ---
-    const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
-    const allocData = allocWs.getDataRange().getValues();
-    const messageIdMap = new Map(); // Map<MessageID, PledgeID>
-
-    // Build Map: Cleaned Message ID -> Pledge ID
-    for (let i = 1; i < allocData.length; i++) {
-      const intimationId = String(allocData[i][SHEETS.allocations.cols.hostelIntimationId - 1]);
-      const pId = allocData[i][SHEETS.allocations.cols.pledgeId - 1];
-
-      if (intimationId && intimationId !== '') {
-        // Store both raw and cleaned versions to be safe
-        messageIdMap.set(intimationId, pId);
-        messageIdMap.set(intimationId.replace(/^id:/, ''), pId);
-        // Also handle RFC IDs if they were stored (strip < >)
-        if (intimationId.startsWith('<')) {
-          messageIdMap.set(intimationId.replace(/^<|>$/g, ''), pId);
+        if (omittedCount > 0 || allProofFiles.length === 0) {
+          const folderLink = `https://drive.google.com/drive/folders/${CONFIG.folderId_receipts}`;
+          emailContent.htmlBody += `<br><p><strong>Note:</strong> ${omittedCount} receipt(s) omitted due to size limits. <a href="${folderLink}">View All Receipts</a></p>`;
         }
-      }
-    }
 
-    for (const thread of threads) {
-      const subject = thread.getFirstMessageSubject();
-      let pledgeId = null;
+        sentMessageId = sendEmailAndGetId(
+          recipients,
+          emailContent.subject,
+          emailContent.htmlBody,
+          emailOptions
+        );
+      } catch (emailErr) {
+        return fail('EMAIL_FAILED', `Failed to send Hostel Verification Email: ${emailErr.message}`); // Stop transaction if primary email fails
+      }
 
+      // --- NOTIFY DONOR (INTERMEDIATE) ---
+      // Prepare an email to the donor saying "Your funds have been allocated, awaiting hostel confirmation."
+      // [V61] It is queued on the Email Outbox after the commit, so a Gmail failure is retried, not lost.
+      let donorMessage = null;
       try {
-        // --- STRATEGY 1: THREAD ID MATCHING (Robust) ---
-        const messages = thread.getMessages();
-        for (const msg of messages) {
-          const msgId = msg.getId(); // API ID
-          // We also might need to check RFC ID if we stored that? 
-          // But getMessages() returns API IDs.
-          // If we stored RFC ID in the sheet, we can't easily match it with msg.getId().
-          // However, if the thread contains the original message, msg.getId() will return the API ID of that original message.
-          // If we stored the RFC ID, we can't match it directly against API ID.
-          // BUT, my sendEmailAndGetId now returns RFC ID (<...>) or API ID (id:...).
-          // If I return RFC ID, I store RFC ID.
-
-          // Workaround:
-          // If I have an RFC ID in the sheet, I can't easily match it to `msg.getId()`.
-          // I would need to `GmailApp.search('rfc822msgid:THE_STORED_ID')` to see if it returns this thread.
-          // That is feasible!
-
-          // Revised Strategy:
-          // 1. Check if any stored RFC ID matches this thread? No, that's iterating the whole map.
-          // 2. Iterate messages. If I can't match API ID, what then?
-
-          // Let's look at the Subject Match fallback. It works.
-          // Maybe I only do Thread Match if I stored an API ID?
-          // Or, I can use `thread.getId()`?
-          // If I stored the *Thread ID* of the outgoing email, this would be trivial.
-          // But I stored Message ID.
-
-          // Let's stick to Subject Match as primary if ID match is hard?
-          // User Requirement: "While subject matching is a good backup, the primary logic should be thread-based."
-
-          // OK, if I stored RFC ID, I can search for it.
-          // But I don't know WHICH RFC ID to search for.
-
-          // WAIT! `GmailThread` has `getId()`.
-          // If I stored the API ID of the message, I could get its thread ID.
-          // But I stored RFC ID.
-
-          // Let's try to match API IDs first (if stored).
-          if (messageIdMap.has(msgId)) {
-            pledgeId = messageIdMap.get(msgId);
-            writeLog('INFO', FUNC_NAME, `Match found via Thread/Message ID: ${msgId}`, pledgeId);
-            break;
-          }
+        // 1. Get Donor Email from Raw Data (Column B)
+        const donorEmail = donationRowData.data[SHEETS.donations.cols.donorEmail - 1];
+        const donorName = donationRowData.data[SHEETS.donations.cols.donorName - 1];
+
+        // 2. Get Prior Message IDs for Threading
+        // Priority 1: Receipt Message ID (where they sent the proof)
+        // Priority 2: Pledge Email ID (initial confirmation)
+        const receiptMsgId = donationRowData.data[SHEETS.donations.cols.receiptMessageId - 1];
+        const pledgeMsgId = donationRowData.data[SHEETS.donations.cols.pledgeEmailId - 1]; // New Column
+        const priorIds = [receiptMsgId, pledgeMsgId];
+
+        if (donorEmail && TEMPLATES.donorAllocationNotification && TEMPLATES.donorAllocationNotification.includes('ENTER') === false) {
+          const donorEmailData = {
+            donorName: donorName,
+            studentId: cmsId,
+            amount: cleanAmount.toLocaleString(),
+            pledgeId: pledgeId,
+            allocationId: allocationId,
+            studentName: studentName, // [NEW] Added per user request
+            school: studentSchool,     // [NEW] Added per user request
+            chapter: donorChapter      // [NEW] Added Chapter
+          };
+          const donorEmailContent = createEmailFromTemplate(TEMPLATES.donorAllocationNotification, donorEmailData);
+
+          // Sent via sendOrReply by the outbox to enforce Single Thread Policy
+          donorMessage = {
+            recipient: donorEmail,
+            subject: donorEmailContent.subject,
+            htmlBody: donorEmailContent.htmlBody,
+            options: {
+              from: EMAILS.processOwner,
+              cc: ccString // Use the full CC list (AlwaysCC + Chapter Lead)
+            },
+            priorMessageIds: priorIds,
+            target: {
+              sheet: SHEETS.allocations.name,
+              keyCol: SHEETS.allocations.cols.allocId,
+              key: allocationId,
+              idCol: SHEETS.allocations.cols.donorAllocId,
+              dateCol: SHEETS.allocations.cols.donorAllocDate
+            },
+            sourceRef: allocationId
+          };
+        } else {
+          writeLog('WARN', FUNC_NAME, 'Skipping donor notification: Email missing or Template ID not set.', pledgeId);
         }
+      } catch (donorErr) {
+        writeLog('WARN', FUNC_NAME, `Failed to prepare donor notification: ${donorErr.message}`, pledgeId);
+      }
 
-        // --- STRATEGY 2: SUBJECT MATCHING (Fallback) ---
-        if (!pledgeId) {
-          // --- CONTEXT UPGRADE: Get the full conversation, not just the last message ---
-          const emailContext = getThreadContext(thread);
-          // --------------------------------------------------------------------------
-
-          const pledgeIdMatch = (subject + " " + emailContext.formattedForLLM).match(/PLEDGE-\d{4}-\d+/g);
+      writeLog('INFO', FUNC_NAME, 'Hostel email sent. Proceeding to commit data.', pledgeId);
 
-          if (!pledgeIdMatch) {
-            writeLog('WARN', FUNC_NAME, `Could not find any Pledge ID in thread with subject: "${subject}". Labeling as processed.`);
-            thread.addLabel(universityCommsLabel);
-            continue;
-          }
-          pledgeId = pledgeIdMatch[pledgeIdMatch.length - 1];
-        }
+      // --- STEP 3: COMMIT DATA TO SHEETS (ONLY AFTER EMAIL SUCCESS) ---
+      // sentMessageId is already captured above!
 
-        // --- AI INTEGRATION ---
-        writeLog('INFO', FUNC_NAME, 'Sending structured email context to Gemini for analysis.', pledgeId);
-        // --- CONTEXT UPGRADE: Send the structured conversation to the AI ---
-        const emailContext = getThreadContext(thread);
-        const aiResult = analyzeEmailWithGemini(emailContext.formattedForLLM);
-        // -------------------------------------------------------------
+      // Append row with expanded columns matching new Config schema.
+      // Order: [AllocID, CMS, Pledge, PLEDGE_AMOUNT, Alloc_Amount, Date, Status, IntimationID, IntimationDate, DonorAllocID, DonorAllocDate, ReplyID, ReplyDate, FinalNotifyID, FinalNotifyDate, StudentConfirmID, StudentConfirmDate]
+      allocWs.appendRow([
+        allocationId,
+        cmsId,
+        pledgeId,
+        totalPledgeAmount, // Column 4
+        cleanAmount,       // Column 5
+        new Date(),        // Column 6
+        STATUS.allocation.PENDING_HOSTEL, // Column 7
+        formatIdForSheet(sentMessageId), new Date(), // Columns 8, 9
+        '', '', // Columns 10, 11 (Intermediate Donor - written by the Email Outbox)
+        '', '', // Columns 12, 13 (Hostel Reply - Empty)
+        '', '', // Columns 14, 15 (Final Donor Notify - Empty)
+        '', ''  // Columns 16, 17 (Student Confirm - Empty)
+      ]);
+
+      // Now, write all the final data to the raw sheet.
+      rawWs.getRange(donationRowData.row, SHEETS.donations.cols.cmsIdAssigned).setValue(cmsId);
+      rawWs.getRange(donationRowData.row, SHEETS.donations.cols.amountAllocated).setValue(cleanAmount);
+
+      // --- APPLY STATUS: PARTIAL vs FULL (validated in Logic Check 3) ---
+      transitionStatus({
+        type: 'PLEDGE',
+        sheet: rawWs,
+        row: donationRowData.row,
+        targetStatus: pledgeStatus,
+        targetId: pledgeId,
+        description: `Pledge allocated (${allocationId})`,
+        metadata: { allocationId: allocationId, remainingBalance: remainingBalance }
+      });
 
-        if (!aiResult) {
-          writeLog('WARN', FUNC_NAME, 'AI analysis failed or returned no result. Manual review is needed.', pledgeId);
-          thread.addLabel(universityCommsLabel);
-          continue;
+      // [V61] Queue the donor notification now that the allocation row exists
+      if (donorMessage) {
+        try {
+          enqueueEmail(donorMessage);
+          donorQueued = true;
+        } catch (queueErr) {
+          writeLog('ERROR', FUNC_NAME, `Failed to queue donor notification: ${queueErr.message}`, pledgeId);
         }
+      }
 
-        // ... The rest of the function (updating sheets, etc.) remains exactly the same ...
-        const aiSummary = aiResult.summary;
-        const aiStatus = aiResult.newStatus;
-
-        const rawWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donations.name);
-        const donationRowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
-
-        if (donationRowData) {
-          let newStatus = '';
-          let logLevel = 'INFO';
-          let logMessage = `AI Analysis complete. Summary: "${aiSummary}"`;
-
-          rawWs.getRange(donationRowData.row, SHEETS.donations.cols.aiComments).setValue(aiSummary);
-
-          if (aiStatus === 'Confirmed') {
-            newStatus = STATUS.pledge.CLOSED; // Assuming full confirmation closes the pledge
-            logLevel = 'SUCCESS';
-          } else if (aiStatus === 'Query') {
-            // If query, we don't change Pledge Status (remains FULLY_ALLOCATED), but we note it.
-            // Or we could have a specific status if needed. For now, keep current or set to PARTIAL?
-            // Let's just NOT update Pledge Status for Query, only AI Comments.
-            newStatus = null;
-            logLevel = 'WARN';
-          }
+      // Trigger a background sync so the Student Lookup is updated immediately for the next user
+      syncStudentData();
+      syncPledgeData();
 
-          if (newStatus) {
-            rawWs.getRange(donationRowData.row, SHEETS.donations.cols.status).setValue(newStatus);
-          }
+      writeLog('SUCCESS', FUNC_NAME, 'Transaction complete. Data committed, email sent, and DB synced.', pledgeId);
 
-          // --- AUDIT TRAIL: Log Hostel Reply & Update Allocation Status ---
-          try {
-            // Find the allocation row for this pledge to update the log
-            const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
-            // We need to find the row in Allocation Log where pledgeId matches.
-            // Reusing findRowByValue logic but for Allocation sheet
-            const allocRowData = findRowByValue(allocWs, SHEETS.allocations.cols.pledgeId, pledgeId);
-
-            if (allocRowData) {
-              // Update Reply ID
-              const replyMessageId = thread.getMessages()[thread.getMessageCount() - 1].getId();
-              allocWs.getRange(allocRowData.row, SHEETS.allocations.cols.hostelReplyId).setValue(formatIdForSheet(replyMessageId));
-              allocWs.getRange(allocRowData.row, SHEETS.allocations.cols.hostelReplyDate).setValue(new Date());
-
-              // Update Allocation Status based on AI Result
-              if (aiStatus === 'Confirmed') {
-                allocWs.getRange(allocRowData.row, SHEETS.allocations.cols.status).setValue(STATUS.allocation.HOSTEL_VERIFIED);
-
-                logAuditEvent(
-                  'SYSTEM/AdminWorkflow',
-                  'HOSTEL_VERIFICATION',
-                  `${allocRowData.data[SHEETS.allocations.cols.allocId - 1]} (${pledgeId})`,
-                  'Allocation Verified by Hostel (University Comms)',
-                  '',
-                  STATUS.allocation.HOSTEL_VERIFIED,
-                  { msgId: replyMessageId }
-                );
-
-              } else if (aiStatus === 'Query') {
-                allocWs.getRange(allocRowData.row, SHEETS.allocations.cols.status).setValue(STATUS.allocation.HOSTEL_QUERY);
-
-                logAuditEvent(
-                  'SYSTEM/AdminWorkflow',
-                  'HOSTEL_QUERY',
-                  `${allocRowData.data[SHEETS.allocations.cols.allocId - 1]} (${pledgeId})`,
-                  'Hostel Raised a Query',
-                  '',
-                  STATUS.allocation.HOSTEL_QUERY,
-                  { msgId: replyMessageId, summary: aiSummary }
-                );
-              }
-            }
-          } catch (auditErr) {
-            writeLog('WARN', FUNC_NAME, `Failed to update Audit Log for Hostel Reply: ${auditErr.message}`, pledgeId);
-          }
+      // --- AUDIT TRAIL ---
+      logAuditEvent(
+        getActor(),
+        'ALLOCATION',
+        `${allocationId} (${pledgeId})`,
+        'Funds Allocated & Verified Email Sent',
+        '',
+        STATUS.allocation.PENDING_HOSTEL,
+        { amount: cleanAmount, cmsId: cmsId, method: 'Manual/Sidebar' }
+      );
 
-          writeLog(logLevel, FUNC_NAME, logMessage, pledgeId);
-        } else {
-          writeLog('WARN', FUNC_NAME, 'Found university email with a valid Pledge ID, but could not find a matching row in the sheet.', pledgeId);
-        }
+      // --- Indicate FINAL SUCCESS
+      return { success: true, pledgeId: pledgeId, allocationId: allocationId, pledgeStatus: pledgeStatus, error: null };
 
-      } catch (innerErr) {
-        writeLog('ERROR', FUNC_NAME, `An error occurred processing a single thread: ${innerErr.toString()}`, pledgeId);
-      } finally {
-        thread.addLabel(universityCommsLabel);
-      }
+    } catch (e) {
+      const errorMessage = `A critical error occurred: ${e.message}. File: ${e.fileName}. Line: ${e.lineNumber}.`;
+      return fail('UNEXPECTED', errorMessage);
     }
-  } catch (e) {
-    writeLog('ERROR', FUNC_NAME, `A critical error occurred while searching for university replies: ${e.toString()}`);
-  }
+  }, () => fail('LOCK_TIMEOUT', 'Could not acquire lock. System is busy. Please try again.'));
+
+  // [V61] Send the queued donor notification once the allocation is written
+  if (donorQueued) processEmailOutbox();
+  return result;
+}
+
+
+
+/**
+ * @deprecated [V61] Hostel replies have one pipeline: runWatchdog (Watchdog.js), with senders and
+ * labels in MAPPINGS.hostelReplies. This stub only logs, so a leftover trigger cannot process a
+ * thread a second time. Delete the trigger, then run reconcileHostelReplyLabels() once.
+ */
+function monitorUniversityReplies() {
+  writeLog('WARN', 'monitorUniversityReplies', 'Retired: hostel replies are processed by runWatchdog. Delete this trigger.');
 }
 
 /**
@@ -926,207 +756,310 @@ function getVerifiedReceiptsForPledge(pledgeId) {
 }
 
 /**
- * [V59.4] Processes a Batch Allocation with support for MULTIPLE students.
- * 
- * @param {Array} pledgeIds - Array of pledge IDs (strings or {id, amount} objects)
- * @param {Array|string} students - Array of CMS IDs (strings) or objects {cmsId, amount}
- *                                  If strings: equal distribution across students
- *                                  If objects with amount: explicit amounts per student
- *                                  If single string: backward compatible single student
- * 
- * Creates individual Allocation rows (one per pledge-student pair).
- * Assigns them a shared BATCH-ID.
- * Sends ONE email to the Hostel with consolidated tables.
+ * [V61] Plans a batch allocation without writing or sending anything.
+ * Shared by processBatchAllocation and previewBatchAllocation.
+ *
+ * @param {Array} pledgeIds See processBatchAllocation
+ * @param {Array|string} students See processBatchAllocation
+ * @param {string} strategy Key of ALLOCATION_STRATEGIES (AllocationService.js)
+ * @param {string} batchId Reference used in log entries
+ * @returns {Object} { studentData, pledgeData, plan: [{ allocId, student, pledge, amount }] }
  */
-function processBatchAllocation(pledgeIds, students) {
-  const FUNC_NAME = 'processBatchAllocation';
-  const lock = LockService.getScriptLock();
+function planBatchAllocation_(pledgeIds, students, strategy, batchId) {
+  const FUNC_NAME = 'planBatchAllocation_';
+  assertAllocationStrategy_(strategy);
 
-  if (!lock.tryLock(30000)) {
-    throw new Error("System busy. Please try again.");
+  const rawWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donations.name);
+  const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
+
+  // ========================================================================
+  // 1. NORMALIZE INPUTS
+  // ========================================================================
+
+  // Normalize students to array of objects
+  let studentList = [];
+  if (typeof students === 'string') {
+    // Backward compatible: single CMS ID string
+    studentList = [{ cmsId: students, amount: null }];
+    writeLog('INFO', FUNC_NAME, `Single student mode: ${students}`, batchId);
+  } else if (Array.isArray(students)) {
+    studentList = students.map(s => {
+      if (typeof s === 'string') {
+        return { cmsId: s, amount: null }; // Equal distribution
+      } else if (typeof s === 'object' && s.cmsId) {
+        return { cmsId: s.cmsId, amount: s.amount || null };
+      } else {
+        throw new Error(`Invalid student entry: ${JSON.stringify(s)}`);
+      }
+    });
+    writeLog('INFO', FUNC_NAME, `Multi-student mode: ${studentList.length} students`, batchId);
+  } else {
+    throw new Error('Invalid students parameter. Expected string or array.');
   }
 
-  const batchId = `BATCH-${new Date().getTime()}`;
-  const ssOps = SpreadsheetApp.openById(CONFIG.ssId_operations);
-  const allocWs = ssOps.getSheetByName(SHEETS.allocations.name);
-  const rawWs = ssOps.getSheetByName(SHEETS.donations.name);
-  const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
+  if (studentList.length === 0) throw new Error('No students provided.');
+  if (!pledgeIds || pledgeIds.length === 0) throw new Error('No pledge IDs provided.');
 
-  // Tracking for email generation
-  const donorsForEmail = []; // { name, email, amount, pledgeId, chapter, date, receiptFiles }
-  const studentsForEmail = []; // { name, cmsId, school, allocated }
+  // ========================================================================
+  // 2. FETCH STUDENT DATA AND CALCULATE TARGETS
+  // ========================================================================
 
-  try {
-    // ========================================================================
-    // 1. NORMALIZE INPUTS
-    // ========================================================================
-
-    // Normalize students to array of objects
-    let studentList = [];
-    if (typeof students === 'string') {
-      // Backward compatible: single CMS ID string
-      studentList = [{ cmsId: students, amount: null }];
-      writeLog('INFO', FUNC_NAME, `Single student mode: ${students}`, batchId);
-    } else if (Array.isArray(students)) {
-      studentList = students.map(s => {
-        if (typeof s === 'string') {
-          return { cmsId: s, amount: null }; // Equal distribution
-        } else if (typeof s === 'object' && s.cmsId) {
-          return { cmsId: s.cmsId, amount: s.amount || null };
-        } else {
-          throw new Error(`Invalid student entry: ${JSON.stringify(s)}`);
-        }
-      });
-      writeLog('INFO', FUNC_NAME, `Multi-student mode: ${studentList.length} students`, batchId);
-    } else {
-      throw new Error('Invalid students parameter. Expected string or array.');
+  const studentData = []; // { cmsId, name, school, need, target, allocated, row }
+
+  for (const s of studentList) {
+    const sRow = findRowByValue(studentWs, SHEETS.students.cols.cmsId, s.cmsId);
+    if (!sRow) throw new Error(`Student ${s.cmsId} not found.`);
+
+    const need = getRealTimeStudentNeed(s.cmsId);
+    if (!need || need <= 0) {
+      writeLog('WARN', FUNC_NAME, `Student ${s.cmsId} has 0 need. Skipping.`, batchId);
+      continue;
     }
 
-    if (studentList.length === 0) throw new Error('No students provided.');
-    if (!pledgeIds || pledgeIds.length === 0) throw new Error('No pledge IDs provided.');
+    studentData.push({
+      cmsId: s.cmsId,
+      name: sRow.data[SHEETS.students.cols.name - 1] || 'Unknown',
+      school: sRow.data[SHEETS.students.cols.school - 1] || 'Unknown',
+      gender: sRow.data[SHEETS.students.cols.gender - 1],
+      degree: sRow.data[SHEETS.students.cols.degree - 1],
+      degreeCategory: sRow.data[SHEETS.students.cols.degreeCategory - 1],
+      program: sRow.data[SHEETS.students.cols.program - 1],
+      zakatEligible: isYesAnswer(sRow.data[SHEETS.students.cols.zakatEligible - 1]),
+      need: need,
+      target: s.amount || null, // null = calculate later
+      allocated: 0
+    });
+  }
+
+  if (studentData.length === 0) throw new Error('No students with pending need.');
 
-    // ========================================================================
-    // 2. FETCH STUDENT DATA AND CALCULATE TARGETS
-    // ========================================================================
+  // ========================================================================
+  // 3. FETCH PLEDGE BALANCES
+  // ========================================================================
 
-    const studentData = []; // { cmsId, name, school, need, target, allocated, row }
+  const pledgeData = []; // { pledgeId, balance, remaining, isZakat, verifiedDate, preferences, rowData }
+  let totalAvailable = 0;
 
-    for (const s of studentList) {
-      const sRow = findRowByValue(studentWs, SHEETS.students.cols.cmsId, s.cmsId);
-      if (!sRow) throw new Error(`Student ${s.cmsId} not found.`);
+  for (const pledgeInput of pledgeIds) {
+    let pId = typeof pledgeInput === 'object' ? pledgeInput.id : pledgeInput;
 
-      const need = getRealTimeStudentNeed(s.cmsId);
-      if (!need || need <= 0) {
-        writeLog('WARN', FUNC_NAME, `Student ${s.cmsId} has 0 need. Skipping.`, batchId);
-        continue;
-      }
+    const rowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pId);
+    if (!rowData) throw new Error(`Pledge ID ${pId} not found.`);
 
-      studentData.push({
-        cmsId: s.cmsId,
-        name: sRow.data[SHEETS.students.cols.name - 1] || 'Unknown',
-        school: sRow.data[SHEETS.students.cols.school - 1] || 'Unknown',
-        need: need,
-        target: s.amount || null, // null = calculate later
-        allocated: 0
-      });
+    const balance = getRealTimePledgeBalance(pId, rowData.data);
+    if (balance <= 0) {
+      writeLog('WARN', FUNC_NAME, `Pledge ${pId} has 0 balance. Skipping.`, batchId);
+      continue;
     }
 
-    if (studentData.length === 0) throw new Error('No students with pending need.');
+    // [V61] Refuse pledges whose status cannot move into an allocated state (surfaced in the Sidebar)
+    const currentStatus = rowData.data[SHEETS.donations.cols.status - 1];
+    const partialCheck = checkStatusTransition('PLEDGE', currentStatus, STATUS.pledge.PARTIALLY_ALLOCATED);
+    const fullCheck = checkStatusTransition('PLEDGE', currentStatus, STATUS.pledge.FULLY_ALLOCATED);
+    if (!partialCheck.allowed && !fullCheck.allowed) {
+      throw new Error(`Pledge ${pId} cannot be allocated. ${partialCheck.error.message}`);
+    }
 
-    // ========================================================================
-    // 3. FETCH PLEDGE BALANCES
-    // ========================================================================
+    pledgeData.push({
+      pledgeId: pId,
+      balance: balance,
+      remaining: balance,
+      isZakat: isYesAnswer(rowData.data[SHEETS.donations.cols.isZakat - 1]),
+      verifiedDate: new Date(rowData.data[SHEETS.donations.cols.actualTransferDate - 1] ||
+        rowData.data[SHEETS.donations.cols.timestamp - 1]).getTime() || 0,
+      preferences: {
+        studentPref: rowData.data[SHEETS.donations.cols.studentPref - 1],
+        programPref: rowData.data[SHEETS.donations.cols.programPref - 1],
+        degreePref: rowData.data[SHEETS.donations.cols.degreePref - 1]
+      },
+      rowData: rowData
+    });
+    totalAvailable += balance;
+  }
 
-    const pledgeData = []; // { pledgeId, balance, remaining, rowData }
-    let totalAvailable = 0;
+  if (pledgeData.length === 0) throw new Error('No pledges with available balance.');
+  writeLog('INFO', FUNC_NAME, `Total available from ${pledgeData.length} pledges: ${totalAvailable}`, batchId);
 
-    for (const pledgeInput of pledgeIds) {
-      let pId = typeof pledgeInput === 'object' ? pledgeInput.id : pledgeInput;
+  // ========================================================================
+  // 4. CALCULATE TARGET AMOUNTS (if not explicit)
+  // ========================================================================
 
-      const rowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pId);
-      if (!rowData) throw new Error(`Pledge ID ${pId} not found.`);
+  const hasExplicitAmounts = studentData.some(s => s.target !== null);
 
-      const balance = getRealTimePledgeBalance(pId, rowData.data);
-      if (balance <= 0) {
-        writeLog('WARN', FUNC_NAME, `Pledge ${pId} has 0 balance. Skipping.`, batchId);
-        continue;
+  if (!hasExplicitAmounts && strategy === 'FILL_FIRST') {
+    // [V61] Each student's full need, in the order given; later students get what is left
+    studentData.forEach(s => {
+      s.target = s.need;
+    });
+    writeLog('INFO', FUNC_NAME, 'Fill-first: targets set to full need', batchId);
+  } else if (!hasExplicitAmounts) {
+    // Equal distribution: divide available funds equally (capped by individual need)
+    const equalShare = Math.floor(totalAvailable / studentData.length);
+    studentData.forEach(s => {
+      s.target = Math.min(equalShare, s.need);
+    });
+    writeLog('INFO', FUNC_NAME, `Equal distribution: ${equalShare} per student`, batchId);
+  } else {
+    // Use explicit amounts but validate against need
+    studentData.forEach(s => {
+      if (s.target === null) {
+        // Mixed mode: no amount specified for this student, use their need
+        s.target = s.need;
       }
+      s.target = Math.min(s.target, s.need); // Cap at need
+    });
+    writeLog('INFO', FUNC_NAME, 'Using explicit amounts per student', batchId);
+  }
 
-      pledgeData.push({
-        pledgeId: pId,
-        balance: balance,
-        remaining: balance,
-        rowData: rowData
-      });
-      totalAvailable += balance;
-    }
+  // ========================================================================
+  // 5. PLAN: Greedy distribution of pledges to students (no side effects)
+  //    [V61] The strategy decides which pledges a student may take and in what order
+  // ========================================================================
 
-    if (pledgeData.length === 0) throw new Error('No pledges with available balance.');
-    writeLog('INFO', FUNC_NAME, `Total available from ${pledgeData.length} pledges: ${totalAvailable}`, batchId);
+  const plan = []; // { allocId, student, pledge, amount }
 
-    // ========================================================================
-    // 4. CALCULATE TARGET AMOUNTS (if not explicit)
-    // ========================================================================
+  for (const student of studentData) {
+    let neededForStudent = student.target - student.allocated;
+    if (neededForStudent <= 0) continue;
 
-    const hasExplicitAmounts = studentData.some(s => s.target !== null);
+    writeLog('INFO', FUNC_NAME, `Processing ${student.cmsId}: target=${student.target}`, batchId);
 
-    if (!hasExplicitAmounts) {
-      // Equal distribution: divide available funds equally (capped by individual need)
-      const equalShare = Math.floor(totalAvailable / studentData.length);
-      studentData.forEach(s => {
-        s.target = Math.min(equalShare, s.need);
-      });
-      writeLog('INFO', FUNC_NAME, `Equal distribution: ${equalShare} per student`, batchId);
-    } else {
-      // Use explicit amounts but validate against need
-      studentData.forEach(s => {
-        if (s.target === null) {
-          // Mixed mode: no amount specified for this student, use their need
-          s.target = s.need;
-        }
-        s.target = Math.min(s.target, s.need); // Cap at need
+    for (const pledge of orderPledgesForStudent(pledgeData, student, strategy)) {
+      if (neededForStudent <= 0) break;
+      if (pledge.remaining <= 0) continue;
+
+      const amountToAlloc = Math.min(pledge.remaining, neededForStudent);
+
+      plan.push({
+        allocId: null, // [V61] Issued at commit, so previews do not use up IDs
+        student: student,
+        pledge: pledge,
+        amount: amountToAlloc
       });
-      writeLog('INFO', FUNC_NAME, 'Using explicit amounts per student', batchId);
+
+      // Update tracking
+      student.allocated += amountToAlloc;
+      pledge.remaining -= amountToAlloc;
+      neededForStudent -= amountToAlloc;
+
+      writeLog('INFO', FUNC_NAME,
+        `Planned ${amountToAlloc} from ${pledge.pledgeId} to ${student.cmsId}`, batchId);
     }
 
-    // ========================================================================
-    // 5. GREEDY DISTRIBUTION: Allocate pledges to students
-    // ========================================================================
+    // Check if student was fully or partially funded
+    if (student.allocated < student.target) {
+      writeLog('WARN', FUNC_NAME,
+        `Student ${student.cmsId} partially funded: ${student.allocated}/${student.target}`, batchId);
+    }
+  }
 
-    const allocationRows = []; // For batch writing to Allocation Log
+  if (plan.length === 0) {
+    throw new Error("No allocations could be made (insufficient funds or invalid data).");
+  }
 
-    for (const student of studentData) {
-      let neededForStudent = student.target - student.allocated;
-      if (neededForStudent <= 0) continue;
+  return { studentData: studentData, pledgeData: pledgeData, plan: plan };
+}
 
-      writeLog('INFO', FUNC_NAME, `Processing ${student.cmsId}: target=${student.target}`, batchId);
+/**
+ * [V61] Dry run of processBatchAllocation: returns the planned allocation matrix
+ * without writing rows, changing statuses or sending email.
+ *
+ * @param {Array} pledgeIds See processBatchAllocation
+ * @param {Array|string} students See processBatchAllocation
+ * @param {string} [strategy] Key of ALLOCATION_STRATEGIES
+ * @returns {Object} { strategy, rows: [{ pledgeId, donorName, cmsId, amount }],
+ *                     students: [{ cmsId, need, target, allocated }],
+ *                     pledges: [{ pledgeId, balance, remaining }], totalPlanned }
+ */
+function previewBatchAllocation(pledgeIds, students, strategy = 'EQUAL') {
+  const result = planBatchAllocation_(pledgeIds, students, strategy, 'PREVIEW');
 
-      for (const pledge of pledgeData) {
-        if (neededForStudent <= 0) break;
-        if (pledge.remaining <= 0) continue;
+  return {
+    strategy: strategy,
+    rows: result.plan.map(p => ({
+      pledgeId: p.pledge.pledgeId,
+      donorName: p.pledge.rowData.data[SHEETS.donations.cols.donorName - 1],
+      cmsId: p.student.cmsId,
+      amount: p.amount
+    })),
+    // Sent to the Sidebar: no student names (ADR-002)
+    students: result.studentData.map(s => ({
+      cmsId: s.cmsId, need: s.need, target: s.target, allocated: s.allocated
+    })),
+    pledges: result.pledgeData.map(p => ({
+      pledgeId: p.pledgeId, balance: p.balance, remaining: p.remaining
+    })),
+    totalPlanned: result.plan.reduce((sum, p) => sum + p.amount, 0)
+  };
+}
 
-        const amountToAlloc = Math.min(pledge.remaining, neededForStudent);
+/**
+ * [V59.4] Processes a Batch Allocation with support for MULTIPLE students.
+ * 
+ * @param {Array} pledgeIds - Array of pledge IDs (strings or {id, amount} objects)
+ * @param {Array|string} students - Array of CMS IDs (strings) or objects {cmsId, amount}
+ *                                  If strings: equal distribution across students
+ *                                  If objects with amount: explicit amounts per student
+ *                                  If single string: backward compatible single student
+ * @param {string} [batchRef] [V61] BATCH-ID to use (the subscription batch records it in its ledger first)
+ * @param {string} [strategy] [V61] Key of ALLOCATION_STRATEGIES (default EQUAL: the original greedy split)
+ * @returns {Object} [V61] { batchId, allocationCount, totalAllocated }
+ * 
+ * Creates individual Allocation rows (one per pledge-student pair).
+ * Assigns them a shared BATCH-ID.
+ * Sends ONE email to the Hostel with consolidated tables.
+ */
+function processBatchAllocation(pledgeIds, students, batchRef = null, strategy = 'EQUAL') {
+  const FUNC_NAME = 'processBatchAllocation';
+  assertAllocationStrategy_(strategy); // Before the lock, so no batch ID is issued for a bad request
+  const result = withScriptLock_(() => {
+    const batchId = batchRef || nextSequenceId('BATCH');
+    const ssOps = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const allocWs = ssOps.getSheetByName(SHEETS.allocations.name);
+    const rawWs = ssOps.getSheetByName(SHEETS.donations.name);
 
-        // Get verified amount for logging
-        const totalVerified = Number(pledge.rowData.data[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0;
+    // Tracking for email generation
+    const donorsForEmail = []; // { name, email, amount, pledgeId, chapter, date, receiptFiles }
 
-        // Create allocation ID
-        const allocId = `ALLOC-${Math.floor(Math.random() * 1000000)}`;
+    try {
+      // ========================================================================
+      // 1-5. [V61] PLAN (see planBatchAllocation_)
+      // ========================================================================
 
-        // --- DONOR NOTIFICATION (per allocation) ---
-        let donorAllocMsgId = '';
-        try {
-          const dEmail = pledge.rowData.data[SHEETS.donations.cols.donorEmail - 1];
-          const dName = pledge.rowData.data[SHEETS.donations.cols.donorName - 1];
-
-          if (dEmail && TEMPLATES.donorAllocationNotification &&
-            !TEMPLATES.donorAllocationNotification.includes('ENTER')) {
-            const receiptMsgId = pledge.rowData.data[SHEETS.donations.cols.receiptMessageId - 1];
-            const pledgeMsgId = pledge.rowData.data[SHEETS.donations.cols.pledgeEmailId - 1];
-
-            const dData = {
-              donorName: dName,
-              studentId: student.cmsId,
-              cmsId: student.cmsId,
-              amount: amountToAlloc.toLocaleString(),
-              pledgeId: pledge.pledgeId,
-              allocationId: allocId,
-              studentName: student.name,
-              school: student.school,
-              chapter: pledge.rowData.data[SHEETS.donations.cols.cityCountry - 1]
-            };
-
-            const content = createEmailFromTemplate(TEMPLATES.donorAllocationNotification, dData);
-            donorAllocMsgId = sendOrReply(dEmail, content.subject, content.htmlBody, {
-              from: EMAILS.processOwner,
-              cc: getCCString(pledge.rowData.data[SHEETS.donations.cols.cityCountry - 1])
-            }, [receiptMsgId, pledgeMsgId]);
-          }
-        } catch (err) {
-          writeLog('WARN', FUNC_NAME, `Failed to notify donor ${pledge.pledgeId}: ${err.message}`, batchId);
+      const { studentData, pledgeData, plan } = planBatchAllocation_(pledgeIds, students, strategy, batchId);
+
+      const studentsForEmail = studentData
+        .filter(s => s.allocated > 0)
+        .map(s => ({ name: s.name, cmsId: s.cmsId, school: s.school, allocated: s.allocated }));
+
+      // ========================================================================
+      // 6. [V61] VALIDATE THE PLAN (before anything is written or sent)
+      // ========================================================================
+
+      const issuedIds = nextSequenceIds('ALLOCATION', plan.length);
+      plan.forEach((p, i) => { p.allocId = issuedIds[i]; });
+
+      const allocIds = new Set(plan.map(p => p.allocId));
+      if (allocIds.size !== plan.length) {
+        throw new Error('Duplicate allocation IDs generated. Please retry.');
+      }
+      for (const pledge of pledgeData) {
+        if (pledge.remaining < 0) throw new Error(`Plan exceeds the balance of ${pledge.pledgeId}.`);
+      }
+      for (const student of studentData) {
+        if (student.allocated > student.need) throw new Error(`Plan exceeds the need of ${student.cmsId}.`);
+      }
+      for (const p of plan) {
+        if (!canPledgeFundStudent(p.pledge, p.student, strategy)) {
+          throw new Error(`Plan breaks the ${strategy} strategy: ${p.pledge.pledgeId} cannot fund ${p.student.cmsId}.`);
         }
+      }
+
+      // Donor table data and receipts (read-only)
+      for (const pledge of pledgeData) {
+        const usedAmount = pledge.balance - pledge.remaining;
+        if (usedAmount <= 0) continue;
 
-        // --- Fetch Receipt Files forEmail ---
         let receiptFiles = [];
         let dbDate = '';
         try {
@@ -1137,258 +1070,307 @@ function processBatchAllocation(pledgeIds, students) {
           writeLog('WARN', FUNC_NAME, `Failed to fetch receipts for ${pledge.pledgeId}: ${e.message}`, batchId);
         }
 
-        // --- Track for email ---
-        // Check if this pledge already added (may appear multiple times if funding multiple students)
-        const existingDonor = donorsForEmail.find(d => d.pledgeId === pledge.pledgeId);
-        if (existingDonor) {
-          existingDonor.amount += amountToAlloc; // Aggregate
-        } else {
-          donorsForEmail.push({
-            pledgeId: pledge.pledgeId,
-            amount: amountToAlloc,
-            verifiedAmount: totalVerified,
-            name: pledge.rowData.data[SHEETS.donations.cols.donorName - 1],
-            email: pledge.rowData.data[SHEETS.donations.cols.donorEmail - 1],
-            chapter: pledge.rowData.data[SHEETS.donations.cols.cityCountry - 1],
-            date: dbDate ? Utilities.formatDate(new Date(dbDate), Session.getScriptTimeZone(), "dd-MMM-yyyy") : 'N/A',
-            receiptFiles: receiptFiles
+        donorsForEmail.push({
+          pledgeId: pledge.pledgeId,
+          amount: usedAmount,
+          verifiedAmount: Number(pledge.rowData.data[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0,
+          name: pledge.rowData.data[SHEETS.donations.cols.donorName - 1],
+          email: pledge.rowData.data[SHEETS.donations.cols.donorEmail - 1],
+          chapter: pledge.rowData.data[SHEETS.donations.cols.cityCountry - 1],
+          date: dbDate ? Utilities.formatDate(new Date(dbDate), Session.getScriptTimeZone(), "dd-MMM-yyyy") : 'N/A',
+          receiptFiles: receiptFiles
+        });
+      }
+
+      // ========================================================================
+      // 7. BUILD EMAIL CONTENT
+      // ========================================================================
+
+      // Shared table styling
+      const styleTable = 'width: 100%; border-collapse: collapse; margin-top: 10px; margin-bottom: 20px; font-family: Arial, sans-serif; font-size: 10pt;';
+      const styleTh = 'border: 1px solid #ddd; padding: 8px; background-color: #f2f2f2; text-align: left; font-weight: bold; min-width: 80px;';
+      const styleTd = 'border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; word-wrap: break-word;';
+
+      // --- Donor Table ---
+      let donorTableHtml = `<table style="${styleTable}">
+          <thead>
+              <tr>
+                  <th style="${styleTh}">Donor Name</th>
+                  <th style="${styleTh}">Chapter</th>
+                  <th style="${styleTh}">Date</th>
+                  <th style="${styleTh}">Verified</th>
+                  <th style="${styleTh}">Allocated</th>
+              </tr>
+          </thead>
+          <tbody>`;
+
+      donorsForEmail.forEach(d => {
+        donorTableHtml += `
+              <tr>
+                  <td style="${styleTd}">${d.name}</td>
+                  <td style="${styleTd}">${d.chapter}</td>
+                  <td style="${styleTd} white-space: nowrap;">${d.date}</td>
+                  <td style="${styleTd}">PKR ${Number(d.verifiedAmount).toLocaleString()}</td>
+                  <td style="${styleTd}">PKR ${Number(d.amount).toLocaleString()}</td>
+              </tr>`;
+      });
+      donorTableHtml += `</tbody></table>`;
+
+      // --- Student Table (MATCHING FORMAT) ---
+      let studentTableHtml = `<table style="${styleTable}">
+          <thead>
+              <tr>
+                  <th style="${styleTh}">Name</th>
+                  <th style="${styleTh}">CMS ID</th>
+                  <th style="${styleTh}">School</th>
+                  <th style="${styleTh}">Allocated</th>
+              </tr>
+          </thead>
+          <tbody>`;
+
+      const totalAllocated = studentsForEmail.reduce((sum, s) => sum + s.allocated, 0);
+      studentsForEmail.forEach(s => {
+        studentTableHtml += `
+              <tr>
+                  <td style="${styleTd}">${s.name}</td>
+                  <td style="${styleTd}">${s.cmsId}</td>
+                  <td style="${styleTd}">${s.school}</td>
+                  <td style="${styleTd}">PKR ${Number(s.allocated).toLocaleString()}</td>
+              </tr>`;
+      });
+      studentTableHtml += `</tbody></table>`;
+
+      // --- Collect Attachments ---
+      const emailAttachments = [];
+      let currentSize = 0;
+      const MAX_EMAIL_SIZE = 24 * 1024 * 1024;
+
+      donorsForEmail.forEach(d => {
+        if (d.receiptFiles && d.receiptFiles.length > 0) {
+          d.receiptFiles.forEach(blob => {
+            try {
+              if ((currentSize + blob.getBytes().length) < MAX_EMAIL_SIZE) {
+                emailAttachments.push(blob);
+                currentSize += blob.getBytes().length;
+              }
+            } catch (err) {
+              writeLog('WARN', FUNC_NAME, `Failed to attach file: ${err.message}`, batchId);
+            }
           });
         }
+      });
 
-        // --- Prepare Allocation Row ---
-        const newRow = [
-          allocId, student.cmsId, pledge.pledgeId,
-          totalVerified,
-          amountToAlloc,
-          new Date(),
-          STATUS.allocation.PENDING_HOSTEL,
-          '', '',
-          formatIdForSheet(donorAllocMsgId), new Date(),
-          '', '',
-          '', '',
-          '', '',
-          batchId
-        ];
-        allocationRows.push(newRow);
-
-        // Update tracking
-        student.allocated += amountToAlloc;
-        pledge.remaining -= amountToAlloc;
-        neededForStudent -= amountToAlloc;
-
-        writeLog('INFO', FUNC_NAME,
-          `Allocated ${amountToAlloc} from ${pledge.pledgeId} to ${student.cmsId}`, batchId);
+      // --- Generate Mailto Link with all students ---
+      // [V59.4] Pass all students for text-only studentTable in mailto body
+      const mailtoLink = generateBatchMailtoLink(donorsForEmail, studentsForEmail, batchId,
+        plan.map(p => ({ allocId: p.allocId, cmsId: p.student.cmsId, amount: p.amount })));
+
+      // --- Build Final Email ---
+      let emailBody = "";
+      let emailSubject = `Batch Request ${batchId}`;
+
+      if (TEMPLATES.batchIntimationToHostel) {
+        const templateData = {
+          batchId: batchId,
+          studentName: studentsForEmail.map(s => s.name).join(', '),
+          studentId: studentsForEmail.map(s => s.cmsId).join(', '),
+          cmsId: studentsForEmail.map(s => s.cmsId).join(', '),
+          studentIds: studentsForEmail.map(s => s.cmsId).join(', '),
+          studentTable: studentTableHtml,
+          receiptCount: emailAttachments.length.toString(),
+          donorTable: donorTableHtml,
+          totalAmount: totalAllocated.toLocaleString(),
+          mailtoLink: mailtoLink,
+          school: studentsForEmail.map(s => s.school).join(', '),
+          studentCount: studentsForEmail.length.toString()
+        };
+        const templateResult = createEmailFromTemplate(TEMPLATES.batchIntimationToHostel, templateData);
+        emailBody = templateResult.htmlBody;
+        emailSubject = templateResult.subject;
+      } else {
+        // Fallback
+        emailBody = `
+              <h2>Batch Allocation Request</h2>
+              <p><strong>Batch Ref:</strong> ${batchId}</p>
+              <h3>Donors</h3>
+              ${donorTableHtml}
+              <h3>Students</h3>
+              ${studentTableHtml}
+              <p><strong>Total Allocated:</strong> PKR ${totalAllocated.toLocaleString()}</p>
+              <p><a href="${mailtoLink}">CLICK HERE TO CONFIRM BATCH (BCC DONORS)</a></p>
+          `;
       }
 
-      // Check if student was fully or partially funded
-      if (student.allocated < student.target) {
-        writeLog('WARN', FUNC_NAME,
-          `Student ${student.cmsId} partially funded: ${student.allocated}/${student.target}`, batchId);
+      // --- Aggregate CCs ---
+      let ccEmails = [];
+      if (EMAILS.alwaysCC) {
+        ccEmails = ccEmails.concat(Array.isArray(EMAILS.alwaysCC) ? EMAILS.alwaysCC : [EMAILS.alwaysCC]);
       }
-
-      // Add to students for email
-      studentsForEmail.push({
-        name: student.name,
-        cmsId: student.cmsId,
-        school: student.school,
-        allocated: student.allocated
+      const distinctChapters = [...new Set(donorsForEmail.map(d => d.chapter))];
+      distinctChapters.forEach(chapter => {
+        const safeChapter = chapter || 'Other';
+        const leads = MAPPINGS.chapterLeads[safeChapter] || MAPPINGS.chapterLeads['Other'] || [];
+        ccEmails = ccEmails.concat(Array.isArray(leads) ? leads : [leads]);
       });
-    }
+      const finalCC = [...new Set(ccEmails)].filter(e => e && e.trim() !== '').join(',');
 
-    if (allocationRows.length === 0) {
-      throw new Error("No allocations could be made (insufficient funds or invalid data).");
-    }
+      // ========================================================================
+      // 8. [V61] WRITE ALL ALLOCATION ROWS IN ONE CALL
+      // ========================================================================
 
-    // ========================================================================
-    // 6. WRITE ALL ALLOCATION ROWS TO LOG
-    // ========================================================================
+      const now = new Date();
+      const allocationRows = plan.map(p => [
+        p.allocId, p.student.cmsId, p.pledge.pledgeId,
+        Number(p.pledge.rowData.data[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0,
+        p.amount,
+        now,
+        STATUS.allocation.PENDING_HOSTEL,
+        '', '',   // hostelIntimationId/Date (set after the hostel email)
+        '', '',   // donorAllocId/Date (set by the Email Outbox)
+        '', '',
+        '', '',
+        '', '',
+        batchId
+      ]);
+
+      const firstRow = allocWs.getLastRow() + 1;
+      allocWs.getRange(firstRow, 1, allocationRows.length, allocationRows[0].length).setValues(allocationRows);
+      writeLog('INFO', FUNC_NAME, `Written ${allocationRows.length} allocation rows`, batchId);
+
+      // ========================================================================
+      // 9. SEND ONE CONSOLIDATED EMAIL (compensating rollback on failure)
+      // ========================================================================
+
+      let hostelMsgId;
+      try {
+        hostelMsgId = sendEmailAndGetId(EMAILS.ddHostels, emailSubject, emailBody, {
+          cc: finalCC,
+          attachments: emailAttachments
+        });
+      } catch (hostelErr) {
+        rollbackBatchRows_(allocWs, firstRow, allocationRows.length, batchId);
+        throw new Error(`Hostel email failed; batch ${batchId} rolled back. ${hostelErr.message}`);
+      }
 
-    allocationRows.forEach(row => allocWs.appendRow(row));
-    writeLog('INFO', FUNC_NAME, `Written ${allocationRows.length} allocation rows`, batchId);
+      // [V59.4] Store hostel intimation ID in ALL allocation rows for this batch
+      const formattedMsgId = formatIdForSheet(hostelMsgId);
+      allocWs.getRange(firstRow, SHEETS.allocations.cols.hostelIntimationId, allocationRows.length, 2)
+        .setValues(allocationRows.map(() => [formattedMsgId, now]));
+      writeLog('INFO', FUNC_NAME, `Stored hostel intimation ID for batch ${batchId}`, batchId);
 
-    // ========================================================================
-    // 7. UPDATE PLEDGE STATUSES
-    // ========================================================================
+      // ========================================================================
+      // 10. UPDATE PLEDGE STATUSES
+      // ========================================================================
 
-    for (const pledge of pledgeData) {
-      const usedAmount = pledge.balance - pledge.remaining;
-      if (usedAmount > 0) {
-        const newStatus = pledge.remaining <= 0
-          ? STATUS.pledge.FULLY_ALLOCATED
-          : STATUS.pledge.PARTIALLY_ALLOCATED;
-        rawWs.getRange(pledge.rowData.row, SHEETS.donations.cols.status).setValue(newStatus);
+      for (const pledge of pledgeData) {
+        const usedAmount = pledge.balance - pledge.remaining;
+        if (usedAmount > 0) {
+          const newStatus = pledge.remaining <= 0
+            ? STATUS.pledge.FULLY_ALLOCATED
+            : STATUS.pledge.PARTIALLY_ALLOCATED;
+          transitionStatus({
+            type: 'PLEDGE',
+            sheet: rawWs,
+            row: pledge.rowData.row,
+            targetStatus: newStatus,
+            targetId: pledge.pledgeId,
+            description: `Pledge allocated in ${batchId}`,
+            metadata: { batchId: batchId, amount: usedAmount }
+          });
+        }
       }
-    }
 
-    // ========================================================================
-    // 8. BUILD EMAIL CONTENT
-    // ========================================================================
-
-    // Shared table styling
-    const styleTable = 'width: 100%; border-collapse: collapse; margin-top: 10px; margin-bottom: 20px; font-family: Arial, sans-serif; font-size: 10pt;';
-    const styleTh = 'border: 1px solid #ddd; padding: 8px; background-color: #f2f2f2; text-align: left; font-weight: bold; min-width: 80px;';
-    const styleTd = 'border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; word-wrap: break-word;';
-
-    // --- Donor Table ---
-    let donorTableHtml = `<table style="${styleTable}">
-        <thead>
-            <tr>
-                <th style="${styleTh}">Donor Name</th>
-                <th style="${styleTh}">Chapter</th>
-                <th style="${styleTh}">Date</th>
-                <th style="${styleTh}">Verified</th>
-                <th style="${styleTh}">Allocated</th>
-            </tr>
-        </thead>
-        <tbody>`;
-
-    donorsForEmail.forEach(d => {
-      donorTableHtml += `
-            <tr>
-                <td style="${styleTd}">${d.name}</td>
-                <td style="${styleTd}">${d.chapter}</td>
-                <td style="${styleTd} white-space: nowrap;">${d.date}</td>
-                <td style="${styleTd}">PKR ${Number(d.verifiedAmount).toLocaleString()}</td>
-                <td style="${styleTd}">PKR ${Number(d.amount).toLocaleString()}</td>
-            </tr>`;
-    });
-    donorTableHtml += `</tbody></table>`;
-
-    // --- Student Table (MATCHING FORMAT) ---
-    let studentTableHtml = `<table style="${styleTable}">
-        <thead>
-            <tr>
-                <th style="${styleTh}">Name</th>
-                <th style="${styleTh}">CMS ID</th>
-                <th style="${styleTh}">School</th>
-                <th style="${styleTh}">Allocated</th>
-            </tr>
-        </thead>
-        <tbody>`;
-
-    const totalAllocated = studentsForEmail.reduce((sum, s) => sum + s.allocated, 0);
-    studentsForEmail.forEach(s => {
-      studentTableHtml += `
-            <tr>
-                <td style="${styleTd}">${s.name}</td>
-                <td style="${styleTd}">${s.cmsId}</td>
-                <td style="${styleTd}">${s.school}</td>
-                <td style="${styleTd}">PKR ${Number(s.allocated).toLocaleString()}</td>
-            </tr>`;
-    });
-    studentTableHtml += `</tbody></table>`;
-
-    // --- Collect Attachments ---
-    const emailAttachments = [];
-    let currentSize = 0;
-    const MAX_EMAIL_SIZE = 24 * 1024 * 1024;
-
-    donorsForEmail.forEach(d => {
-      if (d.receiptFiles && d.receiptFiles.length > 0) {
-        d.receiptFiles.forEach(blob => {
-          try {
-            if ((currentSize + blob.getBytes().length) < MAX_EMAIL_SIZE) {
-              emailAttachments.push(blob);
-              currentSize += blob.getBytes().length;
-            }
-          } catch (err) {
-            writeLog('WARN', FUNC_NAME, `Failed to attach file: ${err.message}`, batchId);
-          }
-        });
-      }
-    });
+      // ========================================================================
+      // 11. [V61] QUEUE DONOR NOTIFICATIONS (one per allocation row, via Email Outbox)
+      // ========================================================================
+
+      if (TEMPLATES.donorAllocationNotification && !TEMPLATES.donorAllocationNotification.includes('ENTER')) {
+        const donorMessages = [];
+        for (const p of plan) {
+          const dEmail = p.pledge.rowData.data[SHEETS.donations.cols.donorEmail - 1];
+          if (!dEmail) continue;
+
+          const chapter = p.pledge.rowData.data[SHEETS.donations.cols.cityCountry - 1];
+          const content = createEmailFromTemplate(TEMPLATES.donorAllocationNotification, {
+            donorName: p.pledge.rowData.data[SHEETS.donations.cols.donorName - 1],
+            studentId: p.student.cmsId,
+            cmsId: p.student.cmsId,
+            amount: p.amount.toLocaleString(),
+            pledgeId: p.pledge.pledgeId,
+            allocationId: p.allocId,
+            studentName: p.student.name,
+            school: p.student.school,
+            chapter: chapter
+          });
 
-    // --- Generate Mailto Link with all students ---
-    // [V59.4] Pass all students for text-only studentTable in mailto body
-    const mailtoLink = generateBatchMailtoLink(donorsForEmail, studentsForEmail, batchId);
-
-    // --- Build Final Email ---
-    let emailBody = "";
-    let emailSubject = `Batch Request ${batchId}`;
-
-    if (TEMPLATES.batchIntimationToHostel) {
-      const templateData = {
-        batchId: batchId,
-        studentName: studentsForEmail.map(s => s.name).join(', '),
-        studentId: studentsForEmail.map(s => s.cmsId).join(', '),
-        cmsId: studentsForEmail.map(s => s.cmsId).join(', '),
-        studentIds: studentsForEmail.map(s => s.cmsId).join(', '),
-        studentTable: studentTableHtml,
-        receiptCount: emailAttachments.length.toString(),
-        donorTable: donorTableHtml,
-        totalAmount: totalAllocated.toLocaleString(),
-        mailtoLink: mailtoLink,
-        school: studentsForEmail.map(s => s.school).join(', '),
-        studentCount: studentsForEmail.length.toString()
-      };
-      const templateResult = createEmailFromTemplate(TEMPLATES.batchIntimationToHostel, templateData);
-      emailBody = templateResult.htmlBody;
-      emailSubject = templateResult.subject;
-    } else {
-      // Fallback
-      emailBody = `
-            <h2>Batch Allocation Request</h2>
-            <p><strong>Batch Ref:</strong> ${batchId}</p>
-            <h3>Donors</h3>
-            ${donorTableHtml}
-            <h3>Students</h3>
-            ${studentTableHtml}
-            <p><strong>Total Allocated:</strong> PKR ${totalAllocated.toLocaleString()}</p>
-            <p><a href="${mailtoLink}">CLICK HERE TO CONFIRM BATCH (BCC DONORS)</a></p>
-        `;
-    }
+          donorMessages.push({
+            recipient: dEmail,
+            subject: content.subject,
+            htmlBody: content.htmlBody,
+            options: { from: EMAILS.processOwner, cc: getCCString(chapter) },
+            priorMessageIds: [
+              p.pledge.rowData.data[SHEETS.donations.cols.receiptMessageId - 1],
+              p.pledge.rowData.data[SHEETS.donations.cols.pledgeEmailId - 1]
+            ],
+            target: {
+              sheet: SHEETS.allocations.name,
+              keyCol: SHEETS.allocations.cols.allocId,
+              key: p.allocId,
+              idCol: SHEETS.allocations.cols.donorAllocId,
+              dateCol: SHEETS.allocations.cols.donorAllocDate
+            },
+            sourceRef: batchId
+          });
+        }
 
-    // --- Aggregate CCs ---
-    let ccEmails = [];
-    if (EMAILS.alwaysCC) {
-      ccEmails = ccEmails.concat(Array.isArray(EMAILS.alwaysCC) ? EMAILS.alwaysCC : [EMAILS.alwaysCC]);
-    }
-    const distinctChapters = [...new Set(donorsForEmail.map(d => d.chapter))];
-    distinctChapters.forEach(chapter => {
-      const safeChapter = chapter || 'Other';
-      const leads = MAPPINGS.chapterLeads[safeChapter] || MAPPINGS.chapterLeads['Other'] || [];
-      ccEmails = ccEmails.concat(Array.isArray(leads) ? leads : [leads]);
-    });
-    const finalCC = [...new Set(ccEmails)].filter(e => e && e.trim() !== '').join(',');
+        try {
+          enqueueEmails(donorMessages);
+        } catch (queueErr) {
+          // The allocation stands; donors can be notified manually from the Allocation Log
+          writeLog('ERROR', FUNC_NAME, `Failed to queue donor notifications: ${queueErr.message}`, batchId);
+        }
+      } else {
+        writeLog('WARN', FUNC_NAME, 'Skipping donor notifications: Template ID not set.', batchId);
+      }
 
-    // ========================================================================
-    // 9. SEND ONE CONSOLIDATED EMAIL & STORE MESSAGE ID
-    // ========================================================================
+      writeLog('SUCCESS', FUNC_NAME,
+        `Batch ${batchId} processed. ${studentsForEmail.length} students, ${allocationRows.length} allocations, Total: ${totalAllocated}`, batchId);
 
-    const hostelMsgId = sendEmailAndGetId(EMAILS.ddHostels, emailSubject, emailBody, {
-      cc: finalCC,
-      attachments: emailAttachments
-    });
+      // Sync
+      syncStudentData();
+      syncPledgeData();
 
-    // [V59.4] Store hostel intimation ID in ALL allocation rows for this batch
-    if (hostelMsgId && allocationRows.length > 0) {
-      const formattedMsgId = formatIdForSheet(hostelMsgId);
-      const now = new Date();
+      return { batchId: batchId, allocationCount: allocationRows.length, totalAllocated: totalAllocated };
 
-      // Find all allocation rows with this batchId (they were just appended)
-      const allocData = allocWs.getDataRange().getValues();
-      for (let i = allocData.length - 1; i >= 1; i--) {
-        if (allocData[i][SHEETS.allocations.cols.batchId - 1] === batchId) {
-          allocWs.getRange(i + 1, SHEETS.allocations.cols.hostelIntimationId).setValue(formattedMsgId);
-          allocWs.getRange(i + 1, SHEETS.allocations.cols.hostelIntimationDate).setValue(now);
-        }
-      }
-      writeLog('INFO', FUNC_NAME, `Stored hostel intimation ID for batch ${batchId}`, batchId);
+    } catch (e) {
+      writeLog('ERROR', FUNC_NAME, e.message, batchId);
+      throw e;
     }
+  }, () => {
+    throw new Error("System busy. Please try again.");
+  });
 
-    writeLog('SUCCESS', FUNC_NAME,
-      `Batch ${batchId} processed. ${studentsForEmail.length} students, ${allocationRows.length} allocations, Total: ${totalAllocated}`, batchId);
+  // Donor notifications go out now (after this batch's writes); failures stay on the outbox for retry.
+  // Inside the monthly subscription batch this runs within the batch's lock.
+  processEmailOutbox();
+  return result;
+}
 
-    // Sync
-    syncStudentData();
-    syncPledgeData();
+/**
+ * [V61] Compensating rollback: removes the rows a batch just wrote when its hostel email fails.
+ * The rows are checked against the batch ID before deletion.
+ */
+function rollbackBatchRows_(allocWs, firstRow, count, batchId) {
+  const FUNC_NAME = 'rollbackBatchRows_';
+  const written = allocWs.getRange(firstRow, SHEETS.allocations.cols.batchId, count, 1).getValues();
 
-  } catch (e) {
-    writeLog('ERROR', FUNC_NAME, e.message, batchId);
-    throw e;
-  } finally {
-    lock.releaseLock();
+  if (written.some(r => r[0] !== batchId)) {
+    writeLog('ERROR', FUNC_NAME, `Rows ${firstRow}-${firstRow + count - 1} no longer match ${batchId}. Remove them manually.`, batchId);
+    return;
   }
+
+  allocWs.deleteRows(firstRow, count);
+  writeLog('WARN', FUNC_NAME, `Rolled back ${count} allocation rows of ${batchId}.`, batchId);
 }
 
 // ==================================================================================
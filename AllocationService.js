@@ -0,0 +1,333 @@
+/**
+ * AllocationService.js
+ *
+ * [V61] Allocation rules outside the allocation transaction itself: corrections to existing
+ * Allocation Log rows, and the strategies that plan a batch allocation.
+ *
+ * Key Features:
+ * - Cancellation: the row is kept (status '9 - Cancelled') and stops counting
+ *   towards pledge balance and student need (see isAllocationActive)
+ * - Pledge and student statuses are moved back to match the remaining allocations
+ * - Hostel and donor are notified on their existing threads via sendOrReply
+ * - Optional reallocation of the freed funds to a different CMS ID in the same call
+ * - Batch strategies (ALLOCATION_STRATEGIES): which pledges may fund a student and in what
+ *   order, used by planBatchAllocation_ for both the preview and processBatchAllocation
+ * - Zakat rules shared by every strategy and the dashboard (isZakatAllocationAllowed, isYesAnswer)
+ */
+
+// ==================================================================================
+//                              CANCELLATION / REALLOCATION
+// ==================================================================================
+
+/**
+ * Cancels an allocation and, optionally, moves its amount to another student.
+ * Only allocations the FSM allows to be cancelled (pending, queried or disputed) qualify;
+ * a hostel-verified allocation has already been credited and cannot be pulled back here.
+ *
+ * @param {string} allocId The Allocation Log ID
+ * @param {string} reason Why the allocation is cancelled (required)
+ * @param {string} [newCmsId] If given, the freed amount is allocated to this student afterwards
+ * @returns {Object} { success, allocId, pledgeId, cmsId, amount, pledgeStatus, studentStatus, reallocation, error }
+ */
+function cancelAllocation(allocId, reason, newCmsId = null) {
+    const FUNC_NAME = 'cancelAllocation';
+    const result = withScriptLock_(() => {
+        try {
+            return cancelAllocationUnderLock_(allocId, reason, newCmsId);
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to cancel allocation ${allocId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+
+    if (!result.success || !newCmsId) return result;
+
+    // Reallocation runs as a normal allocation (own lock, checks and emails).
+    // If it fails the cancellation stands and the funds are back on the pledge balance.
+    const reallocated = processAllocationTransaction(result.pledgeId, newCmsId, result.amount);
+    result.reallocation = {
+        cmsId: newCmsId,
+        success: reallocated.success,
+        allocationId: reallocated.allocationId || null,
+        error: reallocated.error
+    };
+
+    if (reallocated.success) {
+        writeLog('SUCCESS', FUNC_NAME, `Funds of ${allocId} reallocated to ${newCmsId} (${reallocated.allocationId}).`, result.pledgeId);
+    } else {
+        writeLog('WARN', FUNC_NAME, `Reallocation to ${newCmsId} failed (${reallocated.error.message}). PKR ${result.amount} is back on the pledge balance.`, result.pledgeId);
+    }
+
+    return result;
+}
+
+/**
+ * Validates, notifies and commits the cancellation. Caller holds the script lock.
+ */
+function cancelAllocationUnderLock_(allocId, reason, newCmsId) {
+    const FUNC_NAME = 'cancelAllocation';
+
+    if (!reason || !String(reason).trim()) {
+        return operationFailure_('REASON_REQUIRED', 'A cancellation reason is required.');
+    }
+
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const rawWs = ss.getSheetByName(SHEETS.donations.name);
+    const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
+
+    // --- STEP 1: LOAD & VALIDATE ---
+    const allocRow = findRowByValue(allocWs, SHEETS.allocations.cols.allocId, allocId);
+    if (!allocRow) {
+        return operationFailure_('NOT_FOUND', `Allocation ${allocId} not found in the Allocation Log.`);
+    }
+
+    const allocStatus = allocRow.data[SHEETS.allocations.cols.status - 1];
+    const allocCheck = checkStatusTransition('ALLOCATION', allocStatus, STATUS.allocation.CANCELLED);
+    if (!allocCheck.allowed || allocStatus === STATUS.allocation.CANCELLED) {
+        return operationFailure_('NOT_CANCELLABLE', `Allocation ${allocId} is ${allocStatus} and cannot be cancelled.`);
+    }
+
+    const pledgeId = String(allocRow.data[SHEETS.allocations.cols.pledgeId - 1]);
+    const cmsId = String(allocRow.data[SHEETS.allocations.cols.cmsId - 1]);
+    const amount = Number(allocRow.data[SHEETS.allocations.cols.amount - 1]) || 0;
+
+    const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+    const totals = getPledgeLedgerTotals(pledgeId, ss);
+    if (!donationRow || !totals) {
+        return operationFailure_('PLEDGE_NOT_FOUND', `Pledge ${pledgeId} could not be loaded.`);
+    }
+
+    const studentRow = findRowByValue(studentWs, SHEETS.students.cols.cmsId, cmsId);
+    const studentNeed = getRealTimeStudentNeed(cmsId, ss);
+    if (!studentRow || studentNeed === null) {
+        return operationFailure_('STUDENT_NOT_FOUND', `Student ${cmsId} not found in Confidential Database.`);
+    }
+
+    // Target statuses once this row stops counting
+    const pledgeTarget = derivePledgeStatus(resolvePledgeAmount(donationRow.data), totals.verified, totals.allocated - amount);
+    // The pledge may step back (e.g. Closed -> Partially Allocated): a correction move, see STATUS_CORRECTIONS
+    const pledgeCheck = checkStatusTransition('PLEDGE', donationRow.data[SHEETS.donations.cols.status - 1], pledgeTarget, true);
+    if (!pledgeCheck.allowed) {
+        return { success: false, allocId: allocId, pledgeId: pledgeId, error: pledgeCheck.error };
+    }
+
+    const totalDue = Number(studentRow.data[SHEETS.students.cols.totalDue - 1]) || 0;
+    const studentTarget = deriveStudentStatus(totalDue, totalDue - studentNeed - amount);
+    const studentCheck = checkStatusTransition('STUDENT', studentRow.data[SHEETS.students.cols.status - 1], studentTarget);
+    if (!studentCheck.allowed) {
+        return { success: false, allocId: allocId, pledgeId: pledgeId, error: studentCheck.error };
+    }
+
+    // Reallocation target must be able to take the whole amount
+    if (newCmsId) {
+        if (String(newCmsId) === cmsId) {
+            return operationFailure_('SAME_STUDENT', `Allocation ${allocId} is already for ${cmsId}.`);
+        }
+        const newNeed = getRealTimeStudentNeed(newCmsId, ss);
+        if (newNeed === null) {
+            return operationFailure_('STUDENT_NOT_FOUND', `Student ${newCmsId} not found in Confidential Database.`);
+        }
+        if (amount > newNeed) {
+            return operationFailure_('EXCEEDS_NEED',
+                `PKR ${amount.toLocaleString()} exceeds the pending need of ${newCmsId} (PKR ${newNeed.toLocaleString()}).`);
+        }
+    }
+
+    // --- STEP 2: NOTIFY (before commit, ADR-004) ---
+    const studentName = studentRow.data[SHEETS.students.cols.name - 1];
+    const donorName = donationRow.data[SHEETS.donations.cols.donorName - 1];
+    const donorEmail = donationRow.data[SHEETS.donations.cols.donorEmail - 1];
+    const ccString = getCCString(donationRow.data[SHEETS.donations.cols.cityCountry - 1]);
+
+    let hostelMessageId;
+    try {
+        const recipients = [EMAILS.ddHostels, EMAILS.uao].filter(e => e).join(',');
+        hostelMessageId = sendOrReply(
+            recipients,
+            `Cancelled: Allocation ${allocId} (Ref: ${pledgeId})`,
+            `
+              <p>Dear Hostel Team,</p>
+              <p>Please <strong>do not credit</strong> the allocation below; it has been cancelled.</p>
+              <ul>
+                <li>Allocation: <strong>${allocId}</strong></li>
+                <li>Student: <strong>${studentName}</strong> (${cmsId})</li>
+                <li>Amount: <strong>PKR ${amount.toLocaleString()}</strong></li>
+                <li>Reason: ${reason}</li>
+              </ul>
+              ${newCmsId ? '<p>A separate verification request for the replacement student follows.</p>' : ''}
+              <p>NUST Hostels Admin Directorate</p>
+            `,
+            { from: EMAILS.processOwner, cc: ccString },
+            [
+                allocRow.data[SHEETS.allocations.cols.hostelReplyId - 1],
+                allocRow.data[SHEETS.allocations.cols.hostelIntimationId - 1]
+            ]
+        );
+    } catch (emailErr) {
+        writeLog('ERROR', FUNC_NAME, `Failed to notify hostel of cancellation: ${emailErr.message}`, pledgeId);
+        return operationFailure_('EMAIL_FAILED', `Hostel could not be notified: ${emailErr.message}`);
+    }
+
+    let donorMessageId = 'NOT_SENT';
+    try {
+        if (donorEmail) {
+            donorMessageId = sendOrReply(
+                donorEmail,
+                `Update: Allocation ${allocId} (Ref: ${pledgeId})`,
+                `
+                  <p>Dear ${donorName},</p>
+                  <p>The allocation of <strong>PKR ${amount.toLocaleString()}</strong> from your pledge to Student ID
+                  <strong>${cmsId}</strong> has been cancelled before the funds were credited.</p>
+                  <p>${newCmsId
+                        ? 'The same amount is being allocated to another student; you will receive a separate confirmation.'
+                        : 'The amount remains available in your pledge and will be allocated to another student in need.'}</p>
+                  <p>NUST Hostels Admin Directorate</p>
+                `,
+                { from: EMAILS.processOwner, cc: ccString },
+                [
+                    allocRow.data[SHEETS.allocations.cols.donorAllocId - 1],
+                    donationRow.data[SHEETS.donations.cols.receiptMessageId - 1],
+                    donationRow.data[SHEETS.donations.cols.pledgeEmailId - 1]
+                ]
+            );
+        }
+    } catch (donorErr) {
+        writeLog('WARN', FUNC_NAME, `Failed to notify donor of cancellation: ${donorErr.message}`, pledgeId);
+    }
+
+    // --- STEP 3: COMMIT ---
+    transitionStatus({
+        type: 'ALLOCATION',
+        sheet: allocWs,
+        row: allocRow.row,
+        targetStatus: STATUS.allocation.CANCELLED,
+        targetId: `${allocId} (${pledgeId})`,
+        eventType: 'ALLOCATION_CANCELLED',
+        description: `Allocation cancelled: ${reason}`,
+        metadata: {
+            amount: amount,
+            cmsId: cmsId,
+            reason: reason,
+            reallocateTo: newCmsId || '',
+            hostelNotifyId: formatIdForSheet(hostelMessageId),
+            donorNotifyId: formatIdForSheet(donorMessageId)
+        }
+    });
+    allocWs.getRange(allocRow.row, SHEETS.allocations.cols.cancellationReason, 1, 2).setValues([[reason, new Date()]]);
+
+    refreshPledgeCachedTotals(pledgeId, ss);
+
+    const pledgeResult = transitionStatus({
+        type: 'PLEDGE',
+        sheet: rawWs,
+        row: donationRow.row,
+        targetStatus: pledgeTarget,
+        targetId: pledgeId,
+        description: `Allocation ${allocId} cancelled`,
+        metadata: { allocId: allocId, amount: amount },
+        correction: true
+    });
+
+    const studentResult = transitionStatus({
+        type: 'STUDENT',
+        sheet: studentWs,
+        row: studentRow.row,
+        targetStatus: studentTarget,
+        targetId: cmsId,
+        description: `Allocation ${allocId} cancelled`,
+        metadata: { allocId: allocId, amount: amount }
+    });
+
+    syncStudentData();
+    try {
+        syncPledgeData();
+    } catch (syncErr) {
+        writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`, pledgeId);
+    }
+
+    writeLog('SUCCESS', FUNC_NAME, `Allocation ${allocId} (PKR ${amount} to ${cmsId}) cancelled: ${reason}`, pledgeId);
+
+    return {
+        success: true,
+        allocId: allocId,
+        pledgeId: pledgeId,
+        cmsId: cmsId,
+        amount: amount,
+        pledgeStatus: pledgeResult.newStatus,
+        studentStatus: studentResult.newStatus,
+        reallocation: null,
+        error: null
+    };
+}
+
+
+// ==================================================================================
+//                              [V61] BATCH ALLOCATION STRATEGIES
+// ==================================================================================
+
+/**
+ * Strategies selectable in the Sidebar. EQUAL is the original behaviour.
+ */
+const ALLOCATION_STRATEGIES = {
+    EQUAL: { label: 'Equal split (pledges in list order)' },
+    FIFO: { label: 'Oldest pledge first (by verified date)' },
+    ZAKAT: { label: 'Zakat funds first for Zakat-eligible students' },
+    PREFERENCE: { label: "Honour donors' student/program/degree preferences" },
+    FILL_FIRST: { label: 'Fill one student completely before the next' }
+};
+
+/**
+ * Throws on a key that is not in ALLOCATION_STRATEGIES, so a typo or a stale Sidebar value
+ * fails the preview and the batch instead of being planned under other rules.
+ * @param {string} strategy Key of ALLOCATION_STRATEGIES
+ */
+function assertAllocationStrategy_(strategy) {
+    if (!Object.prototype.hasOwnProperty.call(ALLOCATION_STRATEGIES, strategy)) {
+        throw new Error(`Unknown allocation strategy: ${strategy}. Use one of: ${Object.keys(ALLOCATION_STRATEGIES).join(', ')}.`);
+    }
+}
+
+/**
+ * Returns the pledges in the order a strategy spends them, for one student.
+ *
+ * @param {Array<Object>} pledgeData [{ pledgeId, isZakat, verifiedDate, ... }] in list order
+ * @param {Object} student { zakatEligible, ... }
+ * @param {string} strategy Key of ALLOCATION_STRATEGIES
+ * @returns {Array<Object>} Pledges the student may be funded from, in spending order
+ */
+function orderPledgesForStudent(pledgeData, student, strategy) {
+    let candidates = pledgeData.filter(p => canPledgeFundStudent(p, student, strategy));
+
+    if (strategy === 'FIFO') {
+        candidates = candidates.slice().sort((a, b) => a.verifiedDate - b.verifiedDate);
+    } else if (strategy === 'ZAKAT' && student.zakatEligible) {
+        // Spend Zakat money on eligible students first so general funds remain for everyone else
+        candidates = candidates.filter(p => p.isZakat).concat(candidates.filter(p => !p.isZakat));
+    }
+    return candidates;
+}
+
+/**
+ * True if a strategy allows this pledge to fund this student.
+ * The Zakat rule applies to every strategy (see isZakatAllocationAllowed).
+ */
+function canPledgeFundStudent(pledge, student, strategy) {
+    if (!isZakatAllocationAllowed(pledge.isZakat, student.zakatEligible)) return false;
+    if (strategy === 'PREFERENCE' && !matchesDonorPreferences(pledge.preferences, student)) return false;
+    return true;
+}
+
+/**
+ * Zakat funds may only go to Zakat-eligible students; general funds may go to anyone.
+ */
+function isZakatAllocationAllowed(pledgeIsZakat, studentZakatEligible) {
+    return !pledgeIsZakat || studentZakatEligible;
+}
+
+/**
+ * True for form/sheet "Yes" answers (isZakat, zakatEligible).
+ */
+function isYesAnswer(value) {
+    return value === true || /^(yes|y|true)$/i.test(String(value || '').trim());
+}
@@ -26,6 +26,18 @@ const EVENT_TEMPLATES = {
         icon: '✅',
         template: '{{count}} receipt(s) verified totaling PKR {{amount}}'
     },
+    RECEIPT_DUPLICATE: {
+        icon: '🔁',
+        template: 'Duplicate receipt detected and excluded'
+    },
+    RECEIPT_REJECTED: {
+        icon: '↩️',
+        template: 'Receipt rejected and reversed'
+    },
+    ALLOCATION_CANCELLED: {
+        icon: '🚫',
+        template: 'Allocation cancelled'
+    },
     ALLOCATION: {
         icon: '🎓',
         template: 'PKR {{amount}} allocated to support a student'
@@ -88,7 +88,9 @@ const SHEETS = {
       verifiedTotalAmount: 27, // Column AA: Sum of all verified receipts
       balanceAmount: 28,       // Column AB: Cash Balance (Verified - Allocated)
       pledgeOutstanding: 29,   // Column AC: Pledge GAP (Pledge Amount - Verified)
-      actualTransferDate: 30   // Column AD: Latest Transfer Date from Receipt (auto-populated)
+      actualTransferDate: 30,  // Column AD: Latest Transfer Date from Receipt (auto-populated)
+      pledgeAmount: 31,        // Column AE: [V61] Pledged amount (PKR), resolved once at submission
+      revealDonorToStudent: 32 // Column AF: [V61] Yes = the donor agreed to be named to the student (blank = anonymous)
     }
   },
   // --- Donations Tracker (QUERY View) ---
@@ -108,11 +110,19 @@ const SHEETS = {
       emailDate: 4,        // Column D: Email Date
       transferDate: 5,     // Column E: Extracted from Image
       amountDeclared: 6,   // Column F: What user said
-      amountVerified: 7,   // Column G: What LLM saw
+      amountVerified: 7,   // Column G: What LLM saw, in PKR ([V61] converted if foreign)
       confidence: 8,       // Column H: High/Med/Low
       driveLink: 9,        // Column I: Link to file
       filename: 10,       // Column J: File Name
-      status: 11           // Column K: Valid/Duplicate/Rejected
+      status: 11,          // Column K: Valid/Duplicate/Rejected
+      fileHash: 12,        // Column L: [V61] SHA-256 of the receipt file
+      contentKey: 13,      // Column M: [V61] amount|date|sender[|bank ref] fingerprint
+      duplicateOf: 14,     // Column N: [V61] Receipt ID this row duplicates (or may duplicate, on a VALID row)
+      rejectionReason: 15, // Column O: [V61] Why the receipt was REJECTED
+      currency: 16,        // Column P: [V61] ISO code on the slip (PKR, SAR, AED...)
+      amountOriginal: 17,  // Column Q: [V61] Amount in that currency
+      fxRate: 18,          // Column R: [V61] PKR per unit used for Column G
+      fxSource: 19         // Column S: [V61] FX Rates row used, or NO RATE
     }
   },
   students: {
@@ -128,7 +138,9 @@ const SHEETS = {
       pendingAmount: 8,     // Column H
       status: 9,            // Column I
       degreeCategory: 10,   // Column J
-      program: 11           // Column K
+      program: 11,          // Column K
+      zakatEligible: 12,    // Column L: [V61] Yes/No - may receive Zakat funds
+      email: 13             // Column M: [V61] University email (student confirmation, see StudentConfirmationService.js)
     }
   },
   allocations: {
@@ -149,10 +161,18 @@ const SHEETS = {
       hostelReplyDate: 13,     // Column M matches user request "Hostel Reply Time"
       donorNotifyId: 14,       // Column N (Final Loop Close)
       donorNotifyDate: 15,     // Column O (Final Loop Close)
-      studentConfirmId: 16,    // Column P (Student Confirmation - Future)
-      studentConfirmDate: 17,   // Column Q (Student Confirmation - Future)
+      studentConfirmId: 16,    // Column P [V61] Confirmation request sent to the student
+      studentConfirmDate: 17,   // Column Q [V61]
       batchId: 18,           // Column R [NEW] Shared ID for Batch Allocations
-      installmentId: 19      // Column S [V59.3] Monthly subscription installment reference
+      installmentId: 19,     // Column S [V59.3] Monthly subscription installment reference
+      cancellationReason: 20, // Column T [V61] Set when the allocation is cancelled
+      cancelledDate: 21,     // Column U [V61]
+      followUpCount: 22,     // Column V [V61] Hostel reminders + escalation sent (see runHostelFollowUps)
+      lastFollowUpId: 23,    // Column W [V61]
+      lastFollowUpDate: 24,  // Column X [V61]
+      studentReplyId: 25,    // Column Y [V61] The student's reply to the confirmation request
+      studentReplyDate: 26,  // Column Z [V61]
+      studentResponse: 27    // Column AA [V61] 'Confirmed', or what the student disputes
     }
   },
   log: {
@@ -190,7 +210,8 @@ const SHEETS = {
       receiptLinks: 10,      // J: Links to receipt files
       rawResponse: 11,       // K: Full AI response (JSON)
       processingTime: 12,    // L: Time taken (ms)
-      success: 13            // M: TRUE/FALSE
+      success: 13,           // M: TRUE/FALSE
+      duplicates: 14         // N: [V61] Duplicate receipts detected
     }
   },
   // --- [V59] Monthly Pledge Subscription Sheets ---
@@ -217,7 +238,10 @@ const SHEETS = {
       linkedStudentIds: 18,   // Column R: Comma-separated CMS IDs
       notes: 19,              // Column S
       welcomeEmailId: 20,     // Column T [V59.3] Thread root for all subscription emails
-      completionEmailId: 21   // Column U [V59.3] Final completion email ID
+      completionEmailId: 21,  // Column U [V59.3] Final completion email ID
+      creditBalance: 22,      // Column V [V61] Payment carried forward to the next installment(s)
+      pausedUntil: 23,        // Column W [V61] Set while Paused; auto-resumes after this date
+      studentShares: 24       // Column X [V61] Split of each payment, e.g. "123456:60, 789012:40" (blank = equal)
     }
   },
   installments: {
@@ -234,7 +258,114 @@ const SHEETS = {
       reminderCount: 9,       // Column I: 0, 1, 2
       lastReminderDate: 10,   // Column J
       reminderEmailId: 11,    // Column K [V59.3] Last reminder message ID
-      receiptConfirmId: 12    // Column L [V59.3] Receipt confirmation message ID
+      receiptConfirmId: 12,   // Column L [V59.3] Receipt confirmation message ID
+      amountDue: 13           // Column M [V61] Expected amount (monthlyAmount when the row was due/changed)
+    }
+  },
+  // --- [V61] Donor self-service requests parsed from email, awaiting approval ---
+  donorRequests: {
+    name: 'Donor Requests',
+    cols: {
+      requestId: 1,           // Column A: REQ-<pledgeId>-NNNN
+      timestamp: 2,           // Column B: When the email was processed
+      pledgeId: 3,            // Column C
+      donorEmail: 4,          // Column D: Sender
+      action: 5,              // Column E: PAUSE/RESUME/CANCEL/... (see DONOR_REQUEST_ACTIONS)
+      params: 6,              // Column F: JSON { months, amount, cmsIds }
+      details: 7,             // Column G: Request in the donor's words
+      status: 8,              // Column H: Pending Approval/Executed/Rejected/Failed
+      threadLink: 9,          // Column I: Gmail permalink
+      messageId: 10,          // Column J: Source message (prevents double-queueing)
+      decidedBy: 11,          // Column K
+      decidedDate: 12,        // Column L
+      result: 13              // Column M: Outcome or rejection reason
+    }
+  },
+  // --- [V61] Ledger of monthly subscription batch runs (one row per subscription per run) ---
+  subscriptionBatchRuns: {
+    name: 'Subscription Batch Runs',
+    cols: {
+      runId: 1,               // Column A: SUBRUN-yyyyMMdd-HHmm (kept across resumed executions)
+      subscriptionId: 2,      // Column B
+      installmentIds: 3,      // Column C: Installments consumed (comma-separated)
+      amountReceived: 4,      // Column D: Sum of those installments
+      amountAllocated: 5,     // Column E: Sum of the committed allocation rows
+      residual: 6,            // Column F: Left on the pledge balance
+      status: 7,              // Column G: In Progress/Committed/Skipped/Failed
+      batchId: 8,             // Column H: BATCH-ID written on the allocation rows
+      startedAt: 9,           // Column I
+      finishedAt: 10,         // Column J
+      message: 11             // Column K: Skip/failure reason
+    }
+  },
+  // --- [V61] Durable queue for notification emails (see OutboxService.js) ---
+  emailOutbox: {
+    name: 'Email Outbox',
+    cols: {
+      outboxId: 1,            // Column A: OUT-<timestamp>-N
+      createdAt: 2,           // Column B
+      recipient: 3,           // Column C
+      subject: 4,             // Column D
+      htmlBody: 5,            // Column E: Rendered body
+      options: 6,             // Column F: JSON { from, cc }
+      threadIds: 7,           // Column G: JSON array of prior message IDs (threading)
+      target: 8,              // Column H: JSON { sheet, keyCol, key, idCol, dateCol } for the sent message ID
+      sourceRef: 9,           // Column I: e.g. BATCH-ID
+      status: 10,             // Column J: Pending/Sent/Failed
+      attempts: 11,           // Column K
+      nextAttemptAt: 12,      // Column L
+      lastError: 13,          // Column M
+      sentMessageId: 14,      // Column N
+      sentAt: 15              // Column O
+    }
+  },
+  // --- [V61] Admin-maintained exchange rates (see CurrencyService.js) ---
+  fxRates: {
+    name: 'FX Rates',
+    cols: {
+      currency: 1,            // Column A: ISO code (SAR, AED, EUR, CAD, AUD, GBP, USD)
+      effectiveDate: 2,       // Column B: Rate applies from this date
+      pkrPerUnit: 3,          // Column C: PKR for 1 unit of the currency
+      source: 4               // Column D: Where the rate came from (e.g. SBP, bank statement)
+    }
+  },
+  // --- [V61] Money returned to donors, linked to the receipt it came in on (see RefundService.js) ---
+  refunds: {
+    name: 'Refunds',
+    cols: {
+      refundId: 1,            // Column A: REFUND-YYYY-NNNN
+      timestamp: 2,           // Column B: When the refund was requested
+      pledgeId: 3,            // Column C
+      receiptId: 4,           // Column D: Receipt Log row the money came in on
+      amount: 5,              // Column E: PKR to return
+      reason: 6,              // Column F: Wrong account / duplicate payment / donor request ...
+      status: 7,              // Column G: Pending Approval/Approved/Returned/Rejected
+      requestedBy: 8,         // Column H
+      decidedBy: 9,           // Column I
+      decidedDate: 10,        // Column J
+      proofLink: 11,          // Column K: Proof of return (saved to the receipts folder)
+      returnedDate: 12,       // Column L
+      result: 13              // Column M: Rejection reason or notes
+    }
+  },
+  // [V61] Questions the hostel raises in reply to an intimation (see HostelQueryService.js)
+  hostelQueries: {
+    name: 'Hostel Queries',
+    cols: {
+      queryId: 1,             // Column A: HQ-YYYY-NNNN
+      timestamp: 2,           // Column B: When the Watchdog recorded it
+      contextId: 3,           // Column C: Pledge or Batch ID of the intimation
+      allocIds: 4,            // Column D: Comma-separated allocations held in '2 - Hostel Query'
+      queryText: 5,           // Column E: The hostel's message (quoted history removed)
+      aiSummary: 6,           // Column F: Watchdog reasoning
+      threadId: 7,            // Column G: Gmail thread of the reply
+      queryMessageId: 8,      // Column H: The reply that raised the query
+      draftId: 9,             // Column I: Gmail draft of the AI reply (never sent automatically)
+      assignee: 10,           // Column J: Who answers it
+      status: 11,             // Column K: Open/Answered
+      resolvedBy: 12,         // Column L
+      resolvedDate: 13,       // Column M
+      resolution: 14          // Column N: How it was answered
     }
   }
 };
@@ -286,6 +417,59 @@ const MAPPINGS = {
 
     // Student Linking
     allowStudentChange: true           // Whether donors can change linked students
+  },
+  // [V61] Email Outbox (see OutboxService.js)
+  outbox: {
+    maxAttempts: 5,                    // Mark Failed after this many attempts
+    baseDelayMinutes: 10,              // Backoff: 10, 20, 40, 80 minutes...
+    maxPerRun: 50,                     // Messages sent per drain
+    quotaReserve: 20                   // Daily recipients kept free for direct sends (hostel emails, alerts)
+  },
+  // [V61] Hostel reply pipeline (see runWatchdog in Watchdog.js)
+  hostelReplies: {
+    senders: [EMAILS.ddHostels, EMAILS.uao],     // Addresses whose replies are processed (blanks are ignored)
+    senderDomains: [],                           // Whole domains, e.g. 'nust.edu.pk' - any sender there is trusted
+    labels: {
+      processed: 'Watchdog/Processed',           // Every allocation named in the reply has its outcome
+      manualReview: 'Watchdog/Manual-Review'     // Query, ambiguous reply, tampered token or no ID
+    },
+    legacyLabels: ['University Comms'],          // Retired by reconcileHostelReplyLabels() (MigrationService.js)
+    maxThreadsPerRun: 10
+  },
+  // [V61] Hostel queries (see HostelQueryService.js)
+  hostelQueries: {
+    defaultAssignee: '',               // Owner of new queries (process owner while blank)
+    maxQueryChars: 2000                // Hostel message kept on the sheet and sent to Gemini
+  },
+  // [V61] Student confirmation after hostel verification (see StudentConfirmationService.js)
+  studentConfirmation: {
+    subjectTag: 'Hostel Credit Confirmation',    // Request subject: '<tag> (Ref: ALLOC-...)'; replies are found by it
+    labels: {
+      processed: 'Students/Processed',           // Confirmed or disputed
+      manualReview: 'Students/Manual-Review'     // Unclear reply, unknown sender or allocation not awaiting the student
+    },
+    anonymousDonorName: 'a NUST alumnus',        // Shown instead of the donor's name unless they opted in
+    verifiedSince: '',                           // e.g. '2026-11-01': older hostel verifications get no request (blank = all)
+    maxSendsPerRun: 20,
+    maxThreadsPerRun: 10
+  },
+  // [V61] Follow-ups for unanswered hostel intimations (see runHostelFollowUps in Watchdog.js)
+  hostelFollowUp: {
+    firstReminderDays: 3,              // Days after the intimation before the first reminder
+    repeatDays: 4,                     // Days between later reminders and before the escalation
+    maxReminders: 2,                   // Reminders to DD Hostels before escalating
+    escalationContacts: [],            // Second contact list, CC'd on the escalation (process owner while empty)
+    maxPerRun: 20                      // Nudges sent per run
+  },
+  // [V61] Foreign-currency receipts (see CurrencyService.js)
+  fx: {
+    baseCurrency: 'PKR',
+    maxRateAgeDays: 45,                // Older rates are not used; the receipt waits for a fresh one
+    aliases: {                         // Slip spellings -> ISO code
+      'RS': 'PKR', 'RS.': 'PKR', 'RUPEES': 'PKR', '₨': 'PKR',
+      'SR': 'SAR', 'RIYAL': 'SAR', 'DHS': 'AED', 'DIRHAM': 'AED',
+      '€': 'EUR', 'EURO': 'EUR', '£': 'GBP', 'C$': 'CAD', 'A$': 'AUD', 'US$': 'USD'
+    }
   }
 };
 
@@ -312,7 +496,8 @@ const TEMPLATES = {
   subscriptionReceiptConfirm: '1P94dFVX5vUkxGgOWSsjOICAVvB1dwi__aggtQT2RSLw',
   subscriptionOverdue: '1K4j9Tu8qYrmoFHy9y9uTCVWUAsou_cEI8JWZSVJEP3k',
   subscriptionCompleted: '1IZDqduRIfcBiPQOWCSlORF1X6_irF8VTdLsu0QojnBI',
-  subscriptionHostelIntimation: '1LJW9JKIDV7yo088Z2jV54nL_mQ8Gwbi0cRzUSVJcCI8'
+  subscriptionHostelIntimation: '1LJW9JKIDV7yo088Z2jV54nL_mQ8Gwbi0cRzUSVJcCI8',
+  subscriptionUpdate: 'ENTER_SUBSCRIPTION_UPDATE_DOC_ID_HERE' // [V61] Pause/resume/extend/cancel/amount change
 };
 
 // SECTION 7: FORM QUESTION TITLES (KEYS)
@@ -43,20 +43,32 @@ function findRowByValue(sheet, col, value) {
 }
 
 /**
- * Maps duration text (e.g., "Four Years") to a numeric pledge amount.
- * Centralizes the logic previously scattered in AdminWorkflow and studentServices.
+ * Maps a duration answer (e.g., "Four Years") to a numeric pledge amount.
+ * [V61] Only processNewPledge calls this (plus the legacy fallback in resolvePledgeAmount);
+ * the result is stored in the RAW pledgeAmount column. Answers are matched strictly, so an
+ * unusual answer yields 0 (flagged for review) instead of a wrong amount:
+ * - "<n> Month(s)/Semester(s)/Year(s)", in words or digits -> n x the CONFIG.pledgeAmounts unit
+ * - An answer that is only an amount ("PKR 50,000", "75k", the form's "Other" option) -> that amount
  * @param {string} durationText The text from the duration column.
- * @return {number} The numeric pledge amount.
+ * @return {number} The numeric pledge amount, or 0 if the answer cannot be read.
  */
 function getPledgeAmountFromDuration(durationText) {
-    const text = String(durationText);
-    if (text.includes("Month")) return CONFIG.pledgeAmounts.oneMonth;
-    if (text.includes("Semester")) return CONFIG.pledgeAmounts.oneSemester;
-    if (text.includes("Four Years") || text.includes("4 Years")) return CONFIG.pledgeAmounts.fourYears;
-    if (text.includes("Year")) return CONFIG.pledgeAmounts.oneYear;
+    const text = String(durationText || '').trim().toLowerCase();
+    if (!text) return 0;
 
-    // Fallback: Try to parse custom amount (e.g. "PKR 50000", "50k")
-    return parseCurrencyString(text);
+    const duration = text.match(/\b(one|two|three|four|five|six|\d+)\s+(month|semester|year)s?\b/);
+    if (duration) {
+        const words = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6 };
+        const count = words[duration[1]] || Number(duration[1]);
+        if (duration[2] === 'year' && count === 4) return CONFIG.pledgeAmounts.fourYears;
+
+        const units = { month: CONFIG.pledgeAmounts.oneMonth, semester: CONFIG.pledgeAmounts.oneSemester, year: CONFIG.pledgeAmounts.oneYear };
+        return count * units[duration[2]];
+    }
+
+    // Custom amount: the whole answer must be an amount, so "50,000 for 2 students" is not misread
+    const custom = text.match(/^(?:pkr|rs\.?)?\s*(\d[\d,]*(?:\.\d+)?\s*[km]?)\s*(?:pkr|rupees)?$/);
+    return custom ? parseCurrencyString(custom[1]) : 0;
 }
 
 /**
@@ -67,8 +79,20 @@ function getPledgeAmountFromDuration(durationText) {
  * @return {number} The remaining balance.
  */
 function getRealTimePledgeBalance(pledgeId, pledgeRowData, spreadsheet = null) {
+    const totals = getPledgeLedgerTotals(pledgeId, spreadsheet);
+    return totals ? totals.balance : 0; // Fail safe - return 0 balance to prevent allocation
+}
+
+/**
+ * [V61] Sums a pledge's ledger: VALID receipts (less active refunds) and allocations.
+ * @param {string} pledgeId The Pledge ID to check.
+ * @param {Spreadsheet} [spreadsheet] Optional spreadsheet object for optimization.
+ * @return {Object|null} { verified, allocated, balance }, or null if a log sheet is missing.
+ */
+function getPledgeLedgerTotals(pledgeId, spreadsheet = null) {
     // [V59.3] SOURCE OF TRUTH: Receipt Log + Allocation Log
     // Balance = Sum(Receipt Log verified) - Sum(Allocation Log allocated)
+    // [V61] Verified is net of active refunds (Refunds sheet)
     // This ensures 100% auditability from the actual logs, not cached values.
 
     const ss = spreadsheet || SpreadsheetApp.openById(CONFIG.ssId_operations);
@@ -76,40 +100,111 @@ function getRealTimePledgeBalance(pledgeId, pledgeRowData, spreadsheet = null) {
     // 1. Sum verified amounts from Receipt Log
     const receiptsWs = ss.getSheetByName(SHEETS.receipts.name);
     if (!receiptsWs) {
-        writeLog('ERROR', 'getRealTimePledgeBalance', `Receipt Log sheet "${SHEETS.receipts.name}" not found!`);
-        return 0; // Fail safe - return 0 balance to prevent allocation
+        writeLog('ERROR', 'getPledgeLedgerTotals', `Receipt Log sheet "${SHEETS.receipts.name}" not found!`);
+        return null;
     }
     const receiptsData = receiptsWs.getDataRange().getValues();
     let totalVerified = 0;
 
     for (let i = 1; i < receiptsData.length; i++) {
         // Match by Pledge ID (column B)
-        if (String(receiptsData[i][SHEETS.receipts.cols.pledgeId - 1]) === pledgeId) {
+        if (String(receiptsData[i][SHEETS.receipts.cols.pledgeId - 1]) === String(pledgeId)) {
             // Only count VALID receipts
             const status = receiptsData[i][SHEETS.receipts.cols.status - 1];
-            if (status === 'VALID' || !status) {
+            if (status === STATUS.receipt.VALID || !status) {
                 // Sum verified amount (column G = amountVerified)
                 totalVerified += (Number(receiptsData[i][SHEETS.receipts.cols.amountVerified - 1]) || 0);
             }
         }
     }
+    totalVerified -= getRefundTotalsByPledge(ss).get(String(pledgeId)) || 0;
 
-    // 2. Sum all allocations from Allocation Log
+    // 2. Sum active allocations from Allocation Log (cancelled rows no longer hold funds)
     const allocWs = ss.getSheetByName(SHEETS.allocations.name);
     if (!allocWs) {
-        writeLog('ERROR', 'getRealTimePledgeBalance', `Allocation Log sheet "${SHEETS.allocations.name}" not found!`);
-        return 0; // Fail safe
+        writeLog('ERROR', 'getPledgeLedgerTotals', `Allocation Log sheet "${SHEETS.allocations.name}" not found!`);
+        return null;
     }
     const allocData = allocWs.getDataRange().getValues();
     let totalAllocated = 0;
 
     for (let i = 1; i < allocData.length; i++) {
-        if (String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]) === pledgeId) {
+        if (String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]) === String(pledgeId) &&
+            isAllocationActive(allocData[i][SHEETS.allocations.cols.status - 1])) {
             totalAllocated += (Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0);
         }
     }
 
-    return totalVerified - totalAllocated;
+    return { verified: totalVerified, allocated: totalAllocated, balance: totalVerified - totalAllocated };
+}
+
+/**
+ * [V61] Resolves the total pledged amount for a RAW row.
+ * Reads the stored pledgeAmount column. Rows submitted before it existed (see
+ * backfillPledgeAmounts) fall back to the duration text, then to the cached verified + outstanding.
+ * @param {Array} rowData The RAW row values.
+ * @return {number} The pledged amount.
+ */
+function resolvePledgeAmount(rowData) {
+    const stored = Number(rowData[SHEETS.donations.cols.pledgeAmount - 1]) || 0;
+    if (stored > 0) return stored;
+
+    const fromDuration = getPledgeAmountFromDuration(rowData[SHEETS.donations.cols.duration - 1]);
+    if (fromDuration) return fromDuration;
+
+    return (Number(rowData[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0) +
+        (Number(rowData[SHEETS.donations.cols.pledgeOutstanding - 1]) || 0);
+}
+
+/**
+ * [V61] Pledge GAP still expected from the donor (pledged amount less verified receipts).
+ * A cancelled pledge expects nothing more, whatever was pledged.
+ * @param {Array} rowData The RAW row values.
+ * @param {number} verified Sum of VALID receipts.
+ * @return {number} The outstanding amount.
+ */
+function getPledgeOutstanding(rowData, verified) {
+    if (rowData[SHEETS.donations.cols.status - 1] === STATUS.pledge.CANCELLED) return 0;
+    return Math.max(0, resolvePledgeAmount(rowData) - verified);
+}
+
+/**
+ * [V61] Derives the pledge status implied by its ledger totals.
+ * Used when a correction (e.g. a rejected receipt) moves a pledge back.
+ * @param {number} pledgeAmount The total pledged amount.
+ * @param {number} verified Sum of VALID receipts.
+ * @param {number} allocated Sum of allocations.
+ * @return {string} A STATUS.pledge value.
+ */
+function derivePledgeStatus(pledgeAmount, verified, allocated) {
+    if (allocated > 0) {
+        return (verified - allocated <= 0) ? STATUS.pledge.FULLY_ALLOCATED : STATUS.pledge.PARTIALLY_ALLOCATED;
+    }
+    if (verified <= 0) return STATUS.pledge.PLEDGED;
+    return (verified < pledgeAmount) ? STATUS.pledge.PARTIAL_RECEIPT : STATUS.pledge.PROOF_SUBMITTED;
+}
+
+/**
+ * [V61] Rewrites a pledge's cached RAW columns (verified, balance, outstanding) from the logs,
+ * the same way recalculateAllPledgeTotals does for every pledge.
+ * @param {string} pledgeId The Pledge ID to refresh.
+ * @param {Spreadsheet} [spreadsheet] Optional spreadsheet object for optimization.
+ * @return {Object|null} { verified, allocated, balance, outstanding }, or null if the pledge is not found.
+ */
+function refreshPledgeCachedTotals(pledgeId, spreadsheet = null) {
+    const ss = spreadsheet || SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const rawWs = ss.getSheetByName(SHEETS.donations.name);
+    const rowData = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+    const totals = getPledgeLedgerTotals(pledgeId, ss);
+    if (!rowData || !totals) return null;
+
+    const outstanding = getPledgeOutstanding(rowData.data, totals.verified);
+
+    // verifiedTotalAmount, balanceAmount, pledgeOutstanding are adjacent
+    rawWs.getRange(rowData.row, SHEETS.donations.cols.verifiedTotalAmount, 1, 3)
+        .setValues([[totals.verified, totals.balance, outstanding]]);
+
+    return { verified: totals.verified, allocated: totals.allocated, balance: totals.balance, outstanding: outstanding };
 }
 
 /**
@@ -133,14 +228,15 @@ function getRealTimeStudentNeed(cmsId, spreadsheet = null) {
 
     if (totalDue === -1) return null; // Student not found
 
-    // 2. Sum all allocations for this CMS ID
+    // 2. Sum active allocations for this CMS ID
     const ss = spreadsheet || SpreadsheetApp.openById(CONFIG.ssId_operations);
     const allocWs = ss.getSheetByName(SHEETS.allocations.name);
     const allocData = allocWs.getDataRange().getValues();
     let totalAllocated = 0;
 
     for (let i = 1; i < allocData.length; i++) {
-        if (String(allocData[i][SHEETS.allocations.cols.cmsId - 1]) === String(cmsId)) {
+        if (String(allocData[i][SHEETS.allocations.cols.cmsId - 1]) === String(cmsId) &&
+            isAllocationActive(allocData[i][SHEETS.allocations.cols.status - 1])) {
             totalAllocated += (Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0);
         }
     }
@@ -148,10 +244,75 @@ function getRealTimeStudentNeed(cmsId, spreadsheet = null) {
     return totalDue - totalAllocated;
 }
 
+/**
+ * [V61] Whether an Allocation Log row still consumes pledge balance and student need.
+ * Cancelled rows stay in the log for the audit trail but no longer count.
+ * @param {string} status The allocation status.
+ * @return {boolean}
+ */
+function isAllocationActive(status) {
+    return status !== STATUS.allocation.CANCELLED;
+}
+
+/**
+ * [V61] Whether the hostel has confirmed an allocation (including the student stages after it).
+ * A disputed allocation does not count until it is verified again.
+ * @param {string} status The allocation status.
+ * @return {boolean}
+ */
+function isAllocationHostelVerified(status) {
+    return status === STATUS.allocation.HOSTEL_VERIFIED ||
+        status === STATUS.allocation.STUDENT_VERIFICATION_PENDING ||
+        status === STATUS.allocation.COMPLETED;
+}
+
+/**
+ * [V61] Whether a Refunds row has taken money off its pledge.
+ * Approved refunds count before the money is sent back, so it cannot be allocated meanwhile.
+ * @param {string} status The refund status.
+ * @return {boolean}
+ */
+function isRefundActive(status) {
+    return status === STATUS.refund.APPROVED || status === STATUS.refund.RETURNED;
+}
+
+/**
+ * [V61] Sums active refunds per pledge from the Refunds sheet.
+ * @param {Spreadsheet} [spreadsheet] Optional spreadsheet object for optimization.
+ * @return {Map<string, number>} pledgeId -> PKR refunded (empty if the sheet does not exist yet).
+ */
+function getRefundTotalsByPledge(spreadsheet = null) {
+    const ss = spreadsheet || SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const ws = ss.getSheetByName(SHEETS.refunds.name);
+    const totals = new Map();
+    if (!ws) return totals;
+
+    const data = ws.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+        if (!isRefundActive(data[i][SHEETS.refunds.cols.status - 1])) continue;
+
+        const pledgeId = String(data[i][SHEETS.refunds.cols.pledgeId - 1]);
+        totals.set(pledgeId, (totals.get(pledgeId) || 0) + (Number(data[i][SHEETS.refunds.cols.amount - 1]) || 0));
+    }
+    return totals;
+}
+
+/**
+ * [V61] Derives the student status implied by the allocations against their dues.
+ * @param {number} totalDue The student's total due.
+ * @param {number} allocated Sum of active allocations.
+ * @return {string} A STATUS.student value.
+ */
+function deriveStudentStatus(totalDue, allocated) {
+    if (totalDue - allocated <= 0) return STATUS.student.FULLY_FUNDED;
+    if (allocated > 0) return STATUS.student.ALLOCATION_IN_PROGRESS;
+    return STATUS.student.NEED_IDENTIFIED;
+}
+
 /**
  * Updates the status of a Pledge based on the status of its allocations.
  * LOGIC:
- * - If Pledge is FULLY_ALLOCATED and ALL allocations are HOSTEL_VERIFIED -> Set to CLOSED.
+ * - If Pledge is FULLY_ALLOCATED and ALL allocations are HOSTEL_VERIFIED (or past it, see isAllocationHostelVerified) -> Set to CLOSED.
  * - Otherwise, leave as is (or potentially manage PARTIALLY_CLOSED if needed in future).
  * @param {string} pledgeId The Pledge ID to check.
  */
@@ -184,9 +345,11 @@ function updatePledgeStatus(pledgeId) {
 
     for (let i = 1; i < allocData.length; i++) {
         if (String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]) === pledgeId) {
-            hasAllocations = true;
             const allocStatus = allocData[i][SHEETS.allocations.cols.status - 1];
-            if (allocStatus !== STATUS.allocation.HOSTEL_VERIFIED) {
+            if (!isAllocationActive(allocStatus)) continue;
+
+            hasAllocations = true;
+            if (!isAllocationHostelVerified(allocStatus)) {
                 allVerified = false;
                 break;
             }
@@ -195,17 +358,19 @@ function updatePledgeStatus(pledgeId) {
 
     // 3. Update Status if Criteria Met
     if (hasAllocations && allVerified) {
-        rawWs.getRange(donorRow.row, SHEETS.donations.cols.status).setValue(STATUS.pledge.CLOSED);
-        writeLog('SUCCESS', FUNC_NAME, 'Pledge automatically CLOSED (All allocations verified).', pledgeId);
-
-        logAuditEvent(
-            'SYSTEM',
-            'STATUS_CHANGE',
-            pledgeId,
-            'Pledge Closed (All Allocations Verified)',
-            STATUS.pledge.FULLY_ALLOCATED,
-            STATUS.pledge.CLOSED
-        );
+        const result = transitionStatus({
+            type: 'PLEDGE',
+            sheet: rawWs,
+            row: donorRow.row,
+            targetStatus: STATUS.pledge.CLOSED,
+            targetId: pledgeId,
+            actor: 'SYSTEM',
+            description: 'Pledge Closed (All Allocations Verified)'
+        });
+
+        if (result.changed) {
+            writeLog('SUCCESS', FUNC_NAME, 'Pledge automatically CLOSED (All allocations verified).', pledgeId);
+        }
     }
 }
 
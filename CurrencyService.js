@@ -0,0 +1,251 @@
+/**
+ * CurrencyService.js
+ *
+ * [V61] Converts foreign-currency receipts to PKR using the admin-maintained "FX Rates" sheet.
+ *
+ * Key Features:
+ * - No live rate service: each FX Rates row is a currency, an effective date and PKR per unit
+ * - A receipt converts at the latest rate on or before its transfer date
+ * - The Receipt Log keeps the original currency and amount, the rate and its source; Amount
+ *   Verified (Column G) is always PKR, so balances, reporting and the dashboard use converted figures
+ * - A receipt with no usable rate is logged uncounted (fxSource = NO RATE) and converted once
+ *   the rate is added (applyPendingFxConversions)
+ */
+
+/** fxSource marker for receipts waiting for a rate. */
+const FX_NO_RATE = 'NO RATE';
+
+// ==================================================================================
+//                              RATES
+// ==================================================================================
+
+/**
+ * Reads the FX Rates sheet.
+ * @returns {Map<string, Array<Object>>} currency -> [{ date: 'yyyy-MM-dd', rate, source }] oldest first
+ */
+function loadFxRates() {
+    const ws = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.fxRates.name);
+    const rates = new Map();
+    if (!ws) {
+        writeLog('WARN', 'loadFxRates', `${SHEETS.fxRates.name} sheet not found. Only PKR receipts can be converted.`);
+        return rates;
+    }
+
+    const cols = SHEETS.fxRates.cols;
+    const data = ws.getDataRange().getValues();
+    for (let i = 1; i < data.length; i++) {
+        const currency = normalizeCurrency(data[i][cols.currency - 1]);
+        const rate = Number(data[i][cols.pkrPerUnit - 1]) || 0;
+        const date = toFxDate_(data[i][cols.effectiveDate - 1]);
+        if (!currency || rate <= 0 || !date) continue;
+
+        if (!rates.has(currency)) rates.set(currency, []);
+        rates.get(currency).push({ date: date, rate: rate, source: String(data[i][cols.source - 1] || SHEETS.fxRates.name) });
+    }
+
+    rates.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+    return rates;
+}
+
+/**
+ * Finds the rate for a currency on a date: the latest row on or before it,
+ * provided it is no older than MAPPINGS.fx.maxRateAgeDays.
+ * @returns {Object|null} { date, rate, source }
+ */
+function findFxRate(rates, currency, date) {
+    const list = rates.get(currency) || [];
+    const onDate = toFxDate_(date);
+    if (!onDate) return null;
+
+    let match = null;
+    for (const entry of list) {
+        if (entry.date > onDate) break;
+        match = entry;
+    }
+    if (!match) return null;
+
+    const ageDays = (new Date(onDate).getTime() - new Date(match.date).getTime()) / (1000 * 60 * 60 * 24);
+    return ageDays <= MAPPINGS.fx.maxRateAgeDays ? match : null;
+}
+
+/**
+ * Converts a receipt amount to PKR.
+ *
+ * @param {number} amount Amount on the slip
+ * @param {string} currency Currency on the slip (blank = PKR)
+ * @param {string|Date} date Transfer date
+ * @param {Map} rates From loadFxRates()
+ * @returns {Object} { converted, currency, amountOriginal, amountPkr, rate, source } -
+ *   converted is false (amountPkr 0, source NO RATE) when no usable rate exists
+ */
+function convertToPkr(amount, currency, date, rates) {
+    const code = normalizeCurrency(currency) || MAPPINGS.fx.baseCurrency;
+    const original = Number(amount) || 0;
+
+    if (code === MAPPINGS.fx.baseCurrency) {
+        return { converted: true, currency: code, amountOriginal: original, amountPkr: original, rate: 1, source: code };
+    }
+
+    const fx = findFxRate(rates, code, date);
+    if (!fx) {
+        return { converted: false, currency: code, amountOriginal: original, amountPkr: 0, rate: '', source: FX_NO_RATE };
+    }
+
+    return {
+        converted: true,
+        currency: code,
+        amountOriginal: original,
+        amountPkr: Math.round(original * fx.rate),
+        rate: fx.rate,
+        source: `${fx.source} (${fx.date})`
+    };
+}
+
+/**
+ * Maps a slip's currency text to an ISO code ('Rs.' -> 'PKR', 'sar' -> 'SAR').
+ */
+function normalizeCurrency(currency) {
+    const text = String(currency || '').trim().toUpperCase();
+    if (!text) return '';
+    return MAPPINGS.fx.aliases[text] || text;
+}
+
+/**
+ * Dates are compared as 'yyyy-MM-dd' so AI text dates and sheet dates line up.
+ */
+function toFxDate_(value) {
+    if (!value || value === 'Unknown') return '';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) return String(value);
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+// ==================================================================================
+//                              PENDING CONVERSIONS
+// ==================================================================================
+
+/**
+ * Converts VALID receipts logged as NO RATE now that their rates exist, then credits them:
+ * pledge receipts refresh the pledge totals and status, subscription receipts go through
+ * recordSubscriptionPayment. Run from the menu after adding rates to the FX Rates sheet.
+ *
+ * @returns {Object} { converted, pending }
+ */
+function applyPendingFxConversions() {
+    const FUNC_NAME = 'applyPendingFxConversions';
+    const result = { converted: 0, pending: 0 };
+    const subscriptionCredits = []; // Credited after the lock: recordSubscriptionPayment runs its own writes
+
+    withScriptLock_(() => {
+        const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+        const receiptsWs = ss.getSheetByName(SHEETS.receipts.name);
+        const rawWs = ss.getSheetByName(SHEETS.donations.name);
+        const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+        const cols = SHEETS.receipts.cols;
+        const data = receiptsWs.getDataRange().getValues();
+        const rates = loadFxRates();
+        const pledgesToRefresh = new Map(); // Pledge ID -> transfer date of its last converted receipt
+
+        for (let i = 1; i < data.length; i++) {
+            if (data[i][cols.fxSource - 1] !== FX_NO_RATE) continue;
+            if (data[i][cols.status - 1] !== STATUS.receipt.VALID) continue;
+
+            const receiptId = data[i][cols.receiptId - 1];
+            const pledgeId = String(data[i][cols.pledgeId - 1]);
+            const transferDate = data[i][cols.transferDate - 1];
+            const fx = convertToPkr(data[i][cols.amountOriginal - 1], data[i][cols.currency - 1],
+                transferDate && transferDate !== 'Unknown' ? transferDate : data[i][cols.emailDate - 1], rates);
+
+            if (!fx.converted) {
+                result.pending++;
+                continue;
+            }
+
+            receiptsWs.getRange(i + 1, cols.amountVerified).setValue(fx.amountPkr);
+            receiptsWs.getRange(i + 1, cols.fxRate, 1, 2).setValues([[fx.rate, fx.source]]);
+            logAuditEvent(getActor(), 'RECEIPT_FX_CONVERTED', receiptId,
+                `${fx.currency} ${fx.amountOriginal.toLocaleString()} converted to PKR ${fx.amountPkr.toLocaleString()}`,
+                FX_NO_RATE, fx.source,
+                { pledgeId: pledgeId, currency: fx.currency, amountOriginal: fx.amountOriginal, rate: fx.rate });
+            result.converted++;
+
+            if (subWs && findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, pledgeId)) {
+                subscriptionCredits.push({ subscriptionId: pledgeId, receiptId: receiptId, amount: fx.amountPkr });
+            } else {
+                pledgesToRefresh.set(pledgeId, data[i][cols.transferDate - 1] || 'Unknown');
+            }
+        }
+
+        // Pledge receipts: cached totals from the ledgers, the proof columns processIncomingReceipts
+        // left untouched while the receipt counted 0, then the status they imply
+        pledgesToRefresh.forEach((transferDate, pledgeId) => {
+            const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+            const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+            if (!refreshed || !donationRow) return;
+
+            rawWs.getRange(donationRow.row, SHEETS.donations.cols.proofLink, 1, 2)
+                .setValues([[`See Receipt Log (Last: ${transferDate})`, new Date()]]); // proofLink, dateProofReceived
+            rawWs.getRange(donationRow.row, SHEETS.donations.cols.actualTransferDate).setValue(transferDate);
+
+            transitionStatus({
+                type: 'PLEDGE',
+                sheet: rawWs,
+                row: donationRow.row,
+                targetStatus: derivePledgeStatus(resolvePledgeAmount(donationRow.data), refreshed.verified, refreshed.allocated),
+                targetId: pledgeId,
+                description: 'Foreign-currency receipt converted',
+                metadata: { verified: refreshed.verified }
+            });
+        });
+
+        if (pledgesToRefresh.size > 0) {
+            try {
+                syncPledgeData();
+            } catch (syncErr) {
+                writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`);
+            }
+        }
+    }, () => {
+        throw new Error('System busy. Please try again.');
+    });
+
+    subscriptionCredits.forEach(c => {
+        if (!recordSubscriptionPayment(c.subscriptionId, c.receiptId, c.amount)) {
+            writeLog('ERROR', FUNC_NAME, `Receipt ${c.receiptId} converted but installments could not be credited. Check Pledge Installments.`, c.subscriptionId);
+        }
+    });
+
+    writeLog('INFO', FUNC_NAME, `Converted ${result.converted} receipt(s); ${result.pending} still waiting for a rate.`);
+    return result;
+}
+
+/**
+ * Alerts the process owner to receipts that could not be converted.
+ *
+ * @param {string} pledgeId The pledge (or subscription) the email was about
+ * @param {Array<Object>} unconverted [{ receiptId, currency, amount, date }]
+ * @param {string} threadLink Gmail permalink of the email thread
+ */
+function reportMissingFxRates(pledgeId, unconverted, threadLink) {
+    if (!unconverted || unconverted.length === 0) return;
+
+    const lines = unconverted.map(u => `${u.receiptId}: ${u.currency} ${Number(u.amount || 0).toLocaleString()} on ${u.date}`);
+    try {
+        MailApp.sendEmail({
+            to: EMAILS.processOwner,
+            subject: `[ACTION] FX rate needed for ${pledgeId}`,
+            htmlBody: `
+              <p>These receipts are in a currency/date with no rate in the <strong>${SHEETS.fxRates.name}</strong> sheet
+              (or the latest rate is older than ${MAPPINGS.fx.maxRateAgeDays} days). They are logged but not counted yet.</p>
+              <ul>${lines.map(l => `<li>${l}</li>`).join('')}</ul>
+              <p>Add the rate, then run <em>Convert Pending FX Receipts</em> from the menu.</p>
+              <p><a href="${threadLink}">Open Email Thread</a></p>
+            `
+        });
+    } catch (e) {
+        writeLog('WARN', 'reportMissingFxRates', `Failed to alert process owner: ${e.message}`, pledgeId);
+    }
+
+    writeLog('WARN', 'reportMissingFxRates', `${unconverted.length} receipt(s) waiting for an FX rate.`, pledgeId);
+}
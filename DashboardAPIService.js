@@ -240,7 +240,7 @@ function getSummaryData() {
         allocByPledge[pledgeId].total += allocAmount;
 
         // Count as verified if hostel has confirmed
-        if (allocStatus.includes('Verified') || allocStatus.includes('Completed')) {
+        if (isAllocationHostelVerified(allocStatus)) {
             allocByPledge[pledgeId].verified += allocAmount;
         }
 
@@ -315,6 +315,7 @@ function getSummaryData() {
     });
 
     const balance = totalVerified - totalAllocated;
+    const funds = calculateFundBalances(pledges, allocs);
     const fundingGap = students.reduce((sum, s) => sum + (Number(s[8]) || 0), 0);
 
     // === STUDENTS FUNDED (Amount-Based) ===
@@ -340,7 +341,8 @@ function getSummaryData() {
             totalVerified,
             totalAllocated,
             balance,
-            fundingGap
+            fundingGap,
+            funds
         },
         processingDays,
         pipeline,
@@ -373,7 +375,13 @@ function getEmptySummary() {
 
     return {
         impact: { studentsFunded: 0, studentsAwaiting: 0, pledgeCount: 0 },
-        financials: { totalPledged: 0, totalEffective: 0, totalVerified: 0, totalAllocated: 0, balance: 0, fundingGap: 0 },
+        financials: {
+            totalPledged: 0, totalEffective: 0, totalVerified: 0, totalAllocated: 0, balance: 0, fundingGap: 0,
+            funds: {
+                zakat: { verified: 0, allocated: 0, balance: 0 },
+                general: { verified: 0, allocated: 0, balance: 0 }
+            }
+        },
         processingDays: { pledgeToReceipt: 0, receiptToAllocation: 0, allocationToHostel: 0 },
         pipeline: {
             pendingProof: { count: 0, amount: 0 },
@@ -387,6 +395,37 @@ function getEmptySummary() {
     };
 }
 
+/**
+ * [V61] Splits verified, allocated and balance into Zakat and General funds.
+ * Zakat money is ring-fenced for Zakat-eligible students, so its balance is reported separately.
+ * @param {Array[]} pledges - Fact_Pledges rows (no header)
+ * @param {Array[]} allocs - Fact_Allocations rows (no header)
+ * @returns {Object} { zakat: {verified, allocated, balance}, general: {...} }
+ */
+function calculateFundBalances(pledges, allocs) {
+    const funds = {
+        zakat: { verified: 0, allocated: 0, balance: 0 },
+        general: { verified: 0, allocated: 0, balance: 0 }
+    };
+    const zakatPledges = new Set();
+
+    pledges.forEach(p => {
+        const isZakat = isYesAnswer(p[6]); // Is_Zakat
+        if (isZakat) zakatPledges.add(p[0]);
+        funds[isZakat ? 'zakat' : 'general'].verified += Number(p[15]) || 0; // Verified_Total
+    });
+
+    allocs.forEach(a => {
+        // Fund_Type (index 11) is absent in sandboxes synced before V61
+        const isZakat = a[11] ? a[11] === 'Zakat' : zakatPledges.has(a[1]);
+        funds[isZakat ? 'zakat' : 'general'].allocated += Number(a[3]) || 0; // Amount_Allocated
+    });
+
+    funds.zakat.balance = funds.zakat.verified - funds.zakat.allocated;
+    funds.general.balance = funds.general.verified - funds.general.allocated;
+    return funds;
+}
+
 /**
  * Aggregate counts from multiple status values into one bucket.
  * @param {Object} statusCounts - Map of status -> {count, amount}
@@ -818,7 +857,7 @@ function formatEventForDashboard(eventType, action, previousValue, newValue, met
         if (metadata.pledge_id) return String(metadata.pledge_id);
 
         // 3. Extract from action text (look for PLEDGE-XXXX-XXX pattern)
-        const actionMatch = String(action).match(/PLEDGE[-_]?\d{4}[-_]?\d{1,3}/i);
+        const actionMatch = String(action).match(/PLEDGE[-_]?\d{4}[-_]?\d+/i);
         if (actionMatch) return actionMatch[0].toUpperCase();
 
         // 4. Look for row numbers in format like "Row 15" or "pledge #15"
@@ -862,6 +901,37 @@ function formatEventForDashboard(eventType, action, previousValue, newValue, met
                     : `${count} receipt(s) verified${pledgeTag}`;
             }
         },
+        'RECEIPT_DUPLICATE': {
+            icon: '🔁',
+            getMessage: () => `Duplicate receipt excluded${pledgeTag}`
+        },
+        'RECEIPT_REJECTED': {
+            icon: '↩️',
+            getMessage: () => `Receipt reversed${pledgeTag}`
+        },
+        'ALLOCATION_CANCELLED': {
+            icon: '🚫',
+            getMessage: () => `Allocation cancelled${pledgeTag}`
+        },
+        // [V61] Refund events target the refund ID; tag them with the pledge instead
+        'REFUND_APPROVED': {
+            icon: '💸',
+            getMessage: (m) => {
+                const tag = m.pledgeId ? ` [${m.pledgeId}]` : pledgeTag;
+                return m.amount
+                    ? `PKR ${formatNumber(m.amount)} approved for return to donor${tag}`
+                    : `Refund approved${tag}`;
+            }
+        },
+        'REFUND_RETURNED': {
+            icon: '💸',
+            getMessage: (m) => {
+                const tag = m.pledgeId ? ` [${m.pledgeId}]` : pledgeTag;
+                return m.amount
+                    ? `PKR ${formatNumber(m.amount)} returned to donor${tag}`
+                    : `Refund returned to donor${tag}`;
+            }
+        },
         'ALLOCATION': {
             icon: '🎓',
             getMessage: (m) => {
@@ -0,0 +1,361 @@
+/**
+ * DonorRequestService.js
+ *
+ * [V61] Donor self-service requests ("please pause my monthly pledge", "send me a statement").
+ *
+ * Key Features:
+ * - analyzeDonorEmail returns a structured donor_request; processIncomingReceipts queues it
+ *   on the 'Donor Requests' sheet instead of leaving a free-text draft
+ * - Nothing is executed until an admin approves the row (Hostel Admin → Review Donor Request)
+ * - Approved requests run the matching SubscriptionService command, which audits and emails the donor
+ */
+
+// ==================================================================================
+//                              ACTIONS
+// ==================================================================================
+
+/**
+ * Supported actions. `needs` names the parameter an admin must supply when the donor did not.
+ */
+const DONOR_REQUEST_ACTIONS = {
+    PAUSE: { label: 'Pause monthly pledge', subscriptionOnly: true, needs: 'months' },
+    RESUME: { label: 'Resume monthly pledge', subscriptionOnly: true, needs: null },
+    STOP_AFTER_CURRENT: { label: 'End monthly pledge after the current month', subscriptionOnly: true, needs: null },
+    CANCEL: { label: 'Cancel monthly pledge', subscriptionOnly: true, needs: null },
+    CANCEL_PLEDGE: { label: 'Cancel pledge', subscriptionOnly: false, needs: null },
+    EXTEND: { label: 'Extend monthly pledge', subscriptionOnly: true, needs: 'months' },
+    CHANGE_AMOUNT: { label: 'Change monthly amount', subscriptionOnly: true, needs: 'amount' },
+    CHANGE_STUDENT: { label: 'Change linked student(s)', subscriptionOnly: true, needs: 'cmsIds' },
+    SEND_STATEMENT: { label: 'Send statement', subscriptionOnly: false, needs: null }
+};
+
+// ==================================================================================
+//                              QUEUE
+// ==================================================================================
+
+/**
+ * Queues the donor_request from an AI result for approval.
+ * The same message is never queued twice (the AI step can re-run on a failed pass).
+ *
+ * @param {string} pledgeId The pledge/subscription ID from the subject
+ * @param {Object} aiResult Result of analyzeDonorEmail
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message Source message
+ * @param {GoogleAppsScript.Gmail.GmailThread} thread Source thread
+ * @returns {string|null} Request ID, or null if the email holds no supported request
+ */
+function queueDonorRequest(pledgeId, aiResult, message, thread) {
+    const FUNC_NAME = 'queueDonorRequest';
+    const request = aiResult ? aiResult.donor_request : null;
+
+    if (!request || !DONOR_REQUEST_ACTIONS[request.action]) return null;
+
+    try {
+        const ws = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donorRequests.name);
+        if (!ws) {
+            writeLog('WARN', FUNC_NAME, 'Donor Requests sheet not found. Request not queued.', pledgeId);
+            return null;
+        }
+
+        const existing = findRowByValue(ws, SHEETS.donorRequests.cols.messageId, message.getId());
+        if (existing) {
+            return String(existing.data[SHEETS.donorRequests.cols.requestId - 1]);
+        }
+
+        const params = {};
+        if (Number(request.months) > 0) params.months = Number(request.months);
+        if (Number(request.amount) > 0) params.amount = Number(request.amount);
+
+        const requestId = nextSequenceId('DONOR_REQUEST', { pledgeId: pledgeId });
+        ws.appendRow([
+            requestId,                                  // A: requestId
+            new Date(),                                 // B: timestamp
+            pledgeId,                                   // C: pledgeId
+            message.getFrom(),                          // D: donorEmail
+            request.action,                             // E: action
+            JSON.stringify(params),                     // F: params
+            (request.details || aiResult.summary || '').substring(0, 500), // G: details
+            STATUS.donorRequest.PENDING,                // H: status
+            thread.getPermalink(),                      // I: threadLink
+            message.getId(),                            // J: messageId
+            '', '', ''                                  // K-M: decidedBy, decidedDate, result
+        ]);
+
+        logAuditEvent('SYSTEM', 'DONOR_REQUEST_QUEUED', pledgeId,
+            `Donor request queued: ${DONOR_REQUEST_ACTIONS[request.action].label}`,
+            '', STATUS.donorRequest.PENDING, { requestId: requestId, action: request.action, params: params });
+
+        writeLog('INFO', FUNC_NAME, `Queued ${request.action} as ${requestId}`, pledgeId);
+        return requestId;
+
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Failed to queue donor request: ${e.message}`, pledgeId);
+        return null;
+    }
+}
+
+// ==================================================================================
+//                              APPROVAL
+// ==================================================================================
+
+/**
+ * Approves a pending request and executes it.
+ * Missing parameters (e.g. pause length) can be supplied by the approver via `overrides`;
+ * a request that cannot run stays pending so it can be completed or rejected.
+ *
+ * The script lock is held throughout. Every command it runs that writes (subscription
+ * lifecycle, updateSubscriptionStudents, cancelPledge) goes through withScriptLock_ and so runs
+ * inside it; sendDonorStatement only reads the ledgers and sends email, so it takes no lock.
+ *
+ * @param {string} requestId The Donor Requests ID
+ * @param {Object} [overrides] { months, amount, cmsIds } merged over the parsed params
+ * @returns {Object} { success, requestId, pledgeId, action, status, error }
+ */
+function approveDonorRequest(requestId, overrides = {}) {
+    const FUNC_NAME = 'approveDonorRequest';
+    return withScriptLock_(() => {
+        try {
+            const ws = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donorRequests.name);
+            const row = ws ? findRowByValue(ws, SHEETS.donorRequests.cols.requestId, requestId) : null;
+            if (!row) {
+                return operationFailure_('NOT_FOUND', `Request ${requestId} not found in Donor Requests.`);
+            }
+
+            const status = row.data[SHEETS.donorRequests.cols.status - 1];
+            if (status !== STATUS.donorRequest.PENDING) {
+                return operationFailure_('NOT_PENDING', `Request ${requestId} is already ${status}.`);
+            }
+
+            const pledgeId = String(row.data[SHEETS.donorRequests.cols.pledgeId - 1]);
+            const action = row.data[SHEETS.donorRequests.cols.action - 1];
+            const definition = DONOR_REQUEST_ACTIONS[action];
+            if (!definition) {
+                return operationFailure_('UNKNOWN_ACTION', `Unsupported action: ${action}`);
+            }
+
+            let params = {};
+            try {
+                params = JSON.parse(row.data[SHEETS.donorRequests.cols.params - 1] || '{}');
+            } catch (parseErr) {
+                writeLog('WARN', FUNC_NAME, `Unreadable params on ${requestId}; using approver input only.`, pledgeId);
+            }
+            Object.keys(overrides || {}).forEach(key => {
+                if (overrides[key] !== '' && overrides[key] !== null && overrides[key] !== undefined) params[key] = overrides[key];
+            });
+
+            // --- VALIDATE (request stays pending on failure) ---
+            if (definition.subscriptionOnly && !findSubscriptionByPledgeId(pledgeId)) {
+                const hint = action === 'CHANGE_STUDENT' ? ' Use Cancel / Reallocate Allocation for one-time pledges.' : '';
+                return operationFailure_('NOT_SUBSCRIPTION', `${pledgeId} is not a monthly pledge.${hint}`);
+            }
+            if (definition.needs && !params[definition.needs]) {
+                return operationFailure_('PARAM_REQUIRED', `${definition.label} needs a value for "${definition.needs}".`);
+            }
+
+            // --- EXECUTE ---
+            const reason = `Donor request ${requestId}`;
+            let executed = false;
+            switch (action) {
+                case 'PAUSE': executed = pauseSubscription(pledgeId, params.months, reason); break;
+                case 'RESUME': executed = resumeSubscription(pledgeId, reason); break;
+                case 'STOP_AFTER_CURRENT': executed = shortenSubscription(pledgeId, null, reason); break;
+                case 'CANCEL': executed = cancelSubscription(pledgeId, reason); break;
+                case 'CANCEL_PLEDGE': {
+                    const cancelled = cancelPledge(pledgeId, reason);
+                    if (!cancelled.success) {
+                        writeLog('ERROR', FUNC_NAME, `${requestId}: ${cancelled.error.message}`, pledgeId);
+                    }
+                    executed = cancelled.success;
+                    break;
+                }
+                case 'EXTEND': executed = extendSubscription(pledgeId, params.months); break;
+                case 'CHANGE_AMOUNT': executed = changeSubscriptionAmount(pledgeId, params.amount); break;
+                case 'CHANGE_STUDENT': executed = updateSubscriptionStudents(pledgeId, String(params.cmsIds)); break;
+                case 'SEND_STATEMENT': executed = !!sendDonorStatement(pledgeId); break;
+            }
+
+            const newStatus = executed ? STATUS.donorRequest.EXECUTED : STATUS.donorRequest.FAILED;
+            const outcome = executed ? `${definition.label}: done` : `${definition.label}: failed (see Log)`;
+            recordDonorRequestDecision_(ws, row.row, newStatus, outcome, params);
+
+            logAuditEvent(getActor(), 'DONOR_REQUEST_APPROVED', pledgeId, outcome,
+                STATUS.donorRequest.PENDING, newStatus, { requestId: requestId, action: action, params: params });
+
+            writeLog(executed ? 'SUCCESS' : 'ERROR', FUNC_NAME, `${requestId}: ${outcome}`, pledgeId);
+
+            return {
+                success: executed,
+                requestId: requestId,
+                pledgeId: pledgeId,
+                action: action,
+                status: newStatus,
+                error: executed ? null : { code: 'EXECUTION_FAILED', message: outcome }
+            };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to approve ${requestId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+/**
+ * Rejects a pending request. The donor is not emailed; reply on the linked thread if needed.
+ *
+ * @param {string} requestId The Donor Requests ID
+ * @param {string} reason Why the request is rejected (required)
+ * @returns {Object} { success, requestId, pledgeId, status, error }
+ */
+function rejectDonorRequest(requestId, reason) {
+    const FUNC_NAME = 'rejectDonorRequest';
+
+    if (!reason || !String(reason).trim()) {
+        return operationFailure_('REASON_REQUIRED', 'A rejection reason is required.');
+    }
+
+    // Same lock as approveDonorRequest, so a request is never both executed and rejected
+    return withScriptLock_(() => {
+        try {
+            const ws = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donorRequests.name);
+            const row = ws ? findRowByValue(ws, SHEETS.donorRequests.cols.requestId, requestId) : null;
+            if (!row) {
+                return operationFailure_('NOT_FOUND', `Request ${requestId} not found in Donor Requests.`);
+            }
+
+            const status = row.data[SHEETS.donorRequests.cols.status - 1];
+            if (status !== STATUS.donorRequest.PENDING) {
+                return operationFailure_('NOT_PENDING', `Request ${requestId} is already ${status}.`);
+            }
+
+            const pledgeId = String(row.data[SHEETS.donorRequests.cols.pledgeId - 1]);
+            recordDonorRequestDecision_(ws, row.row, STATUS.donorRequest.REJECTED, reason, null);
+
+            logAuditEvent(getActor(), 'DONOR_REQUEST_REJECTED', pledgeId, `Donor request rejected: ${reason}`,
+                STATUS.donorRequest.PENDING, STATUS.donorRequest.REJECTED,
+                { requestId: requestId, action: row.data[SHEETS.donorRequests.cols.action - 1] });
+
+            writeLog('INFO', FUNC_NAME, `${requestId} rejected: ${reason}`, pledgeId);
+            return { success: true, requestId: requestId, pledgeId: pledgeId, status: STATUS.donorRequest.REJECTED, error: null };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to reject ${requestId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+/**
+ * Writes the decision columns (and the final params, if given) on a Donor Requests row.
+ */
+function recordDonorRequestDecision_(ws, row, status, result, params) {
+    ws.getRange(row, SHEETS.donorRequests.cols.status).setValue(status);
+    ws.getRange(row, SHEETS.donorRequests.cols.decidedBy, 1, 3).setValues([[getActor(), new Date(), result]]);
+    if (params) {
+        ws.getRange(row, SHEETS.donorRequests.cols.params).setValue(JSON.stringify(params));
+    }
+}
+
+
+// ==================================================================================
+//                              STATEMENT
+// ==================================================================================
+
+/**
+ * Emails the donor a statement of verified receipts and allocations for a pledge,
+ * threaded on the subscription welcome email or the pledge's receipt/confirmation thread.
+ *
+ * @param {string} pledgeId The pledge ID
+ * @returns {string|null} Message ID, or null if not sent
+ */
+function sendDonorStatement(pledgeId) {
+    const FUNC_NAME = 'sendDonorStatement';
+
+    try {
+        const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+        const donationRow = findRowByValue(ss.getSheetByName(SHEETS.donations.name), SHEETS.donations.cols.pledgeId, pledgeId);
+        const totals = getPledgeLedgerTotals(pledgeId, ss);
+        if (!donationRow || !totals) {
+            writeLog('ERROR', FUNC_NAME, 'Pledge could not be loaded.', pledgeId);
+            return null;
+        }
+
+        const donorEmail = donationRow.data[SHEETS.donations.cols.donorEmail - 1];
+        const donorName = donationRow.data[SHEETS.donations.cols.donorName - 1];
+        const pledgeAmount = resolvePledgeAmount(donationRow.data);
+        const tz = Session.getScriptTimeZone();
+        const fmtDate = d => d ? Utilities.formatDate(new Date(d), tz, 'dd MMM yyyy') : '';
+
+        // Receipts (VALID only, as counted by the ledger)
+        const receiptData = ss.getSheetByName(SHEETS.receipts.name).getDataRange().getValues();
+        const receiptRows = [];
+        for (let i = 1; i < receiptData.length; i++) {
+            if (String(receiptData[i][SHEETS.receipts.cols.pledgeId - 1]) !== pledgeId) continue;
+            const status = receiptData[i][SHEETS.receipts.cols.status - 1];
+            if (status && status !== STATUS.receipt.VALID) continue;
+            receiptRows.push(`<tr><td>${fmtDate(receiptData[i][SHEETS.receipts.cols.transferDate - 1])}</td>` +
+                `<td>PKR ${(Number(receiptData[i][SHEETS.receipts.cols.amountVerified - 1]) || 0).toLocaleString()}</td></tr>`);
+        }
+
+        // Allocations (cancelled rows are left out, as in the ledger)
+        const allocData = ss.getSheetByName(SHEETS.allocations.name).getDataRange().getValues();
+        const allocRows = [];
+        for (let i = 1; i < allocData.length; i++) {
+            if (String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]) !== pledgeId) continue;
+            const status = allocData[i][SHEETS.allocations.cols.status - 1];
+            if (!isAllocationActive(status)) continue;
+            allocRows.push(`<tr><td>${fmtDate(allocData[i][SHEETS.allocations.cols.date - 1])}</td>` +
+                `<td>${allocData[i][SHEETS.allocations.cols.cmsId - 1]}</td>` +
+                `<td>PKR ${(Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0).toLocaleString()}</td>` +
+                `<td>${status}</td></tr>`);
+        }
+
+        const subRow = findSubscriptionByPledgeId(pledgeId);
+        const subscriptionLine = subRow
+            ? `<li>Monthly payments: <strong>${subRow.data[SHEETS.monthlyPledges.cols.paymentsReceived - 1]} of ` +
+              `${subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1]}</strong> ` +
+              `(${subRow.data[SHEETS.monthlyPledges.cols.status - 1]})</li>`
+            : '';
+
+        const htmlBody = `
+          <p>Dear ${donorName},</p>
+          <p>Here is the statement for your pledge <strong>${pledgeId}</strong> as of ${fmtDate(new Date())}.</p>
+          <ul>
+            <li>Pledged: <strong>PKR ${pledgeAmount.toLocaleString()}</strong></li>
+            <li>Received (verified): <strong>PKR ${totals.verified.toLocaleString()}</strong></li>
+            <li>Allocated to students: <strong>PKR ${totals.allocated.toLocaleString()}</strong></li>
+            <li>Awaiting allocation: <strong>PKR ${totals.balance.toLocaleString()}</strong></li>
+            ${subscriptionLine}
+          </ul>
+          <p><strong>Payments</strong></p>
+          ${receiptRows.length > 0
+                ? `<table border="1" cellpadding="4" style="border-collapse:collapse"><tr><th>Date</th><th>Amount</th></tr>${receiptRows.join('')}</table>`
+                : '<p>No payments recorded yet.</p>'}
+          <p><strong>Allocations</strong></p>
+          ${allocRows.length > 0
+                ? `<table border="1" cellpadding="4" style="border-collapse:collapse"><tr><th>Date</th><th>Student ID</th><th>Amount</th><th>Status</th></tr>${allocRows.join('')}</table>`
+                : '<p>No allocations yet.</p>'}
+          <p>NUST Hostels Admin Directorate</p>
+        `;
+
+        const messageId = sendOrReply(
+            donorEmail,
+            `Statement: Pledge ${pledgeId}`,
+            htmlBody,
+            { from: EMAILS.processOwner },
+            [
+                subRow ? subRow.data[SHEETS.monthlyPledges.cols.welcomeEmailId - 1] : '',
+                donationRow.data[SHEETS.donations.cols.receiptMessageId - 1],
+                donationRow.data[SHEETS.donations.cols.pledgeEmailId - 1]
+            ]
+        );
+
+        logAuditEvent(getActor(), 'DONOR_STATEMENT_SENT', pledgeId, 'Statement emailed to donor', '', '',
+            { receipts: receiptRows.length, allocations: allocRows.length, messageId: formatIdForSheet(messageId) });
+
+        writeLog('SUCCESS', FUNC_NAME, `Statement sent (${receiptRows.length} receipts, ${allocRows.length} allocations).`, pledgeId);
+        return messageId;
+
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Failed to send statement: ${e.message}`, pledgeId);
+        return null;
+    }
+}
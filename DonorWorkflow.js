@@ -9,8 +9,8 @@ function processNewPledge(e) {
   // The event object 'e' contains information about the context, including the row number.
   const row = e.range.getRow();
 
-  // 1. Generate a Unique Pledge ID
-  const pledgeId = 'PLEDGE-' + new Date().getFullYear() + '-' + row;
+  // 1. Generate a Unique Pledge ID ([V61] from the sequence, not the row number - see SequenceService.js)
+  const pledgeId = nextSequenceId('PLEDGE');
 
   // 2. Write the Pledge ID and initial status to the (RAW) Form Responses sheet.
   ws.getRange(row, SHEETS.donations.cols.pledgeId).setValue(pledgeId);
@@ -22,6 +22,8 @@ function processNewPledge(e) {
   const donorEmail = getFormValue(e, FORM_KEYS.donorEmail);
   const country = getFormValue(e, FORM_KEYS.country);
   const durationText = getFormValue(e, FORM_KEYS.duration);
+
+  // [V61] Resolve the pledge amount once; downstream code reads the stored column
   const pledgeAmount = getPledgeAmountFromDuration(durationText);
 
   // --- [V59] Check for Monthly Recurring Pledge ---
@@ -44,6 +46,7 @@ function processNewPledge(e) {
     const totalPledgeAmount = totalMonthlyAmount * monthlyDuration; // Grand total
 
     // [V59.3] Write total pledge amount to Response Sheet (same columns as one-time)
+    ws.getRange(row, SHEETS.donations.cols.pledgeAmount).setValue(totalPledgeAmount);
     ws.getRange(row, SHEETS.donations.cols.pledgeOutstanding).setValue(totalPledgeAmount);
     ws.getRange(row, SHEETS.donations.cols.verifiedTotalAmount).setValue(0);
     ws.getRange(row, SHEETS.donations.cols.balanceAmount).setValue(0);
@@ -73,6 +76,14 @@ function processNewPledge(e) {
 
   } else {
     // Standard one-time pledge flow
+    ws.getRange(row, SHEETS.donations.cols.pledgeAmount).setValue(pledgeAmount);
+    ws.getRange(row, SHEETS.donations.cols.pledgeOutstanding).setValue(pledgeAmount);
+
+    if (!pledgeAmount) {
+      ws.getRange(row, SHEETS.donations.cols.notes)
+        .setValue(`[Review] Pledge amount could not be read from "${durationText}". Enter it in the Pledge Amount column (AE).`);
+      writeLog('WARN', 'processNewPledge', `Unreadable duration answer "${durationText}"; pledge amount needs manual entry.`, pledgeId);
+    }
 
     // 4. Trigger the confirmation email.
     sendPledgeConfirmationEmail(donorName, donorEmail, pledgeId, country, pledgeAmount);
@@ -85,7 +96,7 @@ function processNewPledge(e) {
       'New Pledge Form Submission',
       '',
       STATUS.pledge.PLEDGED,
-      { donor: donorName, country: country }
+      { donor: donorName, country: country, amount: pledgeAmount }
     );
   }
 
@@ -172,7 +183,6 @@ function retryFailedConfirmationEmails() {
     const donorEmail = data[i][SHEETS.donations.cols.donorEmail - 1];
     const donorName = data[i][SHEETS.donations.cols.donorName - 1];
     const country = data[i][SHEETS.donations.cols.cityCountry - 1];
-    const durationText = data[i][SHEETS.donations.cols.duration - 1];
 
     // Condition: Valid Pledge ID AND Missing Email ID AND Valid Donor Email
     if (pledgeId && String(pledgeId).startsWith('PLEDGE') && (!emailId || emailId === '') && donorEmail) {
@@ -180,7 +190,7 @@ function retryFailedConfirmationEmails() {
       writeLog('INFO', FUNC_NAME, `Found missing email log for ${pledgeId}. Retrying...`, pledgeId);
 
       try {
-        const pledgeAmount = getPledgeAmountFromDuration(durationText);
+        const pledgeAmount = resolvePledgeAmount(data[i]);
         sendPledgeConfirmationEmail(donorName, donorEmail, pledgeId, country, pledgeAmount);
         sentCount++;
         // Sleep specifically to avoid hitting Gmail rate limits during a batch retry
@@ -0,0 +1,338 @@
+/**
+ * HostelQueryService.js
+ *
+ * [V61] Questions the hostel raises in reply to an intimation (student not found, amount mismatch...).
+ *
+ * Key Features:
+ * - Hostel Queries sheet: one row per query, listing the allocations the Watchdog moved to '2 - Hostel Query'
+ * - An AI reply is drafted from the allocation and receipt records and saved as a Gmail draft on the
+ *   hostel's thread. It is never sent automatically
+ * - Each query has an assignee (MAPPINGS.hostelQueries.defaultAssignee, else the process owner)
+ * - Open → Answered when our reply appears on the thread (syncHostelQueries, run by the Watchdog) or
+ *   when it is resolved from the menu; its allocations then return to '1 - Pending Hostel'
+ */
+
+// ==================================================================================
+//                              RECORD
+// ==================================================================================
+
+/**
+ * Records a query raised in a hostel reply and drafts an answer. Called by the Watchdog after it
+ * has moved the allocations to '2 - Hostel Query'.
+ *
+ * @param {string} contextId Pledge or Batch ID of the intimation
+ * @param {Array<string>} allocIds Allocations held by the query
+ * @param {GmailThread} thread The hostel's thread
+ * @param {GmailMessage} queryMessage The reply that raised the query
+ * @param {string} aiSummary The Watchdog's reasoning
+ * @returns {Object} { success, queryId, draftId, assignee, error }
+ */
+function recordHostelQuery(contextId, allocIds, thread, queryMessage, aiSummary) {
+    const FUNC_NAME = 'recordHostelQuery';
+
+    try {
+        const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+        const queryWs = ss.getSheetByName(SHEETS.hostelQueries.name);
+        if (!queryWs) {
+            return operationFailure_('SHEET_MISSING', `${SHEETS.hostelQueries.name} sheet not found.`);
+        }
+
+        const queryText = extractQueryText_(queryMessage.getPlainBody());
+        const assignee = MAPPINGS.hostelQueries.defaultAssignee || EMAILS.processOwner;
+        const queryId = nextSequenceId('HOSTEL_QUERY'); // [V61] See SequenceService.js
+
+        // Draft only: a failed draft still leaves the query recorded for a manual answer
+        let draftId = '';
+        try {
+            const reply = draftHostelQueryReply(queryText, buildHostelQueryContext_(allocIds, ss));
+            if (reply) draftId = thread.createDraftReplyAll(reply).getId();
+        } catch (draftErr) {
+            writeLog('WARN', FUNC_NAME, `Could not draft a reply for ${queryId}: ${draftErr.message}`, contextId);
+        }
+
+        queryWs.appendRow([
+            queryId,                                    // A: queryId
+            new Date(),                                 // B: timestamp
+            contextId,                                  // C: contextId
+            allocIds.join(', '),                        // D: allocIds
+            queryText,                                  // E: queryText
+            aiSummary || '',                            // F: aiSummary
+            thread.getId(),                             // G: threadId
+            formatIdForSheet(getRfcIdFromMessage(queryMessage)), // H: queryMessageId
+            draftId,                                    // I: draftId
+            assignee,                                   // J: assignee
+            STATUS.hostelQuery.OPEN,                    // K: status
+            '', '', ''                                  // L-N: resolvedBy, resolvedDate, resolution
+        ]);
+
+        logAuditEvent('SYSTEM/Watchdog', 'HOSTEL_QUERY_OPENED', queryId, `Hostel query on ${contextId}: ${aiSummary || ''}`,
+            '', STATUS.hostelQuery.OPEN, { contextId: contextId, allocIds: allocIds, assignee: assignee, drafted: !!draftId });
+
+        writeLog('INFO', FUNC_NAME, `${queryId} recorded for ${allocIds.length} allocation(s)${draftId ? ', reply drafted' : ''}.`, contextId);
+        return { success: true, queryId: queryId, draftId: draftId, assignee: assignee, error: null };
+
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Failed to record hostel query: ${e.message}`, contextId);
+        return operationFailure_('UNEXPECTED', e.message);
+    }
+}
+
+// ==================================================================================
+//                              ASSIGN & RESOLVE
+// ==================================================================================
+
+/**
+ * Hands an open query to someone else and emails them the thread.
+ *
+ * @param {string} queryId The Hostel Queries ID
+ * @param {string} assignee Email address
+ * @returns {Object} { success, queryId, assignee, error }
+ */
+function assignHostelQuery(queryId, assignee) {
+    const FUNC_NAME = 'assignHostelQuery';
+    const email = String(assignee || '').trim();
+
+    if (!email.includes('@')) {
+        return operationFailure_('INVALID_ASSIGNEE', 'Enter the assignee\'s email address.');
+    }
+
+    try {
+        const queryWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.hostelQueries.name);
+        const queryRow = queryWs ? findRowByValue(queryWs, SHEETS.hostelQueries.cols.queryId, queryId) : null;
+        if (!queryRow) {
+            return operationFailure_('NOT_FOUND', `Query ${queryId} not found in ${SHEETS.hostelQueries.name}.`);
+        }
+
+        const status = queryRow.data[SHEETS.hostelQueries.cols.status - 1];
+        if (status !== STATUS.hostelQuery.OPEN) {
+            return operationFailure_('NOT_OPEN', `Query ${queryId} is already ${status}.`);
+        }
+
+        const previous = queryRow.data[SHEETS.hostelQueries.cols.assignee - 1];
+        queryWs.getRange(queryRow.row, SHEETS.hostelQueries.cols.assignee).setValue(email);
+
+        const threadId = queryRow.data[SHEETS.hostelQueries.cols.threadId - 1];
+        MailApp.sendEmail({
+            to: email,
+            subject: `Hostel Query ${queryId} assigned to you`,
+            htmlBody: `
+              <p>${getActor()} assigned you hostel query <strong>${queryId}</strong> (${queryRow.data[SHEETS.hostelQueries.cols.contextId - 1]}).</p>
+              <p><strong>Query:</strong> ${queryRow.data[SHEETS.hostelQueries.cols.aiSummary - 1]}</p>
+              <p>${queryRow.data[SHEETS.hostelQueries.cols.draftId - 1] ? 'A draft reply is waiting on the thread. Check it before sending.' : 'No reply was drafted.'}</p>
+              <p><a href="https://mail.google.com/mail/#all/${threadId}">Open Email Thread</a></p>
+            `
+        });
+
+        logAuditEvent(getActor(), 'HOSTEL_QUERY_ASSIGNED', queryId, `Hostel query assigned to ${email}`, previous, email);
+        writeLog('INFO', FUNC_NAME, `${queryId} assigned to ${email}.`);
+        return { success: true, queryId: queryId, assignee: email, error: null };
+
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Failed to assign ${queryId}: ${e.message}`);
+        return operationFailure_('UNEXPECTED', e.message);
+    }
+}
+
+/**
+ * Marks an open query answered outside its thread (call, another email) and returns its
+ * allocations to '1 - Pending Hostel'.
+ *
+ * @param {string} queryId The Hostel Queries ID
+ * @param {string} resolution How it was answered (required)
+ * @returns {Object} { success, queryId, returned, error }
+ */
+function resolveHostelQuery(queryId, resolution) {
+    const FUNC_NAME = 'resolveHostelQuery';
+
+    if (!resolution || !String(resolution).trim()) {
+        return operationFailure_('RESOLUTION_REQUIRED', 'Describe how the query was answered.');
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const queryWs = ss.getSheetByName(SHEETS.hostelQueries.name);
+            const queryRow = queryWs ? findRowByValue(queryWs, SHEETS.hostelQueries.cols.queryId, queryId) : null;
+            if (!queryRow) {
+                return operationFailure_('NOT_FOUND', `Query ${queryId} not found in ${SHEETS.hostelQueries.name}.`);
+            }
+
+            const status = queryRow.data[SHEETS.hostelQueries.cols.status - 1];
+            if (status !== STATUS.hostelQuery.OPEN) {
+                return operationFailure_('NOT_OPEN', `Query ${queryId} is already ${status}.`);
+            }
+
+            const returned = answerHostelQuery_(ss, queryWs, queryRow, getActor(), String(resolution).trim());
+            return { success: true, queryId: queryId, returned: returned, error: null };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to resolve ${queryId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+/**
+ * Closes open queries whose thread now has a reply from us (a sent draft or any other answer).
+ * Run by runWatchdog before it reads new replies, so the hostel's next message finds the
+ * allocations back in '1 - Pending Hostel'.
+ *
+ * @returns {number} Queries answered in this run
+ */
+function syncHostelQueries() {
+    const FUNC_NAME = 'syncHostelQueries';
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const queryWs = ss.getSheetByName(SHEETS.hostelQueries.name);
+    if (!queryWs || queryWs.getLastRow() < 2) return 0;
+
+    const data = queryWs.getDataRange().getValues();
+    let answered = 0;
+    let followUpIds = null; // Read once, only if a query is open
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][SHEETS.hostelQueries.cols.status - 1] !== STATUS.hostelQuery.OPEN) continue;
+        if (!followUpIds) followUpIds = getHostelFollowUpIds_(ss);
+
+        const queryId = data[i][SHEETS.hostelQueries.cols.queryId - 1];
+        const recordedAt = data[i][SHEETS.hostelQueries.cols.timestamp - 1];
+        try {
+            const thread = GmailApp.getThreadById(String(data[i][SHEETS.hostelQueries.cols.threadId - 1]));
+            if (!thread) continue;
+
+            // Follow-up reminders go out on the same thread; they are not answers
+            const answer = thread.getMessages().find(m =>
+                !m.isDraft() && isOwnMessage_(m) && m.getDate() > recordedAt &&
+                !followUpIds.has(formatIdForSheet(getRfcIdFromMessage(m))));
+            if (!answer) continue;
+
+            answerHostelQuery_(ss, queryWs, { row: i + 1, data: data[i] }, answer.getFrom(),
+                `Replied on thread (${formatIdForSheet(getRfcIdFromMessage(answer))})`);
+            answered++;
+        } catch (e) {
+            writeLog('WARN', FUNC_NAME, `Could not check the thread of ${queryId}: ${e.message}`);
+        }
+    }
+
+    if (answered > 0) writeLog('INFO', FUNC_NAME, `${answered} hostel query(ies) answered.`);
+    return answered;
+}
+
+// ==================================================================================
+//                              HELPERS
+// ==================================================================================
+
+/**
+ * Message IDs of every hostel reminder and escalation sent (runHostelFollowUps), from the
+ * Audit Trail and the Allocation Log's lastFollowUpId, formatted as in formatIdForSheet.
+ * @returns {Set<string>}
+ */
+function getHostelFollowUpIds_(ss) {
+    const ids = new Set();
+
+    const auditWs = ss.getSheetByName(SHEETS.audit.name);
+    const auditData = auditWs ? auditWs.getDataRange().getValues() : [];
+    for (let i = 1; i < auditData.length; i++) {
+        const eventType = auditData[i][SHEETS.audit.cols.eventType - 1];
+        if (eventType !== 'HOSTEL_FOLLOW_UP' && eventType !== 'HOSTEL_ESCALATION') continue;
+        try {
+            const metadata = JSON.parse(auditData[i][SHEETS.audit.cols.metadata - 1] || '{}');
+            if (metadata.msgId) ids.add(String(metadata.msgId));
+        } catch (e) {
+            // Unreadable metadata: the Allocation Log still has the latest ID
+        }
+    }
+
+    const allocData = ss.getSheetByName(SHEETS.allocations.name).getDataRange().getValues();
+    for (let i = 1; i < allocData.length; i++) {
+        const lastFollowUpId = allocData[i][SHEETS.allocations.cols.lastFollowUpId - 1];
+        if (lastFollowUpId) ids.add(String(lastFollowUpId));
+    }
+    return ids;
+}
+
+/**
+ * Marks a query Answered and moves its allocations that are still in '2 - Hostel Query' back to
+ * '1 - Pending Hostel' (cancelled ones stay cancelled).
+ * @returns {number} Allocations returned to Pending Hostel
+ */
+function answerHostelQuery_(ss, queryWs, queryRow, actor, resolution) {
+    const queryId = queryRow.data[SHEETS.hostelQueries.cols.queryId - 1];
+    const allocIds = String(queryRow.data[SHEETS.hostelQueries.cols.allocIds - 1] || '')
+        .split(',').map(id => id.trim()).filter(id => id);
+
+    const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const allocData = allocWs.getDataRange().getValues();
+    let returned = 0;
+
+    for (let i = 1; i < allocData.length; i++) {
+        const allocId = String(allocData[i][SHEETS.allocations.cols.allocId - 1]);
+        if (!allocIds.includes(allocId)) continue;
+        if (allocData[i][SHEETS.allocations.cols.status - 1] !== STATUS.allocation.HOSTEL_QUERY) continue;
+
+        const result = transitionStatus({
+            type: 'ALLOCATION',
+            sheet: allocWs,
+            row: i + 1,
+            targetStatus: STATUS.allocation.PENDING_HOSTEL,
+            targetId: `${allocId} (${allocData[i][SHEETS.allocations.cols.pledgeId - 1]})`,
+            actor: actor,
+            description: `Hostel query ${queryId} answered - awaiting hostel confirmation`,
+            metadata: { queryId: queryId }
+        });
+        if (result.changed) returned++;
+    }
+
+    queryWs.getRange(queryRow.row, SHEETS.hostelQueries.cols.status).setValue(STATUS.hostelQuery.ANSWERED);
+    queryWs.getRange(queryRow.row, SHEETS.hostelQueries.cols.resolvedBy, 1, 3).setValues([[actor, new Date(), resolution]]);
+
+    logAuditEvent(actor, 'HOSTEL_QUERY_ANSWERED', queryId, `Hostel query answered: ${resolution}`,
+        STATUS.hostelQuery.OPEN, STATUS.hostelQuery.ANSWERED, { allocIds: allocIds, returnedToPending: returned });
+
+    writeLog('INFO', 'answerHostelQuery_', `${queryId} answered; ${returned} allocation(s) back to Pending Hostel.`,
+        queryRow.data[SHEETS.hostelQueries.cols.contextId - 1]);
+    return returned;
+}
+
+/**
+ * Facts the AI may use in its draft: the queried allocations and the VALID receipts of their pledges.
+ * Student names are left out (CMS IDs only).
+ */
+function buildHostelQueryContext_(allocIds, ss) {
+    const allocations = [];
+    const pledgeIds = new Set();
+
+    ss.getSheetByName(SHEETS.allocations.name).getDataRange().getValues().slice(1).forEach(r => {
+        if (!allocIds.includes(String(r[SHEETS.allocations.cols.allocId - 1]))) return;
+        const pledgeId = String(r[SHEETS.allocations.cols.pledgeId - 1]);
+        pledgeIds.add(pledgeId);
+        allocations.push({
+            allocId: r[SHEETS.allocations.cols.allocId - 1],
+            cmsId: r[SHEETS.allocations.cols.cmsId - 1],
+            amount: r[SHEETS.allocations.cols.amount - 1],
+            date: r[SHEETS.allocations.cols.date - 1],
+            pledgeId: pledgeId,
+            batchId: r[SHEETS.allocations.cols.batchId - 1]
+        });
+    });
+
+    const receipts = [];
+    ss.getSheetByName(SHEETS.receipts.name).getDataRange().getValues().slice(1).forEach(r => {
+        if (!pledgeIds.has(String(r[SHEETS.receipts.cols.pledgeId - 1]))) return;
+        if (r[SHEETS.receipts.cols.status - 1] !== STATUS.receipt.VALID) return;
+        receipts.push({
+            receiptId: r[SHEETS.receipts.cols.receiptId - 1],
+            pledgeId: r[SHEETS.receipts.cols.pledgeId - 1],
+            amount: r[SHEETS.receipts.cols.amountVerified - 1],
+            transferDate: r[SHEETS.receipts.cols.transferDate - 1]
+        });
+    });
+
+    return { allocations: allocations, receipts: receipts };
+}
+
+/**
+ * Keeps the hostel's own words (see stripQuotedHistory), capped at maxQueryChars.
+ */
+function extractQueryText_(body) {
+    return stripQuotedHistory(body).substring(0, MAPPINGS.hostelQueries.maxQueryChars);
+}
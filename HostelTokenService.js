@@ -0,0 +1,124 @@
+/**
+ * HostelTokenService.js
+ *
+ * [V61] Signed verification tokens for hostel confirmation replies.
+ *
+ * Key Features:
+ * - One token per allocation, embedded in the mailto body the hostel sends back:
+ *   [VERIFY:<allocId>:<cmsId>:<amount>:<signature>]
+ * - The signature is an HMAC-SHA256 over allocId|amount|cmsId keyed with a Script Property
+ *   secret (HOSTEL_TOKEN_SECRET), created on first use
+ * - The Watchdog confirms allocations from valid tokens without asking Gemini; a token whose
+ *   signature does not match its values (edited amount, CMS ID or allocation) is reported as tampered
+ */
+
+const PROPERTY_HOSTEL_TOKEN_SECRET = 'HOSTEL_TOKEN_SECRET';
+const HOSTEL_TOKEN_PATTERN = /\[VERIFY:([^:\]\s]+):([^:\]\s]+):([^:\]\s]+):([A-Za-z0-9_-]+)\]/g;
+
+/**
+ * Builds the verification token for one allocation.
+ *
+ * @param {string} allocId
+ * @param {number|string} amount Allocated amount (formatted strings such as "50,000" are accepted)
+ * @param {string|number} cmsId
+ * @returns {string} The token line
+ */
+function buildHostelToken(allocId, amount, cmsId) {
+    const value = normalizeTokenAmount_(amount);
+    const cms = String(cmsId).trim();
+    return `[VERIFY:${allocId}:${cms}:${value}:${signHostelToken_(allocId, value, cms)}]`;
+}
+
+/**
+ * Builds the verification block appended to a hostel mailto body.
+ *
+ * @param {Array<Object>} allocations [{ allocId, cmsId, amount }]
+ * @returns {string} Instruction line followed by one token per allocation, or '' when there are none
+ */
+function buildHostelTokenBlock(allocations) {
+    const tokens = (allocations || [])
+        .filter(a => a && a.allocId)
+        .map(a => buildHostelToken(a.allocId, a.amount, a.cmsId));
+    if (tokens.length === 0) return '';
+
+    return 'Verification codes (keep the line of every student you have credited, do not edit them):\n' +
+        tokens.join('\n');
+}
+
+/**
+ * Reads and checks every verification token in a thread's hostel replies.
+ * Only messages not sent by us are read, so the tokens quoted in our own mailto link do not count.
+ *
+ * @param {GmailThread} thread
+ * @param {Array<Object>} pendingAllocations [{ allocId, cms, amount }] awaiting this reply
+ * @returns {Object} { found, confirmedAllocIds, tampered: [{ token, reason }] }
+ */
+function verifyHostelReplyTokens(thread, pendingAllocations) {
+    const pendingById = new Map((pendingAllocations || []).map(a => [String(a.allocId), a]));
+    const result = { found: 0, confirmedAllocIds: [], tampered: [] };
+    const seen = new Set();
+
+    for (const message of thread.getMessages()) {
+        if (isOwnMessage_(message)) continue;
+
+        const text = message.getPlainBody() || '';
+        HOSTEL_TOKEN_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = HOSTEL_TOKEN_PATTERN.exec(text)) !== null) {
+            const [token, allocId, cmsId, amount, signature] = match;
+            if (seen.has(token)) continue;
+            seen.add(token);
+            result.found++;
+
+            if (signHostelToken_(allocId, amount, cmsId) !== signature) {
+                result.tampered.push({ token: token, reason: 'Signature does not match the token values' });
+                continue;
+            }
+
+            // A genuine token for an allocation that is no longer pending (already verified,
+            // cancelled or from another thread) confirms nothing
+            const pending = pendingById.get(allocId);
+            if (!pending) continue;
+
+            if (String(pending.cms).trim() !== cmsId || normalizeTokenAmount_(pending.amount) !== amount) {
+                result.tampered.push({ token: token, reason: `Token values differ from the Allocation Log for ${allocId}` });
+                continue;
+            }
+            if (!result.confirmedAllocIds.includes(allocId)) result.confirmedAllocIds.push(allocId);
+        }
+    }
+    return result;
+}
+
+/**
+ * HMAC-SHA256 over allocId|amount|cmsId, web-safe base64, truncated to 22 characters (132 bits).
+ */
+function signHostelToken_(allocId, amount, cmsId) {
+    const bytes = Utilities.computeHmacSha256Signature(`${allocId}|${amount}|${cmsId}`, getHostelTokenSecret_());
+    return Utilities.base64EncodeWebSafe(bytes).replace(/=+$/, '').substring(0, 22);
+}
+
+/**
+ * Returns the signing secret, creating it on first use.
+ * Rotating the property invalidates every link already sent.
+ */
+function getHostelTokenSecret_() {
+    const props = PropertiesService.getScriptProperties();
+    let secret = props.getProperty(PROPERTY_HOSTEL_TOKEN_SECRET);
+    if (!secret) {
+        secret = Utilities.getUuid() + Utilities.getUuid();
+        props.setProperty(PROPERTY_HOSTEL_TOKEN_SECRET, secret);
+        writeLog('INFO', 'getHostelTokenSecret_', 'Generated new hostel reply token secret.');
+    }
+    return secret;
+}
+
+/** Amounts are signed as whole numbers without separators. */
+function normalizeTokenAmount_(amount) {
+    return String(Math.round(Number(String(amount).replace(/,/g, '')) || 0));
+}
+
+/** True for messages sent from the process owner mailbox. */
+function isOwnMessage_(message) {
+    return String(message.getFrom()).toLowerCase().includes(String(EMAILS.processOwner).toLowerCase());
+}
@@ -189,9 +189,10 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
       3. Extract transaction details for *each* valid receipt found.
       
       === RULES FOR FORENSIC VERIFICATION ===
-      - **Amount Extraction**: Look for the final numeric amount. Ignore currency symbols if possible, but note if it's NOT PKR.
-      - **Matching**: Compare extracted amount with PLEDGE AMOUNT. 
+      - **Amount Extraction**: Look for the final numeric amount exactly as shown on the slip. Do NOT convert currencies; report the slip's currency as an ISO code (PKR, SAR, AED, EUR, CAD, AUD, GBP, USD).
+      - **Matching**: Compare extracted amount with PLEDGE AMOUNT (PKR). If the slip is in another currency, set amount_match to "UNKNOWN".
       - **Dates**: Transfer date must be somewhat close to Pledge/Email Date.
+      - **Reference**: Copy the slip's transaction/reference number (TID, RRN, Ref No.) exactly as shown. Leave it out if there is none; never invent one.
       - **Confidence**: 
          - Name: Check if Sender Name (from Image) matches Donor Name (Unknown/Context).
          - Account: Check if destination account matches 'NUST' or 'Hostel Fund'.
@@ -200,8 +201,23 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
       === CATEGORIZATION ===
       - "RECEIPT_SUBMISSION": Found at least one valid receipt.
       - "QUESTION": User is asking a question.
+      - "DONOR_REQUEST": User asks us to DO something with their pledge (see below).
       - "IRRELEVANT": Spam/Junk.
 
+      === DONOR REQUESTS ===
+      If the donor asks for a change, fill "donor_request" with ONE action (even if a receipt is also attached):
+      - "PAUSE": pause the monthly pledge (months = how long, if stated).
+      - "RESUME": restart a paused monthly pledge.
+      - "STOP_AFTER_CURRENT": end the monthly pledge after the current month ("stop after this month").
+      - "CANCEL": stop the monthly pledge now.
+      - "CANCEL_PLEDGE": withdraw a one-time pledge (no further transfer will be made).
+      - "EXTEND": continue for more months (months = how many more).
+      - "CHANGE_AMOUNT": change the monthly amount (amount = new monthly amount in PKR).
+      - "CHANGE_STUDENT": support a different student.
+      - "SEND_STATEMENT": send a statement of payments and allocations.
+      - "NONE": no such request.
+      Never invent months or amounts; leave them out if the donor did not state them.
+
       === INPUT EMAIL TEXT ===
       ${emailBody.replace(/"/g, '\\"')}
     `;
@@ -216,7 +232,7 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
         responseSchema: {
           type: "OBJECT",
           properties: {
-            category: { type: "STRING", enum: ["RECEIPT_SUBMISSION", "QUESTION", "IRRELEVANT"] },
+            category: { type: "STRING", enum: ["RECEIPT_SUBMISSION", "QUESTION", "DONOR_REQUEST", "IRRELEVANT"] },
             summary: { type: "STRING", description: "Brief summary of contents." },
 
             // --- ARRAY OF VERIFIED RECEIPTS ---
@@ -226,10 +242,12 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
                 type: "OBJECT",
                 properties: {
                   filename: { type: "STRING" },
-                  amount: { type: "NUMBER", description: "Numeric amount extracted from image." },
+                  amount: { type: "NUMBER", description: "Numeric amount extracted from image, in the slip's currency." },
+                  currency: { type: "STRING", description: "ISO 4217 code of the amount (e.g. PKR, SAR, AED, GBP)." },
                   amount_declared: { type: "NUMBER", description: "Amount donor CLAIMS to have sent in text." },
                   date: { type: "STRING", description: "YYYY-MM-DD" },
                   sender_name: { type: "STRING", description: "Name on receipt" },
+                  transaction_ref: { type: "STRING", description: "Bank transaction/reference number on the slip, if shown" },
                   confidence_score: { type: "STRING", enum: ["HIGH", "MEDIUM", "LOW"] },
                   confidence_details: {
                     type: "OBJECT",
@@ -244,6 +262,21 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
               }
             },
 
+            // --- [V61] SELF-SERVICE REQUEST (queued for admin approval) ---
+            donor_request: {
+              type: "OBJECT",
+              properties: {
+                action: {
+                  type: "STRING",
+                  enum: ["PAUSE", "RESUME", "STOP_AFTER_CURRENT", "CANCEL", "CANCEL_PLEDGE", "EXTEND",
+                    "CHANGE_AMOUNT", "CHANGE_STUDENT", "SEND_STATEMENT", "NONE"]
+                },
+                months: { type: "NUMBER", description: "Months to pause/extend, if stated." },
+                amount: { type: "NUMBER", description: "New monthly amount (PKR), if stated." },
+                details: { type: "STRING", description: "The request in the donor's words (short)." }
+              }
+            },
+
             suggested_reply: { type: "STRING", description: "Draft a reply if QUESTION." },
             reasoning: { type: "STRING", description: "Why did you choose this outcome?" }
           },
@@ -286,7 +319,7 @@ function analyzeDonorEmail(emailBody, attachments, pledgeDate, emailDate, pledge
  * INTELLIGENT WATCHDOG: Analyzes a Hostel Reply to match it with Open Allocations.
  * @param {string} emailText The full email thread content.
  * @param {Array<Object>} openAllocations List of { allocId, student, cms, amount } we are waiting for.
- * @returns {Object} JSON { confirmedAllocIds: [], status: "CONFIRMED_ALL"|"PARTIAL"|"AMBIGUOUS" }
+ * @returns {Object} JSON { confirmedAllocIds: [], queriedAllocIds: [], status: "CONFIRMED_ALL"|"PARTIAL"|"AMBIGUOUS"|"QUERY", reasoning }
  */
 function analyzeHostelReply(emailText, openAllocations) {
   const FUNC_NAME = 'analyzeHostelReply';
@@ -311,11 +344,13 @@ function analyzeHostelReply(emailText, openAllocations) {
       3. If there are multiple allocations but the email is vague about WHICH one (and doesn't imply all), return "AMBIGUOUS".
       4. If there is only 1 allocation and the email is vague ("Confirmed"), match it.
       5. If the email contains a "Allocation Ref: ALLOC-xxxx", that is a definitive match.
+      6. If the email raises a question or problem about an allocation (student not found, wrong CMS ID, amount mismatch), return "QUERY" and list those allocations in queriedAllocIds. Allocations confirmed in the same email still go in confirmedAllocIds.
 
       --- OUTPUT SCHEMA (JSON ONLY) ---
       {
         "status": "CONFIRMED_ALL" | "PARTIAL" | "AMBIGUOUS" | "QUERY",
         "confirmedAllocIds": ["ID1", "ID2"] (List of Allocation IDs that are POSITIVELY confirmed),
+        "queriedAllocIds": ["ID3"] (List of Allocation IDs the hostel has a question or problem about),
         "reasoning": "Brief explanation of why these were selected"
       }
     `;
@@ -329,6 +364,7 @@ function analyzeHostelReply(emailText, openAllocations) {
           properties: {
             status: { type: "STRING", enum: ["CONFIRMED_ALL", "PARTIAL", "AMBIGUOUS", "QUERY"] },
             confirmedAllocIds: { type: "ARRAY", items: { type: "STRING" } },
+            queriedAllocIds: { type: "ARRAY", items: { type: "STRING" } },
             reasoning: { type: "STRING" }
           },
           required: ["status", "confirmedAllocIds", "reasoning"]
@@ -359,6 +395,146 @@ function analyzeHostelReply(emailText, openAllocations) {
   }
 }
 
+/**
+ * [V61] Drafts a reply to a hostel query from the allocation and receipt records.
+ * The result is only ever saved as a Gmail draft for a human to check and send.
+ * @param {string} queryText The hostel's message.
+ * @param {Object} context { allocations: [{ allocId, cmsId, amount, date, pledgeId, batchId }], receipts: [{ receiptId, pledgeId, amount, transferDate }] }
+ * @returns {string|null} Plain-text reply body, or null on failure.
+ */
+function draftHostelQueryReply(queryText, context) {
+  const FUNC_NAME = 'draftHostelQueryReply';
+  try {
+    const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
+    if (!apiKey) return null;
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${CONFIG.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+
+    const prompt = `
+      You are drafting an email for the NUST Hostels Admin Directorate, replying to a question from the hostel office
+      about funds allocated to students' hostel dues.
+
+      Hostel Message: "${queryText.replace(/"/g, '\\"')}"
+
+      Our Records (the only facts you may use):
+      ${JSON.stringify(context)}
+
+      Rules:
+      1. Answer the question using only Our Records. Quote allocation refs, CMS IDs, amounts and transfer dates exactly.
+      2. If the records do not answer something, say we are checking and will revert. Never invent facts.
+      3. Refer to students by CMS ID only.
+      4. Be brief and polite. Plain text, no greeting name placeholders, sign off as "NUST Hostels Admin Directorate".
+
+      --- OUTPUT SCHEMA (JSON ONLY) ---
+      { "reply": "The email body" }
+    `;
+
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+          type: "OBJECT",
+          properties: {
+            reply: { type: "STRING" }
+          },
+          required: ["reply"]
+        }
+      }
+    };
+
+    const options = {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    };
+
+    const response = UrlFetchApp.fetch(apiUrl, options);
+    if (response.getResponseCode() === 200) {
+      const jsonResponse = JSON.parse(response.getContentText());
+      const rawText = jsonResponse.candidates[0].content.parts[0].text;
+      return JSON.parse(cleanJsonOutput(rawText)).reply || null;
+    } else {
+      writeLog('ERROR', FUNC_NAME, `Gemini API Error: ${response.getContentText()}`);
+      return null;
+    }
+
+  } catch (e) {
+    writeLog('ERROR', FUNC_NAME, `Critical Error: ${e.toString()}`);
+    return null;
+  }
+}
+
+/**
+ * [V61] Reads a student's reply to a hostel credit confirmation request.
+ * Only used when the reply does not start with CONFIRM or DISPUTE.
+ * @param {string} replyText The student's message (quoted history removed).
+ * @param {Object} allocation { allocId, cmsId, amount } the request was about.
+ * @returns {Object|null} JSON { status: "CONFIRMED"|"DISPUTED"|"UNCLEAR", reason }, or null on failure.
+ */
+function analyzeStudentReply(replyText, allocation) {
+  const FUNC_NAME = 'analyzeStudentReply';
+  try {
+    const apiKey = PropertiesService.getScriptProperties().getProperty('GEMINI_API_KEY');
+    if (!apiKey) return null;
+
+    const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${CONFIG.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+
+    const prompt = `
+      A student was asked to confirm that a hostel fee credit reached their hostel account.
+
+      Credit: ${JSON.stringify(allocation)}
+      Student Reply: "${replyText.replace(/"/g, '\\"')}"
+
+      Rules:
+      1. "CONFIRMED" if the student says the credit was received or their dues were adjusted.
+      2. "DISPUTED" if the student says it was not received, the amount is wrong or it went to the wrong account.
+      3. "UNCLEAR" for anything else (questions, thanks without confirming, unrelated text).
+      4. For DISPUTED, put what the student says is wrong in reason, in one sentence.
+
+      --- OUTPUT SCHEMA (JSON ONLY) ---
+      { "status": "CONFIRMED" | "DISPUTED" | "UNCLEAR", "reason": "Brief explanation" }
+    `;
+
+    const payload = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        responseMimeType: "application/json",
+        responseSchema: {
+          type: "OBJECT",
+          properties: {
+            status: { type: "STRING", enum: ["CONFIRMED", "DISPUTED", "UNCLEAR"] },
+            reason: { type: "STRING" }
+          },
+          required: ["status", "reason"]
+        }
+      }
+    };
+
+    const options = {
+      method: 'post',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      muteHttpExceptions: true
+    };
+
+    const response = UrlFetchApp.fetch(apiUrl, options);
+    if (response.getResponseCode() === 200) {
+      const jsonResponse = JSON.parse(response.getContentText());
+      const rawText = jsonResponse.candidates[0].content.parts[0].text;
+      return JSON.parse(cleanJsonOutput(rawText));
+    } else {
+      writeLog('ERROR', FUNC_NAME, `Gemini API Error: ${response.getContentText()}`);
+      return null;
+    }
+
+  } catch (e) {
+    writeLog('ERROR', FUNC_NAME, `Critical Error: ${e.toString()}`);
+    return null;
+  }
+}
+
 /**
  * Helper to strip markdown code blocks from AI response.
  * @param {string} text The raw text from AI.
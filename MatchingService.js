@@ -0,0 +1,267 @@
+/**
+ * MatchingService.js
+ *
+ * [V61] Suggests allocations by matching donor preferences to students.
+ *
+ * Key Features:
+ * - Ranks eligible students for a pledge, and pledges for a student
+ * - Score (0-100) = preference fit (50) + remaining need (30) + waiting time (20)
+ * - Each suggestion carries plain-language reasons for the Sidebar
+ * - Per ADR-002, results carry only CMS ID, school and amounts; reasons never quote
+ *   student attributes from the Confidential workbook
+ */
+
+// ==================================================================================
+//                              PREFERENCE FIT
+// ==================================================================================
+
+/**
+ * Donor preference columns and the student fields each one is compared against.
+ */
+const PREFERENCE_FIELDS = [
+    { key: 'studentPref', label: 'student', values: s => [s.cmsId, s.gender] },
+    { key: 'programPref', label: 'program', values: s => [s.program, s.school] },
+    { key: 'degreePref', label: 'degree', values: s => [s.degree, s.degreeCategory] }
+];
+
+/** Scoring weights (sum to 100). */
+const MATCH_WEIGHTS = { preference: 50, need: 30, waiting: 20 };
+
+/** Waiting time is capped here so a never-funded student does not swamp the score. */
+const MATCH_MAX_WAIT_DAYS = 365;
+
+/**
+ * Compares a pledge's form preferences with a student.
+ * Blank or "No preference"-style answers are open; multi-select answers match on any option.
+ *
+ * @param {Object} preferences { studentPref, programPref, degreePref } from the RAW sheet
+ * @param {Object} student { cmsId, gender, school, program, degree, degreeCategory }
+ * @returns {Object} { eligible, matched: [label], open: [label], mismatched: [label] }
+ */
+function getPreferenceFit(preferences, student) {
+    const fit = { eligible: true, matched: [], open: [], mismatched: [] };
+
+    for (const field of PREFERENCE_FIELDS) {
+        const options = String(preferences[field.key] || '').split(',').map(o => o.trim()).filter(o => o);
+
+        if (options.length === 0 || options.some(o => /^(no preference|any|none|n\/a|open|no)$/i.test(o))) {
+            fit.open.push(field.label);
+        } else if (options.some(option => field.values(student).some(value => preferenceOptionMatches_(option, value)))) {
+            fit.matched.push(field.label);
+        } else {
+            fit.mismatched.push(field.label);
+            fit.eligible = false;
+        }
+    }
+    return fit;
+}
+
+/**
+ * True if a student satisfies every stated preference of a pledge.
+ */
+function matchesDonorPreferences(preferences, student) {
+    return getPreferenceFit(preferences, student).eligible;
+}
+
+/**
+ * Whole-word, case-insensitive match in either direction ("Female students" ~ "Female", not "Male").
+ */
+function preferenceOptionMatches_(option, value) {
+    const v = String(value || '').trim();
+    if (v === '') return false;
+
+    const wholeWord = (needle, haystack) =>
+        new RegExp(`\\b${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(haystack);
+    return wholeWord(v, option) || wholeWord(option, v);
+}
+
+// ==================================================================================
+//                              RANKING
+// ==================================================================================
+
+/**
+ * Ranks students with pending need for a pledge.
+ *
+ * @param {string} pledgeId The Pledge ID
+ * @param {number} [limit] Maximum suggestions (default 5)
+ * @returns {Array<Object>} [{ cmsId, school, need, score, reasons }] best first
+ */
+function rankStudentsForPledge(pledgeId, limit = 5) {
+    const data = loadMatchingData_();
+    const pledge = data.pledges.find(p => String(p.pledgeId) === String(pledgeId));
+    if (!pledge) throw new Error(`Pledge ${pledgeId} not found.`);
+
+    const candidates = data.students.filter(s => s.need > 0 && isZakatAllocationAllowed(pledge.isZakat, s.zakatEligible));
+    const maxNeed = Math.max(0, ...candidates.map(s => s.need));
+
+    return candidates
+        .map(student => {
+            const match = scoreMatch_(pledge, student, maxNeed, student.waitDays);
+            return {
+                cmsId: student.cmsId,
+                school: student.school,
+                need: student.need,
+                score: match.score,
+                reasons: match.reasons.concat(
+                    student.lastAllocated ? `Last funded ${student.waitDays} days ago` : 'Not funded yet')
+            };
+        })
+        .filter(s => s.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Ranks pledges with available balance for a student.
+ *
+ * @param {string} cmsId The student's CMS ID
+ * @param {number} [limit] Maximum suggestions (default 5)
+ * @returns {Array<Object>} [{ pledgeId, donorName, balance, score, reasons }] best first
+ */
+function rankPledgesForStudent(cmsId, limit = 5) {
+    const data = loadMatchingData_();
+    const student = data.students.find(s => String(s.cmsId) === String(cmsId));
+    if (!student) throw new Error(`Student ${cmsId} not found.`);
+
+    const candidates = data.pledges.filter(p => p.balance > 0 && isZakatAllocationAllowed(p.isZakat, student.zakatEligible));
+
+    return candidates
+        .map(pledge => {
+            const match = scoreMatch_(pledge, student, student.need, pledge.waitDays);
+            return {
+                pledgeId: pledge.pledgeId,
+                donorName: pledge.donorName,
+                balance: pledge.balance,
+                score: match.score,
+                reasons: match.reasons.concat(`Funds received ${pledge.waitDays} days ago`)
+            };
+        })
+        .filter(p => p.score !== null)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Scores one pledge-student pair. Returns a null score if the pair is ineligible.
+ *
+ * @param {number} needScale Need that earns the full need weight
+ * @param {number} waitDays Days the waiting side (student or pledge) has waited
+ */
+function scoreMatch_(pledge, student, needScale, waitDays) {
+    const fit = getPreferenceFit(pledge.preferences, student);
+    if (!fit.eligible) return { score: null, reasons: [] };
+
+    const reasons = [];
+    const stated = fit.matched.length + fit.mismatched.length;
+
+    // Open preferences score half, so donors' stated wishes rank first
+    const prefScore = stated > 0 ? MATCH_WEIGHTS.preference : MATCH_WEIGHTS.preference / 2;
+    if (fit.matched.length > 0) {
+        reasons.push(`Matches donor's ${fit.matched.join(', ')} preference`);
+    } else {
+        reasons.push('Donor stated no preference');
+    }
+
+    const needScore = needScale > 0 ? MATCH_WEIGHTS.need * Math.min(student.need / needScale, 1) : 0;
+    reasons.push(`Remaining need PKR ${student.need.toLocaleString()}`);
+
+    const waitScore = MATCH_WEIGHTS.waiting * Math.min(waitDays, MATCH_MAX_WAIT_DAYS) / MATCH_MAX_WAIT_DAYS;
+
+    if (pledge.isZakat) {
+        reasons.push('Zakat pledge, student is Zakat-eligible');
+    }
+
+    return { score: Math.round(prefScore + needScore + waitScore), reasons: reasons };
+}
+
+/**
+ * Reads students, pledges and the two ledgers once and derives needs, balances and waiting times.
+ * @returns {Object} { students: [...], pledges: [...] }
+ */
+function loadMatchingData_() {
+    const ssOps = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const studentRows = SpreadsheetApp.openById(CONFIG.ssId_confidential)
+        .getSheetByName(SHEETS.students.name).getDataRange().getValues();
+    const pledgeRows = ssOps.getSheetByName(SHEETS.donations.name).getDataRange().getValues();
+    const allocRows = ssOps.getSheetByName(SHEETS.allocations.name).getDataRange().getValues();
+    const receiptRows = ssOps.getSheetByName(SHEETS.receipts.name).getDataRange().getValues();
+
+    const now = new Date().getTime();
+    const daysSince = (date) => Math.max(0, Math.floor((now - new Date(date).getTime()) / (1000 * 60 * 60 * 24))) || 0;
+
+    // Ledgers: active allocations per student and pledge, VALID receipts (less refunds) per pledge
+    const allocatedByStudent = new Map();
+    const lastAllocatedByStudent = new Map();
+    const allocatedByPledge = new Map();
+    for (let i = 1; i < allocRows.length; i++) {
+        if (!isAllocationActive(allocRows[i][SHEETS.allocations.cols.status - 1])) continue;
+
+        const cmsId = String(allocRows[i][SHEETS.allocations.cols.cmsId - 1]);
+        const pledgeId = String(allocRows[i][SHEETS.allocations.cols.pledgeId - 1]);
+        const amount = Number(allocRows[i][SHEETS.allocations.cols.amount - 1]) || 0;
+        const date = new Date(allocRows[i][SHEETS.allocations.cols.date - 1]);
+
+        allocatedByStudent.set(cmsId, (allocatedByStudent.get(cmsId) || 0) + amount);
+        allocatedByPledge.set(pledgeId, (allocatedByPledge.get(pledgeId) || 0) + amount);
+        if (!lastAllocatedByStudent.has(cmsId) || date > lastAllocatedByStudent.get(cmsId)) {
+            lastAllocatedByStudent.set(cmsId, date);
+        }
+    }
+
+    const verifiedByPledge = new Map();
+    for (let i = 1; i < receiptRows.length; i++) {
+        const status = receiptRows[i][SHEETS.receipts.cols.status - 1];
+        if (status !== STATUS.receipt.VALID && status) continue;
+
+        const pledgeId = String(receiptRows[i][SHEETS.receipts.cols.pledgeId - 1]);
+        verifiedByPledge.set(pledgeId,
+            (verifiedByPledge.get(pledgeId) || 0) + (Number(receiptRows[i][SHEETS.receipts.cols.amountVerified - 1]) || 0));
+    }
+    getRefundTotalsByPledge(ssOps).forEach((refunded, pledgeId) => {
+        verifiedByPledge.set(pledgeId, (verifiedByPledge.get(pledgeId) || 0) - refunded);
+    });
+
+    const students = [];
+    for (let i = 1; i < studentRows.length; i++) {
+        const r = studentRows[i];
+        const cmsId = String(r[SHEETS.students.cols.cmsId - 1]);
+        if (!cmsId) continue;
+
+        const lastAllocated = lastAllocatedByStudent.get(cmsId) || null;
+        students.push({
+            cmsId: cmsId,
+            school: r[SHEETS.students.cols.school - 1],
+            gender: r[SHEETS.students.cols.gender - 1],
+            degree: r[SHEETS.students.cols.degree - 1],
+            degreeCategory: r[SHEETS.students.cols.degreeCategory - 1],
+            program: r[SHEETS.students.cols.program - 1],
+            zakatEligible: isYesAnswer(r[SHEETS.students.cols.zakatEligible - 1]),
+            need: Math.max(0, (Number(r[SHEETS.students.cols.totalDue - 1]) || 0) - (allocatedByStudent.get(cmsId) || 0)),
+            lastAllocated: lastAllocated,
+            waitDays: lastAllocated ? daysSince(lastAllocated) : MATCH_MAX_WAIT_DAYS
+        });
+    }
+
+    const pledges = [];
+    for (let i = 1; i < pledgeRows.length; i++) {
+        const r = pledgeRows[i];
+        const pledgeId = String(r[SHEETS.donations.cols.pledgeId - 1]);
+        const status = r[SHEETS.donations.cols.status - 1];
+        if (!pledgeId || status === STATUS.pledge.CANCELLED || status === STATUS.pledge.REJECTED) continue;
+
+        pledges.push({
+            pledgeId: pledgeId,
+            donorName: r[SHEETS.donations.cols.donorName - 1],
+            isZakat: isYesAnswer(r[SHEETS.donations.cols.isZakat - 1]),
+            preferences: {
+                studentPref: r[SHEETS.donations.cols.studentPref - 1],
+                programPref: r[SHEETS.donations.cols.programPref - 1],
+                degreePref: r[SHEETS.donations.cols.degreePref - 1]
+            },
+            balance: (verifiedByPledge.get(pledgeId) || 0) - (allocatedByPledge.get(pledgeId) || 0),
+            waitDays: daysSince(r[SHEETS.donations.cols.actualTransferDate - 1] || r[SHEETS.donations.cols.timestamp - 1])
+        });
+    }
+
+    return { students: students, pledges: pledges };
+}
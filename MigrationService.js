@@ -172,9 +172,15 @@ function recalculateAllPledgeTotals() {
         }
     }
 
+    // [V61] Refunded money no longer counts as verified
+    getRefundTotalsByPledge(ss).forEach((refunded, pId) => {
+        verifiedMap.set(pId, (verifiedMap.get(pId) || 0) - refunded);
+    });
+
     // 3. Aggregate Allocated Amounts (Map<PledgeId, Amount>)
     const allocMap = new Map();
     for (let i = 1; i < allocData.length; i++) {
+        if (!isAllocationActive(allocData[i][SHEETS.allocations.cols.status - 1])) continue;
         // Col 3 = Pledge ID (Index 2), Col 5 = Amount (Index 4)
         const pId = String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]);
         const amt = Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0;
@@ -196,13 +202,12 @@ function recalculateAllPledgeTotals() {
 
     for (let i = 1; i < donationData.length; i++) {
         const pledgeId = String(donationData[i][SHEETS.donations.cols.pledgeId - 1]); // Col 13
-        const pledgeAmount = getPledgeAmountFromDuration(donationData[i][SHEETS.donations.cols.duration - 1]);
 
         const totalVerified = verifiedMap.get(pledgeId) || 0;
         const totalAllocated = allocMap.get(pledgeId) || 0;
 
         const balance = totalVerified - totalAllocated;
-        const outstanding = Math.max(0, pledgeAmount - totalVerified);
+        const outstanding = getPledgeOutstanding(donationData[i], totalVerified);
 
         updates.push([totalVerified, balance, outstanding]);
         updateCount++;
@@ -216,3 +221,241 @@ function recalculateAllPledgeTotals() {
 
     writeLog('SUCCESS', FUNC_NAME, `Recalculated totals for ${updateCount} pledges.`);
 }
+
+/**
+ * [V61] ONE-TIME MIGRATION SCRIPT
+ * Fills the fileHash column for Receipt Log rows written before fingerprinting existed,
+ * so new submissions are de-duplicated against historical receipts too.
+ * Existing rows that share a hash are only reported, never re-labelled - review them manually.
+ * Re-run until it reports 0 remaining.
+ */
+function backfillReceiptFingerprints() {
+    const FUNC_NAME = 'backfillReceiptFingerprints';
+    writeLog('INFO', FUNC_NAME, 'Starting Receipt Fingerprint Backfill...');
+
+    const receiptWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.receipts.name);
+    const receiptData = receiptWs.getDataRange().getValues();
+
+    // LIMIT: Drive reads are slow; process a fixed batch per run to avoid timeouts.
+    const BATCH_SIZE = 50;
+    const seenHashes = new Map(); // hash -> receiptId
+    let processedCount = 0;
+    let remainingCount = 0;
+    let collisionCount = 0;
+
+    for (let i = 1; i < receiptData.length; i++) {
+        const receiptId = receiptData[i][SHEETS.receipts.cols.receiptId - 1];
+        let fileHash = String(receiptData[i][SHEETS.receipts.cols.fileHash - 1] || '');
+        const link = String(receiptData[i][SHEETS.receipts.cols.driveLink - 1] || '');
+
+        if (!fileHash && link) {
+            if (processedCount >= BATCH_SIZE) {
+                remainingCount++;
+                continue;
+            }
+
+            const fileId = extractFileIdFromUrl(link);
+            if (!fileId) continue;
+
+            try {
+                const blob = DriveApp.getFileById(fileId).getBlob();
+                fileHash = buildReceiptFingerprint(blob, {}, '').fileHash;
+                receiptWs.getRange(i + 1, SHEETS.receipts.cols.fileHash).setValue(fileHash);
+                processedCount++;
+            } catch (e) {
+                writeLog('WARN', FUNC_NAME, `Could not read file for ${receiptId}: ${e.message}`);
+                continue;
+            }
+        }
+
+        if (!fileHash) continue;
+
+        if (seenHashes.has(fileHash)) {
+            collisionCount++;
+            writeLog('WARN', FUNC_NAME, `${receiptId} has the same file as ${seenHashes.get(fileHash)}. Review manually.`);
+        } else {
+            seenHashes.set(fileHash, receiptId);
+        }
+    }
+
+    writeLog('SUCCESS', FUNC_NAME,
+        `Fingerprinted ${processedCount} receipts. Remaining: ${remainingCount}. Historical collisions: ${collisionCount}.`);
+}
+
+/**
+ * [V61] ONE-TIME MIGRATION SCRIPT
+ * Fills the pledgeAmount column (AE) for pledges submitted before it existed, using the
+ * legacy resolution (duration text, else verified + outstanding).
+ * Rows that still resolve to 0 are left blank and logged - enter their amounts manually.
+ */
+function backfillPledgeAmounts() {
+    const FUNC_NAME = 'backfillPledgeAmounts';
+    writeLog('INFO', FUNC_NAME, 'Starting Pledge Amount Backfill...');
+
+    const donationWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.donations.name);
+    const donationData = donationWs.getDataRange().getValues();
+    const colAmount = SHEETS.donations.cols.pledgeAmount;
+
+    let filledCount = 0;
+    let unresolvedCount = 0;
+    const amounts = [];
+
+    for (let i = 1; i < donationData.length; i++) {
+        const pledgeId = donationData[i][SHEETS.donations.cols.pledgeId - 1];
+        const stored = donationData[i][colAmount - 1];
+
+        if (!pledgeId || (stored !== '' && stored !== null && stored !== undefined)) {
+            amounts.push([stored === undefined ? '' : stored]);
+            continue;
+        }
+
+        const amount = resolvePledgeAmount(donationData[i]);
+        if (amount > 0) {
+            filledCount++;
+        } else {
+            unresolvedCount++;
+            writeLog('WARN', FUNC_NAME, `No amount for "${donationData[i][SHEETS.donations.cols.duration - 1]}". Enter it manually.`, pledgeId);
+        }
+        amounts.push([amount > 0 ? amount : '']);
+    }
+
+    if (amounts.length > 0) {
+        donationWs.getRange(2, colAmount, amounts.length, 1).setValues(amounts);
+    }
+
+    writeLog('SUCCESS', FUNC_NAME, `Filled ${filledCount} pledge amounts. Needing manual entry: ${unresolvedCount}.`);
+}
+
+/**
+ * [V61] MIGRATION REPORT (read-only)
+ * Lists IDs issued more than once before SequenceService.js existed: pledge IDs reused after
+ * rows were deleted/sorted or across years, clashing timestamp/random allocation and receipt IDs,
+ * and BATCH-IDs shared by different subscriptions. Nothing is changed - resolve each one manually.
+ * @returns {Object} { PLEDGE: [{ id, rows }], ALLOCATION: [...], RECEIPT: [...], BATCH: [...] }
+ */
+function reportIdCollisions() {
+    const FUNC_NAME = 'reportIdCollisions';
+    writeLog('INFO', FUNC_NAME, 'Scanning for historical ID collisions...');
+
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const report = {};
+
+    // One ID per row: any repeat is a collision
+    const uniqueColumns = {
+        PLEDGE: { sheet: SHEETS.donations, col: SHEETS.donations.cols.pledgeId },
+        ALLOCATION: { sheet: SHEETS.allocations, col: SHEETS.allocations.cols.allocId },
+        RECEIPT: { sheet: SHEETS.receipts, col: SHEETS.receipts.cols.receiptId }
+    };
+
+    Object.keys(uniqueColumns).forEach(type => {
+        const ws = ss.getSheetByName(uniqueColumns[type].sheet.name);
+        const rowsById = new Map();
+        if (ws && ws.getLastRow() > 1) {
+            ws.getRange(2, uniqueColumns[type].col, ws.getLastRow() - 1, 1).getValues().forEach((r, i) => {
+                const id = String(r[0] || '');
+                if (!id) return;
+                if (!rowsById.has(id)) rowsById.set(id, []);
+                rowsById.get(id).push(i + 2);
+            });
+        }
+        report[type] = [];
+        rowsById.forEach((rows, id) => { if (rows.length > 1) report[type].push({ id: id, rows: rows }); });
+    });
+
+    // A BATCH-ID spans many allocation rows; it collides when two subscriptions' runs share it
+    report.BATCH = [];
+    const ledgerWs = ss.getSheetByName(SHEETS.subscriptionBatchRuns.name);
+    if (ledgerWs && ledgerWs.getLastRow() > 1) {
+        const subsByBatch = new Map();
+        ledgerWs.getDataRange().getValues().slice(1).forEach((r, i) => {
+            const batchId = String(r[SHEETS.subscriptionBatchRuns.cols.batchId - 1] || '');
+            if (!batchId) return;
+            if (!subsByBatch.has(batchId)) subsByBatch.set(batchId, { subs: new Set(), rows: [] });
+            subsByBatch.get(batchId).subs.add(String(r[SHEETS.subscriptionBatchRuns.cols.subscriptionId - 1]));
+            subsByBatch.get(batchId).rows.push(i + 2);
+        });
+        subsByBatch.forEach((entry, id) => { if (entry.subs.size > 1) report.BATCH.push({ id: id, rows: entry.rows }); });
+    }
+
+    let total = 0;
+    Object.keys(report).forEach(type => {
+        report[type].forEach(c => {
+            total++;
+            writeLog('WARN', FUNC_NAME, `${type} ID ${c.id} is used on rows ${c.rows.join(', ')}. Review manually.`);
+        });
+    });
+
+    writeLog(total > 0 ? 'WARN' : 'SUCCESS', FUNC_NAME,
+        `Collision scan complete: ${report.PLEDGE.length} pledge, ${report.ALLOCATION.length} allocation, ` +
+        `${report.RECEIPT.length} receipt, ${report.BATCH.length} batch ID(s) in use more than once.`);
+    return report;
+}
+
+/**
+ * [V61] ONE-TIME MIGRATION SCRIPT
+ * Moves threads handled by the retired monitorUniversityReplies onto the Watchdog labels
+ * (MAPPINGS.hostelReplies), so runWatchdog neither re-processes nor loses them:
+ * - Every allocation of the thread's Pledge/Batch ID has an outcome -> Processed
+ * - Any still Pending Hostel or in Hostel Query, or no known ID -> Manual-Review (the legacy job only
+ *   updated the first allocation row of a pledge, so a human checks the rest)
+ * - Threads that already carry a Watchdog label keep it; a thread carrying both keeps Manual-Review only
+ * The legacy label is then removed. Handles 100 threads per label per run - re-run until it reports 0 remaining.
+ */
+function reconcileHostelReplyLabels() {
+    const FUNC_NAME = 'reconcileHostelReplyLabels';
+    const settings = MAPPINGS.hostelReplies;
+    writeLog('INFO', FUNC_NAME, 'Reconciling hostel reply labels...');
+
+    const processedLabel = getOrCreateLabel(settings.labels.processed);
+    const manualLabel = getOrCreateLabel(settings.labels.manualReview);
+
+    // Pledge and Batch IDs that still have an allocation waiting on the hostel
+    const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
+    const knownIds = new Set();
+    const openIds = new Set();
+    allocWs.getDataRange().getValues().slice(1).forEach(r => {
+        const status = r[SHEETS.allocations.cols.status - 1];
+        const isOpen = status === STATUS.allocation.PENDING_HOSTEL || status === STATUS.allocation.HOSTEL_QUERY;
+        [r[SHEETS.allocations.cols.pledgeId - 1], r[SHEETS.allocations.cols.batchId - 1]].forEach(id => {
+            if (!id) return;
+            knownIds.add(String(id));
+            if (isOpen) openIds.add(String(id));
+        });
+    });
+
+    let processedCount = 0;
+    let reviewCount = 0;
+    let remaining = 0;
+
+    for (const legacyName of settings.legacyLabels) {
+        const legacyLabel = GmailApp.getUserLabelByName(legacyName);
+        if (!legacyLabel) continue;
+
+        const threads = legacyLabel.getThreads(0, 100);
+        for (const thread of threads) {
+            const labelNames = thread.getLabels().map(l => l.getName());
+            if (!labelNames.includes(settings.labels.processed) && !labelNames.includes(settings.labels.manualReview)) {
+                const contextId = extractReplyContextId(thread.getFirstMessageSubject()) ||
+                    extractReplyContextId(getThreadContext(thread).formattedForLLM);
+
+                if (!contextId || !knownIds.has(contextId) || openIds.has(contextId)) {
+                    thread.addLabel(manualLabel);
+                    reviewCount++;
+                } else {
+                    thread.addLabel(processedLabel);
+                    processedCount++;
+                }
+            }
+            thread.removeLabel(legacyLabel);
+        }
+        if (threads.length === 100) remaining += legacyLabel.getThreads(0, 1).length;
+    }
+
+    // Conflicting outcomes: a human has to look at it, so it must not count as done
+    const conflicts = GmailApp.search(`label:"${settings.labels.processed}" label:"${settings.labels.manualReview}"`, 0, 100);
+    conflicts.forEach(thread => thread.removeLabel(processedLabel));
+
+    writeLog('SUCCESS', FUNC_NAME,
+        `Labels reconciled: ${processedCount} processed, ${reviewCount} for manual review, ` +
+        `${conflicts.length} conflicts cleared. Remaining: ${remaining > 0 ? 'more - re-run' : 0}.`);
+}
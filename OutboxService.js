@@ -0,0 +1,268 @@
+/**
+ * OutboxService.js
+ *
+ * [V61] Durable "Email Outbox" for notifications that must not be lost or sent ahead of the data.
+ *
+ * Key Features:
+ * - Workflows enqueue rendered messages (with threading IDs) after their data is committed
+ * - processEmailOutbox sends them via sendOrReply and writes the resulting message ID into
+ *   the target cell (e.g. Allocation Log → donorAllocId)
+ * - Failed sends are retried with exponential backoff; the daily Gmail quota is checked first
+ * - Every message stays on the sheet with its status, so nothing is silently dropped;
+ *   messages that exhaust their attempts are audited and can be re-queued (retryFailedEmails)
+ */
+
+// ==================================================================================
+//                              ENQUEUE
+// ==================================================================================
+
+/**
+ * Queues messages in one write.
+ *
+ * @param {Array<Object>} messages [{ recipient, subject, htmlBody, options, priorMessageIds, target, sourceRef }]
+ *   - options: { from, cc } as for sendOrReply (no attachments)
+ *   - priorMessageIds: thread candidates, in priority order
+ *   - target (optional): { sheet, keyCol, key, idCol, dateCol } cell(s) that receive the sent message ID
+ *   - sourceRef (optional): what produced the message (e.g. a BATCH-ID)
+ * @returns {Array<string>} Outbox IDs, in input order
+ */
+function enqueueEmails(messages) {
+    if (!messages || messages.length === 0) return [];
+
+    const outboxWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.emailOutbox.name);
+    if (!outboxWs) {
+        throw new Error(`${SHEETS.emailOutbox.name} sheet not found.`);
+    }
+
+    const stamp = new Date().getTime();
+    const now = new Date();
+    const ids = [];
+    const rows = messages.map((m, i) => {
+        const outboxId = `OUT-${stamp}-${i + 1}`;
+        ids.push(outboxId);
+        return [
+            outboxId,                                   // A: outboxId
+            now,                                        // B: createdAt
+            m.recipient,                                // C: recipient
+            m.subject,                                  // D: subject
+            m.htmlBody,                                 // E: htmlBody
+            JSON.stringify(m.options || {}),            // F: options
+            JSON.stringify((m.priorMessageIds || []).filter(id => id)), // G: threadIds
+            m.target ? JSON.stringify(m.target) : '',   // H: target
+            m.sourceRef || '',                          // I: sourceRef
+            STATUS.outbox.PENDING,                      // J: status
+            0,                                          // K: attempts
+            now,                                        // L: nextAttemptAt
+            '',                                         // M: lastError
+            '',                                         // N: sentMessageId
+            ''                                          // O: sentAt
+        ];
+    });
+
+    outboxWs.getRange(outboxWs.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    writeLog('INFO', 'enqueueEmails', `Queued ${rows.length} message(s): ${ids.join(', ')}`);
+    return ids;
+}
+
+/**
+ * Queues a single message. See enqueueEmails.
+ * @returns {string} Outbox ID
+ */
+function enqueueEmail(message) {
+    return enqueueEmails([message])[0];
+}
+
+// ==================================================================================
+//                              DRAIN
+// ==================================================================================
+
+/**
+ * Sends due outbox messages (oldest first).
+ * Schedule every 10 minutes via Apps Script Dashboard -> Triggers; workflows also call it
+ * right after enqueueing so messages normally go out immediately.
+ *
+ * - A failed send is retried with exponential backoff (MAPPINGS.outbox.baseDelayMinutes,
+ *   doubled per attempt) and marked Failed after MAPPINGS.outbox.maxAttempts
+ * - Sending stops while the daily Gmail quota is at or below MAPPINGS.outbox.quotaReserve,
+ *   and on a quota error; those messages stay Pending without using up an attempt
+ *
+ * @returns {Object} { sent, retrying, failed, deferred }
+ */
+function processEmailOutbox() {
+    const FUNC_NAME = 'processEmailOutbox';
+    const settings = MAPPINGS.outbox;
+    const counts = { sent: 0, retrying: 0, failed: 0, deferred: 0 };
+
+    withScriptLock_(() => {
+        try {
+            const outboxWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.emailOutbox.name);
+            if (!outboxWs) {
+                writeLog('WARN', FUNC_NAME, `${SHEETS.emailOutbox.name} sheet not found.`);
+                return;
+            }
+
+            const cols = SHEETS.emailOutbox.cols;
+            const data = outboxWs.getDataRange().getValues();
+            const now = new Date();
+            let quota = MailApp.getRemainingDailyQuota();
+            let processed = 0;
+
+            for (let i = 1; i < data.length; i++) {
+                if (data[i][cols.status - 1] !== STATUS.outbox.PENDING) continue;
+
+                const nextAttemptAt = data[i][cols.nextAttemptAt - 1];
+                if (nextAttemptAt && new Date(nextAttemptAt) > now) continue;
+
+                const options = JSON.parse(data[i][cols.options - 1] || '{}');
+                const recipientCount = countOutboxRecipients_(data[i][cols.recipient - 1], options.cc);
+
+                if (processed >= settings.maxPerRun || quota - recipientCount < settings.quotaReserve) {
+                    counts.deferred++;
+                    continue;
+                }
+
+                const row = i + 1;
+                const outboxId = data[i][cols.outboxId - 1];
+                const sourceRef = data[i][cols.sourceRef - 1];
+                const attempts = (Number(data[i][cols.attempts - 1]) || 0) + 1;
+                processed++;
+
+                try {
+                    const messageId = sendOrReply(
+                        data[i][cols.recipient - 1],
+                        data[i][cols.subject - 1],
+                        data[i][cols.htmlBody - 1],
+                        options,
+                        JSON.parse(data[i][cols.threadIds - 1] || '[]')
+                    );
+
+                    outboxWs.getRange(row, cols.status, 1, 6).setValues([[
+                        STATUS.outbox.SENT, attempts, '', '', formatIdForSheet(messageId), new Date()
+                    ]]);
+                    writeOutboxTarget_(data[i][cols.target - 1], messageId);
+                    quota -= recipientCount;
+                    counts.sent++;
+
+                } catch (sendErr) {
+                    if (isQuotaError_(sendErr)) {
+                        // Not the message's fault: keep its attempts and stop until the quota resets
+                        outboxWs.getRange(row, cols.lastError).setValue(sendErr.message);
+                        writeLog('WARN', FUNC_NAME, `Gmail quota reached at ${outboxId}. Remaining messages deferred.`, sourceRef);
+                        quota = 0;
+                        counts.deferred++;
+                        continue;
+                    }
+
+                    if (attempts >= settings.maxAttempts) {
+                        outboxWs.getRange(row, cols.status, 1, 4).setValues([[STATUS.outbox.FAILED, attempts, '', sendErr.message]]);
+                        writeLog('ERROR', FUNC_NAME, `Gave up on ${outboxId} after ${attempts} attempts: ${sendErr.message}`, sourceRef);
+                        logAuditEvent('SYSTEM', 'EMAIL_SEND_FAILED', outboxId,
+                            `Email to ${data[i][cols.recipient - 1]} failed`,
+                            STATUS.outbox.PENDING, STATUS.outbox.FAILED,
+                            { attempts: attempts, error: sendErr.message, sourceRef: sourceRef });
+                        counts.failed++;
+                    } else {
+                        const retryAt = new Date(now.getTime() + settings.baseDelayMinutes * Math.pow(2, attempts - 1) * 60 * 1000);
+                        outboxWs.getRange(row, cols.status, 1, 4).setValues([[STATUS.outbox.PENDING, attempts, retryAt, sendErr.message]]);
+                        writeLog('WARN', FUNC_NAME, `Send ${attempts} of ${outboxId} failed, retrying after ${retryAt}: ${sendErr.message}`, sourceRef);
+                        counts.retrying++;
+                    }
+                }
+            }
+
+            if (counts.sent + counts.retrying + counts.failed + counts.deferred > 0) {
+                writeLog('INFO', FUNC_NAME,
+                    `Outbox drained: ${counts.sent} sent, ${counts.retrying} retrying, ${counts.failed} failed, ` +
+                    `${counts.deferred} deferred. Daily quota left: ${quota}.`);
+            }
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Outbox run failed: ${e.message}`);
+        }
+    }, () => writeLog('WARN', FUNC_NAME, 'Could not acquire lock. Outbox left for the next run.'));
+
+    return counts;
+}
+
+/**
+ * Writes a sent message ID (and date) into the cell(s) named by an outbox target.
+ */
+function writeOutboxTarget_(targetJson, messageId) {
+    if (!targetJson) return;
+
+    const target = JSON.parse(targetJson);
+    const ws = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(target.sheet);
+    const found = ws ? findRowByValue(ws, target.keyCol, target.key) : null;
+    if (!found) {
+        writeLog('WARN', 'writeOutboxTarget_', `Target ${target.key} not found on ${target.sheet}. Message ID not stored.`);
+        return;
+    }
+
+    ws.getRange(found.row, target.idCol).setValue(formatIdForSheet(messageId));
+    if (target.dateCol) {
+        ws.getRange(found.row, target.dateCol).setValue(new Date());
+    }
+}
+
+/**
+ * Recipients a message uses from the daily quota (To + CC).
+ */
+function countOutboxRecipients_(recipient, cc) {
+    return [recipient, cc].join(',').split(',').filter(e => e && e.trim() !== '').length;
+}
+
+/**
+ * True for the "Service invoked too many times" / daily limit errors raised by GmailApp and MailApp.
+ */
+function isQuotaError_(err) {
+    return /too many times|limit exceeded|quota/i.test(String(err && err.message));
+}
+
+// ==================================================================================
+//                              RETRY
+// ==================================================================================
+
+/**
+ * Returns Failed messages to the queue with a fresh attempt count.
+ *
+ * @param {Array<string>} [outboxIds] Messages to retry; all Failed messages when omitted
+ * @returns {number} Messages re-queued
+ */
+function retryFailedEmails(outboxIds) {
+    const FUNC_NAME = 'retryFailedEmails';
+    const outboxWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.emailOutbox.name);
+    if (!outboxWs) {
+        throw new Error(`${SHEETS.emailOutbox.name} sheet not found.`);
+    }
+
+    const cols = SHEETS.emailOutbox.cols;
+    const data = outboxWs.getDataRange().getValues();
+    const requested = outboxIds && outboxIds.length > 0 ? new Set(outboxIds) : null;
+    let requeued = 0;
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][cols.status - 1] !== STATUS.outbox.FAILED) continue;
+        if (requested && !requested.has(data[i][cols.outboxId - 1])) continue;
+
+        outboxWs.getRange(i + 1, cols.status, 1, 3).setValues([[STATUS.outbox.PENDING, 0, new Date()]]);
+        requeued++;
+    }
+
+    writeLog('INFO', FUNC_NAME, `Re-queued ${requeued} failed message(s).`);
+    return requeued;
+}
+
+/**
+ * Counts outbox messages by status, for the Retry menu and monitoring.
+ * @returns {Object} { pending, failed }
+ */
+function getEmailOutboxSummary() {
+    const outboxWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.emailOutbox.name);
+    const summary = { pending: 0, failed: 0 };
+    if (!outboxWs) return summary;
+
+    const statuses = outboxWs.getDataRange().getValues().slice(1).map(r => r[SHEETS.emailOutbox.cols.status - 1]);
+    summary.pending = statuses.filter(s => s === STATUS.outbox.PENDING).length;
+    summary.failed = statuses.filter(s => s === STATUS.outbox.FAILED).length;
+    return summary;
+}
@@ -0,0 +1,283 @@
+/**
+ * PledgeChangeService.js
+ *
+ * [V61] Changes to a pledge after submission: amendment and cancellation.
+ *
+ * Key Features:
+ * - Amendment re-resolves the pledge amount (stored pledgeAmount, Column AE) from a new
+ *   duration or amount; monthly pledges get their unpaid installments rescheduled instead
+ * - Old and new amounts are audited (PLEDGE_AMENDED); outstanding and status follow the ledgers
+ * - Cancellation is refused while any allocation from the pledge is active
+ * - The donor is emailed on the pledge's existing thread
+ * - Runs under the script lock; a caller that already holds it (donor request approval) keeps it
+ */
+
+// ==================================================================================
+//                              AMENDMENT
+// ==================================================================================
+
+/**
+ * Amends the amount (one-time) or schedule (monthly) of a pledge.
+ *
+ * @param {string} pledgeId The pledge ID
+ * @param {Object} changes One-time: { term } - a duration ("2 semesters") or amount ("PKR 150,000").
+ *   Monthly: { monthlyAmount, months } - either may be blank to keep the current value
+ * @param {string} reason Why the pledge is amended (required)
+ * @returns {Object} { success, pledgeId, oldAmount, newAmount, outstanding, previousStatus, newStatus, error }
+ */
+function amendPledge(pledgeId, changes, reason) {
+    const FUNC_NAME = 'amendPledge';
+    return withScriptLock_(() => {
+        try {
+            if (!reason || !String(reason).trim()) {
+                return operationFailure_('REASON_REQUIRED', 'An amendment reason is required.');
+            }
+
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const rawWs = ss.getSheetByName(SHEETS.donations.name);
+            const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+            const totals = getPledgeLedgerTotals(pledgeId, ss);
+            if (!donationRow || !totals) {
+                return operationFailure_('NOT_FOUND', `Pledge ${pledgeId} could not be loaded.`);
+            }
+
+            const currentStatus = donationRow.data[SHEETS.donations.cols.status - 1];
+            if ([STATUS.pledge.CANCELLED, STATUS.pledge.REJECTED, STATUS.pledge.CLOSED].includes(currentStatus)) {
+                return operationFailure_('NOT_AMENDABLE', `Pledge ${pledgeId} is ${currentStatus} and cannot be amended.`);
+            }
+
+            const oldAmount = resolvePledgeAmount(donationRow.data);
+            const request = changes || {};
+
+            // --- MONTHLY: reschedule the installments; the stored amount follows the schedule ---
+            if (findSubscriptionByPledgeId(pledgeId)) {
+                if (!amendSubscription(pledgeId, request.monthlyAmount, request.months, reason)) {
+                    return operationFailure_('SCHEDULE_NOT_AMENDED', `Schedule of ${pledgeId} not amended (see Log).`);
+                }
+
+                const updatedRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+                const newAmount = resolvePledgeAmount(updatedRow.data);
+                logAuditEvent(getActor(), 'PLEDGE_AMENDED', pledgeId, `Pledge amended: ${reason}`, oldAmount, newAmount,
+                    { monthlyAmount: request.monthlyAmount || '', months: request.months || '', reason: reason });
+
+                writeLog('SUCCESS', FUNC_NAME, `Monthly pledge amended: PKR ${oldAmount} → ${newAmount}.`, pledgeId);
+                return {
+                    success: true,
+                    pledgeId: pledgeId,
+                    oldAmount: oldAmount,
+                    newAmount: newAmount,
+                    outstanding: Number(updatedRow.data[SHEETS.donations.cols.pledgeOutstanding - 1]) || 0,
+                    previousStatus: currentStatus,
+                    newStatus: currentStatus,
+                    error: null
+                };
+            }
+
+            // --- ONE-TIME: new amount from the duration/amount answer ---
+            const newAmount = getPledgeAmountFromDuration(request.term);
+            if (!newAmount) {
+                return operationFailure_('INVALID_AMOUNT', `"${request.term || ''}" is not a duration or amount.`);
+            }
+            if (newAmount === oldAmount) {
+                return operationFailure_('NO_CHANGE', `Pledge ${pledgeId} is already PKR ${oldAmount.toLocaleString()}.`);
+            }
+            if (newAmount < totals.allocated) {
+                return operationFailure_('BELOW_ALLOCATED',
+                    `Cannot amend ${pledgeId} to PKR ${newAmount.toLocaleString()}: PKR ${totals.allocated.toLocaleString()} is already allocated.`);
+            }
+
+            // Validate the status move before writing anything
+            const targetStatus = derivePledgeStatus(newAmount, totals.verified, totals.allocated);
+            const check = checkStatusTransition('PLEDGE', currentStatus, targetStatus);
+            if (!check.allowed) {
+                return { success: false, pledgeId: pledgeId, error: check.error };
+            }
+
+            rawWs.getRange(donationRow.row, SHEETS.donations.cols.pledgeAmount).setValue(newAmount);
+            const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+
+            const statusResult = transitionStatus({
+                type: 'PLEDGE',
+                sheet: rawWs,
+                row: donationRow.row,
+                targetStatus: targetStatus,
+                targetId: pledgeId,
+                description: `Pledge amended to PKR ${newAmount.toLocaleString()}`,
+                metadata: { oldAmount: oldAmount, newAmount: newAmount }
+            });
+
+            const messageId = sendPledgeChangeEmail_(donationRow.data, `Pledge Updated: ${pledgeId}`,
+                `Your pledge <strong>${pledgeId}</strong> has been updated from PKR ${oldAmount.toLocaleString()} ` +
+                `to <strong>PKR ${newAmount.toLocaleString()}</strong>.`,
+                [
+                    `Received so far: PKR ${refreshed.verified.toLocaleString()}`,
+                    `Still to be transferred: PKR ${refreshed.outstanding.toLocaleString()}`
+                ]);
+
+            logAuditEvent(getActor(), 'PLEDGE_AMENDED', pledgeId, `Pledge amended: ${reason}`, oldAmount, newAmount,
+                { term: request.term, outstanding: refreshed.outstanding, reason: reason, messageId: formatIdForSheet(messageId) });
+
+            try {
+                syncPledgeData();
+            } catch (syncErr) {
+                writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`, pledgeId);
+            }
+
+            writeLog('SUCCESS', FUNC_NAME, `Pledge amended: PKR ${oldAmount} → ${newAmount}.`, pledgeId);
+            return {
+                success: true,
+                pledgeId: pledgeId,
+                oldAmount: oldAmount,
+                newAmount: newAmount,
+                outstanding: refreshed.outstanding,
+                previousStatus: statusResult.previousStatus,
+                newStatus: statusResult.newStatus,
+                error: null
+            };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to amend pledge: ${e.message}`, pledgeId);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+// ==================================================================================
+//                              CANCELLATION
+// ==================================================================================
+
+/**
+ * Cancels a pledge at the donor's request. Refused while any allocation from the pledge is
+ * active, and while it holds received money (or proof awaiting verification): a cancelled
+ * pledge can no longer be allocated, so that money is refunded or allocated first.
+ * A monthly pledge also has its unpaid installments voided (cancelSubscription).
+ *
+ * @param {string} pledgeId The pledge ID
+ * @param {string} reason Why the pledge is cancelled (required)
+ * @returns {Object} { success, pledgeId, previousStatus, newStatus, error }
+ */
+function cancelPledge(pledgeId, reason) {
+    const FUNC_NAME = 'cancelPledge';
+    return withScriptLock_(() => {
+        try {
+            if (!reason || !String(reason).trim()) {
+                return operationFailure_('REASON_REQUIRED', 'A cancellation reason is required.');
+            }
+
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const rawWs = ss.getSheetByName(SHEETS.donations.name);
+            const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+            const totals = getPledgeLedgerTotals(pledgeId, ss);
+            if (!donationRow || !totals) {
+                return operationFailure_('NOT_FOUND', `Pledge ${pledgeId} could not be loaded.`);
+            }
+
+            if (totals.allocated > 0) {
+                return operationFailure_('FUNDS_ALLOCATED',
+                    `Cannot cancel ${pledgeId}: PKR ${totals.allocated.toLocaleString()} is allocated to students. ` +
+                    'Cancel or move those allocations first.');
+            }
+
+            // Received money would be stranded: '9 - Cancelled' cannot move on to allocation
+            const currentStatus = donationRow.data[SHEETS.donations.cols.status - 1];
+            if (totals.verified > 0 || currentStatus === STATUS.pledge.PROOF_SUBMITTED || currentStatus === STATUS.pledge.VERIFIED) {
+                const hint = findSubscriptionByPledgeId(pledgeId) ? ' To stop further monthly payments only, cancel the subscription.' : '';
+                return operationFailure_('FUNDS_RECEIVED',
+                    `Cannot cancel ${pledgeId}: PKR ${totals.verified.toLocaleString()} has been received (status ${currentStatus}). ` +
+                    `Refund or reject the receipts, or allocate the money, first.${hint}`);
+            }
+
+            const check = checkStatusTransition('PLEDGE', currentStatus, STATUS.pledge.CANCELLED);
+            if (!check.allowed || currentStatus === STATUS.pledge.CANCELLED) {
+                return operationFailure_('NOT_CANCELLABLE', `Pledge ${pledgeId} is ${currentStatus} and cannot be cancelled.`);
+            }
+
+            // Monthly pledge: void the unpaid installments (emails the donor on the welcome thread)
+            const subRow = findSubscriptionByPledgeId(pledgeId);
+            const subStatus = subRow ? subRow.data[SHEETS.monthlyPledges.cols.status - 1] : '';
+            if (subRow && subStatus !== STATUS.subscription.CANCELLED && subStatus !== STATUS.subscription.COMPLETED) {
+                if (!cancelSubscription(pledgeId, reason)) {
+                    return operationFailure_('SUBSCRIPTION_NOT_CANCELLED', `Subscription ${pledgeId} could not be cancelled (see Log).`);
+                }
+            }
+
+            const statusResult = transitionStatus({
+                type: 'PLEDGE',
+                sheet: rawWs,
+                row: donationRow.row,
+                targetStatus: STATUS.pledge.CANCELLED,
+                targetId: pledgeId,
+                eventType: 'PLEDGE_CANCELLED',
+                description: `Pledge cancelled: ${reason}`,
+                metadata: { reason: reason, pledgeAmount: resolvePledgeAmount(donationRow.data) }
+            });
+
+            refreshPledgeCachedTotals(pledgeId, ss); // Outstanding drops to 0
+
+            if (!subRow) {
+                sendPledgeChangeEmail_(donationRow.data, `Pledge Cancelled: ${pledgeId}`,
+                    `Your pledge <strong>${pledgeId}</strong> has been cancelled as requested; no further transfer is expected.`,
+                    []);
+            }
+
+            try {
+                syncPledgeData();
+            } catch (syncErr) {
+                writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`, pledgeId);
+            }
+
+            writeLog('SUCCESS', FUNC_NAME, `Pledge cancelled: ${reason}`, pledgeId);
+
+            return {
+                success: true,
+                pledgeId: pledgeId,
+                previousStatus: statusResult.previousStatus,
+                newStatus: statusResult.newStatus,
+                error: null
+            };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to cancel pledge: ${e.message}`, pledgeId);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+// ==================================================================================
+//                              HELPERS
+// ==================================================================================
+
+/**
+ * Emails the donor about a change, threaded on the pledge's receipt or confirmation thread.
+ *
+ * @param {Array} rowData The RAW row values
+ * @param {string} subject Subject when no thread exists
+ * @param {string} summary Opening sentence (HTML)
+ * @param {Array<string>} details Bullet points
+ * @returns {string|null} Message ID, or null if not sent
+ */
+function sendPledgeChangeEmail_(rowData, subject, summary, details) {
+    const pledgeId = rowData[SHEETS.donations.cols.pledgeId - 1];
+
+    try {
+        const htmlBody = `
+          <p>Dear ${rowData[SHEETS.donations.cols.donorName - 1]},</p>
+          <p>${summary}</p>
+          ${details.length > 0 ? `<ul>${details.map(d => `<li>${d}</li>`).join('')}</ul>` : ''}
+          <p>If this does not match what you asked for, please reply to this email.</p>
+          <p>NUST Hostels Admin Directorate</p>
+        `;
+
+        return sendOrReply(
+            rowData[SHEETS.donations.cols.donorEmail - 1],
+            subject,
+            htmlBody,
+            { from: EMAILS.processOwner },
+            [rowData[SHEETS.donations.cols.receiptMessageId - 1], rowData[SHEETS.donations.cols.pledgeEmailId - 1]]
+        );
+    } catch (e) {
+        writeLog('WARN', 'sendPledgeChangeEmail_', `Failed to email donor: ${e.message}`, pledgeId);
+        return null;
+    }
+}
+
@@ -0,0 +1,420 @@
+/**
+ * ReceiptService.js
+ *
+ * [V61] Receipt Log helpers shared by the receipt processing paths.
+ *
+ * Key Features:
+ * - Content fingerprints (file hash + amount/date/sender, plus the bank reference when shown) for every receipt
+ * - Duplicate detection across the whole Receipt Log (not just the current email). Only a file
+ *   hash or bank reference match is proof; an amount/date/sender match is counted and flagged for review
+ * - Duplicate reporting to the AI Audit Log and the process owner
+ * - Receipt rejection/reversal with ledger-correct cached totals
+ * - Foreign-currency receipts logged with their original amount and converted to PKR (CurrencyService.js)
+ * - Money returned to donors is tracked against the receipt on the Refunds sheet (RefundService.js)
+ */
+
+// ==================================================================================
+//                              FINGERPRINTING
+// ==================================================================================
+
+/**
+ * Builds the fingerprint for a receipt attachment.
+ *
+ * @param {Blob} blob The receipt attachment
+ * @param {Object} rx The AI-extracted receipt ({ amount, date, sender_name, transaction_ref })
+ * @param {string} fallbackSender Email sender, used when the AI found no name on the slip
+ * @returns {Object} { fileHash, contentKey } - contentKey is '' when amount/date/sender are incomplete
+ */
+function buildReceiptFingerprint(blob, rx, fallbackSender) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, blob.getBytes());
+    const fileHash = digest.map(b => ('0' + (b & 0xff).toString(16)).slice(-2)).join('');
+
+    return {
+        fileHash: fileHash,
+        contentKey: buildReceiptContentKey_(rx.amount, rx.date, rx.sender_name || fallbackSender, rx.transaction_ref)
+    };
+}
+
+/**
+ * Normalizes the amount/date/sender tuple into a comparable key, with the bank reference
+ * appended as a fourth part when the slip shows one.
+ * A partial tuple is not a reliable match, so it yields ''.
+ */
+function buildReceiptContentKey_(amount, date, sender, reference) {
+    const cleanAmount = Number(amount) || 0;
+    const cleanDate = String(date || '').trim();
+    const cleanSender = String(sender || '').toLowerCase().replace(/[\s|]+/g, ' ').trim();
+    const cleanReference = String(reference || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+    if (cleanAmount <= 0 || !cleanDate || cleanDate === 'Unknown' || !cleanSender) return '';
+    const key = `${cleanAmount}|${cleanDate}|${cleanSender}`;
+    return cleanReference ? `${key}|${cleanReference}` : key;
+}
+
+/**
+ * Splits a content key into its amount|date|sender part and its bank reference ('' if none).
+ */
+function splitReceiptContentKey_(contentKey) {
+    const parts = String(contentKey || '').split('|');
+    return { base: parts.slice(0, 3).join('|'), reference: parts[3] || '' };
+}
+
+/**
+ * Loads the fingerprints of every original (non-duplicate) row in the Receipt Log.
+ *
+ * @param {Sheet} receiptsWs The Receipt Log sheet
+ * @returns {Object} { byHash: Map<fileHash, receiptId>,
+ *                     byContent: Map<amount|date|sender, Array<{ receiptId, reference }>> }
+ */
+function loadReceiptFingerprintIndex(receiptsWs) {
+    const index = { byHash: new Map(), byContent: new Map() };
+    const data = receiptsWs.getDataRange().getValues();
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][SHEETS.receipts.cols.status - 1] === STATUS.receipt.DUPLICATE) continue;
+
+        registerReceiptFingerprint(index, {
+            fileHash: String(data[i][SHEETS.receipts.cols.fileHash - 1] || ''),
+            contentKey: String(data[i][SHEETS.receipts.cols.contentKey - 1] || '')
+        }, data[i][SHEETS.receipts.cols.receiptId - 1]);
+    }
+
+    return index;
+}
+
+/**
+ * Looks up a fingerprint in the index.
+ * Only the same file or the same bank reference proves a repeat (isDuplicate). Two real
+ * transfers can share amount, date and sender (e.g. a split payment), so a match on those
+ * alone is returned with isDuplicate false: the receipt is counted and flagged for review.
+ * Different bank references on both slips mean different transfers, so no match.
+ *
+ * @param {Object} index From loadReceiptFingerprintIndex()
+ * @param {Object} fingerprint From buildReceiptFingerprint()
+ * @returns {Object|null} { receiptId, matchedOn: 'FILE_HASH' | 'BANK_REFERENCE' | 'CONTENT', isDuplicate }
+ *   or null if new
+ */
+function matchReceiptFingerprint(index, fingerprint) {
+    if (fingerprint.fileHash && index.byHash.has(fingerprint.fileHash)) {
+        return { receiptId: index.byHash.get(fingerprint.fileHash), matchedOn: 'FILE_HASH', isDuplicate: true };
+    }
+    if (!fingerprint.contentKey) return null;
+
+    const { base, reference } = splitReceiptContentKey_(fingerprint.contentKey);
+    const candidates = index.byContent.get(base) || [];
+    const sameReference = reference && candidates.find(c => c.reference === reference);
+    if (sameReference) {
+        return { receiptId: sameReference.receiptId, matchedOn: 'BANK_REFERENCE', isDuplicate: true };
+    }
+    const unconfirmed = candidates.find(c => !reference || !c.reference);
+    if (unconfirmed) {
+        return { receiptId: unconfirmed.receiptId, matchedOn: 'CONTENT', isDuplicate: false };
+    }
+    return null;
+}
+
+/**
+ * Adds a fingerprint to the index so repeats within the same run are caught too.
+ */
+function registerReceiptFingerprint(index, fingerprint, receiptId) {
+    if (fingerprint.fileHash && !index.byHash.has(fingerprint.fileHash)) {
+        index.byHash.set(fingerprint.fileHash, receiptId);
+    }
+    if (fingerprint.contentKey) {
+        const { base, reference } = splitReceiptContentKey_(fingerprint.contentKey);
+        if (!index.byContent.has(base)) index.byContent.set(base, []);
+        index.byContent.get(base).push({ receiptId: receiptId, reference: reference });
+    }
+}
+
+// ==================================================================================
+//                              RECEIPT LOGGING
+// ==================================================================================
+
+/**
+ * Saves and logs the receipts the AI extracted from one email.
+ * Every receipt is fingerprinted against the whole Receipt Log; repeats are saved and
+ * logged as DUPLICATE but not counted. A receipt that only shares amount, date and sender with
+ * an earlier one is logged VALID, counted, and returned in possibleDuplicates for review.
+ * Shared by the pledge and subscription paths.
+ *
+ * @param {string} pledgeId The pledge (or subscription) the email is about
+ * @param {Array<Object>} receipts aiResult.valid_receipts
+ * @param {Array<Blob>} attachments The email's attachments
+ * @param {GmailMessage} message The email
+ * @param {number} declaredFallback Declared amount used when the AI found none
+ * @returns {Object} { valid: [{ receiptId, amount, date }], duplicates, possibleDuplicates, unconverted, links,
+ *   totalVerified, lastTransferDate }
+ *   Amounts are PKR. unconverted lists VALID receipts logged without a rate (counted as 0 until converted).
+ */
+function logAnalyzedReceipts(pledgeId, receipts, attachments, message, declaredFallback) {
+    const wsReceipts = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.receipts.name);
+    const driveFolder = DriveApp.getFolderById(CONFIG.folderId_receipts);
+    const fingerprintIndex = loadReceiptFingerprintIndex(wsReceipts);
+    const fxRates = loadFxRates();
+    const result = {
+        valid: [], duplicates: [], possibleDuplicates: [], unconverted: [], links: [],
+        totalVerified: 0, lastTransferDate: 'Unknown'
+    };
+
+    for (const rx of receipts) {
+        // 1. Find file
+        const fileObj = attachments.find(a => a.getName() === rx.filename);
+        if (!fileObj) continue;
+
+        // 2. Fingerprint & check for a repeat submission
+        const receiptId = nextSequenceId('RECEIPT', { pledgeId: pledgeId }); // [V61] See SequenceService.js
+        const fingerprint = buildReceiptFingerprint(fileObj, rx, message.getFrom());
+        const match = matchReceiptFingerprint(fingerprintIndex, fingerprint);
+        const duplicateMatch = match && match.isDuplicate ? match : null;
+        const transferDate = rx.date && rx.date !== 'Unknown' ? rx.date : ''; // The AI reports 'Unknown' when the slip has no date
+        const fx = convertToPkr(rx.amount, rx.currency, transferDate || message.getDate(), fxRates);
+
+        // 3. Save File (duplicates are kept as evidence)
+        const newFileName = `${duplicateMatch ? 'DUPLICATE - ' : ''}${pledgeId} - ${rx.filename}`;
+        const savedFile = driveFolder.createFile(fileObj.copyBlob()).setName(newFileName);
+        const fileUrl = savedFile.getUrl();
+        result.links.push(fileUrl);
+
+        // 4. Log to Sheet
+        wsReceipts.appendRow([
+            receiptId,
+            pledgeId,
+            new Date(),
+            message.getDate(),
+            rx.date || "Unknown",
+            rx.amount_declared || declaredFallback || "N/A", // Declared (LLM > Pledge > N/A)
+            fx.amountPkr, // Verified Amount (PKR)
+            rx.confidence_score || rx.confidence || "UNKNOWN", // Support new and old schema
+            fileUrl,
+            rx.filename,
+            duplicateMatch ? STATUS.receipt.DUPLICATE : STATUS.receipt.VALID,
+            fingerprint.fileHash,
+            fingerprint.contentKey,
+            match ? match.receiptId : '', // duplicateOf; on a VALID row, the receipt to review it against
+            '', // rejectionReason
+            fx.currency,
+            fx.amountOriginal,
+            fx.rate,
+            fx.source
+        ]);
+
+        if (duplicateMatch) {
+            // Not counted: DUPLICATE rows are excluded from every balance calculation
+            result.duplicates.push({
+                receiptId: receiptId,
+                filename: rx.filename,
+                amount: fx.amountPkr,
+                duplicateOf: duplicateMatch.receiptId,
+                matchedOn: duplicateMatch.matchedOn
+            });
+            continue;
+        }
+
+        registerReceiptFingerprint(fingerprintIndex, fingerprint, receiptId);
+        if (match) {
+            result.possibleDuplicates.push({
+                receiptId: receiptId,
+                filename: rx.filename,
+                amount: fx.amountPkr,
+                duplicateOf: match.receiptId,
+                matchedOn: match.matchedOn
+            });
+        }
+        if (!fx.converted) {
+            result.unconverted.push({ receiptId: receiptId, currency: fx.currency, amount: fx.amountOriginal, date: rx.date || 'Unknown' });
+        }
+        result.valid.push({ receiptId: receiptId, amount: fx.amountPkr, date: transferDate });
+        result.totalVerified += fx.amountPkr;
+        if (transferDate) result.lastTransferDate = transferDate;
+    }
+
+    return result;
+}
+
+// ==================================================================================
+//                              DUPLICATE REPORTING
+// ==================================================================================
+
+/**
+ * Reports duplicate and possible duplicate receipts found in one email.
+ * Writes them to the latest AI Audit Log entry for the pledge and alerts the process owner.
+ *
+ * @param {string} pledgeId The pledge the email was about
+ * @param {Array<Object>} duplicates [{ receiptId, filename, amount, duplicateOf, matchedOn }]
+ * @param {string} threadLink Gmail permalink of the email thread
+ * @param {Array<Object>} [possibleDuplicates] Same shape; logged VALID and counted (logAnalyzedReceipts)
+ */
+function reportDuplicateReceipts(pledgeId, duplicates, threadLink, possibleDuplicates = []) {
+    const FUNC_NAME = 'reportDuplicateReceipts';
+    duplicates = duplicates || [];
+    possibleDuplicates = possibleDuplicates || [];
+    if (duplicates.length === 0 && possibleDuplicates.length === 0) return;
+
+    const describe = (d, relation) =>
+        `${d.filename} (PKR ${Number(d.amount || 0).toLocaleString()}) ${relation} ${d.duplicateOf} [${d.matchedOn}]`;
+    const duplicateLines = duplicates.map(d => describe(d, 'duplicates'));
+    const possibleLines = possibleDuplicates.map(d => describe(d, 'counted; same amount, date and sender as'));
+    const lines = duplicateLines.concat(possibleLines);
+
+    // 1. AI Audit Log (most recent entry for this pledge)
+    try {
+        const aiLogWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.aiAuditLog.name);
+        if (aiLogWs) {
+            const data = aiLogWs.getDataRange().getValues();
+            for (let i = data.length - 1; i >= 1; i--) {
+                if (data[i][SHEETS.aiAuditLog.cols.pledgeId - 1] === pledgeId) {
+                    aiLogWs.getRange(i + 1, SHEETS.aiAuditLog.cols.duplicates).setValue(lines.join('\n'));
+                    break;
+                }
+            }
+        }
+    } catch (e) {
+        writeLog('WARN', FUNC_NAME, `Failed to update AI log with duplicates: ${e.message}`, pledgeId);
+    }
+
+    // 2. Process owner alert
+    try {
+        MailApp.sendEmail({
+            to: EMAILS.processOwner,
+            subject: `[REVIEW] ${duplicates.length > 0 ? 'Duplicate' : 'Possible duplicate'} receipt(s) submitted for ${pledgeId}`,
+            htmlBody: `
+              ${duplicateLines.length > 0 ? `
+              <p>The receipt processor found ${duplicates.length} receipt(s) that were already in the Receipt Log.
+              They were logged as <strong>${STATUS.receipt.DUPLICATE}</strong> and not counted towards the pledge.</p>
+              <ul>${duplicateLines.map(l => `<li>${l}</li>`).join('')}</ul>` : ''}
+              ${possibleLines.length > 0 ? `
+              <p>${possibleDuplicates.length} receipt(s) have the same amount, transfer date and sender as an earlier
+              receipt, with no file or bank reference match to prove a repeat. They were logged as
+              <strong>${STATUS.receipt.VALID}</strong> and counted. If one is a resubmission, reject it
+              (menu: Reject / Reverse Receipt) so the pledge total is corrected.</p>
+              <ul>${possibleLines.map(l => `<li>${l}</li>`).join('')}</ul>` : ''}
+              <p><a href="${threadLink}">Open Email Thread</a></p>
+            `
+        });
+    } catch (e) {
+        writeLog('WARN', FUNC_NAME, `Failed to alert process owner: ${e.message}`, pledgeId);
+    }
+
+    writeLog('WARN', FUNC_NAME,
+        `${duplicates.length} duplicate and ${possibleDuplicates.length} possible duplicate receipt(s) reported.`, pledgeId);
+}
+
+// ==================================================================================
+//                              REJECTION / REVERSAL
+// ==================================================================================
+
+/**
+ * Rejects (reverses) a VALID receipt.
+ * Flips the Receipt Log row to REJECTED, rebuilds the pledge's cached totals from the logs
+ * and moves the pledge status back. Refused if the pledge's allocations would exceed the
+ * verified funds left after the reversal.
+ *
+ * @param {string} receiptId The Receipt Log ID
+ * @param {string} reason Why the receipt is rejected (required)
+ * @returns {Object} { success, receiptId, pledgeId, totals, previousStatus, newStatus, error }
+ */
+function rejectReceipt(receiptId, reason) {
+    const FUNC_NAME = 'rejectReceipt';
+    return withScriptLock_(() => {
+        try {
+            if (!reason || !String(reason).trim()) {
+                return operationFailure_('REASON_REQUIRED', 'A rejection reason is required.');
+            }
+
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const receiptsWs = ss.getSheetByName(SHEETS.receipts.name);
+            const rawWs = ss.getSheetByName(SHEETS.donations.name);
+
+            // 1. Find the receipt
+            const receiptRow = findRowByValue(receiptsWs, SHEETS.receipts.cols.receiptId, receiptId);
+            if (!receiptRow) {
+                return operationFailure_('NOT_FOUND', `Receipt ${receiptId} not found in the Receipt Log.`);
+            }
+
+            const receiptStatus = receiptRow.data[SHEETS.receipts.cols.status - 1];
+            if (receiptStatus && receiptStatus !== STATUS.receipt.VALID) {
+                return operationFailure_('NOT_VALID', `Receipt ${receiptId} is ${receiptStatus}; only VALID receipts can be reversed.`);
+            }
+
+            // [V61] A refund already takes this money off the pledge; rejecting would take it off twice
+            if (getReceiptRefundedAmount(receiptId, ss) > 0) {
+                return operationFailure_('HAS_REFUND', `Receipt ${receiptId} has a refund recorded against it (see ${SHEETS.refunds.name}).`);
+            }
+
+            const pledgeId = String(receiptRow.data[SHEETS.receipts.cols.pledgeId - 1]);
+            const amount = Number(receiptRow.data[SHEETS.receipts.cols.amountVerified - 1]) || 0;
+
+            const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+            const totals = getPledgeLedgerTotals(pledgeId, ss);
+            if (!donationRow || !totals) {
+                return operationFailure_('PLEDGE_NOT_FOUND', `Pledge ${pledgeId} could not be loaded.`);
+            }
+
+            // 2. Existing allocations must stay covered by the remaining verified funds
+            const remainingVerified = totals.verified - amount;
+            if (totals.allocated > remainingVerified) {
+                return operationFailure_('ALLOCATIONS_EXCEED_FUNDS',
+                    `Cannot reject ${receiptId}: ${pledgeId} has PKR ${totals.allocated.toLocaleString()} allocated ` +
+                    `but only PKR ${remainingVerified.toLocaleString()} would remain verified. Cancel or move allocations first.`);
+            }
+
+            // 3. Validate the status move before writing anything
+            const currentStatus = donationRow.data[SHEETS.donations.cols.status - 1];
+            const targetStatus = derivePledgeStatus(resolvePledgeAmount(donationRow.data), remainingVerified, totals.allocated);
+            const check = checkStatusTransition('PLEDGE', currentStatus, targetStatus);
+            if (!check.allowed) {
+                return { success: false, receiptId: receiptId, pledgeId: pledgeId, error: check.error };
+            }
+
+            // 4. Commit: receipt row, cached totals, status
+            receiptsWs.getRange(receiptRow.row, SHEETS.receipts.cols.status).setValue(STATUS.receipt.REJECTED);
+            receiptsWs.getRange(receiptRow.row, SHEETS.receipts.cols.rejectionReason).setValue(reason);
+
+            const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+
+            const statusResult = transitionStatus({
+                type: 'PLEDGE',
+                sheet: rawWs,
+                row: donationRow.row,
+                targetStatus: targetStatus,
+                targetId: pledgeId,
+                description: `Receipt ${receiptId} reversed`,
+                metadata: { receiptId: receiptId, amount: amount }
+            });
+
+            logAuditEvent(
+                getActor(),
+                'RECEIPT_REJECTED',
+                receiptId,
+                `Receipt rejected: ${reason}`,
+                STATUS.receipt.VALID,
+                STATUS.receipt.REJECTED,
+                { pledgeId: pledgeId, amount: amount, reason: reason }
+            );
+
+            try {
+                syncPledgeData();
+            } catch (syncErr) {
+                writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`, pledgeId);
+            }
+
+            writeLog('SUCCESS', FUNC_NAME, `Receipt ${receiptId} (PKR ${amount}) rejected: ${reason}`, pledgeId);
+
+            return {
+                success: true,
+                receiptId: receiptId,
+                pledgeId: pledgeId,
+                totals: refreshed,
+                previousStatus: statusResult.previousStatus,
+                newStatus: statusResult.newStatus,
+                error: null
+            };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to reject receipt ${receiptId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
@@ -0,0 +1,318 @@
+/**
+ * RefundService.js
+ *
+ * [V61] Money returned to donors (wrong account, duplicate payment, donor request).
+ *
+ * Key Features:
+ * - Refunds sheet: one row per return, linked to the Receipt Log row the money came in on
+ * - Requested → Approved → Returned (or Rejected); nothing changes balances until approval
+ * - Approved and Returned refunds reduce the pledge's verified total and cash balance
+ *   (getPledgeLedgerTotals); the receipt itself stays VALID as the record of what arrived
+ * - Proof of return is saved to the receipts folder and linked on the row
+ */
+
+// ==================================================================================
+//                              REQUEST
+// ==================================================================================
+
+/**
+ * Records a refund request against a receipt. Balances are untouched until it is approved.
+ *
+ * @param {string} receiptId The Receipt Log ID the money came in on
+ * @param {number} [amount] PKR to return; blank returns whatever of the receipt is not yet refunded
+ * @param {string} reason Why the money goes back (required)
+ * @returns {Object} { success, refundId, pledgeId, amount, error }
+ */
+function requestRefund(receiptId, amount, reason) {
+    const FUNC_NAME = 'requestRefund';
+    return withScriptLock_(() => {
+        try {
+            if (!reason || !String(reason).trim()) {
+                return operationFailure_('REASON_REQUIRED', 'A refund reason is required.');
+            }
+
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const refundWs = ss.getSheetByName(SHEETS.refunds.name);
+            if (!refundWs) {
+                return operationFailure_('SHEET_MISSING', `${SHEETS.refunds.name} sheet not found.`);
+            }
+
+            const receiptRow = findRowByValue(ss.getSheetByName(SHEETS.receipts.name), SHEETS.receipts.cols.receiptId, receiptId);
+            if (!receiptRow) {
+                return operationFailure_('NOT_FOUND', `Receipt ${receiptId} not found in the Receipt Log.`);
+            }
+
+            const receiptStatus = receiptRow.data[SHEETS.receipts.cols.status - 1];
+            if (receiptStatus && receiptStatus !== STATUS.receipt.VALID) {
+                return operationFailure_('NOT_VALID', `Receipt ${receiptId} is ${receiptStatus}; only money counted as received can be refunded.`);
+            }
+
+            const pledgeId = String(receiptRow.data[SHEETS.receipts.cols.pledgeId - 1]);
+            const receiptAmount = Number(receiptRow.data[SHEETS.receipts.cols.amountVerified - 1]) || 0;
+            const available = receiptAmount - getReceiptRefundedAmount(receiptId, ss);
+            const refundAmount = String(amount || '').trim() ? parseCurrencyString(amount) : available;
+
+            if (!refundAmount || refundAmount <= 0) {
+                return operationFailure_('INVALID_AMOUNT', `Nothing left to refund on ${receiptId}.`);
+            }
+            if (refundAmount > available) {
+                return operationFailure_('EXCEEDS_RECEIPT',
+                    `Cannot refund PKR ${refundAmount.toLocaleString()}: only PKR ${available.toLocaleString()} of ${receiptId} is not already refunded.`);
+            }
+
+            const refundId = nextSequenceId('REFUND'); // [V61] See SequenceService.js
+            refundWs.appendRow([
+                refundId,                       // A: refundId
+                new Date(),                     // B: timestamp
+                pledgeId,                       // C: pledgeId
+                receiptId,                      // D: receiptId
+                refundAmount,                   // E: amount
+                reason,                         // F: reason
+                STATUS.refund.PENDING,          // G: status
+                getActor(),                     // H: requestedBy
+                '', '', '', '', ''              // I-M: decidedBy, decidedDate, proofLink, returnedDate, result
+            ]);
+
+            logAuditEvent(getActor(), 'REFUND_REQUESTED', refundId, `Refund requested: ${reason}`,
+                '', STATUS.refund.PENDING, { pledgeId: pledgeId, receiptId: receiptId, amount: refundAmount });
+
+            writeLog('INFO', FUNC_NAME, `${refundId}: PKR ${refundAmount} from ${receiptId} awaiting approval.`, pledgeId);
+            return { success: true, refundId: refundId, pledgeId: pledgeId, amount: refundAmount, error: null };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to request refund for ${receiptId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+// ==================================================================================
+//                              APPROVAL
+// ==================================================================================
+
+/**
+ * Approves a pending refund. From here the amount no longer counts towards the pledge's
+ * verified total, so it cannot be allocated while the money is sent back.
+ * Refused if the pledge's allocations would then exceed its verified funds.
+ *
+ * @param {string} refundId The Refunds ID
+ * @returns {Object} { success, refundId, pledgeId, amount, totals, previousStatus, newStatus, error }
+ */
+function approveRefund(refundId) {
+    const FUNC_NAME = 'approveRefund';
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const refundWs = ss.getSheetByName(SHEETS.refunds.name);
+            const rawWs = ss.getSheetByName(SHEETS.donations.name);
+
+            const refundRow = refundWs ? findRowByValue(refundWs, SHEETS.refunds.cols.refundId, refundId) : null;
+            if (!refundRow) {
+                return operationFailure_('NOT_FOUND', `Refund ${refundId} not found in ${SHEETS.refunds.name}.`);
+            }
+
+            const status = refundRow.data[SHEETS.refunds.cols.status - 1];
+            if (status !== STATUS.refund.PENDING) {
+                return operationFailure_('NOT_PENDING', `Refund ${refundId} is already ${status}.`);
+            }
+
+            const pledgeId = String(refundRow.data[SHEETS.refunds.cols.pledgeId - 1]);
+            const amount = Number(refundRow.data[SHEETS.refunds.cols.amount - 1]) || 0;
+
+            const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+            const totals = getPledgeLedgerTotals(pledgeId, ss);
+            if (!donationRow || !totals) {
+                return operationFailure_('PLEDGE_NOT_FOUND', `Pledge ${pledgeId} could not be loaded.`);
+            }
+
+            // Existing allocations must stay covered by what remains
+            const remainingVerified = totals.verified - amount;
+            if (totals.allocated > remainingVerified) {
+                return operationFailure_('ALLOCATIONS_EXCEED_FUNDS',
+                    `Cannot approve ${refundId}: ${pledgeId} has PKR ${totals.allocated.toLocaleString()} allocated ` +
+                    `but only PKR ${remainingVerified.toLocaleString()} would remain verified. Cancel or move allocations first.`);
+            }
+
+            // Validate the status move before writing anything
+            const currentStatus = donationRow.data[SHEETS.donations.cols.status - 1];
+            const targetStatus = currentStatus === STATUS.pledge.CANCELLED
+                ? currentStatus
+                : derivePledgeStatus(resolvePledgeAmount(donationRow.data), remainingVerified, totals.allocated);
+            const check = checkStatusTransition('PLEDGE', currentStatus, targetStatus);
+            if (!check.allowed) {
+                return { success: false, refundId: refundId, pledgeId: pledgeId, error: check.error };
+            }
+
+            // Commit: refund row, cached totals, pledge status
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.status).setValue(STATUS.refund.APPROVED);
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.decidedBy, 1, 2).setValues([[getActor(), new Date()]]);
+
+            const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+
+            const statusResult = transitionStatus({
+                type: 'PLEDGE',
+                sheet: rawWs,
+                row: donationRow.row,
+                targetStatus: targetStatus,
+                targetId: pledgeId,
+                description: `Refund ${refundId} approved`,
+                metadata: { refundId: refundId, amount: amount }
+            });
+
+            logAuditEvent(getActor(), 'REFUND_APPROVED', refundId, `Refund of PKR ${amount.toLocaleString()} approved`,
+                STATUS.refund.PENDING, STATUS.refund.APPROVED,
+                { pledgeId: pledgeId, receiptId: refundRow.data[SHEETS.refunds.cols.receiptId - 1], amount: amount });
+
+            try {
+                syncPledgeData();
+            } catch (syncErr) {
+                writeLog('WARN', FUNC_NAME, `Failed to sync pledge data: ${syncErr.message}`, pledgeId);
+            }
+
+            writeLog('SUCCESS', FUNC_NAME, `${refundId} approved: PKR ${amount} off the verified total.`, pledgeId);
+
+            return {
+                success: true,
+                refundId: refundId,
+                pledgeId: pledgeId,
+                amount: amount,
+                totals: refreshed,
+                previousStatus: statusResult.previousStatus,
+                newStatus: statusResult.newStatus,
+                error: null
+            };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to approve ${refundId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+/**
+ * Rejects a pending refund. Balances were never changed, so nothing is recalculated.
+ *
+ * @param {string} refundId The Refunds ID
+ * @param {string} reason Why the refund is rejected (required)
+ * @returns {Object} { success, refundId, pledgeId, status, error }
+ */
+function rejectRefund(refundId, reason) {
+    const FUNC_NAME = 'rejectRefund';
+
+    if (!reason || !String(reason).trim()) {
+        return operationFailure_('REASON_REQUIRED', 'A rejection reason is required.');
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const refundWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.refunds.name);
+            const refundRow = refundWs ? findRowByValue(refundWs, SHEETS.refunds.cols.refundId, refundId) : null;
+            if (!refundRow) {
+                return operationFailure_('NOT_FOUND', `Refund ${refundId} not found in ${SHEETS.refunds.name}.`);
+            }
+
+            const status = refundRow.data[SHEETS.refunds.cols.status - 1];
+            if (status !== STATUS.refund.PENDING) {
+                return operationFailure_('NOT_PENDING', `Refund ${refundId} is already ${status}.`);
+            }
+
+            const pledgeId = String(refundRow.data[SHEETS.refunds.cols.pledgeId - 1]);
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.status).setValue(STATUS.refund.REJECTED);
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.decidedBy, 1, 2).setValues([[getActor(), new Date()]]);
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.result).setValue(reason);
+
+            logAuditEvent(getActor(), 'REFUND_REJECTED', refundId, `Refund rejected: ${reason}`,
+                STATUS.refund.PENDING, STATUS.refund.REJECTED, { pledgeId: pledgeId });
+
+            writeLog('INFO', FUNC_NAME, `${refundId} rejected: ${reason}`, pledgeId);
+            return { success: true, refundId: refundId, pledgeId: pledgeId, status: STATUS.refund.REJECTED, error: null };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to reject ${refundId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+// ==================================================================================
+//                              PROOF OF RETURN
+// ==================================================================================
+
+/**
+ * Saves the proof that an approved refund was sent back and marks it Returned.
+ *
+ * @param {string} refundId The Refunds ID
+ * @param {Blob} proofBlob Bank slip / screenshot of the return transfer
+ * @returns {Object} { success, refundId, pledgeId, proofLink, error }
+ */
+function recordRefundReturned(refundId, proofBlob) {
+    const FUNC_NAME = 'recordRefundReturned';
+
+    if (!proofBlob) {
+        return operationFailure_('PROOF_REQUIRED', 'Proof of the return transfer is required.');
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const refundWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.refunds.name);
+            const refundRow = refundWs ? findRowByValue(refundWs, SHEETS.refunds.cols.refundId, refundId) : null;
+            if (!refundRow) {
+                return operationFailure_('NOT_FOUND', `Refund ${refundId} not found in ${SHEETS.refunds.name}.`);
+            }
+
+            const status = refundRow.data[SHEETS.refunds.cols.status - 1];
+            if (status !== STATUS.refund.APPROVED) {
+                return operationFailure_('NOT_APPROVED', `Refund ${refundId} is ${status}; only approved refunds can be marked returned.`);
+            }
+
+            const pledgeId = String(refundRow.data[SHEETS.refunds.cols.pledgeId - 1]);
+            const savedFile = DriveApp.getFolderById(CONFIG.folderId_receipts)
+                .createFile(proofBlob)
+                .setName(`REFUND - ${pledgeId} - ${refundId} - ${proofBlob.getName() || 'proof'}`);
+            const proofLink = savedFile.getUrl();
+
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.status).setValue(STATUS.refund.RETURNED);
+            refundWs.getRange(refundRow.row, SHEETS.refunds.cols.proofLink, 1, 2).setValues([[proofLink, new Date()]]);
+
+            logAuditEvent(getActor(), 'REFUND_RETURNED', refundId,
+                `Refund of PKR ${(Number(refundRow.data[SHEETS.refunds.cols.amount - 1]) || 0).toLocaleString()} returned to donor`,
+                STATUS.refund.APPROVED, STATUS.refund.RETURNED,
+                { pledgeId: pledgeId, amount: Number(refundRow.data[SHEETS.refunds.cols.amount - 1]) || 0, proofLink: proofLink });
+
+            writeLog('SUCCESS', FUNC_NAME, `${refundId} returned; proof saved.`, pledgeId);
+            return { success: true, refundId: refundId, pledgeId: pledgeId, proofLink: proofLink, error: null };
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to record return of ${refundId}: ${e.message}`);
+            return operationFailure_('UNEXPECTED', e.message);
+        }
+    }, () => operationFailure_('LOCK_TIMEOUT', 'System busy. Please try again.'));
+}
+
+// ==================================================================================
+//                              HELPERS
+// ==================================================================================
+
+/**
+ * Sums the refunds recorded against a receipt that are not rejected (pending ones included,
+ * so two requests cannot both claim the same money).
+ *
+ * @param {string} receiptId The Receipt Log ID
+ * @param {Spreadsheet} [spreadsheet] Optional spreadsheet object
+ * @returns {number} PKR
+ */
+function getReceiptRefundedAmount(receiptId, spreadsheet = null) {
+    const ss = spreadsheet || SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const ws = ss.getSheetByName(SHEETS.refunds.name);
+    if (!ws) return 0;
+
+    const data = ws.getDataRange().getValues();
+    let total = 0;
+    for (let i = 1; i < data.length; i++) {
+        if (String(data[i][SHEETS.refunds.cols.receiptId - 1]) !== String(receiptId)) continue;
+        if (data[i][SHEETS.refunds.cols.status - 1] === STATUS.refund.REJECTED) continue;
+        total += Number(data[i][SHEETS.refunds.cols.amount - 1]) || 0;
+    }
+    return total;
+}
+
@@ -73,9 +73,10 @@ function setupReportingSandbox() {
         'Date_Donor_Notify',
         'Status',
         'Hostel_Reply_ID',
-        'Donor_Notify_ID'
+        'Donor_Notify_ID',
+        'Fund_Type'         // V61: Zakat / General
     ]);
-    shAlloc.getRange(1, 1, 1, 11).setFontWeight('bold');
+    shAlloc.getRange(1, 1, 1, 12).setFontWeight('bold');
 
     // 3. Dim_Students
     const shStudents = ss.insertSheet('Dim_Students');
@@ -89,9 +90,10 @@ function setupReportingSandbox() {
         'Degree_Category',
         'Program',
         'Pending_Amount',
-        'Student_Status'
+        'Student_Status',
+        'Zakat_Eligible'    // V61
     ]);
-    shStudents.getRange(1, 1, 1, 10).setFontWeight('bold');
+    shStudents.getRange(1, 1, 1, 11).setFontWeight('bold');
 
     // [V59] 4. Fact_Subscriptions
     const shSubs = ss.insertSheet('Fact_Subscriptions');
@@ -172,7 +174,8 @@ function syncAnonymousReportingData() {
             const pid = r[SHEETS.allocations.cols.pledgeId - 1];
             const amount = Number(r[SHEETS.allocations.cols.amount - 1]) || 0;
 
-            if (pid) {
+            // [V61] Cancelled allocations no longer hold funds
+            if (pid && isAllocationActive(r[SHEETS.allocations.cols.status - 1])) {
                 pledgeAllocMap[pid] = (pledgeAllocMap[pid] || 0) + amount;
                 sumAllocationsSource += amount;
             }
@@ -185,6 +188,7 @@ function syncAnonymousReportingData() {
         const subsOut = []; // [V59]
         const instsOut = []; // [V59]
         const studentHashMap = {}; // Cache to ensure uniqueness
+        const pledgeFundMap = {}; // [V61] Pledge ID -> 'Zakat' | 'General'
 
         // RECONCILIATION COUNTER (Transform Side)
         let sumAllocationsTransform = 0;
@@ -195,7 +199,7 @@ function syncAnonymousReportingData() {
             const pid = r[SHEETS.donations.cols.pledgeId - 1];
             if (!pid || String(pid) === '') continue;
 
-            const amt = getPledgeAmountFromDuration(r[SHEETS.donations.cols.duration - 1]);
+            const amt = resolvePledgeAmount(r); // [V61] Stored at submission
 
             // V8: Calculate Remaining Balance
             const totalAllocated = pledgeAllocMap[pid] || 0;
@@ -204,6 +208,7 @@ function syncAnonymousReportingData() {
             // Fetch Other Columns
             const dateProof = r[SHEETS.donations.cols.dateProofReceived - 1] || "";
             const isZakat = r[SHEETS.donations.cols.isZakat - 1];
+            pledgeFundMap[pid] = isYesAnswer(isZakat) ? 'Zakat' : 'General';
             const affiliation = r[SHEETS.donations.cols.affiliation - 1];
             const reqReceipt = r[SHEETS.donations.cols.reqReceipt - 1];
             const studentPref = r[SHEETS.donations.cols.studentPref - 1];
@@ -258,7 +263,8 @@ function syncAnonymousReportingData() {
                 degCat,
                 prog,
                 pending,
-                status
+                status,
+                isYesAnswer(r[SHEETS.students.cols.zakatEligible - 1]) ? 'Yes' : 'No'
             ]);
         }
 
@@ -268,7 +274,7 @@ function syncAnonymousReportingData() {
             const pid = r[SHEETS.allocations.cols.pledgeId - 1];
             const amount = Number(r[SHEETS.allocations.cols.amount - 1]) || 0;
 
-            if (!pid) continue;
+            if (!pid || !isAllocationActive(r[SHEETS.allocations.cols.status - 1])) continue;
 
             const cmsId = r[SHEETS.allocations.cols.cmsId - 1];
             let sHash = studentHashMap[cmsId];
@@ -295,7 +301,8 @@ function syncAnonymousReportingData() {
                 dateDonorNotify,
                 r[SHEETS.allocations.cols.status - 1],
                 r[SHEETS.allocations.cols.hostelReplyId - 1],
-                r[SHEETS.allocations.cols.donorNotifyId - 1]
+                r[SHEETS.allocations.cols.donorNotifyId - 1],
+                pledgeFundMap[pid] || 'General'
             ]);
 
             sumAllocationsTransform += amount;
@@ -350,6 +357,10 @@ function syncAnonymousReportingData() {
         const ssSandbox = SpreadsheetApp.openById(sandboxId);
 
         batchWrite(ssSandbox.getSheetByName('Fact_Pledges'), pledgesOut);
+        // [V61] Sandboxes created before V61 lack the fund columns
+        ensureHeader_(ssSandbox.getSheetByName('Fact_Allocations'), 12, 'Fund_Type');
+        ensureHeader_(ssSandbox.getSheetByName('Dim_Students'), 11, 'Zakat_Eligible');
+
         batchWrite(ssSandbox.getSheetByName('Fact_Allocations'), allocationsOut);
         batchWrite(ssSandbox.getSheetByName('Dim_Students'), studentsOut);
 
@@ -378,6 +389,16 @@ function syncAnonymousReportingData() {
     }
 }
 
+/**
+ * [V61] Adds a header cell to an existing warehouse table if it is missing.
+ */
+function ensureHeader_(sheet, col, header) {
+    const cell = sheet.getRange(1, col);
+    if (cell.getValue() !== header) {
+        cell.setValue(header).setFontWeight('bold');
+    }
+}
+
 /**
  * Helper to overwrite sheet data efficiently.
  */
@@ -0,0 +1,129 @@
+/**
+ * SequenceService.js
+ *
+ * [V61] Issues collision-free IDs from monotonically increasing counters.
+ *
+ * Key Features:
+ * - One counter per ID type in Script Properties (SEQ_<TYPE>), advanced under the script lock
+ * - Each issue also reads the existing IDs: the counter never falls behind the highest ID on
+ *   the sheet (e.g. after properties are lost in a migration), and an ID that already exists
+ *   (legacy row-number, timestamp or random IDs) is skipped
+ * - Safe to call while the caller already holds the script lock (the lock is then left to the caller)
+ */
+
+/**
+ * ID types: how an ID is formatted, where existing IDs live and how their number is read back.
+ * parse only matches IDs issued in the current format; legacy IDs are still checked for exact clashes.
+ */
+const SEQUENCES = {
+    PLEDGE: {
+        format: (n) => `PLEDGE-${new Date().getFullYear()}-${String(n).padStart(3, '0')}`,
+        parse: /^PLEDGE-\d{4}-(\d+)$/,
+        sources: [{ sheet: () => SHEETS.donations, col: () => SHEETS.donations.cols.pledgeId }]
+    },
+    ALLOCATION: {
+        format: (n) => `ALLOC-${new Date().getFullYear()}-${String(n).padStart(6, '0')}`,
+        parse: /^ALLOC-\d{4}-(\d+)$/,
+        sources: [{ sheet: () => SHEETS.allocations, col: () => SHEETS.allocations.cols.allocId }]
+    },
+    BATCH: {
+        format: (n) => `BATCH-${new Date().getFullYear()}-${String(n).padStart(5, '0')}`,
+        parse: /^BATCH-\d{4}-(\d+)$/,
+        sources: [
+            { sheet: () => SHEETS.allocations, col: () => SHEETS.allocations.cols.batchId },
+            { sheet: () => SHEETS.subscriptionBatchRuns, col: () => SHEETS.subscriptionBatchRuns.cols.batchId }
+        ]
+    },
+    REFUND: {
+        format: (n) => `REFUND-${new Date().getFullYear()}-${String(n).padStart(4, '0')}`,
+        parse: /^REFUND-\d{4}-(\d+)$/,
+        sources: [{ sheet: () => SHEETS.refunds, col: () => SHEETS.refunds.cols.refundId }]
+    },
+    HOSTEL_QUERY: {
+        format: (n) => `HQ-${new Date().getFullYear()}-${String(n).padStart(4, '0')}`,
+        parse: /^HQ-\d{4}-(\d+)$/,
+        sources: [{ sheet: () => SHEETS.hostelQueries, col: () => SHEETS.hostelQueries.cols.queryId }]
+    },
+    DONOR_REQUEST: {
+        // Request IDs keep their pledge prefix; the number is unique across the whole sheet
+        format: (n, context) => `REQ-${context.pledgeId}-${String(n).padStart(4, '0')}`,
+        parse: /^REQ-.+-(\d+)$/,
+        sources: [{ sheet: () => SHEETS.donorRequests, col: () => SHEETS.donorRequests.cols.requestId }]
+    },
+    RECEIPT: {
+        // Receipt IDs keep their pledge prefix; the number is unique across the whole log
+        format: (n, context) => `${context.pledgeId}-R${n}`,
+        parse: /-R(\d+)$/,
+        sources: [{ sheet: () => SHEETS.receipts, col: () => SHEETS.receipts.cols.receiptId }]
+    }
+};
+
+/**
+ * Issues the next ID of a type.
+ *
+ * @param {string} type Key of SEQUENCES
+ * @param {Object} [context] Values the format needs (RECEIPT, DONOR_REQUEST: { pledgeId })
+ * @returns {string} The new ID
+ */
+function nextSequenceId(type, context) {
+    return nextSequenceIds(type, 1, context)[0];
+}
+
+/**
+ * Issues several IDs of a type in one locked read-advance-write.
+ *
+ * @param {string} type Key of SEQUENCES
+ * @param {number} count How many IDs
+ * @param {Object} [context] See nextSequenceId
+ * @returns {Array<string>} New IDs, in increasing order
+ */
+function nextSequenceIds(type, count, context) {
+    const sequence = SEQUENCES[type];
+    if (!sequence) throw new Error(`Unknown ID sequence: ${type}`);
+
+    return withScriptLock_(() => {
+        const props = PropertiesService.getScriptProperties();
+        const key = `SEQ_${type}`;
+        const existing = loadExistingIds_(sequence);
+
+        let counter = Number(props.getProperty(key)) || 0;
+        existing.forEach(id => {
+            const match = sequence.parse.exec(id);
+            if (match) counter = Math.max(counter, Number(match[1]) || 0);
+        });
+
+        const ids = [];
+        while (ids.length < count) {
+            counter++;
+            const id = sequence.format(counter, context || {});
+            if (existing.has(id)) {
+                writeLog('WARN', 'nextSequenceIds', `Skipped ${id}: already in use.`);
+                continue;
+            }
+            ids.push(id);
+        }
+
+        props.setProperty(key, String(counter));
+        return ids;
+    }, () => {
+        throw new Error('System busy. Could not issue a new ID. Please try again.');
+    });
+}
+
+/**
+ * Reads every ID of a type from its source columns.
+ * @returns {Set<string>}
+ */
+function loadExistingIds_(sequence) {
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const ids = new Set();
+
+    for (const source of sequence.sources) {
+        const ws = ss.getSheetByName(source.sheet().name);
+        if (!ws || ws.getLastRow() < 2) continue;
+
+        ws.getRange(2, source.col(), ws.getLastRow() - 1, 1).getValues()
+            .forEach(r => { if (r[0] !== '' && r[0] !== null) ids.add(String(r[0])); });
+    }
+    return ids;
+}
@@ -32,7 +32,8 @@ function setupAllSubscriptionTemplates() {
         subscriptionReceiptConfirm: null,
         subscriptionOverdue: null,
         subscriptionCompleted: null,
-        subscriptionHostelIntimation: null
+        subscriptionHostelIntimation: null,
+        subscriptionUpdate: null
     };
 
     const results = {};
@@ -228,13 +229,14 @@ Thank you! We've received your monthly payment.
 ✅ PAYMENT CONFIRMED
 ━━━━━━━━━━━━━━━━━━━━━━━
 Amount: PKR {{amount}}
-Month: {{monthNumber}} of {{totalMonths}}
+Months Covered: {{monthsCovered}}
 Subscription ID: {{subscriptionId}}
 
 📊 YOUR PROGRESS
 ━━━━━━━━━━━━━━━━━━━━━━━
 Completed Payments: {{completedPayments}} of {{totalMonths}}
 Remaining Payments: {{remainingPayments}}
+Credit Carried Forward: PKR {{creditBalance}}
 
 📅 NEXT PAYMENT
 ━━━━━━━━━━━━━━━━━━━━━━━
@@ -346,6 +348,32 @@ This is part of a recurring monthly pledge. Please process accordingly.
 
 Regards,
 NUST Lifeline Campaign (Automated System)`
+        },
+
+        // [V61] One template for every lifecycle change (pause, resume, extend, cancel, amount change)
+        subscriptionUpdate: {
+            title: 'Subscription Update',
+            subject: 'Your NUST Lifeline Monthly Pledge - {{changeTitle}}',
+            body: `Dear {{donorName}},
+
+This is to confirm a change to your monthly pledge.
+
+📝 {{changeTitle}}
+━━━━━━━━━━━━━━━━━━━━━━━
+{{changeDetails}}
+
+📊 YOUR PLEDGE NOW
+━━━━━━━━━━━━━━━━━━━━━━━
+Subscription ID: {{subscriptionId}}
+Status: {{status}}
+Monthly Amount: PKR {{monthlyAmount}}
+Duration: {{durationMonths}} months
+Next Due Date: {{nextDueDate}}
+
+If this doesn't look right, simply reply to this email.
+
+NUST Lifeline Campaign
+nustlifelinecampaign@gmail.com`
         }
     };
 
@@ -415,7 +443,8 @@ function validateExistingTemplates() {
         'subscriptionReceiptConfirm',
         'subscriptionOverdue',
         'subscriptionCompleted',
-        'subscriptionHostelIntimation'
+        'subscriptionHostelIntimation',
+        'subscriptionUpdate'
     ];
 
     for (const name of templateNames) {
@@ -160,10 +160,10 @@ function getStudentDetails(cmsId) {
  * @param {string} pledgeId
  * @param {string} cmsId
  * @param {number} amount
- * @return {boolean} True if successful.
+ * @return {Object} The processAllocationTransaction result: { success, allocationId, error }.
  */
 function processSidebarAllocation(pledgeId, cmsId, amount) {
-    const isSuccess = processAllocationTransaction(pledgeId, cmsId, amount);
+    const result = processAllocationTransaction(pledgeId, cmsId, amount);
 
     // VISUAL FEEDBACK: Update Column E in Donations Tracker (the trigger column)
     // We find the row by Pledge ID (Column G in Tracker)
@@ -174,16 +174,16 @@ function processSidebarAllocation(pledgeId, cmsId, amount) {
     for (let i = 1; i < trackerData.length; i++) {
         if (String(trackerData[i][pledgeIdColIndex]) === String(pledgeId)) {
             const row = i + 1;
-            if (isSuccess) {
-                trackerSheet.getRange(row, 5).setValue("Allocated").setFontColor("#4caf50"); // Column E
+            if (result.success) {
+                trackerSheet.getRange(row, 5).setValue("Allocated").setFontColor("#4caf50").setNote(''); // Column E
             } else {
-                trackerSheet.getRange(row, 5).setValue("ERROR").setFontColor("red"); // Column E
+                trackerSheet.getRange(row, 5).setValue("ERROR").setFontColor("red").setNote(result.error.message); // Column E
             }
             break;
         }
     }
 
-    return isSuccess;
+    return result;
 }
 
 /**
@@ -272,7 +272,9 @@ function getAvailablePledgesForSidebar() {
 
     return {
         pledges: availablePledges,
-        students: students
+        students: students,
+        // [V61] Batch distribution strategies for the picker
+        strategies: Object.keys(ALLOCATION_STRATEGIES).map(key => ({ id: key, label: ALLOCATION_STRATEGIES[key].label }))
     };
 }
 
@@ -288,3 +290,433 @@ function getPendingStudentsList(ss) {
     }
     return list;
 }
+
+/**
+ * Returns the ID in a column of the active row when the given sheet is open, otherwise prompts for it.
+ * @return {string} The ID, or '' if the prompt was cancelled.
+ */
+function getActiveRowIdForPrompt_(ui, sheetName, col, title, label) {
+    const activeSheet = SpreadsheetApp.getActiveSpreadsheet().getActiveSheet();
+
+    if (activeSheet.getName() === sheetName) {
+        const activeRow = activeSheet.getActiveRange().getRow();
+        if (activeRow > 1) {
+            const id = String(activeSheet.getRange(activeRow, col).getValue());
+            if (id) return id;
+        }
+    }
+
+    const idResponse = ui.prompt(title, `Enter the ${label}:`, ui.ButtonSet.OK_CANCEL);
+    if (idResponse.getSelectedButton() !== ui.Button.OK) return '';
+    return idResponse.getResponseText().trim();
+}
+
+// ==================================================================================
+//                      [V61] RECEIPT REVERSAL (Menu + Sidebar)
+// ==================================================================================
+
+/**
+ * Menu handler: rejects a receipt after prompting for its ID and a reason.
+ * If opened on the Receipt Log, the active row's Receipt ID is used.
+ */
+function promptRejectReceipt() {
+    const ui = SpreadsheetApp.getUi();
+    const receiptId = getActiveRowIdForPrompt_(ui, SHEETS.receipts.name, SHEETS.receipts.cols.receiptId, 'Reject / Reverse Receipt', 'Receipt ID');
+    if (!receiptId) return;
+
+    const reasonResponse = ui.prompt('Reject / Reverse Receipt', `Reason for rejecting ${receiptId}:`, ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = rejectReceipt(receiptId, reasonResponse.getResponseText().trim());
+
+    if (result.success) {
+        ui.alert(`Receipt ${receiptId} rejected.\n\n${result.pledgeId}: ${result.previousStatus} → ${result.newStatus}`);
+    } else {
+        ui.alert(`Could not reject ${receiptId}.\n\n${result.error.message}`);
+    }
+}
+
+/**
+ * Lists the VALID receipts of the given pledges for the Sidebar's reversal picker.
+ * @param {Array<string>} pledgeIds
+ * @return {Array<Object>} [{ receiptId, pledgeId, amount, transferDate }]
+ */
+function getReceiptsForSidebar(pledgeIds) {
+    const ids = (pledgeIds || []).map(String);
+    const receiptWs = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEETS.receipts.name);
+    const data = receiptWs.getDataRange().getValues();
+    const list = [];
+
+    for (let i = 1; i < data.length; i++) {
+        const pledgeId = String(data[i][SHEETS.receipts.cols.pledgeId - 1]);
+        const status = data[i][SHEETS.receipts.cols.status - 1];
+
+        if (ids.includes(pledgeId) && (status === STATUS.receipt.VALID || !status)) {
+            list.push({
+                receiptId: String(data[i][SHEETS.receipts.cols.receiptId - 1]),
+                pledgeId: pledgeId,
+                amount: Number(data[i][SHEETS.receipts.cols.amountVerified - 1]) || 0,
+                transferDate: String(data[i][SHEETS.receipts.cols.transferDate - 1])
+            });
+        }
+    }
+    return list;
+}
+
+/**
+ * Sidebar RPC for rejectReceipt. Throws on failure so the Sidebar's failure handler shows the reason.
+ * @param {string} receiptId
+ * @param {string} reason
+ * @return {Object} The rejectReceipt result.
+ */
+function rejectReceiptFromSidebar(receiptId, reason) {
+    const result = rejectReceipt(receiptId, reason);
+    if (!result.success) {
+        throw new Error(result.error.message);
+    }
+    return result;
+}
+
+// ==================================================================================
+//                      [V61] ALLOCATION CANCELLATION (Menu)
+// ==================================================================================
+
+/**
+ * Menu handler: cancels an allocation and optionally moves its funds to another student.
+ * If opened on the Allocation Log, the active row's Allocation ID is used.
+ */
+function promptCancelAllocation() {
+    const ui = SpreadsheetApp.getUi();
+    const allocId = getActiveRowIdForPrompt_(ui, SHEETS.allocations.name, SHEETS.allocations.cols.allocId, 'Cancel / Reallocate', 'Allocation ID');
+    if (!allocId) return;
+
+    const reasonResponse = ui.prompt('Cancel / Reallocate', `Reason for cancelling ${allocId}:`, ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const cmsResponse = ui.prompt('Cancel / Reallocate', 'Move the funds to CMS ID (leave blank to only cancel):', ui.ButtonSet.OK_CANCEL);
+    if (cmsResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = cancelAllocation(allocId, reasonResponse.getResponseText().trim(), cmsResponse.getResponseText().trim() || null);
+
+    if (!result.success) {
+        ui.alert(`Could not cancel ${allocId}.\n\n${result.error.message}`);
+        return;
+    }
+
+    let message = `Allocation ${allocId} cancelled.\n\n${result.pledgeId}: ${result.pledgeStatus}\n${result.cmsId}: ${result.studentStatus}`;
+    if (result.reallocation) {
+        message += result.reallocation.success
+            ? `\n\nPKR ${result.amount.toLocaleString()} reallocated to ${result.reallocation.cmsId}.`
+            : `\n\nReallocation to ${result.reallocation.cmsId} FAILED: ${result.reallocation.error.message}\nThe funds are back on the pledge balance.`;
+    }
+    ui.alert(message);
+}
+
+// ==================================================================================
+//                      [V61] PLEDGE AMENDMENT / CANCELLATION (Menu)
+// ==================================================================================
+
+/**
+ * Menu handler: amends a pledge's amount (one-time) or monthly schedule.
+ * If opened on the RAW sheet, the active row's Pledge ID is used.
+ */
+function promptAmendPledge() {
+    const ui = SpreadsheetApp.getUi();
+    const pledgeId = getActiveRowIdForPrompt_(ui, SHEETS.donations.name, SHEETS.donations.cols.pledgeId, 'Amend Pledge', 'Pledge ID');
+    if (!pledgeId) return;
+
+    const changes = {};
+    const subRow = findSubscriptionByPledgeId(pledgeId);
+    if (subRow) {
+        const amountResponse = ui.prompt('Amend Pledge',
+            `New monthly amount (PKR) for ${pledgeId} (blank = keep ${subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]}):`,
+            ui.ButtonSet.OK_CANCEL);
+        if (amountResponse.getSelectedButton() !== ui.Button.OK) return;
+
+        const monthsResponse = ui.prompt('Amend Pledge',
+            `New total number of months (blank = keep ${subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1]}):`,
+            ui.ButtonSet.OK_CANCEL);
+        if (monthsResponse.getSelectedButton() !== ui.Button.OK) return;
+
+        changes.monthlyAmount = amountResponse.getResponseText().trim();
+        changes.months = monthsResponse.getResponseText().trim();
+    } else {
+        const termResponse = ui.prompt('Amend Pledge',
+            `New duration or amount for ${pledgeId} (e.g. "2 semesters" or "PKR 150,000"):`, ui.ButtonSet.OK_CANCEL);
+        if (termResponse.getSelectedButton() !== ui.Button.OK) return;
+        changes.term = termResponse.getResponseText().trim();
+    }
+
+    const reasonResponse = ui.prompt('Amend Pledge', `Reason for amending ${pledgeId}:`, ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = amendPledge(pledgeId, changes, reasonResponse.getResponseText().trim());
+
+    if (result.success) {
+        ui.alert(`Pledge ${pledgeId} amended.\n\nPKR ${result.oldAmount.toLocaleString()} → PKR ${result.newAmount.toLocaleString()}\n` +
+            `Outstanding: PKR ${result.outstanding.toLocaleString()}\nStatus: ${result.newStatus}`);
+    } else {
+        ui.alert(`Could not amend ${pledgeId}.\n\n${result.error.message}`);
+    }
+}
+
+/**
+ * Menu handler: cancels a pledge. Refused while any of its allocations is active.
+ * If opened on the RAW sheet, the active row's Pledge ID is used.
+ */
+function promptCancelPledge() {
+    const ui = SpreadsheetApp.getUi();
+    const pledgeId = getActiveRowIdForPrompt_(ui, SHEETS.donations.name, SHEETS.donations.cols.pledgeId, 'Cancel Pledge', 'Pledge ID');
+    if (!pledgeId) return;
+
+    const reasonResponse = ui.prompt('Cancel Pledge', `Reason for cancelling ${pledgeId}:`, ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = cancelPledge(pledgeId, reasonResponse.getResponseText().trim());
+
+    if (!result.success) {
+        ui.alert(`Could not cancel ${pledgeId}.\n\n${result.error.message}`);
+        return;
+    }
+
+    ui.alert(`Pledge ${pledgeId} cancelled.\n\n${result.previousStatus} → ${result.newStatus}`);
+}
+
+// ==================================================================================
+//                      [V61] REFUNDS (Menu)
+// ==================================================================================
+
+/**
+ * Menu handler: records a refund request against a receipt.
+ * If opened on the Receipt Log, the active row's Receipt ID is used.
+ */
+function promptRequestRefund() {
+    const ui = SpreadsheetApp.getUi();
+    const receiptId = getActiveRowIdForPrompt_(ui, SHEETS.receipts.name, SHEETS.receipts.cols.receiptId, 'Request Refund', 'Receipt ID');
+    if (!receiptId) return;
+
+    const amountResponse = ui.prompt('Request Refund', `Amount to return from ${receiptId} (PKR, blank = all of it):`, ui.ButtonSet.OK_CANCEL);
+    if (amountResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const reasonResponse = ui.prompt('Request Refund', 'Reason (e.g. wrong account, duplicate payment, donor request):', ui.ButtonSet.OK_CANCEL);
+    if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = requestRefund(receiptId, amountResponse.getResponseText().trim(), reasonResponse.getResponseText().trim());
+    ui.alert(result.success
+        ? `Refund ${result.refundId} (PKR ${result.amount.toLocaleString()}) recorded for ${result.pledgeId}.\n\nIt needs approval (Review Refund) before balances change.`
+        : `Could not request a refund for ${receiptId}.\n\n${result.error.message}`);
+}
+
+/**
+ * Menu handler: approves or rejects a pending refund.
+ * If opened on the Refunds sheet, the active row's Refund ID is used.
+ */
+function promptReviewRefund() {
+    const ui = SpreadsheetApp.getUi();
+    const refundId = getActiveRowIdForPrompt_(ui, SHEETS.refunds.name, SHEETS.refunds.cols.refundId, 'Review Refund', 'Refund ID');
+    if (!refundId) return;
+
+    const refundWs = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEETS.refunds.name);
+    const row = refundWs ? findRowByValue(refundWs, SHEETS.refunds.cols.refundId, refundId) : null;
+    if (!row) {
+        ui.alert(`Refund ${refundId} not found in ${SHEETS.refunds.name}.`);
+        return;
+    }
+
+    const decision = ui.alert(
+        'Review Refund',
+        `PKR ${(Number(row.data[SHEETS.refunds.cols.amount - 1]) || 0).toLocaleString()} from ` +
+        `${row.data[SHEETS.refunds.cols.receiptId - 1]} (${row.data[SHEETS.refunds.cols.pledgeId - 1]})\n` +
+        `Reason: ${row.data[SHEETS.refunds.cols.reason - 1]}\n\n` +
+        'YES = approve (the amount leaves the pledge balance), NO = reject',
+        ui.ButtonSet.YES_NO_CANCEL
+    );
+
+    if (decision === ui.Button.NO) {
+        const reasonResponse = ui.prompt('Reject Refund', `Reason for rejecting ${refundId}:`, ui.ButtonSet.OK_CANCEL);
+        if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+        const rejected = rejectRefund(refundId, reasonResponse.getResponseText().trim());
+        ui.alert(rejected.success ? `Refund ${refundId} rejected.` : `Could not reject ${refundId}.\n\n${rejected.error.message}`);
+        return;
+    }
+    if (decision !== ui.Button.YES) return;
+
+    const result = approveRefund(refundId);
+    ui.alert(result.success
+        ? `Refund ${refundId} approved.\n\n${result.pledgeId}: ${result.previousStatus} → ${result.newStatus}\n` +
+          'Send the money back, then use Record Refund Returned to upload the proof.'
+        : `Could not approve ${refundId}.\n\n${result.error.message}`);
+}
+
+/**
+ * Menu handler: opens the upload dialog for an approved refund's proof of return.
+ * If opened on the Refunds sheet, the active row's Refund ID is used.
+ */
+function promptRecordRefundReturned() {
+    const ui = SpreadsheetApp.getUi();
+    const refundId = getActiveRowIdForPrompt_(ui, SHEETS.refunds.name, SHEETS.refunds.cols.refundId, 'Record Refund Returned', 'Refund ID');
+    if (!refundId) return;
+
+    const template = HtmlService.createTemplateFromFile('RefundProofDialog');
+    template.refundId = refundId;
+    ui.showModalDialog(template.evaluate().setWidth(400).setHeight(200), `Proof of Return: ${refundId}`);
+}
+
+/**
+ * Dialog RPC for recordRefundReturned. Throws on failure so the dialog's failure handler shows the reason.
+ * @param {string} refundId
+ * @param {Object} file { name, mimeType, data } with base64 data
+ * @return {Object} The recordRefundReturned result.
+ */
+function recordRefundReturnedFromDialog(refundId, file) {
+    const blob = Utilities.newBlob(Utilities.base64Decode(file.data), file.mimeType, file.name);
+    const result = recordRefundReturned(refundId, blob);
+    if (!result.success) {
+        throw new Error(result.error.message);
+    }
+    return result;
+}
+
+// ==================================================================================
+//                      [V61] HOSTEL QUERIES (Menu)
+// ==================================================================================
+
+/**
+ * Menu handler: hands an open hostel query to someone else.
+ * If opened on the Hostel Queries sheet, the active row's Query ID is used.
+ */
+function promptAssignHostelQuery() {
+    const ui = SpreadsheetApp.getUi();
+    const queryId = getActiveRowIdForPrompt_(ui, SHEETS.hostelQueries.name, SHEETS.hostelQueries.cols.queryId, 'Assign Hostel Query', 'Query ID');
+    if (!queryId) return;
+
+    const response = ui.prompt('Assign Hostel Query', `Email address of the new owner of ${queryId}:`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = assignHostelQuery(queryId, response.getResponseText().trim());
+    ui.alert(result.success
+        ? `${queryId} assigned to ${result.assignee}. They have been emailed the thread.`
+        : `Could not assign ${queryId}.\n\n${result.error.message}`);
+}
+
+/**
+ * Menu handler: marks a hostel query answered when the answer was not sent on its thread.
+ * If opened on the Hostel Queries sheet, the active row's Query ID is used.
+ */
+function promptResolveHostelQuery() {
+    const ui = SpreadsheetApp.getUi();
+    const queryId = getActiveRowIdForPrompt_(ui, SHEETS.hostelQueries.name, SHEETS.hostelQueries.cols.queryId, 'Resolve Hostel Query', 'Query ID');
+    if (!queryId) return;
+
+    const response = ui.prompt('Resolve Hostel Query',
+        `How was ${queryId} answered? (Replies sent on the thread are picked up automatically.)`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) return;
+
+    const result = resolveHostelQuery(queryId, response.getResponseText().trim());
+    ui.alert(result.success
+        ? `${queryId} answered. ${result.returned} allocation(s) back to Pending Hostel.`
+        : `Could not resolve ${queryId}.\n\n${result.error.message}`);
+}
+
+// ==================================================================================
+//                      [V61] DONOR REQUEST APPROVAL (Menu)
+// ==================================================================================
+
+/**
+ * Menu handler: approves (and executes) or rejects a queued donor request.
+ * If opened on the Donor Requests sheet, the active row's Request ID is used.
+ */
+function promptReviewDonorRequest() {
+    const ui = SpreadsheetApp.getUi();
+    const requestId = getActiveRowIdForPrompt_(ui, SHEETS.donorRequests.name, SHEETS.donorRequests.cols.requestId, 'Review Donor Request', 'Request ID');
+    if (!requestId) return;
+
+    const requestWs = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SHEETS.donorRequests.name);
+    const row = requestWs ? findRowByValue(requestWs, SHEETS.donorRequests.cols.requestId, requestId) : null;
+    if (!row) {
+        ui.alert(`Request ${requestId} not found in ${SHEETS.donorRequests.name}.`);
+        return;
+    }
+
+    const action = row.data[SHEETS.donorRequests.cols.action - 1];
+    const definition = DONOR_REQUEST_ACTIONS[action] || { label: action, needs: null };
+    const params = row.data[SHEETS.donorRequests.cols.params - 1] || '{}';
+    let parsedParams = {};
+    try {
+        parsedParams = JSON.parse(params);
+    } catch (e) {
+        // Unreadable params: the approver is asked for the value below
+    }
+
+    const decision = ui.alert(
+        'Review Donor Request',
+        `${definition.label} (${row.data[SHEETS.donorRequests.cols.pledgeId - 1]})\n` +
+        `From: ${row.data[SHEETS.donorRequests.cols.donorEmail - 1]}\n` +
+        `Parsed: ${params}\n\n"${row.data[SHEETS.donorRequests.cols.details - 1]}"\n\n` +
+        'YES = approve and execute, NO = reject',
+        ui.ButtonSet.YES_NO_CANCEL
+    );
+
+    if (decision === ui.Button.NO) {
+        const reasonResponse = ui.prompt('Reject Donor Request', `Reason for rejecting ${requestId}:`, ui.ButtonSet.OK_CANCEL);
+        if (reasonResponse.getSelectedButton() !== ui.Button.OK) return;
+
+        const rejected = rejectDonorRequest(requestId, reasonResponse.getResponseText().trim());
+        ui.alert(rejected.success ? `Request ${requestId} rejected.` : `Could not reject ${requestId}.\n\n${rejected.error.message}`);
+        return;
+    }
+    if (decision !== ui.Button.YES) return;
+
+    // Ask for the value the donor did not state (e.g. pause length)
+    const overrides = {};
+    if (definition.needs && !parsedParams[definition.needs]) {
+        const valueResponse = ui.prompt('Approve Donor Request', `Enter ${definition.needs} for "${definition.label}":`, ui.ButtonSet.OK_CANCEL);
+        if (valueResponse.getSelectedButton() !== ui.Button.OK) return;
+        overrides[definition.needs] = valueResponse.getResponseText().trim();
+    }
+
+    const result = approveDonorRequest(requestId, overrides);
+    ui.alert(result.success
+        ? `Request ${requestId} executed: ${definition.label}.`
+        : `Request ${requestId} not executed.\n\n${result.error.message}`);
+}
+
+/**
+ * [V61] Menu handler: re-queues Failed messages on the Email Outbox and sends them.
+ */
+function promptRetryFailedEmails() {
+    const ui = SpreadsheetApp.getUi();
+    const summary = getEmailOutboxSummary();
+
+    if (summary.failed === 0) {
+        ui.alert(`No failed emails. ${summary.pending} message(s) pending on the ${SHEETS.emailOutbox.name}.`);
+        return;
+    }
+
+    const confirm = ui.alert(
+        'Retry Failed Emails',
+        `${summary.failed} email(s) failed after all retries (see the ${SHEETS.emailOutbox.name} sheet for errors).\n\nRe-queue and send them now?`,
+        ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+
+    retryFailedEmails();
+    const result = processEmailOutbox();
+    ui.alert(`Sent: ${result.sent}\nRetrying later: ${result.retrying + result.deferred}\nFailed again: ${result.failed}`);
+}
+
+/**
+ * [V61] Menu handler: converts receipts logged as NO RATE after rates are added to the FX Rates sheet.
+ */
+function promptConvertPendingFxReceipts() {
+    const ui = SpreadsheetApp.getUi();
+
+    try {
+        const result = applyPendingFxConversions();
+        ui.alert(`Converted: ${result.converted}\nStill waiting for a rate: ${result.pending}` +
+            (result.pending > 0 ? `\n\nAdd the missing rates to the ${SHEETS.fxRates.name} sheet and run this again.` : ''));
+    } catch (e) {
+        ui.alert(`FX conversion failed.\n\n${e.message}`);
+    }
+}
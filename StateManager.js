@@ -72,3 +72,146 @@ class StateManager {
         return workflow && workflow.hasOwnProperty(status);
     }
 }
+
+
+// ==================================================================================
+//                      CENTRAL STATE-TRANSITION SERVICE
+// ==================================================================================
+
+/**
+ * Resolves the sheet column that stores the status for a given FSM type.
+ * @param {string} type - 'PLEDGE', 'ALLOCATION', 'STUDENT', 'SUBSCRIPTION' or 'INSTALLMENT'.
+ * @returns {number|null} - 1-based column number, or null for an unknown type.
+ */
+function getStatusColumn_(type) {
+    switch (type) {
+        case 'PLEDGE': return SHEETS.donations.cols.status;
+        case 'ALLOCATION': return SHEETS.allocations.cols.status;
+        case 'STUDENT': return SHEETS.students.cols.status;
+        case 'SUBSCRIPTION': return SHEETS.monthlyPledges.cols.status;
+        case 'INSTALLMENT': return SHEETS.installments.cols.status;
+        default: return null;
+    }
+}
+
+/**
+ * Builds the structured error returned by the transition API.
+ * @returns {Object} { code, message, type, from, to, allowed }
+ */
+function buildTransitionError_(code, type, from, to, message) {
+    return {
+        code: code,
+        message: message,
+        type: type,
+        from: from,
+        to: to,
+        allowed: StateManager.getAllowedNextStates(type, from)
+    };
+}
+
+/**
+ * Non-throwing counterpart of StateManager.validateTransition.
+ * - A move to the same state is an allowed no-op.
+ * - A blank or legacy current state is allowed (recovery), as in validateTransition.
+ * - [V61] A move listed in STATUS_CORRECTIONS is allowed only when allowCorrection is set.
+ *
+ * @param {string} type - FSM type key in STATUS_WORKFLOW.
+ * @param {string} current - The current status string.
+ * @param {string} target - The target status string.
+ * @param {boolean} [allowCorrection=false] - Also accept the STATUS_CORRECTIONS moves.
+ * @returns {Object} { allowed: boolean, error: Object|null }
+ */
+function checkStatusTransition(type, current, target, allowCorrection = false) {
+    if (!STATUS_WORKFLOW[type]) {
+        return { allowed: false, error: buildTransitionError_('INVALID_TYPE', type, current, target, `Invalid Status Type: ${type}`) };
+    }
+
+    if (!StateManager.isValidStatus(type, target)) {
+        return { allowed: false, error: buildTransitionError_('UNKNOWN_STATUS', type, current, target, `Unknown ${type} status: '${target}'`) };
+    }
+
+    if (current === target || !current) {
+        return { allowed: true, error: null };
+    }
+
+    try {
+        StateManager.validateTransition(type, current, target);
+        return { allowed: true, error: null };
+    } catch (e) {
+        if (allowCorrection && isCorrectionTransition_(type, current, target)) {
+            return { allowed: true, error: null };
+        }
+        return { allowed: false, error: buildTransitionError_('ILLEGAL_TRANSITION', type, current, target, e.message) };
+    }
+}
+
+/**
+ * [V61] Whether current -> target is one of the correction moves in STATUS_CORRECTIONS.
+ */
+function isCorrectionTransition_(type, current, target) {
+    const corrections = STATUS_CORRECTIONS[type] || {};
+    return (corrections[current] || []).includes(target);
+}
+
+/**
+ * The single entry point for writing a status to any sheet.
+ * Reads the current value from the sheet, validates the move against STATUS_WORKFLOW,
+ * writes the new value and records the audit event. Illegal moves are refused and
+ * the sheet is left untouched.
+ *
+ * @param {Object} request
+ * @param {string} request.type - 'PLEDGE', 'ALLOCATION', 'STUDENT', 'SUBSCRIPTION' or 'INSTALLMENT'.
+ * @param {Sheet} request.sheet - The sheet holding the record.
+ * @param {number} request.row - The 1-based row of the record.
+ * @param {string} request.targetStatus - The status to move to.
+ * @param {string} request.targetId - The entity ID used in logs and the Audit Trail.
+ * @param {string} [request.actor] - Audit actor (defaults to getActor()).
+ * @param {string} [request.eventType='STATUS_CHANGE'] - Audit event type.
+ * @param {string} [request.description] - Audit action description.
+ * @param {Object} [request.metadata={}] - Audit metadata.
+ * @param {boolean} [request.correction=false] - [V61] Allow a STATUS_CORRECTIONS move (cancellation paths only).
+ * @returns {Object} { success, changed, previousStatus, newStatus, error }
+ */
+function transitionStatus(request) {
+    const FUNC_NAME = 'transitionStatus';
+    const type = request.type;
+    const col = getStatusColumn_(type);
+
+    if (!col) {
+        const error = buildTransitionError_('INVALID_TYPE', type, '', request.targetStatus, `Invalid Status Type: ${type}`);
+        writeLog('ERROR', FUNC_NAME, error.message, request.targetId);
+        return { success: false, changed: false, previousStatus: '', newStatus: '', error: error };
+    }
+
+    const cell = request.sheet.getRange(request.row, col);
+    const previousStatus = String(cell.getValue() || '');
+    const check = checkStatusTransition(type, previousStatus, request.targetStatus, !!request.correction);
+
+    if (!check.allowed) {
+        writeLog('WARN', FUNC_NAME, `Refused: ${check.error.message}`, request.targetId);
+        return { success: false, changed: false, previousStatus: previousStatus, newStatus: previousStatus, error: check.error };
+    }
+
+    if (previousStatus === request.targetStatus) {
+        return { success: true, changed: false, previousStatus: previousStatus, newStatus: previousStatus, error: null };
+    }
+
+    cell.setValue(request.targetStatus);
+
+    const metadata = request.metadata || {};
+    if (request.correction && isCorrectionTransition_(type, previousStatus, request.targetStatus)) {
+        metadata.correction = true;
+    }
+
+    logAuditEvent(
+        request.actor || getActor(),
+        request.eventType || 'STATUS_CHANGE',
+        request.targetId,
+        request.description || `${type} status updated`,
+        previousStatus,
+        request.targetStatus,
+        metadata
+    );
+
+    return { success: true, changed: true, previousStatus: previousStatus, newStatus: request.targetStatus, error: null };
+}
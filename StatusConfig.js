@@ -4,6 +4,22 @@
  * Uses numbered prefixes (e.g., "1 - Pledged") for sorting and dashboard readability.
  */
 
+/**
+ * [V61] Correction moves: backward steps that are not part of the normal flow.
+ * They are only honoured when the caller asks for one (transitionStatus with correction: true),
+ * which only the allocation cancellation path does. A routine update (e.g. a new receipt) can
+ * therefore never demote an allocated or closed pledge through them.
+ */
+const STATUS_CORRECTIONS = {
+    PLEDGE: {
+        // Every allocation cancelled: back to the receipt state
+        '4 - Partially Allocated': ['2 - Proof Submitted', '1a - Partial Receipt'],
+        '5 - Fully Allocated': ['2 - Proof Submitted', '1a - Partial Receipt'],
+        // Re-opened when an allocation (e.g. a disputed one) is cancelled
+        '6 - Closed': ['4 - Partially Allocated', '2 - Proof Submitted', '1a - Partial Receipt']
+    }
+};
+
 const STATUS_WORKFLOW = {
     PLEDGE: {
         '1 - Pledged': {
@@ -11,11 +27,13 @@ const STATUS_WORKFLOW = {
             label: 'Pledged'
         },
         '1a - Partial Receipt': {
-            next: ['1a - Partial Receipt', '2 - Proof Submitted', '9 - Cancelled'],
+            // Partial funds may be allocated before the pledge is fully funded.
+            next: ['1a - Partial Receipt', '2 - Proof Submitted', '4 - Partially Allocated', '5 - Fully Allocated', '9 - Cancelled', '1 - Pledged'],
             label: 'Partial Receipt'
         },
         '2 - Proof Submitted': {
-            next: ['3 - Verified', '4 - Partially Allocated', '9 - Rejected'],
+            // '1 - Pledged' / '1a - Partial Receipt' = receipt reversed before any allocation
+            next: ['3 - Verified', '4 - Partially Allocated', '5 - Fully Allocated', '9 - Rejected', '1 - Pledged', '1a - Partial Receipt'],
             label: 'Proof Submitted'
         },
         '3 - Verified': {
@@ -66,7 +84,7 @@ const STATUS_WORKFLOW = {
             label: 'Completed'
         },
         '6 - Disputed': {
-            next: ['1 - Pending Hostel'],
+            next: ['1 - Pending Hostel', '9 - Cancelled'],
             label: 'Disputed'
         },
         '9 - Cancelled': {
@@ -85,7 +103,8 @@ const STATUS_WORKFLOW = {
             label: 'Allocation In Progress'
         },
         '3 - Fully Funded': {
-            next: ['4 - Settled'],
+            // Back to an open need when an allocation is cancelled
+            next: ['4 - Settled', '2 - Allocation In Progress', '1 - Need Identified'],
             label: 'Fully Funded'
         },
         '4 - Settled': {
@@ -97,11 +116,11 @@ const STATUS_WORKFLOW = {
     // --- [V59] Subscription FSM ---
     SUBSCRIPTION: {
         'Active': {
-            next: ['Overdue', 'Paused', 'Completed'],
+            next: ['Overdue', 'Paused', 'Completed', 'Cancelled'],
             label: 'Active'
         },
         'Overdue': {
-            next: ['Active', 'Lapsed', 'Paused'],
+            next: ['Active', 'Lapsed', 'Paused', 'Cancelled'],
             label: 'Overdue'
         },
         'Paused': {
@@ -125,20 +144,29 @@ const STATUS_WORKFLOW = {
     // --- [V59] Installment FSM ---
     INSTALLMENT: {
         'Pending': {
-            next: ['Reminded', 'Received'],
+            next: ['Reminded', 'Received', 'Missed', 'Voided'],
             label: 'Pending'
         },
         'Reminded': {
-            next: ['Reminded', 'Received', 'Missed'],
+            next: ['Reminded', 'Received', 'Missed', 'Voided'],
             label: 'Reminded'
         },
         'Received': {
-            next: [],
+            next: ['Allocated'],
             label: 'Received'
         },
+        'Allocated': {
+            next: [],
+            label: 'Allocated'
+        },
         'Missed': {
-            next: ['Received'],
+            next: ['Received', 'Voided'],
             label: 'Missed'
+        },
+        // [V61] Subscription cancelled before this installment was paid
+        'Voided': {
+            next: [],
+            label: 'Voided'
         }
     }
 };
@@ -187,7 +215,46 @@ const STATUS = {
         REMINDED: 'Reminded',
         RECEIVED: 'Received',
         ALLOCATED: 'Allocated', // [V59.3] Added for batch allocation tracking
-        MISSED: 'Missed'
+        MISSED: 'Missed',
+        VOIDED: 'Voided' // [V61] Subscription cancelled
+    },
+    // --- [V61] Receipt Log Status Constants ---
+    receipt: {
+        VALID: 'VALID',
+        DUPLICATE: 'DUPLICATE',
+        REJECTED: 'REJECTED'
+    },
+    // --- [V61] Donor Requests Status Constants ---
+    donorRequest: {
+        PENDING: 'Pending Approval',
+        EXECUTED: 'Executed',
+        REJECTED: 'Rejected',
+        FAILED: 'Failed'
+    },
+    // --- [V61] Refunds Status Constants (Approved and Returned reduce the pledge's verified total) ---
+    refund: {
+        PENDING: 'Pending Approval',
+        APPROVED: 'Approved',
+        RETURNED: 'Returned',
+        REJECTED: 'Rejected'
+    },
+    // --- [V61] Hostel Queries Status Constants (Answered returns the allocations to Pending Hostel) ---
+    hostelQuery: {
+        OPEN: 'Open',
+        ANSWERED: 'Answered'
+    },
+    // --- [V61] Subscription Batch Runs Status Constants ---
+    batchRun: {
+        IN_PROGRESS: 'In Progress',
+        COMMITTED: 'Committed',
+        SKIPPED: 'Skipped',
+        FAILED: 'Failed'
+    },
+    // --- [V61] Email Outbox Status Constants ---
+    outbox: {
+        PENDING: 'Pending',
+        SENT: 'Sent',
+        FAILED: 'Failed'
     },
     // Legacy/UI-specific status values (used for dropdown triggers in Donations Tracker)
     donations: {
@@ -0,0 +1,347 @@
+/**
+ * StudentConfirmationService.js
+ *
+ * [V61] Student confirmation: the last stage of an allocation, after the hostel has verified it.
+ *
+ * Key Features:
+ * - '3 - Hostel Verified' allocations get a confirmation request (TEMPLATES.studentPaymentNotification)
+ *   at the student's university address from the Confidential DB, and move to '4 - Student Verification'
+ * - The donor is named only if they opted in (Raw sheet column revealDonorToStudent); otherwise the
+ *   email says MAPPINGS.studentConfirmation.anonymousDonorName. The donor's email is never included
+ * - Replies are read from the student's own address: CONFIRM → '5 - Completed', DISPUTE → '6 - Disputed'
+ *   with an alert to the process owner. Replies that start with neither are read by Gemini
+ * - Nothing is sent until the template is configured, so allocations stay '3 - Hostel Verified' meanwhile
+ */
+
+/**
+ * Scheduled entry point (hourly). Sends new confirmation requests, then reads replies.
+ */
+function runStudentConfirmations() {
+    const FUNC_NAME = 'runStudentConfirmations';
+    writeLog('INFO', FUNC_NAME, 'Starting student confirmation run...');
+
+    try {
+        sendStudentConfirmationRequests();
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Sending confirmation requests failed: ${e.message}`);
+    }
+
+    try {
+        processStudentReplies();
+    } catch (e) {
+        writeLog('ERROR', FUNC_NAME, `Reading student replies failed: ${e.message}`);
+    }
+}
+
+// ==================================================================================
+//                              SEND
+// ==================================================================================
+
+/**
+ * Emails every '3 - Hostel Verified' allocation's student and moves it to '4 - Student Verification'.
+ * Students without a university email in the Confidential DB are skipped (and listed in the log).
+ *
+ * @returns {number} Requests sent in this run
+ */
+function sendStudentConfirmationRequests() {
+    const FUNC_NAME = 'sendStudentConfirmationRequests';
+    const settings = MAPPINGS.studentConfirmation;
+    const cols = SHEETS.allocations.cols;
+
+    if (!TEMPLATES.studentPaymentNotification || TEMPLATES.studentPaymentNotification.includes('ENTER')) {
+        writeLog('WARN', FUNC_NAME, 'studentPaymentNotification template not configured. No student confirmations sent.');
+        return 0;
+    }
+
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const data = allocWs.getDataRange().getValues();
+
+    const since = settings.verifiedSince ? new Date(settings.verifiedSince) : null;
+    const pending = [];
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][cols.status - 1] !== STATUS.allocation.HOSTEL_VERIFIED) continue;
+        if (data[i][cols.studentConfirmId - 1]) continue; // Already sent (the move to Student Verification was refused)
+        if (since) {
+            const verifiedAt = data[i][cols.hostelReplyDate - 1];
+            if (!(verifiedAt instanceof Date) || verifiedAt < since) continue; // Verified before the stage went live
+        }
+        pending.push({ row: i + 1, data: data[i] });
+    }
+    if (pending.length === 0) return 0;
+
+    const studentEmails = getStudentEmailMap_();
+    const donors = getDonorDisclosureMap_(ss);
+    const missingEmail = [];
+    let sent = 0;
+
+    for (const item of pending) {
+        if (sent >= settings.maxSendsPerRun) {
+            writeLog('INFO', FUNC_NAME, `Stopped at ${settings.maxSendsPerRun} requests. The rest wait for the next run.`);
+            break;
+        }
+
+        const allocId = String(item.data[cols.allocId - 1]);
+        const pledgeId = String(item.data[cols.pledgeId - 1]);
+        const cmsId = String(item.data[cols.cmsId - 1]).trim();
+        const studentEmail = studentEmails.get(cmsId);
+        if (!studentEmail) {
+            missingEmail.push(cmsId);
+            continue;
+        }
+
+        const donor = donors.get(pledgeId) || { name: '', reveal: false };
+        const donorNamed = donor.reveal && !!donor.name;
+
+        let msgId;
+        try {
+            const emailContent = createEmailFromTemplate(TEMPLATES.studentPaymentNotification, {
+                allocId: allocId,
+                cmsId: cmsId,
+                amount: (Number(item.data[cols.amount - 1]) || 0).toLocaleString(),
+                creditDate: formatStudentConfirmDate_(item.data[cols.hostelReplyDate - 1]),
+                donorName: donorNamed ? donor.name : settings.anonymousDonorName
+            });
+            // The subject is fixed (not the template's) so processStudentReplies can find the replies
+            msgId = sendEmailAndGetId(studentEmail, `${settings.subjectTag} (Ref: ${allocId})`,
+                emailContent.htmlBody, { from: EMAILS.processOwner });
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Confirmation request for ${allocId} failed: ${e.message}`, pledgeId);
+            continue; // Retried next run
+        }
+
+        const formattedId = formatIdForSheet(msgId);
+        allocWs.getRange(item.row, cols.studentConfirmId, 1, 2).setValues([[formattedId, new Date()]]);
+        sent++;
+
+        transitionStatus({
+            type: 'ALLOCATION',
+            sheet: allocWs,
+            row: item.row,
+            targetStatus: STATUS.allocation.STUDENT_VERIFICATION_PENDING,
+            targetId: `${allocId} (${pledgeId})`,
+            actor: 'SYSTEM/StudentConfirmation',
+            eventType: 'STUDENT_CONFIRMATION_SENT',
+            description: 'Confirmation request sent to the student',
+            metadata: { cmsId: cmsId, msgId: formattedId, donorNamed: donorNamed }
+        });
+    }
+
+    if (missingEmail.length > 0) {
+        writeLog('WARN', FUNC_NAME, `No university email in the Student Database for CMS ID(s): ${[...new Set(missingEmail)].join(', ')}`);
+    }
+    writeLog('INFO', FUNC_NAME, `${sent} student confirmation request(s) sent.`);
+    return sent;
+}
+
+// ==================================================================================
+//                              REPLIES
+// ==================================================================================
+
+/**
+ * Reads student replies to confirmation requests and records each outcome.
+ * Threads are labelled Students/Processed (confirmed or disputed) or Students/Manual-Review.
+ *
+ * @returns {number} Threads handled in this run
+ */
+function processStudentReplies() {
+    const FUNC_NAME = 'processStudentReplies';
+    const settings = MAPPINGS.studentConfirmation;
+    const processedLabel = getOrCreateLabel(settings.labels.processed);
+    const manualLabel = getOrCreateLabel(settings.labels.manualReview);
+
+    const query = `subject:"${settings.subjectTag}" -from:${EMAILS.processOwner} ` +
+        `-label:"${settings.labels.processed}" -label:"${settings.labels.manualReview}"`;
+    const threads = GmailApp.search(query, 0, settings.maxThreadsPerRun);
+    if (threads.length === 0) return 0;
+
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const studentEmails = getStudentEmailMap_();
+    let handled = 0;
+
+    for (const thread of threads) {
+        try {
+            const outcome = processStudentReplyThread_(thread, allocWs, studentEmails);
+            if (!outcome) continue; // No reply from outside yet
+            thread.addLabel(outcome === 'MANUAL' ? manualLabel : processedLabel);
+            handled++;
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to process student reply thread ${thread.getId()}: ${e.message}`);
+        }
+    }
+
+    writeLog('INFO', FUNC_NAME, `${handled} student reply thread(s) processed.`);
+    return handled;
+}
+
+/**
+ * Applies one student reply to its allocation.
+ * @returns {string|null} 'CONFIRMED', 'DISPUTED', 'MANUAL', or null when the thread has no reply yet
+ */
+function processStudentReplyThread_(thread, allocWs, studentEmails) {
+    const FUNC_NAME = 'processStudentReplyThread_';
+    const cols = SHEETS.allocations.cols;
+    const link = thread.getPermalink();
+
+    const reply = thread.getMessages().filter(m => !m.isDraft() && !isOwnMessage_(m)).pop();
+    if (!reply) return null;
+
+    const refMatch = thread.getFirstMessageSubject().match(/\(Ref:\s*(ALLOC-[\w-]+)\)/i);
+    if (!refMatch) {
+        writeLog('WARN', FUNC_NAME, `No allocation reference in "${thread.getFirstMessageSubject()}". Flagged for manual review.`);
+        return 'MANUAL';
+    }
+    const allocId = refMatch[1].toUpperCase();
+
+    const allocRow = findRowByValue(allocWs, cols.allocId, allocId);
+    if (!allocRow || allocRow.data[cols.status - 1] !== STATUS.allocation.STUDENT_VERIFICATION_PENDING) {
+        writeLog('WARN', FUNC_NAME, `${allocId} is not awaiting student confirmation. Reply flagged for manual review.`);
+        return 'MANUAL';
+    }
+
+    const pledgeId = String(allocRow.data[cols.pledgeId - 1]);
+    const allocation = {
+        allocId: allocId,
+        cmsId: String(allocRow.data[cols.cmsId - 1]).trim(),
+        amount: allocRow.data[cols.amount - 1]
+    };
+
+    // Only the student the request went to can confirm or dispute it
+    const studentEmail = studentEmails.get(allocation.cmsId) || '';
+    if (!studentEmail || !String(reply.getFrom()).toLowerCase().includes(studentEmail.toLowerCase())) {
+        sendStudentReplyAlert_(allocation, pledgeId, 'The reply did not come from the student\'s university address.', link);
+        return 'MANUAL';
+    }
+
+    const replyText = stripQuotedHistory(reply.getPlainBody());
+    const analysis = classifyStudentReply_(replyText) || analyzeStudentReply(replyText, allocation);
+    if (!analysis || analysis.status === 'UNCLEAR') {
+        sendStudentReplyAlert_(allocation, pledgeId,
+            `The reply could not be read as a confirmation or a dispute${analysis ? `: ${analysis.reason}` : ''}.`, link);
+        return 'MANUAL';
+    }
+
+    const disputed = analysis.status === 'DISPUTED';
+    const reason = disputed ? (analysis.reason || 'No reason given') : 'Confirmed';
+    const replyId = formatIdForSheet(getRfcIdFromMessage(reply));
+
+    const result = transitionStatus({
+        type: 'ALLOCATION',
+        sheet: allocWs,
+        row: allocRow.row,
+        targetStatus: disputed ? STATUS.allocation.DISPUTED : STATUS.allocation.COMPLETED,
+        targetId: `${allocId} (${pledgeId})`,
+        actor: 'SYSTEM/StudentConfirmation',
+        eventType: disputed ? 'STUDENT_DISPUTE' : 'STUDENT_CONFIRMED',
+        description: disputed ? `Student disputes the credit: ${reason}` : 'Student confirmed the credit',
+        metadata: { cmsId: allocation.cmsId, msgId: replyId }
+    });
+    if (!result.changed) {
+        writeLog('WARN', FUNC_NAME, `${allocId} could not be moved: ${result.error ? result.error.message : 'unchanged'}`, pledgeId);
+        return 'MANUAL';
+    }
+
+    allocWs.getRange(allocRow.row, cols.studentReplyId, 1, 3).setValues([[replyId, new Date(), reason]]);
+
+    if (disputed) {
+        sendStudentDisputeAlert_(allocation, pledgeId, allocRow.data[cols.hostelReplyId - 1], reason, link);
+        writeLog('WARN', FUNC_NAME, `${allocId} disputed by the student.`, pledgeId);
+        return 'DISPUTED';
+    }
+    writeLog('SUCCESS', FUNC_NAME, `${allocId} confirmed by the student.`, pledgeId);
+    return 'CONFIRMED';
+}
+
+// ==================================================================================
+//                              HELPERS
+// ==================================================================================
+
+/**
+ * Reads a reply that starts with the keyword the request asks for.
+ * @returns {Object|null} { status, reason }, or null when the reply starts with neither keyword
+ */
+function classifyStudentReply_(replyText) {
+    const text = String(replyText || '').trim();
+    const match = text.match(/^(confirm(?:ed)?|dispute[ds]?)\b[\s:.,-]*/i);
+    if (!match) return null;
+
+    if (/^confirm/i.test(match[1])) return { status: 'CONFIRMED', reason: '' };
+    return { status: 'DISPUTED', reason: text.substring(match[0].length).split(/\r?\n/)[0].trim() };
+}
+
+/**
+ * CMS ID -> university email, from the Confidential DB.
+ */
+function getStudentEmailMap_() {
+    const map = new Map();
+    const studentWs = SpreadsheetApp.openById(CONFIG.ssId_confidential).getSheetByName(SHEETS.students.name);
+    studentWs.getDataRange().getValues().slice(1).forEach(r => {
+        const email = String(r[SHEETS.students.cols.email - 1] || '').trim();
+        if (email) map.set(String(r[SHEETS.students.cols.cmsId - 1]).trim(), email);
+    });
+    return map;
+}
+
+/**
+ * Pledge ID -> { name, reveal }. reveal is true only when the donor opted in to being named.
+ */
+function getDonorDisclosureMap_(ss) {
+    const map = new Map();
+    const cols = SHEETS.donations.cols;
+    ss.getSheetByName(SHEETS.donations.name).getDataRange().getValues().slice(1).forEach(r => {
+        const pledgeId = String(r[cols.pledgeId - 1] || '');
+        if (!pledgeId) return;
+        map.set(pledgeId, {
+            name: String(r[cols.donorName - 1] || '').trim(),
+            reveal: isYesAnswer(r[cols.revealDonorToStudent - 1])
+        });
+    });
+    return map;
+}
+
+function formatStudentConfirmDate_(date) {
+    if (!(date instanceof Date)) return '';
+    return Utilities.formatDate(date, Session.getScriptTimeZone(), 'dd MMM yyyy');
+}
+
+/**
+ * Alerts the process owner to a disputed credit. CMS ID only; the donor is not named.
+ */
+function sendStudentDisputeAlert_(allocation, pledgeId, hostelReplyId, reason, link) {
+    const body = `
+      <p>A student disputes a hostel credit that the hostel had verified. The allocation is now <strong>${STATUS.allocation.DISPUTED}</strong>.</p>
+      <table border="1" cellpadding="6" style="border-collapse: collapse;">
+        <tr><th>Allocation Ref</th><td>${allocation.allocId}</td></tr>
+        <tr><th>Pledge</th><td>${pledgeId}</td></tr>
+        <tr><th>CMS ID</th><td>${allocation.cmsId}</td></tr>
+        <tr><th>Amount</th><td>PKR ${Number(allocation.amount).toLocaleString()}</td></tr>
+        <tr><th>Hostel Reply</th><td>${hostelReplyId || '-'}</td></tr>
+        <tr><th>Student says</th><td>${reason}</td></tr>
+      </table>
+      <p>Check with the hostel, then set the allocation back to <strong>${STATUS.allocation.PENDING_HOSTEL}</strong> or cancel it (Hostel Admin → Cancel / Reallocate Allocation).</p>
+      <p><a href="${link}">Open Email Thread</a></p>
+    `;
+    MailApp.sendEmail({
+        to: EMAILS.processOwner,
+        subject: `[ACTION REQUIRED] Student Dispute for ${allocation.allocId}`,
+        htmlBody: body
+    });
+}
+
+/**
+ * Alerts the process owner to a student reply that needs reading by hand.
+ */
+function sendStudentReplyAlert_(allocation, pledgeId, problem, link) {
+    const body = `
+      <p>A reply to the student confirmation request for <strong>${allocation.allocId}</strong> (${pledgeId}, CMS ID ${allocation.cmsId}) needs manual review.</p>
+      <p>${problem}</p>
+      <p>The allocation stays in <strong>${STATUS.allocation.STUDENT_VERIFICATION_PENDING}</strong>. Update its status by hand once the reply is clear.</p>
+      <p><a href="${link}">Open Email Thread</a></p>
+    `;
+    MailApp.sendEmail({
+        to: EMAILS.processOwner,
+        subject: `[ACTION REQUIRED] Student Reply for ${allocation.allocId}`,
+        htmlBody: body
+    });
+}
@@ -69,7 +69,10 @@ function createSubscription(pledgeId, donorEmail, donorName, monthlyAmount,
             linkedStudentIds,                         // R: linkedStudentIds
             '',                                       // S: notes
             '',                                       // T: welcomeEmailId [V59.3]
-            ''                                        // U: completionEmailId [V59.3]
+            '',                                       // U: completionEmailId [V59.3]
+            0,                                        // V: creditBalance [V61]
+            '',                                       // W: pausedUntil [V61]
+            ''                                        // X: studentShares [V61] (blank = equal split)
         ];
         subWs.appendRow(subRow);
 
@@ -90,7 +93,8 @@ function createSubscription(pledgeId, donorEmail, donorName, monthlyAmount,
                 0,                                      // I: reminderCount
                 '',                                     // J: lastReminderDate
                 '',                                     // K: reminderEmailId [V59.3]
-                ''                                      // L: receiptConfirmId [V59.3]
+                '',                                     // L: receiptConfirmId [V59.3]
+                monthlyAmount                           // M: amountDue [V61]
             ];
             instWs.appendRow(instRow);
         }
@@ -230,8 +234,9 @@ function runSubscriptionReminders() {
             const status = instData[i][SHEETS.installments.cols.status - 1];
             const reminderCount = instData[i][SHEETS.installments.cols.reminderCount - 1] || 0;
 
-            // Skip if already received or maxed out on reminders
-            if (status === STATUS.installment.RECEIVED) continue;
+            // Skip if already received/allocated/voided or maxed out on reminders
+            if (status === STATUS.installment.RECEIVED || status === STATUS.installment.ALLOCATED ||
+                status === STATUS.installment.VOIDED) continue;
             if (reminderCount >= maxReminders) continue;
 
             // Get subscription data
@@ -259,19 +264,27 @@ function runSubscriptionReminders() {
                     TEMPLATES.subscriptionReminder : TEMPLATES.subscriptionOverdue;
 
                 if (templateId && !templateId.includes('ENTER')) {
-                    const reminderMsgId = sendSubscriptionReminderEmail(
-                        subscriptionId, donorEmail, donorName,
+                    const installmentId = instData[i][SHEETS.installments.cols.installmentId - 1];
+
+                    // [V61] Queued on the Email Outbox, which writes the message ID to reminderEmailId
+                    queueSubscriptionReminderEmail(
+                        subscriptionId, installmentId, donorEmail, donorName,
                         monthlyAmount, monthNumber, totalMonths, templateId
                     );
 
                     // Update installment record
                     instWs.getRange(instRow, SHEETS.installments.cols.reminderCount).setValue(reminderCount + 1);
                     instWs.getRange(instRow, SHEETS.installments.cols.lastReminderDate).setValue(new Date());
-                    instWs.getRange(instRow, SHEETS.installments.cols.status).setValue(STATUS.installment.REMINDED);
-                    // [V59.4] Store reminder email ID
-                    if (reminderMsgId) {
-                        instWs.getRange(instRow, SHEETS.installments.cols.reminderEmailId).setValue(formatIdForSheet(reminderMsgId));
-                    }
+                    transitionStatus({
+                        type: 'INSTALLMENT',
+                        sheet: instWs,
+                        row: instRow,
+                        targetStatus: STATUS.installment.REMINDED,
+                        targetId: installmentId,
+                        actor: 'SYSTEM',
+                        description: `Reminder ${reminderCount + 1} queued`,
+                        metadata: { subscriptionId: subscriptionId }
+                    });
 
                     // Update subscription lastReminderDate
                     subWs.getRange(sub.row, SHEETS.monthlyPledges.cols.lastReminderDate).setValue(new Date());
@@ -281,20 +294,24 @@ function runSubscriptionReminders() {
             }
         }
 
-        writeLog('INFO', FUNC_NAME, `Reminder job complete. Sent ${remindersSent} reminders.`);
+        writeLog('INFO', FUNC_NAME, `Reminder job complete. Queued ${remindersSent} reminders.`);
 
     } catch (e) {
         writeLog('ERROR', FUNC_NAME, `Reminder job failed: ${e.message}`);
     }
+
+    processEmailOutbox();
 }
 
 /**
- * Sends a payment reminder email.
- * [V59.4] Returns message ID for storage in installment record.
+ * Queues a payment reminder email on the Email Outbox.
+ * [V61] The outbox stores the sent message ID in the installment's reminderEmailId.
+ *
+ * @returns {string} Outbox ID
  */
-function sendSubscriptionReminderEmail(subscriptionId, donorEmail, donorName,
+function queueSubscriptionReminderEmail(subscriptionId, installmentId, donorEmail, donorName,
     monthlyAmount, monthNumber, totalMonths, templateId) {
-    const FUNC_NAME = 'sendSubscriptionReminderEmail';
+    const FUNC_NAME = 'queueSubscriptionReminderEmail';
 
     const emailData = {
         donorName: donorName,
@@ -307,15 +324,22 @@ function sendSubscriptionReminderEmail(subscriptionId, donorEmail, donorName,
 
     const emailContent = createEmailFromTemplate(templateId, emailData);
 
-    const messageId = sendEmailAndGetId(
-        donorEmail,
-        emailContent.subject,
-        emailContent.htmlBody,
-        { from: EMAILS.processOwner }
-    );
-
-    writeLog('INFO', FUNC_NAME, `Reminder sent for month ${monthNumber}`, subscriptionId);
-    return messageId;
+    const outboxId = enqueueEmail({
+        recipient: donorEmail,
+        subject: emailContent.subject,
+        htmlBody: emailContent.htmlBody,
+        options: { from: EMAILS.processOwner },
+        target: {
+            sheet: SHEETS.installments.name,
+            keyCol: SHEETS.installments.cols.installmentId,
+            key: installmentId,
+            idCol: SHEETS.installments.cols.reminderEmailId
+        },
+        sourceRef: subscriptionId
+    });
+
+    writeLog('INFO', FUNC_NAME, `Reminder queued for month ${monthNumber} (${outboxId})`, subscriptionId);
+    return outboxId;
 }
 
 /**
@@ -344,7 +368,8 @@ function checkOverdueSubscriptions() {
 
         for (let i = 1; i < instData.length; i++) {
             const status = instData[i][SHEETS.installments.cols.status - 1];
-            if (status === STATUS.installment.RECEIVED) continue;
+            if (status === STATUS.installment.RECEIVED || status === STATUS.installment.ALLOCATED ||
+                status === STATUS.installment.VOIDED) continue;
 
             const dueDate = new Date(instData[i][SHEETS.installments.cols.dueDate - 1]);
             dueDate.setHours(0, 0, 0, 0);
@@ -357,7 +382,16 @@ function checkOverdueSubscriptions() {
 
                 // Mark installment as Missed if past threshold
                 if (daysSinceDue >= lapsedThreshold && status !== STATUS.installment.MISSED) {
-                    instWs.getRange(i + 1, SHEETS.installments.cols.status).setValue(STATUS.installment.MISSED);
+                    transitionStatus({
+                        type: 'INSTALLMENT',
+                        sheet: instWs,
+                        row: i + 1,
+                        targetStatus: STATUS.installment.MISSED,
+                        targetId: instData[i][SHEETS.installments.cols.installmentId - 1],
+                        actor: 'SYSTEM',
+                        description: `Installment missed (${daysSinceDue} days overdue)`,
+                        metadata: { subscriptionId: subscriptionId }
+                    });
                 }
             }
         }
@@ -367,8 +401,16 @@ function checkOverdueSubscriptions() {
             const subscriptionId = subData[i][SHEETS.monthlyPledges.cols.subscriptionId - 1];
             const currentStatus = subData[i][SHEETS.monthlyPledges.cols.status - 1];
 
+            // [V61] A pause ends by itself once pausedUntil has passed
+            const pausedUntil = subData[i][SHEETS.monthlyPledges.cols.pausedUntil - 1];
+            if (currentStatus === STATUS.subscription.PAUSED && pausedUntil && new Date(pausedUntil) <= today) {
+                resumeSubscription(subscriptionId, 'Pause period ended');
+                continue;
+            }
+
             if (currentStatus === STATUS.subscription.COMPLETED ||
-                currentStatus === STATUS.subscription.CANCELLED) {
+                currentStatus === STATUS.subscription.CANCELLED ||
+                currentStatus === STATUS.subscription.PAUSED) {
                 continue;
             }
 
@@ -384,17 +426,30 @@ function checkOverdueSubscriptions() {
                 newStatus = STATUS.subscription.ACTIVE;
             }
 
-            if (newStatus !== currentStatus) {
-                subWs.getRange(i + 1, SHEETS.monthlyPledges.cols.status).setValue(newStatus);
+            // A Lapsed subscription stays Lapsed until a payment reactivates it
+            if (currentStatus === STATUS.subscription.LAPSED && newStatus === STATUS.subscription.OVERDUE) {
+                newStatus = currentStatus;
+            }
 
-                logAuditEvent(
-                    'SYSTEM',
-                    'SUBSCRIPTION_STATUS_CHANGE',
-                    subscriptionId,
-                    `Subscription status updated (${maxDaysOverdue} days overdue)`,
-                    currentStatus,
-                    newStatus
-                );
+            if (newStatus !== currentStatus) {
+                // [V61] Active cannot jump straight to Lapsed; step through Overdue first
+                const steps = (currentStatus === STATUS.subscription.ACTIVE && newStatus === STATUS.subscription.LAPSED)
+                    ? [STATUS.subscription.OVERDUE, STATUS.subscription.LAPSED]
+                    : [newStatus];
+
+                for (const step of steps) {
+                    const result = transitionStatus({
+                        type: 'SUBSCRIPTION',
+                        sheet: subWs,
+                        row: i + 1,
+                        targetStatus: step,
+                        targetId: subscriptionId,
+                        actor: 'SYSTEM',
+                        eventType: 'SUBSCRIPTION_STATUS_CHANGE',
+                        description: `Subscription status updated (${maxDaysOverdue} days overdue)`
+                    });
+                    if (!result.success) break;
+                }
             }
         }
 
@@ -411,11 +466,14 @@ function checkOverdueSubscriptions() {
 // ==================================================================================
 
 /**
- * Links a receipt to a subscription installment and updates totals.
- * Called from processIncomingReceipts when receipt matches a subscription.
+ * Links a receipt to subscription installments and updates totals.
+ * Called from processIncomingReceipts after the receipts were analyzed and written to the Receipt Log.
+ * [V61] Advance payments: the amount plus any carried-forward credit settles as many of the
+ * next open installments as it covers; the remainder (a partial month, or an overpayment
+ * beyond durationMonths) is kept as credit on the Monthly Pledges row.
  * 
  * @param {string} subscriptionId The subscription ID
- * @param {string} receiptId The receipt ID from Receipt Log
+ * @param {string} receiptId The receipt ID(s) from Receipt Log (comma-separated)
  * @param {number} amount Verified amount
  * @returns {boolean} Success status
  */
@@ -426,7 +484,6 @@ function recordSubscriptionPayment(subscriptionId, receiptId, amount) {
         const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
         const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
         const instWs = ss.getSheetByName(SHEETS.installments.name);
-        const donationsWs = ss.getSheetByName(SHEETS.donations.name);
 
         // 1. Find subscription
         const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
@@ -435,146 +492,155 @@ function recordSubscriptionPayment(subscriptionId, receiptId, amount) {
             return false;
         }
 
-        // 2. Find the oldest PENDING or REMINDED installment (FIFO)
+        const monthlyAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+        if (monthlyAmount <= 0) {
+            writeLog('ERROR', FUNC_NAME, `Invalid monthly amount (${monthlyAmount}) for ${subscriptionId}. Cannot process.`);
+            return false;
+        }
+
+        // 2. [V61] Match the payment (plus any credit carried forward) to the next open installments (FIFO).
+        // Each installment is settled only in full; whatever is left is carried forward as credit.
         const instData = instWs.getDataRange().getValues();
-        let targetInstRow = null;
-        let targetInstId = null;
-        let targetMonthNumber = null;
+        const currentReceived = subRow.data[SHEETS.monthlyPledges.cols.paymentsReceived - 1] || 0;
+        const currentAmount = subRow.data[SHEETS.monthlyPledges.cols.amountReceived - 1] || 0;
+        const durationMonths = subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1];
+        const priorCredit = Number(subRow.data[SHEETS.monthlyPledges.cols.creditBalance - 1]) || 0;
+
+        let available = amount + priorCredit;
+        let openInstallments = 0;
+        const covered = []; // [{ row, installmentId, monthNumber, dueDate }]
 
         for (let i = 1; i < instData.length; i++) {
-            if (instData[i][SHEETS.installments.cols.subscriptionId - 1] === subscriptionId) {
-                const status = instData[i][SHEETS.installments.cols.status - 1];
-                if (status === STATUS.installment.PENDING ||
-                    status === STATUS.installment.REMINDED ||
-                    status === STATUS.installment.MISSED) {
-                    targetInstRow = i + 1;
-                    targetInstId = instData[i][SHEETS.installments.cols.installmentId - 1];
-                    targetMonthNumber = instData[i][SHEETS.installments.cols.monthNumber - 1];
-                    break; // Take the first (oldest) pending installment
-                }
-            }
-        }
+            if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
 
-        if (!targetInstRow) {
-            writeLog('WARN', FUNC_NAME, `No pending installment found for ${subscriptionId}. Payment may be extra.`);
-            // Could create a credit or handle as extra payment
-            return false;
-        }
+            const status = instData[i][SHEETS.installments.cols.status - 1];
+            if (status !== STATUS.installment.PENDING &&
+                status !== STATUS.installment.REMINDED &&
+                status !== STATUS.installment.MISSED) continue;
 
-        // 3. Update installment record
-        instWs.getRange(targetInstRow, SHEETS.installments.cols.status).setValue(STATUS.installment.RECEIVED);
-        instWs.getRange(targetInstRow, SHEETS.installments.cols.receiptId).setValue(receiptId);
-        instWs.getRange(targetInstRow, SHEETS.installments.cols.amountReceived).setValue(amount);
-        instWs.getRange(targetInstRow, SHEETS.installments.cols.receivedDate).setValue(new Date());
+            openInstallments++;
+            const alreadyPaid = Number(instData[i][SHEETS.installments.cols.amountReceived - 1]) || 0; // Legacy partial months
+            const amountDue = Number(instData[i][SHEETS.installments.cols.amountDue - 1]) || monthlyAmount;
+            const due = Math.max(0, amountDue - alreadyPaid);
+            if (available < due) break;
 
-        // [V59.3] 3b. Log to Receipt Log (same as one-time pledges)
-        // This ensures balance = Receipt Log verified - Allocation Log allocated
-        try {
-            const receiptsWs = ss.getSheetByName(SHEETS.receipts.name);
-            if (receiptsWs) {
-                receiptsWs.appendRow([
-                    `${targetInstId}-R${Date.now().toString().slice(-4)}`, // Unique Receipt ID
-                    subscriptionId, // Pledge ID (subscription uses same ID)
-                    new Date(),     // Timestamp
-                    new Date(),     // Email Date
-                    new Date(),     // Transfer Date
-                    amount,         // Amount Declared
-                    amount,         // Verified Amount
-                    'HIGH',         // Confidence (system verified)
-                    receiptId || '', // File URL if available
-                    `Installment ${targetMonthNumber}`, // Filename/Description
-                    'VALID'         // Status
-                ]);
-                writeLog('INFO', FUNC_NAME, `Receipt logged for ${targetInstId}`, subscriptionId);
+            const instRow = i + 1;
+            const instId = instData[i][SHEETS.installments.cols.installmentId - 1];
+
+            // [V61] Log with installmentId as targetId for full traceability
+            const instResult = transitionStatus({
+                type: 'INSTALLMENT',
+                sheet: instWs,
+                row: instRow,
+                targetStatus: STATUS.installment.RECEIVED,
+                targetId: instId,
+                actor: 'SYSTEM',
+                eventType: 'SUBSCRIPTION_PAYMENT',
+                description: `Payment ${currentReceived + covered.length + 1}/${durationMonths} received`,
+                metadata: { subscriptionId, receiptId, amount: due, pledgeId: subRow.data[SHEETS.monthlyPledges.cols.pledgeId - 1] }
+            });
+            if (!instResult.success) {
+                writeLog('ERROR', FUNC_NAME, `Installment ${instId} refused payment: ${instResult.error.message}`, subscriptionId);
+                break;
             }
-        } catch (receiptErr) {
-            writeLog('WARN', FUNC_NAME, `Failed to log receipt: ${receiptErr.message}`, subscriptionId);
+
+            const priorReceipts = instData[i][SHEETS.installments.cols.receiptId - 1];
+            instWs.getRange(instRow, SHEETS.installments.cols.receiptId).setValue(priorReceipts ? `${priorReceipts}, ${receiptId}` : receiptId);
+            instWs.getRange(instRow, SHEETS.installments.cols.amountReceived).setValue(amountDue);
+            instWs.getRange(instRow, SHEETS.installments.cols.receivedDate).setValue(new Date());
+
+            available -= due;
+            covered.push({
+                row: instRow,
+                installmentId: instId,
+                monthNumber: instData[i][SHEETS.installments.cols.monthNumber - 1],
+                dueDate: instData[i][SHEETS.installments.cols.dueDate - 1]
+            });
         }
 
-        // 4. Update subscription totals
-        const currentReceived = subRow.data[SHEETS.monthlyPledges.cols.paymentsReceived - 1] || 0;
-        const currentAmount = subRow.data[SHEETS.monthlyPledges.cols.amountReceived - 1] || 0;
-        const durationMonths = subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1];
+        // 3. Update subscription totals (remainder carried forward as credit)
+        const completedCount = covered.length;
+        const creditBalance = available;
 
-        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.paymentsReceived).setValue(currentReceived + 1);
+        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.paymentsReceived).setValue(currentReceived + completedCount);
         subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.amountReceived).setValue(currentAmount + amount);
         subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.lastReceiptDate).setValue(new Date());
+        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.creditBalance).setValue(creditBalance);
+
+        // Overpayment: nothing left to settle once every installment is paid
+        if (creditBalance > 0 && openInstallments === completedCount && currentReceived + completedCount >= durationMonths) {
+            writeLog('WARN', FUNC_NAME, `Overpayment: PKR ${creditBalance} received beyond the ${durationMonths}-month commitment.`, subscriptionId);
+            logAuditEvent('SYSTEM', 'SUBSCRIPTION_OVERPAYMENT', subscriptionId,
+                `PKR ${creditBalance} received beyond ${durationMonths} months`, priorCredit, creditBalance,
+                { receiptId: receiptId, amount: amount });
+        } else if (creditBalance !== priorCredit) {
+            writeLog('INFO', FUNC_NAME, `Credit carried forward: PKR ${priorCredit} → PKR ${creditBalance}`, subscriptionId);
+        }
 
-        // [V59.3] 4b. Update Response Sheet (same columns as one-time pledges for dashboard)
+        // 4. [V61] Response Sheet totals come from the logs (the caller has already written the Receipt Log)
         const pledgeId = subRow.data[SHEETS.monthlyPledges.cols.pledgeId - 1];
-        const donationsRow = findRowByValue(donationsWs, SHEETS.donations.cols.pledgeId, pledgeId);
-        if (donationsRow) {
-            const prevVerified = Number(donationsRow.data[SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0;
-            const newVerified = prevVerified + amount;
-            const totalPledge = Number(donationsRow.data[SHEETS.donations.cols.pledgeOutstanding - 1]) + prevVerified;
-            const newOutstanding = Math.max(0, totalPledge - newVerified);
-
-            donationsWs.getRange(donationsRow.row, SHEETS.donations.cols.verifiedTotalAmount).setValue(newVerified);
-            donationsWs.getRange(donationsRow.row, SHEETS.donations.cols.pledgeOutstanding).setValue(newOutstanding);
-
-            // [V59.3 FIX] balanceAmount = Verified - Allocated (use real-time helper)
-            // Update row data with new verified amount for accurate calculation
-            const updatedRowData = [...donationsRow.data];
-            updatedRowData[SHEETS.donations.cols.verifiedTotalAmount - 1] = newVerified;
-            const cashBalance = getRealTimePledgeBalance(pledgeId, updatedRowData);
-            donationsWs.getRange(donationsRow.row, SHEETS.donations.cols.balanceAmount).setValue(cashBalance);
-
-            writeLog('INFO', FUNC_NAME, `Updated Response Sheet: Verified=${newVerified}, Outstanding=${newOutstanding}, CashBalance=${cashBalance}`, subscriptionId);
+        const refreshed = refreshPledgeCachedTotals(pledgeId, ss);
+        if (refreshed) {
+            writeLog('INFO', FUNC_NAME, `Updated Response Sheet: Verified=${refreshed.verified}, Outstanding=${refreshed.outstanding}, CashBalance=${refreshed.balance}`, subscriptionId);
+        }
+
+        const completedInstallments = currentReceived + completedCount;
+
+        // If was overdue, reset to Active (also the required step before Completed).
+        // A payment that only adds credit has not cleared the arrears.
+        const currentStatus = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
+        if (completedCount > 0 &&
+            (currentStatus === STATUS.subscription.OVERDUE || currentStatus === STATUS.subscription.LAPSED)) {
+            transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.ACTIVE,
+                targetId: subscriptionId,
+                actor: 'SYSTEM',
+                eventType: 'SUBSCRIPTION_STATUS_CHANGE',
+                description: 'Payment received - subscription reactivated'
+            });
         }
 
-        // 5. Calculate next due date (1st of next month after this installment's due)
-        const completedInstallments = currentReceived + 1;
         if (completedInstallments >= durationMonths) {
             // All payments received - mark as Completed
-            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.status).setValue(STATUS.subscription.COMPLETED);
-            sendSubscriptionCompletedEmail(subscriptionId);
-
-            logAuditEvent(
-                'SYSTEM',
-                'SUBSCRIPTION_COMPLETED',
-                subscriptionId,
-                `Subscription completed after ${durationMonths} payments`,
-                STATUS.subscription.ACTIVE,
-                STATUS.subscription.COMPLETED,
-                { totalReceived: currentAmount + amount }
-            );
+            const completeResult = transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.COMPLETED,
+                targetId: subscriptionId,
+                actor: 'SYSTEM',
+                eventType: 'SUBSCRIPTION_COMPLETED',
+                description: `Subscription completed after ${durationMonths} payments`,
+                metadata: { totalReceived: currentAmount + amount }
+            });
+            if (completeResult.changed) {
+                sendSubscriptionCompletedEmail(subscriptionId);
+            }
         } else {
-            // Calculate next due date
-            const startDate = new Date(subRow.data[SHEETS.monthlyPledges.cols.startDate - 1]);
-            const nextDueDate = new Date(startDate.getFullYear(), startDate.getMonth() + completedInstallments, 1);
-            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.nextDueDate).setValue(nextDueDate);
-
-            // If was overdue, reset to Active
-            const currentStatus = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
-            if (currentStatus === STATUS.subscription.OVERDUE || currentStatus === STATUS.subscription.LAPSED) {
-                subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.status).setValue(STATUS.subscription.ACTIVE);
+            // 5. Next due date = earliest installment still unsettled (keeps any pause shift)
+            const settledRows = new Set(covered.map(c => c.row));
+            const nextDueDate = getEarliestOpenDueDate_(instData, subscriptionId, settledRows);
+            if (nextDueDate) {
+                subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.nextDueDate).setValue(nextDueDate);
             }
         }
 
-        // 6. Send confirmation email and store message ID
-        const confirmMsgId = sendSubscriptionReceiptConfirmEmail(subscriptionId, amount, targetMonthNumber,
-            completedInstallments, durationMonths);
+        // 6. Send one confirmation email for every month covered and store message ID
+        const confirmMsgId = sendSubscriptionReceiptConfirmEmail(subscriptionId, amount, covered,
+            completedInstallments, durationMonths, creditBalance);
         // [V59.4] Store receipt confirm email ID in installment record
-        if (confirmMsgId && targetInstRow) {
-            instWs.getRange(targetInstRow, SHEETS.installments.cols.receiptConfirmId).setValue(formatIdForSheet(confirmMsgId));
+        if (confirmMsgId) {
+            covered.forEach(c => instWs.getRange(c.row, SHEETS.installments.cols.receiptConfirmId).setValue(formatIdForSheet(confirmMsgId)));
         }
 
         // 7. Handle hostel intimation based on config
         processSubscriptionHostelIntimation(subscriptionId, receiptId, amount);
 
-        // [V59.3] Log with installmentId as targetId for full traceability
-        logAuditEvent(
-            'SYSTEM',
-            'SUBSCRIPTION_PAYMENT',
-            targetInstId, // Use installmentId as targetId for specific payment tracking
-            `Payment ${completedInstallments}/${durationMonths} received`,
-            STATUS.installment.PENDING,
-            STATUS.installment.RECEIVED,
-            { subscriptionId, receiptId, amount, pledgeId }
-        );
-
         writeLog('SUCCESS', FUNC_NAME,
-            `Recorded payment ${completedInstallments}/${durationMonths} for ${subscriptionId} (Installment: ${targetInstId})`);
+            `Recorded payment ${completedInstallments}/${durationMonths} for ${subscriptionId} (Installments: ${covered.map(c => c.installmentId).join(', ') || 'none - held as credit'})`);
 
         return true;
 
@@ -587,9 +653,13 @@ function recordSubscriptionPayment(subscriptionId, receiptId, amount) {
 /**
  * Sends confirmation email after payment received.
  * [V59.4] Returns message ID for storage in installment record.
+ * [V61] One email per payment, listing every month it covered and the credit carried forward.
+ *
+ * @param {Array<Object>} covered [{ monthNumber, dueDate }] installments settled by this payment
+ * @param {number} creditBalance Credit left on the subscription after this payment
  */
-function sendSubscriptionReceiptConfirmEmail(subscriptionId, amount, monthNumber,
-    completedPayments, totalMonths) {
+function sendSubscriptionReceiptConfirmEmail(subscriptionId, amount, covered,
+    completedPayments, totalMonths, creditBalance) {
     const FUNC_NAME = 'sendSubscriptionReceiptConfirmEmail';
 
     // Skip if template not configured
@@ -607,11 +677,18 @@ function sendSubscriptionReceiptConfirmEmail(subscriptionId, amount, monthNumber
     const donorName = subRow.data[SHEETS.monthlyPledges.cols.donorName - 1];
     const nextDueDate = subRow.data[SHEETS.monthlyPledges.cols.nextDueDate - 1];
 
+    const monthsCovered = covered.map(c => {
+        const due = c.dueDate ? Utilities.formatDate(new Date(c.dueDate), Session.getScriptTimeZone(), 'MMMM yyyy') : '';
+        return due ? `Month ${c.monthNumber} (${due})` : `Month ${c.monthNumber}`;
+    });
+
     const emailData = {
         donorName: donorName,
         subscriptionId: subscriptionId,
         amount: amount.toLocaleString(),
-        monthNumber: monthNumber,
+        monthNumber: covered.map(c => c.monthNumber).join(', ') || '-', // Legacy templates
+        monthsCovered: monthsCovered.join(', ') || 'None yet - held as credit',
+        creditBalance: (creditBalance || 0).toLocaleString(),
         completedPayments: completedPayments,
         remainingPayments: totalMonths - completedPayments,
         totalMonths: totalMonths,
@@ -939,38 +1016,876 @@ function updateSubscriptionStudents(subscriptionId, newStudentIds) {
         return false;
     }
 
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            const oldStudentIds = subRow.data[SHEETS.monthlyPledges.cols.linkedStudentIds - 1];
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.linkedStudentIds).setValue(newStudentIds);
+
+            logAuditEvent(
+                getActor(),
+                'SUBSCRIPTION_STUDENT_CHANGE',
+                subscriptionId,
+                'Linked students updated',
+                oldStudentIds,
+                newStudentIds
+            );
+
+            writeLog('SUCCESS', FUNC_NAME, `Students updated: ${newStudentIds}`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to update students: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+
+// ==================================================================================
+//                              [V61] LIFECYCLE COMMANDS
+// ==================================================================================
+// Each command runs under withScriptLock_, so inside approveDonorRequest it runs within
+// that call's lock instead of taking (and releasing) its own.
+
+/**
+ * Pauses a subscription for a number of months.
+ * Upcoming installments (Pending/Reminded) move back by the same number of months; missed
+ * installments stay due. The subscription resumes by itself once pausedUntil has passed
+ * (see checkOverdueSubscriptions).
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {number} months Length of the pause in whole months
+ * @param {string} [reason] Recorded in the audit log
+ * @returns {boolean} Success status
+ */
+function pauseSubscription(subscriptionId, months, reason = '') {
+    const FUNC_NAME = 'pauseSubscription';
+    const pauseMonths = parseInt(months, 10);
+
+    if (!pauseMonths || pauseMonths < 1) {
+        writeLog('ERROR', FUNC_NAME, `Invalid pause length: ${months}`, subscriptionId);
+        return false;
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const instWs = ss.getSheetByName(SHEETS.installments.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            const today = new Date();
+            const pausedUntil = addMonths_(today, pauseMonths);
+
+            const result = transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.PAUSED,
+                targetId: subscriptionId,
+                eventType: 'SUBSCRIPTION_PAUSED',
+                description: `Paused for ${pauseMonths} month(s)${reason ? `: ${reason}` : ''}`,
+                metadata: { months: pauseMonths, pausedUntil: pausedUntil, reason: reason }
+            });
+            if (!result.success || !result.changed) {
+                writeLog('ERROR', FUNC_NAME, `Cannot pause: ${result.error ? result.error.message : 'already paused'}`, subscriptionId);
+                return false;
+            }
+
+            const shifted = shiftUpcomingInstallments_(instWs, subscriptionId, pauseMonths);
+
+            const nextDueDate = subRow.data[SHEETS.monthlyPledges.cols.nextDueDate - 1];
+            if (nextDueDate) {
+                subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.nextDueDate).setValue(addMonths_(nextDueDate, pauseMonths));
+            }
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.pausedUntil).setValue(pausedUntil);
+
+            sendSubscriptionUpdateEmail(subscriptionId, 'Pledge Paused',
+                `Your monthly pledge is paused until ${formatSubscriptionDate_(pausedUntil)}. ` +
+                `${shifted} upcoming payment(s) have moved back by ${pauseMonths} month(s); no reminders will be sent in the meantime.`);
+
+            writeLog('SUCCESS', FUNC_NAME, `Paused for ${pauseMonths} month(s); ${shifted} installment(s) shifted.`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to pause subscription: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Resumes a paused subscription. Due dates already shifted by the pause are kept.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {string} [reason] Recorded in the audit log
+ * @returns {boolean} Success status
+ */
+function resumeSubscription(subscriptionId, reason = '') {
+    const FUNC_NAME = 'resumeSubscription';
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            if (subRow.data[SHEETS.monthlyPledges.cols.status - 1] !== STATUS.subscription.PAUSED) {
+                writeLog('WARN', FUNC_NAME, 'Subscription is not paused.', subscriptionId);
+                return false;
+            }
+
+            const result = transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.ACTIVE,
+                targetId: subscriptionId,
+                eventType: 'SUBSCRIPTION_RESUMED',
+                description: `Resumed${reason ? `: ${reason}` : ''}`,
+                metadata: { reason: reason }
+            });
+            if (!result.success) {
+                writeLog('ERROR', FUNC_NAME, `Cannot resume: ${result.error.message}`, subscriptionId);
+                return false;
+            }
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.pausedUntil).setValue('');
+
+            sendSubscriptionUpdateEmail(subscriptionId, 'Pledge Resumed',
+                'Your monthly pledge is active again. We will remind you when your next payment is due.');
+
+            writeLog('SUCCESS', FUNC_NAME, 'Subscription resumed.', subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to resume subscription: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Extends a subscription by appending installments after the last one.
+ * The RAW sheet's pledgeOutstanding grows by the extra months at the current monthly amount.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {number} extraMonths Number of months to add
+ * @returns {boolean} Success status
+ */
+function extendSubscription(subscriptionId, extraMonths) {
+    const FUNC_NAME = 'extendSubscription';
+    const addCount = parseInt(extraMonths, 10);
+
+    if (!addCount || addCount < 1) {
+        writeLog('ERROR', FUNC_NAME, `Invalid extension: ${extraMonths}`, subscriptionId);
+        return false;
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const instWs = ss.getSheetByName(SHEETS.installments.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            const status = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
+            if (status === STATUS.subscription.COMPLETED || status === STATUS.subscription.CANCELLED) {
+                writeLog('ERROR', FUNC_NAME, `Cannot extend a ${status} subscription.`, subscriptionId);
+                return false;
+            }
+
+            const monthlyAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+            const oldDuration = Number(subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1]) || 0;
+            const newDuration = oldDuration + addCount;
+
+            // Continue after the last installment (month number and due date)
+            const instData = instWs.getDataRange().getValues();
+            let lastMonth = 0;
+            let lastDue = new Date(subRow.data[SHEETS.monthlyPledges.cols.startDate - 1]);
+            for (let i = 1; i < instData.length; i++) {
+                if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+                const monthNumber = Number(instData[i][SHEETS.installments.cols.monthNumber - 1]) || 0;
+                if (monthNumber > lastMonth) {
+                    lastMonth = monthNumber;
+                    lastDue = new Date(instData[i][SHEETS.installments.cols.dueDate - 1]);
+                }
+            }
+
+            for (let m = 1; m <= addCount; m++) {
+                const monthNumber = lastMonth + m;
+                instWs.appendRow([
+                    `${subscriptionId}-M${String(monthNumber).padStart(2, '0')}`,
+                    subscriptionId,
+                    monthNumber,
+                    addMonths_(lastDue, m),
+                    STATUS.installment.PENDING,
+                    '', 0, '', 0, '', '', '',
+                    monthlyAmount
+                ]);
+            }
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.durationMonths).setValue(newDuration);
+            adjustSubscriptionOutstanding_(ss, subRow, addCount * monthlyAmount);
+
+            logAuditEvent(getActor(), 'SUBSCRIPTION_EXTENDED', subscriptionId,
+                `Extended by ${addCount} month(s)`, oldDuration, newDuration,
+                { extraMonths: addCount, monthlyAmount: monthlyAmount });
+
+            sendSubscriptionUpdateEmail(subscriptionId, 'Pledge Extended',
+                `Thank you! Your monthly pledge has been extended by ${addCount} month(s), from ${oldDuration} to ${newDuration} months.`);
+
+            writeLog('SUCCESS', FUNC_NAME, `Extended from ${oldDuration} to ${newDuration} months.`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to extend subscription: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Cancels a subscription. Every unpaid installment is voided and the RAW sheet's
+ * pledgeOutstanding drops by what those installments still expected.
+ * Payments already received (and any credit) stay on the pledge.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {string} reason Recorded in the audit log
+ * @returns {boolean} Success status
+ */
+function cancelSubscription(subscriptionId, reason = '') {
+    const FUNC_NAME = 'cancelSubscription';
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const instWs = ss.getSheetByName(SHEETS.installments.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            // Validate before voiding anything
+            const check = checkStatusTransition('SUBSCRIPTION', subRow.data[SHEETS.monthlyPledges.cols.status - 1], STATUS.subscription.CANCELLED);
+            if (!check.allowed) {
+                writeLog('ERROR', FUNC_NAME, `Cannot cancel: ${check.error.message}`, subscriptionId);
+                return false;
+            }
+
+            const monthlyAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+            const instData = instWs.getDataRange().getValues();
+            let voidedCount = 0;
+            let voidedAmount = 0;
+
+            for (let i = 1; i < instData.length; i++) {
+                if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+
+                const status = instData[i][SHEETS.installments.cols.status - 1];
+                if (status !== STATUS.installment.PENDING &&
+                    status !== STATUS.installment.REMINDED &&
+                    status !== STATUS.installment.MISSED) continue;
+
+                const amountDue = Number(instData[i][SHEETS.installments.cols.amountDue - 1]) || monthlyAmount;
+                const alreadyPaid = Number(instData[i][SHEETS.installments.cols.amountReceived - 1]) || 0;
+
+                const voidResult = transitionStatus({
+                    type: 'INSTALLMENT',
+                    sheet: instWs,
+                    row: i + 1,
+                    targetStatus: STATUS.installment.VOIDED,
+                    targetId: instData[i][SHEETS.installments.cols.installmentId - 1],
+                    description: 'Subscription cancelled',
+                    metadata: { subscriptionId: subscriptionId }
+                });
+                if (voidResult.changed) {
+                    voidedCount++;
+                    voidedAmount += Math.max(0, amountDue - alreadyPaid);
+                }
+            }
+
+            transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.CANCELLED,
+                targetId: subscriptionId,
+                eventType: 'SUBSCRIPTION_CANCELLED',
+                description: `Cancelled${reason ? `: ${reason}` : ''}`,
+                metadata: { reason: reason, voidedInstallments: voidedCount, voidedAmount: voidedAmount }
+            });
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.pausedUntil).setValue('');
+            adjustSubscriptionOutstanding_(ss, subRow, -voidedAmount);
+
+            sendSubscriptionUpdateEmail(subscriptionId, 'Pledge Cancelled',
+                `Your monthly pledge has been cancelled as requested; ${voidedCount} remaining payment(s) will no longer be expected. ` +
+                'Thank you for the support you have already given.');
+
+            writeLog('SUCCESS', FUNC_NAME, `Cancelled; ${voidedCount} installment(s) voided (PKR ${voidedAmount}).`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to cancel subscription: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Changes the monthly amount for installments that are not yet due.
+ * Installments already due (or paid) keep the amount they were due at.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {number} newAmount New monthly amount (PKR)
+ * @returns {boolean} Success status
+ */
+function changeSubscriptionAmount(subscriptionId, newAmount) {
+    const FUNC_NAME = 'changeSubscriptionAmount';
+    const cleanAmount = parseCurrencyString(newAmount);
+
+    if (!cleanAmount || cleanAmount <= 0) {
+        writeLog('ERROR', FUNC_NAME, `Invalid monthly amount: ${newAmount}`, subscriptionId);
+        return false;
+    }
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const instWs = ss.getSheetByName(SHEETS.installments.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            const status = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
+            if (status === STATUS.subscription.COMPLETED || status === STATUS.subscription.CANCELLED) {
+                writeLog('ERROR', FUNC_NAME, `Cannot change the amount of a ${status} subscription.`, subscriptionId);
+                return false;
+            }
+
+            const oldAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+            const today = new Date();
+            const instData = instWs.getDataRange().getValues();
+            let changedCount = 0;
+            let outstandingDelta = 0;
+
+            for (let i = 1; i < instData.length; i++) {
+                if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+                if (instData[i][SHEETS.installments.cols.status - 1] !== STATUS.installment.PENDING) continue;
+                if (new Date(instData[i][SHEETS.installments.cols.dueDate - 1]) <= today) continue;
+
+                const previousDue = Number(instData[i][SHEETS.installments.cols.amountDue - 1]) || oldAmount;
+                instWs.getRange(i + 1, SHEETS.installments.cols.amountDue).setValue(cleanAmount);
+                outstandingDelta += cleanAmount - previousDue;
+                changedCount++;
+            }
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.monthlyAmount).setValue(cleanAmount);
+            adjustSubscriptionOutstanding_(ss, subRow, outstandingDelta);
+
+            logAuditEvent(getActor(), 'SUBSCRIPTION_AMOUNT_CHANGED', subscriptionId,
+                `Monthly amount changed for ${changedCount} upcoming installment(s)`, oldAmount, cleanAmount,
+                { installments: changedCount, outstandingDelta: outstandingDelta });
+
+            sendSubscriptionUpdateEmail(subscriptionId, 'Monthly Amount Updated',
+                `Your monthly pledge changes from PKR ${oldAmount.toLocaleString()} to PKR ${cleanAmount.toLocaleString()} ` +
+                `for the ${changedCount} upcoming payment(s). Payments already due stay at the previous amount.`);
+
+            writeLog('SUCCESS', FUNC_NAME, `Monthly amount ${oldAmount} → ${cleanAmount} (${changedCount} installments).`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to change amount: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Ends a subscription after a given month ("stop after this month").
+ * Later unpaid installments are voided and durationMonths is lowered; if every remaining
+ * month is already paid the subscription completes straight away.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {number} [lastMonth] Last month to keep; defaults to the latest installment already due
+ * @param {string} [reason] Recorded in the audit log
+ * @returns {boolean} Success status
+ */
+function shortenSubscription(subscriptionId, lastMonth = null, reason = '') {
+    const FUNC_NAME = 'shortenSubscription';
+
+    return withScriptLock_(() => {
+        try {
+            const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+            const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+            const instWs = ss.getSheetByName(SHEETS.installments.name);
+
+            const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+            if (!subRow) {
+                writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
+                return false;
+            }
+
+            const status = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
+            if (status === STATUS.subscription.COMPLETED || status === STATUS.subscription.CANCELLED) {
+                writeLog('ERROR', FUNC_NAME, `Cannot shorten a ${status} subscription.`, subscriptionId);
+                return false;
+            }
+
+            const monthlyAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+            const oldDuration = Number(subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1]) || 0;
+            const instData = instWs.getDataRange().getValues();
+            const today = new Date();
+
+            // "This month" = the latest installment already due (month 1 if none is due yet)
+            let keepMonths = parseInt(lastMonth, 10) || 0;
+            if (!keepMonths) {
+                for (let i = 1; i < instData.length; i++) {
+                    if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+                    const monthNumber = Number(instData[i][SHEETS.installments.cols.monthNumber - 1]) || 0;
+                    if (new Date(instData[i][SHEETS.installments.cols.dueDate - 1]) <= today && monthNumber > keepMonths) {
+                        keepMonths = monthNumber;
+                    }
+                }
+                keepMonths = keepMonths || 1;
+            }
+
+            if (keepMonths >= oldDuration) {
+                writeLog('WARN', FUNC_NAME, `Nothing to shorten: month ${keepMonths} is not before the end (${oldDuration}).`, subscriptionId);
+                return false;
+            }
+
+            let voidedCount = 0;
+            let voidedAmount = 0;
+
+            for (let i = 1; i < instData.length; i++) {
+                if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+                if ((Number(instData[i][SHEETS.installments.cols.monthNumber - 1]) || 0) <= keepMonths) continue;
+
+                const instStatus = instData[i][SHEETS.installments.cols.status - 1];
+                if (instStatus !== STATUS.installment.PENDING &&
+                    instStatus !== STATUS.installment.REMINDED &&
+                    instStatus !== STATUS.installment.MISSED) continue;
+
+                const amountDue = Number(instData[i][SHEETS.installments.cols.amountDue - 1]) || monthlyAmount;
+                const alreadyPaid = Number(instData[i][SHEETS.installments.cols.amountReceived - 1]) || 0;
+
+                const voidResult = transitionStatus({
+                    type: 'INSTALLMENT',
+                    sheet: instWs,
+                    row: i + 1,
+                    targetStatus: STATUS.installment.VOIDED,
+                    targetId: instData[i][SHEETS.installments.cols.installmentId - 1],
+                    description: `Subscription ends after month ${keepMonths}`,
+                    metadata: { subscriptionId: subscriptionId }
+                });
+                if (voidResult.changed) {
+                    voidedCount++;
+                    voidedAmount += Math.max(0, amountDue - alreadyPaid);
+                }
+            }
+
+            subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.durationMonths).setValue(keepMonths);
+            adjustSubscriptionOutstanding_(ss, subRow, -voidedAmount);
+
+            logAuditEvent(getActor(), 'SUBSCRIPTION_SHORTENED', subscriptionId,
+                `Ends after month ${keepMonths}${reason ? `: ${reason}` : ''}`, oldDuration, keepMonths,
+                { voidedInstallments: voidedCount, voidedAmount: voidedAmount, reason: reason });
+
+            // Already paid up to the new end: complete now
+            const paymentsReceived = Number(subRow.data[SHEETS.monthlyPledges.cols.paymentsReceived - 1]) || 0;
+            if (paymentsReceived >= keepMonths) {
+                const completeResult = transitionStatus({
+                    type: 'SUBSCRIPTION',
+                    sheet: subWs,
+                    row: subRow.row,
+                    targetStatus: STATUS.subscription.COMPLETED,
+                    targetId: subscriptionId,
+                    eventType: 'SUBSCRIPTION_COMPLETED',
+                    description: `Subscription completed after ${keepMonths} payments (shortened)`
+                });
+                if (completeResult.changed) {
+                    sendSubscriptionCompletedEmail(subscriptionId);
+                }
+            } else {
+                sendSubscriptionUpdateEmail(subscriptionId, 'Pledge End Date Updated',
+                    `Your monthly pledge will end after month ${keepMonths} instead of month ${oldDuration}; ` +
+                    `${voidedCount} later payment(s) will no longer be expected.`);
+            }
+
+            writeLog('SUCCESS', FUNC_NAME, `Shortened from ${oldDuration} to ${keepMonths} months; ${voidedCount} installment(s) voided.`, subscriptionId);
+            return true;
+
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Failed to shorten subscription: ${e.message}`, subscriptionId);
+            return false;
+        }
+    }, () => {
+        writeLog('WARN', FUNC_NAME, 'System busy. Please try again.', subscriptionId);
+        return false;
+    });
+}
+
+/**
+ * Rewrites the unpaid part of a subscription's schedule for a new monthly amount and/or duration.
+ * Installments already paid or due keep their amount; later ones take the new amount, those
+ * beyond the new duration are voided and missing months are appended after the last one.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {number} [newMonthlyAmount] New monthly amount (PKR); blank keeps the current amount
+ * @param {number} [newDuration] New total number of months; blank keeps the current duration
+ * @param {string} [reason] Recorded in the audit log
+ * @returns {boolean} Success status
+ */
+function amendSubscription(subscriptionId, newMonthlyAmount = null, newDuration = null, reason = '') {
+    const FUNC_NAME = 'amendSubscription';
+
     try {
         const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
         const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
-        const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+        const instWs = ss.getSheetByName(SHEETS.installments.name);
 
+        const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
         if (!subRow) {
             writeLog('ERROR', FUNC_NAME, 'Subscription not found.', subscriptionId);
             return false;
         }
 
-        const oldStudentIds = subRow.data[SHEETS.monthlyPledges.cols.linkedStudentIds - 1];
+        const status = subRow.data[SHEETS.monthlyPledges.cols.status - 1];
+        if (status === STATUS.subscription.COMPLETED || status === STATUS.subscription.CANCELLED) {
+            writeLog('ERROR', FUNC_NAME, `Cannot amend a ${status} subscription.`, subscriptionId);
+            return false;
+        }
 
-        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.linkedStudentIds).setValue(newStudentIds);
+        const oldAmount = Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0;
+        const oldDuration = Number(subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1]) || 0;
+        const isBlank = v => v === null || v === undefined || String(v).trim() === '';
+        const monthlyAmount = isBlank(newMonthlyAmount) ? oldAmount : parseCurrencyString(newMonthlyAmount);
+        const duration = isBlank(newDuration) ? oldDuration : parseInt(newDuration, 10);
 
-        logAuditEvent(
-            getActor(),
-            'SUBSCRIPTION_STUDENT_CHANGE',
-            subscriptionId,
-            'Linked students updated',
-            oldStudentIds,
-            newStudentIds
-        );
+        if (!monthlyAmount || monthlyAmount <= 0 || !duration || duration < 1) {
+            writeLog('ERROR', FUNC_NAME, `Invalid amendment: PKR ${newMonthlyAmount} for ${newDuration} month(s).`, subscriptionId);
+            return false;
+        }
+        if (monthlyAmount === oldAmount && duration === oldDuration) {
+            writeLog('WARN', FUNC_NAME, 'Nothing to amend: amount and duration are unchanged.', subscriptionId);
+            return false;
+        }
+
+        // Live installments in month order; voided months stay as history (and keep their IDs)
+        const instData = instWs.getDataRange().getValues();
+        const today = new Date();
+        const live = [];
+        let lastMonth = 0;
+        let lastDue = new Date(subRow.data[SHEETS.monthlyPledges.cols.startDate - 1]);
+
+        for (let i = 1; i < instData.length; i++) {
+            if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+
+            const monthNumber = Number(instData[i][SHEETS.installments.cols.monthNumber - 1]) || 0;
+            if (monthNumber > lastMonth) {
+                lastMonth = monthNumber;
+                lastDue = new Date(instData[i][SHEETS.installments.cols.dueDate - 1]);
+            }
+
+            const instStatus = instData[i][SHEETS.installments.cols.status - 1];
+            if (instStatus === STATUS.installment.VOIDED) continue;
+            live.push({
+                row: i + 1,
+                installmentId: instData[i][SHEETS.installments.cols.installmentId - 1],
+                monthNumber: monthNumber,
+                status: instStatus,
+                dueDate: new Date(instData[i][SHEETS.installments.cols.dueDate - 1]),
+                amountDue: Number(instData[i][SHEETS.installments.cols.amountDue - 1]) || oldAmount,
+                paid: Number(instData[i][SHEETS.installments.cols.amountReceived - 1]) || 0
+            });
+        }
+        live.sort((a, b) => a.monthNumber - b.monthNumber);
+
+        // Everything up to the last installment already paid or due is kept as it is
+        let fixedCount = 0;
+        live.forEach((inst, index) => {
+            const upcoming = (inst.status === STATUS.installment.PENDING || inst.status === STATUS.installment.REMINDED) &&
+                inst.dueDate > today && inst.paid === 0;
+            if (!upcoming) fixedCount = index + 1;
+        });
+
+        if (duration < fixedCount) {
+            writeLog('ERROR', FUNC_NAME, `Cannot amend to ${duration} month(s): ${fixedCount} month(s) are already paid or due.`, subscriptionId);
+            return false;
+        }
+
+        let outstandingDelta = 0;
+        let repricedCount = 0;
+        let voidedCount = 0;
+
+        live.forEach((inst, index) => {
+            if (index < fixedCount) return;
+
+            if (index >= duration) {
+                const voidResult = transitionStatus({
+                    type: 'INSTALLMENT',
+                    sheet: instWs,
+                    row: inst.row,
+                    targetStatus: STATUS.installment.VOIDED,
+                    targetId: inst.installmentId,
+                    description: `Subscription amended to ${duration} months`,
+                    metadata: { subscriptionId: subscriptionId }
+                });
+                if (voidResult.changed) {
+                    voidedCount++;
+                    outstandingDelta -= inst.amountDue;
+                }
+                return;
+            }
+
+            if (inst.amountDue !== monthlyAmount) {
+                instWs.getRange(inst.row, SHEETS.installments.cols.amountDue).setValue(monthlyAmount);
+                outstandingDelta += monthlyAmount - inst.amountDue;
+                repricedCount++;
+            }
+        });
+
+        const appendCount = Math.max(0, duration - live.length);
+        for (let m = 1; m <= appendCount; m++) {
+            const monthNumber = lastMonth + m;
+            instWs.appendRow([
+                `${subscriptionId}-M${String(monthNumber).padStart(2, '0')}`,
+                subscriptionId,
+                monthNumber,
+                addMonths_(lastDue, m),
+                STATUS.installment.PENDING,
+                '', 0, '', 0, '', '', '',
+                monthlyAmount
+            ]);
+            outstandingDelta += monthlyAmount;
+        }
 
-        writeLog('SUCCESS', FUNC_NAME, `Students updated: ${newStudentIds}`, subscriptionId);
+        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.monthlyAmount).setValue(monthlyAmount);
+        subWs.getRange(subRow.row, SHEETS.monthlyPledges.cols.durationMonths).setValue(duration);
+        adjustSubscriptionOutstanding_(ss, subRow, outstandingDelta);
+
+        logAuditEvent(getActor(), 'SUBSCRIPTION_AMENDED', subscriptionId,
+            `Schedule amended${reason ? `: ${reason}` : ''}`,
+            `${oldDuration} x PKR ${oldAmount}`, `${duration} x PKR ${monthlyAmount}`,
+            { repriced: repricedCount, voided: voidedCount, appended: appendCount, outstandingDelta: outstandingDelta, reason: reason });
+
+        // Already paid up to the new end: complete now
+        const paymentsReceived = Number(subRow.data[SHEETS.monthlyPledges.cols.paymentsReceived - 1]) || 0;
+        if (paymentsReceived >= duration) {
+            const completeResult = transitionStatus({
+                type: 'SUBSCRIPTION',
+                sheet: subWs,
+                row: subRow.row,
+                targetStatus: STATUS.subscription.COMPLETED,
+                targetId: subscriptionId,
+                eventType: 'SUBSCRIPTION_COMPLETED',
+                description: `Subscription completed after ${duration} payments (amended)`
+            });
+            if (completeResult.changed) {
+                sendSubscriptionCompletedEmail(subscriptionId);
+            }
+        } else {
+            sendSubscriptionUpdateEmail(subscriptionId, 'Pledge Updated',
+                `Your monthly pledge has been updated from PKR ${oldAmount.toLocaleString()} for ${oldDuration} months ` +
+                `to PKR ${monthlyAmount.toLocaleString()} for ${duration} months. Payments already made or due stay as they were.`);
+        }
+
+        writeLog('SUCCESS', FUNC_NAME,
+            `Amended to ${duration} x ${monthlyAmount} (${repricedCount} repriced, ${voidedCount} voided, ${appendCount} added).`, subscriptionId);
         return true;
 
     } catch (e) {
-        writeLog('ERROR', FUNC_NAME, `Failed to update students: ${e.message}`, subscriptionId);
+        writeLog('ERROR', FUNC_NAME, `Failed to amend subscription: ${e.message}`, subscriptionId);
         return false;
     }
 }
 
+/**
+ * Sends the lifecycle-change email, threaded on the welcome email.
+ * Reads the subscription row after the change so the summary is current.
+ *
+ * @param {string} subscriptionId The subscription ID
+ * @param {string} changeTitle Short title (e.g. 'Pledge Paused')
+ * @param {string} changeDetails One-paragraph explanation
+ * @returns {string|null} Message ID, or null if not sent
+ */
+function sendSubscriptionUpdateEmail(subscriptionId, changeTitle, changeDetails) {
+    const FUNC_NAME = 'sendSubscriptionUpdateEmail';
+
+    if (!TEMPLATES.subscriptionUpdate || TEMPLATES.subscriptionUpdate.includes('ENTER')) {
+        writeLog('WARN', FUNC_NAME, 'subscriptionUpdate template not configured. Skipping donor email.', subscriptionId);
+        return null;
+    }
+
+    try {
+        const subWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.monthlyPledges.name);
+        const subRow = findRowByValue(subWs, SHEETS.monthlyPledges.cols.subscriptionId, subscriptionId);
+        if (!subRow) return null;
+
+        const nextDueDate = subRow.data[SHEETS.monthlyPledges.cols.nextDueDate - 1];
+        const emailData = {
+            donorName: subRow.data[SHEETS.monthlyPledges.cols.donorName - 1],
+            subscriptionId: subscriptionId,
+            changeTitle: changeTitle,
+            changeDetails: changeDetails,
+            status: subRow.data[SHEETS.monthlyPledges.cols.status - 1],
+            monthlyAmount: (Number(subRow.data[SHEETS.monthlyPledges.cols.monthlyAmount - 1]) || 0).toLocaleString(),
+            durationMonths: subRow.data[SHEETS.monthlyPledges.cols.durationMonths - 1],
+            nextDueDate: nextDueDate ? formatSubscriptionDate_(nextDueDate) : 'N/A'
+        };
+
+        const emailContent = createEmailFromTemplate(TEMPLATES.subscriptionUpdate, emailData);
+
+        return sendOrReply(
+            subRow.data[SHEETS.monthlyPledges.cols.donorEmail - 1],
+            emailContent.subject,
+            emailContent.htmlBody,
+            { from: EMAILS.processOwner },
+            [subRow.data[SHEETS.monthlyPledges.cols.welcomeEmailId - 1]]
+        );
+
+    } catch (e) {
+        writeLog('WARN', FUNC_NAME, `Failed to send update email: ${e.message}`, subscriptionId);
+        return null;
+    }
+}
+
+/**
+ * Moves the due date of every upcoming (Pending/Reminded) installment back by N months
+ * and resets its reminder counter.
+ * @returns {number} Number of installments shifted
+ */
+function shiftUpcomingInstallments_(instWs, subscriptionId, months) {
+    const instData = instWs.getDataRange().getValues();
+    let shifted = 0;
+
+    for (let i = 1; i < instData.length; i++) {
+        if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+
+        const status = instData[i][SHEETS.installments.cols.status - 1];
+        if (status !== STATUS.installment.PENDING && status !== STATUS.installment.REMINDED) continue;
+
+        const dueDate = instData[i][SHEETS.installments.cols.dueDate - 1];
+        instWs.getRange(i + 1, SHEETS.installments.cols.dueDate).setValue(addMonths_(dueDate, months));
+        instWs.getRange(i + 1, SHEETS.installments.cols.reminderCount).setValue(0);
+        shifted++;
+    }
+    return shifted;
+}
+
+/**
+ * Due date of the earliest open (Pending/Reminded/Missed) installment of a subscription.
+ * @param {Array<Array>} instData Installments sheet values (header row included)
+ * @param {Set<number>} [settledRows] Sheet rows settled since instData was read
+ * @returns {Date|null} null when no installment is open
+ */
+function getEarliestOpenDueDate_(instData, subscriptionId, settledRows = new Set()) {
+    let earliest = null;
+
+    for (let i = 1; i < instData.length; i++) {
+        if (instData[i][SHEETS.installments.cols.subscriptionId - 1] !== subscriptionId) continue;
+        if (settledRows.has(i + 1)) continue;
+
+        const status = instData[i][SHEETS.installments.cols.status - 1];
+        if (status !== STATUS.installment.PENDING &&
+            status !== STATUS.installment.REMINDED &&
+            status !== STATUS.installment.MISSED) continue;
+
+        const dueDate = new Date(instData[i][SHEETS.installments.cols.dueDate - 1]);
+        if (isNaN(dueDate.getTime())) continue;
+        if (!earliest || dueDate < earliest) earliest = dueDate;
+    }
+    return earliest;
+}
+
+/**
+ * Adds a delta to the RAW sheet's pledgeOutstanding (and stored pledgeAmount) for the
+ * subscription's pledge (floored at 0).
+ */
+function adjustSubscriptionOutstanding_(ss, subRow, delta) {
+    if (!delta) return;
+
+    const donationsWs = ss.getSheetByName(SHEETS.donations.name);
+    const pledgeId = subRow.data[SHEETS.monthlyPledges.cols.pledgeId - 1];
+    const donationsRow = findRowByValue(donationsWs, SHEETS.donations.cols.pledgeId, pledgeId);
+    if (!donationsRow) return;
+
+    const outstanding = Number(donationsRow.data[SHEETS.donations.cols.pledgeOutstanding - 1]) || 0;
+    donationsWs.getRange(donationsRow.row, SHEETS.donations.cols.pledgeOutstanding).setValue(Math.max(0, outstanding + delta));
+
+    // [V61] The stored pledge amount moves with the schedule
+    const pledgeAmount = Number(donationsRow.data[SHEETS.donations.cols.pledgeAmount - 1]) || 0;
+    if (pledgeAmount > 0) {
+        donationsWs.getRange(donationsRow.row, SHEETS.donations.cols.pledgeAmount).setValue(Math.max(0, pledgeAmount + delta));
+    }
+}
+
+/**
+ * Returns a new date N months after the given one.
+ */
+function addMonths_(date, months) {
+    const d = new Date(date);
+    return new Date(d.getFullYear(), d.getMonth() + months, d.getDate());
+}
+
+/**
+ * Formats a date for donor-facing subscription emails.
+ */
+function formatSubscriptionDate_(date) {
+    return Utilities.formatDate(new Date(date), Session.getScriptTimeZone(), 'MMMM d, yyyy');
+}
+
 
 // ==================================================================================
 //                              UTILITY FUNCTIONS
@@ -987,6 +1902,75 @@ function findSubscriptionByPledgeId(pledgeId) {
     return findRowByValue(subWs, SHEETS.monthlyPledges.cols.pledgeId, pledgeId);
 }
 
+/**
+ * [V61] Resolves how each payment is split between the linked students.
+ * studentShares holds relative weights ("123456:60, 789012:40"); if it is blank or does not
+ * cover every linked student, the split is equal.
+ *
+ * @param {string} linkedStudentIds Comma-separated CMS IDs (Monthly Pledges col R)
+ * @param {string} studentShares Weights per CMS ID (Monthly Pledges col X)
+ * @returns {Array<Object>} [{ cmsId, share }] with shares summing to 1
+ */
+function getSubscriptionStudentShares(linkedStudentIds, studentShares) {
+    const studentIds = String(linkedStudentIds || '').split(',').map(s => s.trim()).filter(s => s);
+    if (studentIds.length === 0) return [];
+
+    const weights = {};
+    String(studentShares || '').split(',').forEach(part => {
+        const [cmsId, weight] = part.split(':').map(s => s.trim());
+        if (cmsId && Number(weight) > 0) weights[cmsId] = Number(weight);
+    });
+
+    const covered = studentIds.every(id => weights[id]);
+    if (!covered) {
+        if (Object.keys(weights).length > 0) {
+            writeLog('WARN', 'getSubscriptionStudentShares', `Shares "${studentShares}" do not cover [${studentIds.join(', ')}]. Splitting equally.`);
+        }
+        return studentIds.map(id => ({ cmsId: id, share: 1 / studentIds.length }));
+    }
+
+    const totalWeight = studentIds.reduce((sum, id) => sum + weights[id], 0);
+    return studentIds.map(id => ({ cmsId: id, share: weights[id] / totalWeight }));
+}
+
+/**
+ * [V61] Splits an amount received between students by share, capped at each student's real-time need.
+ * Shares are rounded down to whole rupees and the rounding remainder goes to the last uncapped
+ * student, so the residual (which stays on the pledge balance) only ever comes from need caps.
+ *
+ * @param {number} total Amount to split (PKR)
+ * @param {Array<Object>} shares Result of getSubscriptionStudentShares
+ * @param {Spreadsheet} [spreadsheet] Operations spreadsheet
+ * @returns {Object} { allocations: [{ cmsId, amount }], residual, capped: [{ cmsId, requested, need }] }
+ */
+function splitSubscriptionAmount(total, shares, spreadsheet = null) {
+    const planned = shares.map(({ cmsId, share }) => {
+        const requested = Math.floor(total * share);
+        const need = getRealTimeStudentNeed(cmsId, spreadsheet);
+        const amount = Math.max(0, Math.min(requested, need === null ? 0 : need));
+        return { cmsId: cmsId, requested: requested, need: need, amount: amount, capped: amount < requested };
+    });
+
+    // Rounding remainder: to the last uncapped student, as far as their need allows
+    const remainder = total - planned.reduce((sum, p) => sum + p.requested, 0);
+    const lastUncapped = planned.filter(p => !p.capped).pop();
+    if (remainder > 0 && lastUncapped) {
+        const room = Math.max(0, (lastUncapped.need === null ? 0 : lastUncapped.need) - lastUncapped.amount);
+        const added = Math.min(remainder, room);
+        lastUncapped.amount += added;
+        if (added < remainder) {
+            lastUncapped.requested += remainder;
+            lastUncapped.capped = true;
+        }
+    }
+
+    const allocations = planned.filter(p => p.amount > 0).map(p => ({ cmsId: p.cmsId, amount: p.amount }));
+    const capped = planned.filter(p => p.capped).map(p => ({ cmsId: p.cmsId, requested: p.requested, need: p.need }));
+    const allocated = allocations.reduce((sum, a) => sum + a.amount, 0);
+
+    return { allocations: allocations, residual: total - allocated, capped: capped };
+}
+
 /**
  * Gets the actor (current user email or SYSTEM).
  */
@@ -171,9 +171,10 @@ function testSubscriptionDryRun() {
 
     const studentIds = testData.linkedStudentIds.split(',').map(s => s.trim());
     Logger.log(`\n🎓 Students to allocate: ${studentIds.join(', ')}`);
-    Logger.log(`   Amount per student: PKR 25,000`);
-
-    const studentAllocations = studentIds.map(id => ({ cmsId: id, amount: 25000 }));
+    // [V61] Same split as the batch (equal unless studentShares is set); need caps need the live sheet
+    const studentAllocations = getSubscriptionStudentShares(testData.linkedStudentIds, '')
+        .map(s => ({ cmsId: s.cmsId, amount: Math.floor(testData.monthlyAmount * s.share) }));
+    Logger.log(`   Amount per student: ${studentAllocations.map(s => `PKR ${s.amount.toLocaleString()}`).join(', ')} (before need cap)`);
     Logger.log(`\n✅ Would call processBatchAllocation([${testData.pledgeId}], ${JSON.stringify(studentAllocations)})`);
     Logger.log(`   - Creates ${studentIds.length} allocation rows`);
     Logger.log(`   - Assigns shared BATCH-ID`);
@@ -5,6 +5,18 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('Hostel Admin')
     .addItem('Review Allocation', 'showSidebar')
+    .addItem('Reject / Reverse Receipt', 'promptRejectReceipt')
+    .addItem('Cancel / Reallocate Allocation', 'promptCancelAllocation')
+    .addItem('Amend Pledge', 'promptAmendPledge')
+    .addItem('Cancel Pledge', 'promptCancelPledge')
+    .addItem('Review Donor Request', 'promptReviewDonorRequest')
+    .addItem('Request Refund', 'promptRequestRefund')
+    .addItem('Review Refund', 'promptReviewRefund')
+    .addItem('Record Refund Returned', 'promptRecordRefundReturned')
+    .addItem('Assign Hostel Query', 'promptAssignHostelQuery')
+    .addItem('Resolve Hostel Query', 'promptResolveHostelQuery')
+    .addItem('Retry Failed Emails', 'promptRetryFailedEmails')
+    .addItem('Convert Pending FX Receipts', 'promptConvertPendingFxReceipts')
     .addToUi();
 }
 
@@ -55,26 +67,28 @@ function onSheetEditTrigger(e) {
 
     writeLog('INFO', FUNC_NAME, `User action: Allocate. Triggering verification for Pledge ID: ${pledgeId}.`, pledgeId);
 
-    const isSuccess = processAllocationTransaction(pledgeId, cmsId, amount);
+    const result = processAllocationTransaction(pledgeId, cmsId, amount);
 
-    if (isSuccess) {
+    if (result.success) {
       // VISUAL FEEDBACK: Update the trigger cell to "Allocated" (Green)
       // Re-fetch range to be safe
-      sheet.getRange(row, 5).setValue("Allocated").setFontColor("#4caf50");
+      sheet.getRange(row, 5).setValue("Allocated").setFontColor("#4caf50").setNote('');
 
       // OPTIONAL: Clear the manual inputs (CMS ID and Amount) to prepare for the next entry
       // CMS ID is Column 1, Amount to Allocate is Column 4
       sheet.getRange(row, 1).clearContent(); // Clear CMS ID
       sheet.getRange(row, 4).clearContent(); // Clear Amount
     } else {
-      // VISUAL FEEDBACK: Update the trigger cell to "ERROR" (Red)
-      sheet.getRange(row, 5).setValue("ERROR").setFontColor("red");
+      // VISUAL FEEDBACK: Update the trigger cell to "ERROR" (Red), with the reason as a note
+      sheet.getRange(row, 5).setValue("ERROR").setFontColor("red").setNote(result.error.message);
     }
   }
 }
 
 /**
  * INSTALLABLE TRIGGER: Logs manual edits to critical columns.
+ * [V61] A hand-typed pledge or allocation status is checked against the status workflow first;
+ * an illegal move is reverted (see revertIllegalStatusEdit_) instead of logged.
  * Requires manual setup in Apps Script Dashboard -> Triggers.
  * @param {Object} e The event object.
  */
@@ -94,6 +108,8 @@ function onAuditSheetEdit(e) {
       // Get Piedge ID for context (Row, PledgeId Column)
       const pledgeId = sheet.getRange(range.getRow(), SHEETS.donations.cols.pledgeId).getValue();
 
+      if (revertIllegalStatusEdit_(e, 'PLEDGE', pledgeId, pledgeId, userEmail)) return;
+
       logAuditEvent(
         userEmail,
         'STATUS_CHANGE',
@@ -114,6 +130,8 @@ function onAuditSheetEdit(e) {
       const allocId = sheet.getRange(range.getRow(), SHEETS.allocations.cols.allocId).getValue();
       const pledgeId = sheet.getRange(range.getRow(), SHEETS.allocations.cols.pledgeId).getValue();
 
+      if (revertIllegalStatusEdit_(e, 'ALLOCATION', `${allocId} (${pledgeId})`, pledgeId, userEmail)) return;
+
       logAuditEvent(
         userEmail,
         'STATUS_CHANGE',
@@ -127,11 +145,61 @@ function onAuditSheetEdit(e) {
   }
 }
 
+/**
+ * [V61] Puts a hand-typed status back when the status workflow does not allow the move
+ * (the same check transitionStatus applies). The cell gets a note with the reason and the
+ * attempt is audited as STATUS_EDIT_REVERTED.
+ * Multi-cell edits carry no old value to restore; they are logged as unchecked.
+ * @param {Object} e The onEdit event object.
+ * @param {string} type 'PLEDGE' or 'ALLOCATION'.
+ * @param {string} targetId Audit target (Pledge ID, or "AllocID (PledgeID)").
+ * @param {string} pledgeId For the Log.
+ * @param {string} userEmail The editor.
+ * @return {boolean} True if the edit was reverted.
+ */
+function revertIllegalStatusEdit_(e, type, targetId, pledgeId, userEmail) {
+  const FUNC_NAME = 'onAuditSheetEdit';
+  const range = e.range;
+
+  if (range.getNumRows() > 1 || range.getNumColumns() > 1) {
+    writeLog('WARN', FUNC_NAME,
+      `Multi-cell edit of ${range.getSheet().getName()}!${range.getA1Notation()} was not checked against the status workflow.`, pledgeId);
+    return false;
+  }
+
+  const oldValue = e.oldValue || '';
+  const newValue = e.value || '';
+  const check = checkStatusTransition(type, oldValue, newValue);
+  if (check.allowed) return false;
+
+  if (oldValue) {
+    range.setValue(oldValue);
+  } else {
+    range.clearContent();
+  }
+  range.setNote(`Edit to "${newValue}" reverted: ${check.error.message}`);
+
+  writeLog('WARN', FUNC_NAME, `Manual status edit on ${targetId} reverted: ${check.error.message}`, pledgeId);
+  logAuditEvent(
+    userEmail,
+    'STATUS_EDIT_REVERTED',
+    targetId,
+    'Illegal manual status edit reverted',
+    oldValue,
+    oldValue,
+    { sheet: range.getSheet().getName(), row: range.getRow(), attempted: newValue, error: check.error.code }
+  );
+  return true;
+}
+
 
 // ==================================================================================
 //                      [V59] SUBSCRIPTION TRIGGERS
 // ==================================================================================
 
+const SUB_BATCH_RUN_PROPERTY = 'SUB_BATCH_RUN_ID';   // [V61] Run ID of an unfinished monthly batch
+const SUB_BATCH_MAX_RUNTIME_MS = 5 * 60 * 1000;       // [V61] Stop before the 6-minute execution limit
+
 /**
  * Daily trigger for subscription management tasks.
  * Schedule this to run at 9:00 AM via Apps Script Dashboard -> Triggers.
@@ -175,56 +243,89 @@ function test_dailySubscriptionTasks() {
  * Schedule this to run on the 10th of each month via Apps Script Dashboard -> Triggers.
  * 
  * Process:
- * 1. Find all installments marked RECEIVED in current month
- * 2. Group by subscriptionId (pledgeId)
- * 3. For each subscription with linked students, call processBatchAllocation
- * 4. If no student linked, alert process owner
+ * 1. [V61] Settle attempts a previous run left 'In Progress' (see recoverBatchRunEntries_)
+ * 2. Find all installments still RECEIVED (any month; ALLOCATED ones are already consumed)
+ * 3. Group by subscriptionId (pledgeId)
+ * 4. For each subscription with linked students, split the amount received by the
+ *    per-student shares (capped at student need) and call processBatchAllocation
+ * 5. If no student linked, alert process owner
+ * 6. [V61] Report any unallocated residual (left on the pledge balance) to the process owner
+ *
+ * [V61] Every attempt is recorded in the Subscription Batch Runs ledger. Installments move to
+ * ALLOCATED only once allocation rows with the attempt's batch ID exist, so a rerun never
+ * allocates the same installment twice. A run that nears the 6-minute limit stops, keeps its
+ * run ID and schedules resumeMonthlySubscriptionBatch to carry on. A scheduled run always
+ * starts a fresh run ID; only that continuation resumes the stored one.
  */
 function runMonthlySubscriptionBatch() {
+  runSubscriptionBatch_(false);
+}
+
+/**
+ * Body of the monthly subscription batch.
+ * @param {boolean} resume - true only for the timeout continuation, which reuses the stored run ID
+ */
+function runSubscriptionBatch_(resume) {
   const FUNC_NAME = 'runMonthlySubscriptionBatch';
+  const startTime = Date.now();
 
   // [V59.3 FIX] Add lock to prevent concurrent runs
-  const lock = LockService.getScriptLock();
-  if (!lock.tryLock(30000)) {
-    writeLog('WARN', FUNC_NAME, 'Could not acquire lock. Another batch may be running.');
-    return;
-  }
+  // [V61] Held for the whole run: processBatchAllocation and processEmailOutbox run inside it
+  // (withScriptLock_), so each ledger commit happens under the same lock as its allocation.
+  withScriptLock_(() => {
+    const props = PropertiesService.getScriptProperties();
+    const storedRunId = props.getProperty(SUB_BATCH_RUN_PROPERTY);
+    if (storedRunId && !resume) {
+      writeLog('WARN', FUNC_NAME, `Discarding unfinished run ${storedRunId}; starting a new run.`);
+    }
+    const resumedRunId = resume ? storedRunId : null;
+    const runId = resumedRunId ||
+      `SUBRUN-${Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyyMMdd-HHmm')}`;
 
-  writeLog('INFO', FUNC_NAME, 'Starting monthly subscription batch allocation...');
+    writeLog('INFO', FUNC_NAME, `${resumedRunId ? 'Resuming' : 'Starting'} monthly subscription batch ${runId}...`);
 
-  const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
-  const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
-  const instWs = ss.getSheetByName(SHEETS.installments.name);
-  const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const subWs = ss.getSheetByName(SHEETS.monthlyPledges.name);
+    const instWs = ss.getSheetByName(SHEETS.installments.name);
+    const ledgerWs = ss.getSheetByName(SHEETS.subscriptionBatchRuns.name);
 
-  const today = new Date();
-  const currentMonth = today.getMonth();
-  const currentYear = today.getFullYear();
+    try {
+      if (!ledgerWs) {
+        writeLog('ERROR', FUNC_NAME, `${SHEETS.subscriptionBatchRuns.name} sheet not found. Batch not run.`);
+        return;
+      }
+      props.setProperty(SUB_BATCH_RUN_PROPERTY, runId);
 
-  try {
-    const instData = instWs.getDataRange().getValues();
-    const subData = subWs.getDataRange().getValues();
-
-    // Build subscription map for quick lookup
-    const subMap = new Map();
-    for (let i = 1; i < subData.length; i++) {
-      const subId = subData[i][SHEETS.monthlyPledges.cols.subscriptionId - 1];
-      subMap.set(subId, {
-        row: i + 1,
-        data: subData[i]
-      });
-    }
+      // 1. Attempts interrupted mid-allocation (timeout/crash) are committed or released first
+      recoverBatchRunEntries_(ledgerWs, ss);
+
+      // Subscriptions this run has already decided on (resume must not re-alert or retry them)
+      const ledgerData = ledgerWs.getDataRange().getValues();
+      const handledThisRun = new Set();
+      for (let i = 1; i < ledgerData.length; i++) {
+        if (ledgerData[i][SHEETS.subscriptionBatchRuns.cols.runId - 1] === runId) {
+          handledThisRun.add(ledgerData[i][SHEETS.subscriptionBatchRuns.cols.subscriptionId - 1]);
+        }
+      }
 
-    // Find RECEIVED installments from this month
-    const receivedThisMonth = [];
-    for (let i = 1; i < instData.length; i++) {
-      const status = instData[i][SHEETS.installments.cols.status - 1];
-      const receivedDate = instData[i][SHEETS.installments.cols.receivedDate - 1];
+      const instData = instWs.getDataRange().getValues();
+      const subData = subWs.getDataRange().getValues();
+
+      // Build subscription map for quick lookup
+      const subMap = new Map();
+      for (let i = 1; i < subData.length; i++) {
+        const subId = subData[i][SHEETS.monthlyPledges.cols.subscriptionId - 1];
+        subMap.set(subId, {
+          row: i + 1,
+          data: subData[i]
+        });
+      }
 
-      if (status === STATUS.installment.RECEIVED && receivedDate) {
-        const rDate = new Date(receivedDate);
-        if (rDate.getMonth() === currentMonth && rDate.getFullYear() === currentYear) {
-          receivedThisMonth.push({
+      // 2. [V61] Every installment still RECEIVED is waiting for allocation, whatever month it was paid in
+      const receivedInstallments = [];
+      for (let i = 1; i < instData.length; i++) {
+        if (instData[i][SHEETS.installments.cols.status - 1] === STATUS.installment.RECEIVED) {
+          receivedInstallments.push({
             installmentId: instData[i][SHEETS.installments.cols.installmentId - 1],
             subscriptionId: instData[i][SHEETS.installments.cols.subscriptionId - 1],
             amount: instData[i][SHEETS.installments.cols.amountReceived - 1],
@@ -232,82 +333,233 @@ function runMonthlySubscriptionBatch() {
           });
         }
       }
-    }
 
-    writeLog('INFO', FUNC_NAME, `Found ${receivedThisMonth.length} received installments this month`);
+      writeLog('INFO', FUNC_NAME, `Found ${receivedInstallments.length} received installments awaiting allocation`);
 
-    // Group by subscription and process
-    const groupedBySub = new Map();
-    for (const inst of receivedThisMonth) {
-      if (!groupedBySub.has(inst.subscriptionId)) {
-        groupedBySub.set(inst.subscriptionId, []);
+      // 3. Group by subscription and process
+      const groupedBySub = new Map();
+      for (const inst of receivedInstallments) {
+        if (!groupedBySub.has(inst.subscriptionId)) {
+          groupedBySub.set(inst.subscriptionId, []);
+        }
+        groupedBySub.get(inst.subscriptionId).push(inst);
       }
-      groupedBySub.get(inst.subscriptionId).push(inst);
-    }
 
-    let allocations = 0;
-    let alerts = 0;
+      let allocations = 0;
+      let alerts = 0;
+      let timedOut = false;
+      const residuals = []; // [V61] Amounts left on pledge balance (reported to process owner)
 
-    for (const [subId, installments] of groupedBySub) {
-      const subInfo = subMap.get(subId);
-      if (!subInfo) {
-        writeLog('WARN', FUNC_NAME, `Subscription ${subId} not found in Monthly Pledges`, subId);
-        continue;
-      }
+      for (const [subId, installments] of groupedBySub) {
+        if (handledThisRun.has(subId)) continue;
 
-      const linkedStudents = subInfo.data[SHEETS.monthlyPledges.cols.linkedStudentIds - 1] || '';
+        if (Date.now() - startTime > SUB_BATCH_MAX_RUNTIME_MS) {
+          timedOut = true;
+          break;
+        }
 
-      if (!linkedStudents || linkedStudents.trim() === '') {
-        // No student assigned - send alert
-        sendProcessOwnerStudentAlert(subId, installments[0].amount);
-        alerts++;
-        writeLog('WARN', FUNC_NAME, `No student linked for ${subId}. Sent alert.`, subId);
-        continue;
-      }
+        const installmentIds = installments.map(inst => inst.installmentId);
+        const receivedTotal = installments.reduce((sum, inst) => sum + (Number(inst.amount) || 0), 0);
 
-      // Parse student IDs (comma-separated)
-      const studentIds = linkedStudents.split(',').map(s => s.trim()).filter(s => s);
-
-      // [V59.4] Build student allocation objects with 25,000 per student
-      const studentAllocations = studentIds.map(id => ({ cmsId: id, amount: 25000 }));
-
-      try {
-        // [V59.4] Call processBatchAllocation ONCE with all students
-        // This sends ONE consolidated email to hostel instead of per-student emails
-        processBatchAllocation([subId], studentAllocations);
-
-        // Update allocation log with installmentId for all new allocations
-        const allocData = allocWs.getDataRange().getValues();
-        for (let a = allocData.length - 1; a >= 1; a--) {
-          if (allocData[a][SHEETS.allocations.cols.pledgeId - 1] === subId &&
-            !allocData[a][SHEETS.allocations.cols.installmentId - 1]) {
-            allocWs.getRange(a + 1, SHEETS.allocations.cols.installmentId).setValue(
-              installments[0].installmentId
-            );
-            // Don't break - update all allocation rows for this batch
-          }
+        const subInfo = subMap.get(subId);
+        if (!subInfo) {
+          writeLog('WARN', FUNC_NAME, `Subscription ${subId} not found in Monthly Pledges`, subId);
+          appendBatchRunEntry_(ledgerWs, runId, subId, installmentIds, receivedTotal, STATUS.batchRun.SKIPPED, '', 'Subscription not found');
+          continue;
         }
 
-        allocations += studentIds.length;
-        writeLog('SUCCESS', FUNC_NAME,
-          `Created ${studentIds.length} allocations for ${subId} -> [${studentIds.join(', ')}]`, subId);
-      } catch (allocErr) {
-        writeLog('ERROR', FUNC_NAME, `Failed to allocate ${subId}: ${allocErr.message}`, subId);
+        const linkedStudents = subInfo.data[SHEETS.monthlyPledges.cols.linkedStudentIds - 1] || '';
+
+        if (!linkedStudents || linkedStudents.trim() === '') {
+          // No student assigned - send alert
+          sendProcessOwnerStudentAlert(subId, receivedTotal);
+          alerts++;
+          writeLog('WARN', FUNC_NAME, `No student linked for ${subId}. Sent alert.`, subId);
+          appendBatchRunEntry_(ledgerWs, runId, subId, installmentIds, receivedTotal, STATUS.batchRun.SKIPPED, '', 'No student linked');
+          continue;
+        }
+
+        // [V61] Split what was actually received by the per-student shares,
+        // capped at each student's remaining need. Rounding is absorbed by the split, so a
+        // residual means a student reached their need; it stays on the pledge balance.
+        const shares = getSubscriptionStudentShares(linkedStudents,
+          subInfo.data[SHEETS.monthlyPledges.cols.studentShares - 1]);
+        const split = splitSubscriptionAmount(receivedTotal, shares, ss);
+        const studentAllocations = split.allocations;
+
+        if (split.residual > 0) {
+          residuals.push({ subscriptionId: subId, received: receivedTotal, residual: split.residual, capped: split.capped });
+          writeLog('WARN', FUNC_NAME,
+            `PKR ${split.residual} of PKR ${receivedTotal} left unallocated on ${subId} (capped: ${split.capped.map(c => c.cmsId).join(', ') || 'none'})`, subId);
+          logAuditEvent('SYSTEM', 'SUBSCRIPTION_ALLOCATION_RESIDUAL', subId,
+            `PKR ${split.residual} left as pledge balance`, receivedTotal, receivedTotal - split.residual,
+            { capped: split.capped, installments: installmentIds, runId: runId });
+        }
+
+        if (studentAllocations.length === 0) {
+          // Every linked student is fully funded (or missing): leave installments as Received
+          writeLog('WARN', FUNC_NAME, `Nothing allocatable for ${subId}. Installments left as Received.`, subId);
+          appendBatchRunEntry_(ledgerWs, runId, subId, installmentIds, receivedTotal, STATUS.batchRun.SKIPPED, '', 'No student with pending need');
+          continue;
+        }
+
+        // 4. Claim the installments in the ledger before any allocation row is written
+        const batchId = nextSequenceId('BATCH');
+        const ledgerRow = appendBatchRunEntry_(ledgerWs, runId, subId, installmentIds, receivedTotal, STATUS.batchRun.IN_PROGRESS, batchId, '');
+
+        try {
+          // [V59.4] Call processBatchAllocation ONCE with all students
+          // This sends ONE consolidated email to hostel instead of per-student emails
+          processBatchAllocation([subId], studentAllocations, batchId);
+        } catch (allocErr) {
+          writeLog('ERROR', FUNC_NAME, `Failed to allocate ${subId}: ${allocErr.message}`, subId);
+        }
+
+        // 5. Installments are consumed only if the allocation rows were committed
+        const committed = commitBatchRunEntry_(ledgerWs, ledgerRow, ss);
+        if (committed) {
+          allocations += committed.allocationCount;
+          writeLog('SUCCESS', FUNC_NAME,
+            `Created ${committed.allocationCount} allocations for ${subId} -> [${studentAllocations.map(s => `${s.cmsId}: ${s.amount}`).join(', ')}]`, subId);
+        }
       }
 
-      // Mark installments as allocated (update status)
-      for (const inst of installments) {
-        instWs.getRange(inst.row, SHEETS.installments.cols.status).setValue(STATUS.installment.ALLOCATED);
+      if (residuals.length > 0) {
+        sendSubscriptionResidualReport(residuals);
       }
+
+      if (timedOut) {
+        // Keep the run ID so the continuation picks up where this one stopped
+        ScriptApp.newTrigger('resumeMonthlySubscriptionBatch').timeBased().after(60 * 1000).create();
+        writeLog('WARN', FUNC_NAME,
+          `Batch ${runId} paused near the time limit. Allocations so far: ${allocations}. Resuming in 1 minute.`);
+        return;
+      }
+
+      props.deleteProperty(SUB_BATCH_RUN_PROPERTY);
+      writeLog('SUCCESS', FUNC_NAME,
+        `Monthly batch ${runId} complete. Allocations: ${allocations}, Alerts: ${alerts}, Residuals: ${residuals.length}`);
+
+    } catch (e) {
+      // The run ID is cleared so the next scheduled run starts fresh instead of skipping
+      // subscriptions this run already decided on. The ledger still prevents double allocation.
+      props.deleteProperty(SUB_BATCH_RUN_PROPERTY);
+      writeLog('ERROR', FUNC_NAME, `Monthly batch ${runId} failed: ${e.message}`);
     }
+  }, () => writeLog('WARN', FUNC_NAME, 'Could not acquire lock. Another batch may be running.'));
+}
+
+/**
+ * [V61] One-off continuation trigger created by runMonthlySubscriptionBatch when it stops near
+ * the execution time limit. Removes its own trigger and resumes the stored run.
+ */
+function resumeMonthlySubscriptionBatch() {
+  ScriptApp.getProjectTriggers()
+    .filter(t => t.getHandlerFunction() === 'resumeMonthlySubscriptionBatch')
+    .forEach(t => ScriptApp.deleteTrigger(t));
 
-    writeLog('SUCCESS', FUNC_NAME,
-      `Monthly batch complete. Allocations: ${allocations}, Alerts: ${alerts}`);
+  runSubscriptionBatch_(true);
+}
 
-  } catch (e) {
-    writeLog('ERROR', FUNC_NAME, `Monthly batch failed: ${e.message}`);
-  } finally {
-    lock.releaseLock();
+// ==================================================================================
+//                      [V61] SUBSCRIPTION BATCH RUN LEDGER
+// ==================================================================================
+
+/**
+ * Appends one ledger entry (one subscription in one run) and returns its row number.
+ */
+function appendBatchRunEntry_(ledgerWs, runId, subscriptionId, installmentIds, amountReceived, status, batchId, message) {
+  const finished = status === STATUS.batchRun.IN_PROGRESS ? '' : new Date();
+  ledgerWs.appendRow([
+    runId,                          // A: runId
+    subscriptionId,                 // B: subscriptionId
+    installmentIds.join(', '),      // C: installmentIds
+    amountReceived,                 // D: amountReceived
+    0,                              // E: amountAllocated
+    '',                             // F: residual
+    status,                         // G: status
+    batchId,                        // H: batchId
+    new Date(),                     // I: startedAt
+    finished,                       // J: finishedAt
+    message                         // K: message
+  ]);
+  return ledgerWs.getLastRow();
+}
+
+/**
+ * Settles an 'In Progress' ledger entry by looking for its batch ID in the Allocation Log.
+ * - Rows found: tags them with the installment IDs, moves the installments to ALLOCATED
+ *   and marks the entry Committed
+ * - No rows: the allocation never happened; the entry is marked Failed and the installments
+ *   stay RECEIVED for the next attempt
+ *
+ * @returns {Object|null} { allocationCount, amountAllocated } if committed, otherwise null
+ */
+function commitBatchRunEntry_(ledgerWs, ledgerRow, ss) {
+  const FUNC_NAME = 'commitBatchRunEntry_';
+  const cols = SHEETS.subscriptionBatchRuns.cols;
+  const entry = ledgerWs.getRange(ledgerRow, 1, 1, cols.message).getValues()[0];
+
+  const subscriptionId = entry[cols.subscriptionId - 1];
+  const batchId = entry[cols.batchId - 1];
+  const installmentIds = String(entry[cols.installmentIds - 1]).split(',').map(s => s.trim()).filter(s => s);
+  const amountReceived = Number(entry[cols.amountReceived - 1]) || 0;
+
+  const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+  const allocData = allocWs.getDataRange().getValues();
+  let allocationCount = 0;
+  let amountAllocated = 0;
+
+  for (let a = 1; a < allocData.length; a++) {
+    if (allocData[a][SHEETS.allocations.cols.batchId - 1] !== batchId) continue;
+    allocWs.getRange(a + 1, SHEETS.allocations.cols.installmentId).setValue(installmentIds.join(', '));
+    allocationCount++;
+    amountAllocated += Number(allocData[a][SHEETS.allocations.cols.amount - 1]) || 0;
+  }
+
+  if (allocationCount === 0) {
+    ledgerWs.getRange(ledgerRow, cols.status).setValue(STATUS.batchRun.FAILED);
+    ledgerWs.getRange(ledgerRow, cols.finishedAt, 1, 2).setValues([[new Date(), 'No allocation rows written; installments left as Received']]);
+    writeLog('WARN', FUNC_NAME, `${batchId} wrote no allocation rows. Installments stay Received.`, subscriptionId);
+    return null;
+  }
+
+  const instWs = ss.getSheetByName(SHEETS.installments.name);
+  for (const installmentId of installmentIds) {
+    const instRow = findRowByValue(instWs, SHEETS.installments.cols.installmentId, installmentId);
+    if (!instRow) continue;
+    transitionStatus({
+      type: 'INSTALLMENT',
+      sheet: instWs,
+      row: instRow.row,
+      targetStatus: STATUS.installment.ALLOCATED,
+      targetId: installmentId,
+      actor: 'SYSTEM',
+      description: 'Installment included in monthly batch',
+      metadata: { subscriptionId: subscriptionId, batchId: batchId, runId: entry[cols.runId - 1] }
+    });
+  }
+
+  ledgerWs.getRange(ledgerRow, cols.amountAllocated, 1, 3).setValues([[amountAllocated, amountReceived - amountAllocated, STATUS.batchRun.COMMITTED]]);
+  ledgerWs.getRange(ledgerRow, cols.finishedAt).setValue(new Date());
+
+  return { allocationCount: allocationCount, amountAllocated: amountAllocated };
+}
+
+/**
+ * Settles every 'In Progress' ledger entry left by an interrupted run (any run ID),
+ * so its installments are either consumed or released before new work is picked up.
+ */
+function recoverBatchRunEntries_(ledgerWs, ss) {
+  const ledgerData = ledgerWs.getDataRange().getValues();
+
+  for (let i = 1; i < ledgerData.length; i++) {
+    if (ledgerData[i][SHEETS.subscriptionBatchRuns.cols.status - 1] !== STATUS.batchRun.IN_PROGRESS) continue;
+
+    writeLog('INFO', 'recoverBatchRunEntries_',
+      `Recovering interrupted entry ${ledgerData[i][SHEETS.subscriptionBatchRuns.cols.batchId - 1]}`,
+      ledgerData[i][SHEETS.subscriptionBatchRuns.cols.subscriptionId - 1]);
+    commitBatchRunEntry_(ledgerWs, i + 1, ss);
   }
 }
 
@@ -331,6 +583,37 @@ function sendProcessOwnerStudentAlert(subscriptionId, amount) {
   }
 }
 
+/**
+ * [V61] Reports subscription money the monthly batch could not allocate (student need capped or
+ * rounding), so the process owner can allocate it manually from the pledge balance.
+ * @param {Array<Object>} residuals [{ subscriptionId, received, residual, capped }]
+ */
+function sendSubscriptionResidualReport(residuals) {
+  const rows = residuals.map(r => `
+      <tr>
+        <td>${r.subscriptionId}</td>
+        <td>PKR ${Number(r.received).toLocaleString()}</td>
+        <td>PKR ${Number(r.residual).toLocaleString()}</td>
+        <td>${r.capped.map(c => `${c.cmsId} (need ${c.need === null ? 'not found' : `PKR ${Number(c.need).toLocaleString()}`})`).join(', ') || '-'}</td>
+      </tr>`).join('');
+
+  const body = `
+    <p>The monthly subscription batch left the amounts below unallocated because the students listed have reached their remaining need. They remain on each pledge's balance.</p>
+    <table border="1" cellpadding="4" style="border-collapse:collapse">
+      <tr><th>Subscription</th><th>Received</th><th>Unallocated</th><th>Capped students</th></tr>
+      ${rows}
+    </table>
+    <p>Allocate the balance from the Sidebar or adjust the student shares in the Monthly Pledges sheet.</p>
+  `;
+
+  try {
+    GmailApp.sendEmail(EMAILS.processOwner, `Subscription batch: ${residuals.length} unallocated balance(s)`, '', { htmlBody: body });
+    writeLog('INFO', 'sendSubscriptionResidualReport', `Residual report sent (${residuals.length} subscriptions)`);
+  } catch (e) {
+    writeLog('ERROR', 'sendSubscriptionResidualReport', `Failed to send residual report: ${e.message}`);
+  }
+}
+
 /**
  * Test function for monthly batch.
  */
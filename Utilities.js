@@ -92,6 +92,45 @@ function writeLog(level, funcName, message, pledgeId = '') { // pledgeId is now
   }
 }
 
+/**
+ * [V61] Builds the failure result of a service operation (same error shape as transitionStatus).
+ * @param {string} code Machine-readable error code (e.g. 'NOT_FOUND', 'LOCK_TIMEOUT').
+ * @param {string} message Message shown to the user.
+ * @param {Object} [extra] Further fields for the result (e.g. { pledgeId }).
+ * @returns {Object} { success: false, ...extra, error: { code, message } }
+ */
+function operationFailure_(code, message, extra = {}) {
+  return Object.assign({ success: false }, extra, { error: { code: code, message: message } });
+}
+
+// [V61] True while this execution holds the script lock through withScriptLock_.
+// Lock.hasLock() only reports on the Lock object it is called on, so a nested call cannot use it.
+let scriptLockHeld_ = false;
+
+/**
+ * [V61] Runs fn under the script lock. When the caller already holds it (an outer
+ * withScriptLock_ call, e.g. approveDonorRequest or the monthly batch), fn runs inside that
+ * lock and the outer call releases it.
+ * @param {Function} fn The locked work; its return value is passed through.
+ * @param {Function} onBusy Called instead of fn when the lock is not free within 30 seconds.
+ * @param {boolean} [alreadyHeld] Whether the caller holds the lock; defaults to this execution's state.
+ * @returns {*} The result of fn, or of onBusy.
+ */
+function withScriptLock_(fn, onBusy, alreadyHeld = scriptLockHeld_) {
+  if (alreadyHeld) return fn();
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) return onBusy();
+
+  scriptLockHeld_ = true;
+  try {
+    return fn();
+  } finally {
+    scriptLockHeld_ = false;
+    lock.releaseLock();
+  }
+}
+
 /**
  * Intelligently selects the most likely receipt from an array of email attachments.
  * @param {Array} attachments An array of GmailAttachment objects.
@@ -213,6 +252,22 @@ function cleanEmailBody(body) {
 }
 
 
+/**
+ * [V61] Keeps the sender's own words of a reply: drops the quoted history below an
+ * "On ... wrote:" line or the first "> " line.
+ * @param {string} body The plain-text message body.
+ * @returns {string} The new text, trimmed.
+ */
+function stripQuotedHistory(body) {
+  const lines = [];
+  for (const line of String(body || '').split(/\r?\n/)) {
+    if (/^On .+wrote:\s*$/.test(line.trim()) || line.startsWith('>')) break;
+    lines.push(line);
+  }
+  return lines.join('\n').trim();
+}
+
+
 /**
  * Shifts the manual input columns (A, B, C, E) down by one row
  * to keep them aligned when a new Form Response appears at the top.
@@ -533,6 +588,10 @@ function generateHostelReplyLink(data, templateId) {
     subject = subject.replace(regex, data[key]);
   }
 
+  // [V61] Signed verification token for the Watchdog (see HostelTokenService.js)
+  const tokenBlock = buildHostelTokenBlock([{ allocId: data.allocationId, cmsId: data.cmsId, amount: data.amount }]);
+  body = appendHostelTokenBlock_(body, tokenBlock);
+
   // Clean up any remaining braces if keys were missing? No, leave them or clean them?
   // Let's leave them for debugging visibility.
 
@@ -556,8 +615,9 @@ function generateHostelReplyLink(data, templateId) {
  * @param {Array} donors Array of {email, pledgeId, amount, chapter}
  * @param {Array|Object} students Single student or array of {name, cms/cmsId, school, allocated}
  * @param {string} batchId The Batch Reference ID (e.g., BATCH-123)
+ * @param {Array} [allocations] [V61] {allocId, cmsId, amount} per allocation, signed into the body for the Watchdog
  */
-function generateBatchMailtoLink(donors, students, batchId) {
+function generateBatchMailtoLink(donors, students, batchId, allocations) {
   // Normalize students to array
   const studentList = Array.isArray(students) ? students : [students];
 
@@ -640,7 +700,7 @@ function generateBatchMailtoLink(donors, students, batchId) {
   }
 
   // 4. Replace Placeholders
-  // Supported Placeholders: {{studentName}}, {{cmsId}}, {{school}}, {{refTable}}, {{totalAmount}}, {{batchId}}, {{studentId}}, {{studentIds}}, {{studentTable}}, {{studentCount}}
+  // Supported Placeholders: {{studentName}}, {{cmsId}}, {{school}}, {{refTable}}, {{totalAmount}}, {{batchId}}, {{studentId}}, {{studentIds}}, {{studentTable}}, {{studentCount}}, {{verificationTokens}}
   const replacements = {
     studentName: studentList.map(s => s.name).join(', '),
     cmsId: primaryCms,
@@ -662,6 +722,8 @@ function generateBatchMailtoLink(donors, students, batchId) {
     subject = subject.replace(regex, replacements[key]);
   }
 
+  body = appendHostelTokenBlock_(body, buildHostelTokenBlock(allocations));
+
   const encodedBCC = encodeURIComponent(bccEmails);
   const encodedCC = encodeURIComponent(uniqueCC);
   const encodedSubject = encodeURIComponent(subject);
@@ -671,6 +733,15 @@ function generateBatchMailtoLink(donors, students, batchId) {
   return `mailto:?bcc=${encodedBCC}&cc=${encodedCC}&subject=${encodedSubject}&body=${encodedBody}`;
 }
 
+/**
+ * Places the verification token block at {{verificationTokens}} if the template has one,
+ * otherwise at the end of the body.
+ */
+function appendHostelTokenBlock_(body, tokenBlock) {
+  if (body.includes('{{verificationTokens}}')) return body.replace(/{{verificationTokens}}/g, tokenBlock);
+  return tokenBlock ? `${body}\n\n${tokenBlock}\n` : body;
+}
+
 /**
  * Safely retrieves a Gmail label by name, creating it if it doesn't exist.
  * Prevents errors when trying to create a label that already exists.
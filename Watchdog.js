@@ -3,28 +3,36 @@
  * 
  * Scheduled job that:
  * 1. Scans for new replies from the Hostel.
- * 2. Uses Gemini AI to match replies to specific Allocations.
+ * 2. Matches replies to specific Allocations: signed reply tokens first, Gemini AI otherwise.
  * 3. Updates the Allocation Log.
  * 4. Closes the loop by notifying the Donor.
+ * 5. [V61] Chases intimations that get no reply (runHostelFollowUps, daily).
  */
 
 function runWatchdog() {
     const FUNC_NAME = 'runWatchdog';
+    const settings = MAPPINGS.hostelReplies;
     writeLog('INFO', FUNC_NAME, 'Starting Watchdog execution...');
 
     // 1. Define Search Query for "Hostel Replies"
-    // We look for emails FROM the Hostel/UAO that contain "Ref:" (standard in our subject) 
-    // and are NOT yet labeled as 'Processed'.
-    const processedLabel = getOrCreateLabel('Watchdog/Processed');
-    const manualLabel = getOrCreateLabel('Watchdog/Manual-Review');
-
-    // Search for threads that:
-    // - Are from university domains (or specific addresses)
-    // - Have our "Ref:" pattern in subject (from generateHostelReplyLink)
-    // - Are NOT labeled processed
-    const query = `from:(${EMAILS.ddHostels} OR ${EMAILS.uao} OR "finance.university.edu") subject:("Ref: PLEDGE-" OR "Ref: BATCH-") -label:Watchdog/Processed -label:Watchdog/Manual-Review`;
-
-    const threads = GmailApp.search(query, 0, 10);
+    // [V61] The only hostel-reply pipeline: senders and labels come from MAPPINGS.hostelReplies
+    const processedLabel = getOrCreateLabel(settings.labels.processed);
+    const manualLabel = getOrCreateLabel(settings.labels.manualReview);
+
+    const query = buildHostelReplyQuery_();
+    if (!query) {
+        writeLog('ERROR', FUNC_NAME, 'No hostel reply senders configured (MAPPINGS.hostelReplies). Halting execution.');
+        return;
+    }
+
+    // [V61] Queries we have answered send their allocations back to Pending Hostel first
+    try {
+        syncHostelQueries();
+    } catch (e) {
+        writeLog('WARN', FUNC_NAME, `Hostel query sync failed: ${e.message}`);
+    }
+
+    const threads = GmailApp.search(query, 0, settings.maxThreadsPerRun);
     if (threads.length === 0) {
         writeLog('INFO', FUNC_NAME, 'No new hostel replies found.');
         return;
@@ -52,23 +60,18 @@ function processThread(thread, openAllocationsMap, processedLabel, manualLabel)
     // Robustness: Try to get RFC ID, fallback to API ID
     const lastMessageId = getRfcIdFromMessage(lastMessage);
 
-    // Context Extraction: PLEDGE-ID or BATCH-ID
-    const pledgeIdMatch = subject.match(/PLEDGE-\d{4}-\d+/);
-    const batchIdMatch = subject.match(/BATCH-\d+/);
-
-    let contextId = "";
+    // Context Extraction: BATCH-ID or PLEDGE-ID, from the subject first, then the conversation
+    const contextId = extractReplyContextId(subject) || extractReplyContextId(getThreadContext(thread).formattedForLLM);
     let pendingAllocations = [];
 
-    if (batchIdMatch) {
-        contextId = batchIdMatch[0];
+    if (contextId.startsWith('BATCH-')) {
         // Fetch allocations by Batch ID (New Helper)
         pendingAllocations = getOpenAllocationsByBatchId(contextId);
-    } else if (pledgeIdMatch) {
-        contextId = pledgeIdMatch[0];
+    } else if (contextId) {
         // Fetch allocations by Pledge ID (Existing Map)
         pendingAllocations = openAllocationsMap.get(contextId);
     } else {
-        writeLog('WARN', FUNC_NAME, `Thread subject "${subject}" is missing Pledge/Batch ID. Skipping.`);
+        writeLog('WARN', FUNC_NAME, `Thread "${subject}" is missing Pledge/Batch ID. Flagged for manual review.`);
         thread.addLabel(manualLabel);
         return;
     }
@@ -82,67 +85,193 @@ function processThread(thread, openAllocationsMap, processedLabel, manualLabel)
         return;
     }
 
-    // --- AI ANALYSIS ---
-    // Get full thread context for the AI
-    const threadContext = getThreadContext(thread).formattedForLLM;
+    // --- [V61] SIGNED TOKENS FIRST (see HostelTokenService.js) ---
+    const tokenCheck = verifyHostelReplyTokens(thread, pendingAllocations);
 
-    writeLog('INFO', FUNC_NAME, `Analyzing reply for ${contextId} with ${pendingAllocations.length} pending allocations.`);
+    if (tokenCheck.tampered.length > 0) {
+        // An edited token means the reply cannot be trusted at all: nothing is confirmed
+        writeLog('WARN', FUNC_NAME, `${tokenCheck.tampered.length} tampered verification token(s) in reply.`, contextId);
+        thread.addLabel(manualLabel);
+        thread.removeLabel(processedLabel);
+        sendTamperAlertEmail(contextId, tokenCheck.tampered, thread.getPermalink());
 
-    // Call LLM
-    const analysis = analyzeHostelReply(threadContext, pendingAllocations);
+        logAuditEvent(
+            'SYSTEM/Watchdog',
+            'ALERT',
+            contextId,
+            'Tampered Hostel Reply Token - Flagged for Manual Review',
+            '',
+            '',
+            { tampered: tokenCheck.tampered, threadLink: thread.getPermalink() }
+        );
+        return;
+    }
+
+    let analysis = null;
+    let verifiedBy = 'AI';
+
+    if (tokenCheck.confirmedAllocIds.length > 0) {
+        verifiedBy = 'TOKEN';
+        analysis = {
+            status: tokenCheck.confirmedAllocIds.length === pendingAllocations.length ? 'CONFIRMED_ALL' : 'PARTIAL',
+            confirmedAllocIds: tokenCheck.confirmedAllocIds,
+            reasoning: `${tokenCheck.confirmedAllocIds.length} valid signed verification token(s).`
+        };
+    } else if (tokenCheck.found > 0) {
+        // Genuine tokens, but none for an allocation still pending (already verified or cancelled)
+        writeLog('INFO', FUNC_NAME, `Reply tokens for ${contextId} match no pending allocation. Already closed?`, contextId);
+        thread.addLabel(processedLabel);
+        return;
+    } else {
+        // --- AI ANALYSIS (fallback: no token in the reply) ---
+        // Get full thread context for the AI
+        const threadContext = getThreadContext(thread).formattedForLLM;
+
+        writeLog('INFO', FUNC_NAME, `Analyzing reply for ${contextId} with ${pendingAllocations.length} pending allocations.`);
 
-    if (!analysis) {
-        writeLog('ERROR', FUNC_NAME, 'AI Analysis failed (returned null).', contextId);
-        return; // Do not label processed, retry next time
+        // Call LLM
+        analysis = analyzeHostelReply(threadContext, pendingAllocations);
+
+        if (!analysis) {
+            writeLog('ERROR', FUNC_NAME, 'AI Analysis failed (returned null).', contextId);
+            return; // Do not label processed, retry next time
+        }
+    }
+
+    writeLog('INFO', FUNC_NAME, `${verifiedBy} Verdict: ${analysis.status}. Confirmed: ${JSON.stringify(analysis.confirmedAllocIds)}`, contextId);
+
+    // --- EXECUTION: [V61] one outcome per allocation ---
+    // Only allocations still pending for this context can be touched; an AMBIGUOUS verdict touches none
+    const pendingIds = pendingAllocations.map(a => String(a.allocId));
+    const confirmedIds = analysis.status === 'AMBIGUOUS' ? [] :
+        (analysis.confirmedAllocIds || []).map(String).filter(id => pendingIds.includes(id));
+    let queriedIds = (analysis.queriedAllocIds || []).map(String)
+        .filter(id => pendingIds.includes(id) && !confirmedIds.includes(id));
+    if (analysis.status === 'QUERY' && queriedIds.length === 0) {
+        // A query that names no allocation holds every allocation it did not confirm
+        queriedIds = pendingIds.filter(id => !confirmedIds.includes(id));
     }
 
-    writeLog('INFO', FUNC_NAME, `AI Verdict: ${analysis.status}. Confirmed: ${JSON.stringify(analysis.confirmedAllocIds)}`, contextId);
+    const confirmedCount = confirmedIds.length > 0 ? updateAllocations(confirmedIds, lastMessageId, verifiedBy) : 0;
+    const queriedMoved = queriedIds.length > 0 ? markAllocationsQueried(queriedIds, lastMessageId, analysis.reasoning) : [];
+    const queriedCount = queriedMoved.length;
+
+    // [V61] Track the query and draft an answer (see HostelQueryService.js)
+    let query = null;
+    if (queriedCount > 0) {
+        query = recordHostelQuery(contextId, queriedMoved, thread, lastMessage, analysis.reasoning);
+    }
 
-    // --- EXECUTION ---
-    if (analysis.status === 'AMBIGUOUS' || analysis.status === 'QUERY') {
-        // Safety Net: If AI is unsure or there is a query, alert the human.
+    if (analysis.status === 'AMBIGUOUS' || queriedCount > 0 || confirmedCount === 0) {
+        // Safety Net: If AI is unsure, there is a query, or nothing could be applied, alert the human.
         thread.addLabel(manualLabel);
         thread.removeLabel(processedLabel); // Ensure it's not marked done
-        sendAlertEmail(contextId, analysis, thread.getPermalink());
+        sendAlertEmail(contextId, analysis, thread.getPermalink(), query && query.success ? query : null);
 
         logAuditEvent(
             'SYSTEM/Watchdog',
             'ALERT',
             contextId,
-            'Ambiguous Hostel Reply - Flagged for Manual Review',
+            queriedCount > 0
+                ? 'Hostel Query - Flagged for Manual Review'
+                : 'Ambiguous Hostel Reply - Flagged for Manual Review',
             '',
             '',
-            { reasoning: analysis.reasoning, threadLink: thread.getPermalink() }
+            { reasoning: analysis.reasoning, confirmed: confirmedIds, queried: queriedMoved, queryId: query && query.queryId, threadLink: thread.getPermalink() }
         );
-    } else if (analysis.status === 'CONFIRMED_ALL' || analysis.status === 'PARTIAL') {
-        // Process the confirmed IDs
-        const confirmedCount = updateAllocations(analysis.confirmedAllocIds, lastMessageId);
-
-        if (confirmedCount > 0) {
-            // If we successfully closed at least one allocation, label the thread
-            thread.addLabel(processedLabel);
-
-            // Force pending Sheet updates to apply before we check for Closure logic
-            SpreadsheetApp.flush();
-
-            // Update the main Pledge Status (Derived Logic)
-            // Note: If Batch, we might need to update MULTIPLE pledges.
-            // Simplified: The updateAllocations function returns confirmed IDs.
-            // We should find unique Pledges from confirmed IDs and update them.
-            // Existing updatePledgeStatus logic might need PledgeID.
-            // For now, let's skip auto-closing Pledge Status for Batches to be safe, 
-            // OR iterate through pendingAllocations to get unique Pledge IDs.
-
-            const uniquePledges = [...new Set(pendingAllocations.map(a => a.pledgeId))];
-            uniquePledges.forEach(pId => updatePledgeStatus(pId));
-        }
+    } else {
+        // Every allocation named in the reply has its outcome
+        thread.addLabel(processedLabel);
+    }
+
+    if (confirmedCount > 0) {
+        // Force pending Sheet updates to apply before we check for Closure logic
+        SpreadsheetApp.flush();
+
+        // Update the main Pledge Status (Derived Logic) for every pledge in the reply (several for a batch)
+        const uniquePledges = [...new Set(pendingAllocations.map(a => a.pledgeId))];
+        uniquePledges.forEach(pId => updatePledgeStatus(pId));
+    }
+}
+
+/**
+ * Builds the Gmail search for unprocessed hostel replies from MAPPINGS.hostelReplies.
+ * @returns {string} The query, or '' when no sender is configured
+ */
+function buildHostelReplyQuery_() {
+    const settings = MAPPINGS.hostelReplies;
+    const senders = settings.senders.concat(settings.senderDomains)
+        .filter(s => s && String(s).trim() !== '');
+    if (senders.length === 0) return '';
+
+    return `from:(${senders.join(' OR ')}) ("PLEDGE-" OR "BATCH-") ` +
+        `-label:"${settings.labels.processed}" -label:"${settings.labels.manualReview}"`;
+}
+
+/**
+ * Finds the Batch or Pledge ID a reply is about (a Batch ID wins, as it covers several pledges).
+ * @param {string} text Subject or thread text
+ * @returns {string} The ID, or '' if there is none
+ */
+function extractReplyContextId(text) {
+    const batchIdMatch = String(text || '').match(/BATCH-\d+(?:-\d+)?/); // Legacy BATCH-<timestamp> or [V61] BATCH-YYYY-NNNNN
+    if (batchIdMatch) return batchIdMatch[0];
+    const pledgeIdMatch = String(text || '').match(/PLEDGE-\d{4}-\d+/);
+    return pledgeIdMatch ? pledgeIdMatch[0] : '';
+}
+
+/**
+ * [V61] Moves allocations the hostel has raised a question about to "2 - Hostel Query".
+ * The query is also written to the pledge's AI Comments, where the admin works it.
+ * @returns {Array<string>} The allocation IDs moved
+ */
+function markAllocationsQueried(queriedAllocIds, hostelReplyMessageId, reasoning) {
+    const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
+    const allocWs = ss.getSheetByName(SHEETS.allocations.name);
+    const data = allocWs.getDataRange().getValues();
+    const pledgeIds = new Set();
+    const movedIds = [];
+
+    for (let i = 1; i < data.length; i++) {
+        const rowAllocId = String(data[i][SHEETS.allocations.cols.allocId - 1]);
+        if (!queriedAllocIds.includes(rowAllocId)) continue;
+
+        const row = i + 1;
+        const pledgeId = data[i][SHEETS.allocations.cols.pledgeId - 1];
+        const result = transitionStatus({
+            type: 'ALLOCATION',
+            sheet: allocWs,
+            row: row,
+            targetStatus: STATUS.allocation.HOSTEL_QUERY,
+            targetId: `${rowAllocId} (${pledgeId})`,
+            actor: 'SYSTEM/Watchdog',
+            eventType: 'HOSTEL_QUERY',
+            description: 'Hostel Raised a Query',
+            metadata: { msgId: hostelReplyMessageId, reasoning: reasoning }
+        });
+        if (!result.changed) continue;
+
+        allocWs.getRange(row, SHEETS.allocations.cols.hostelReplyId).setValue(formatIdForSheet(hostelReplyMessageId));
+        allocWs.getRange(row, SHEETS.allocations.cols.hostelReplyDate).setValue(new Date());
+        pledgeIds.add(pledgeId);
+        movedIds.push(rowAllocId);
     }
+
+    const rawWs = ss.getSheetByName(SHEETS.donations.name);
+    pledgeIds.forEach(pledgeId => {
+        const donationRow = findRowByValue(rawWs, SHEETS.donations.cols.pledgeId, pledgeId);
+        if (donationRow) {
+            rawWs.getRange(donationRow.row, SHEETS.donations.cols.aiComments).setValue(`Hostel query: ${reasoning}`);
+        }
+    });
+    return movedIds;
 }
 
 /**
  * Updates the Allocation Log for confirmed items and triggers Final Notification.
+ * @param {string} [verifiedBy] 'TOKEN' (signed reply token) or 'AI' (Gemini match)
  */
-function updateAllocations(confirmedAllocIds, hostelReplyMessageId) {
+function updateAllocations(confirmedAllocIds, hostelReplyMessageId, verifiedBy = 'AI') {
     const FUNC_NAME = 'updateAllocations';
     const ss = SpreadsheetApp.openById(CONFIG.ssId_operations);
     const allocWs = ss.getSheetByName(SHEETS.allocations.name);
@@ -156,26 +285,27 @@ function updateAllocations(confirmedAllocIds, hostelReplyMessageId) {
         if (confirmedAllocIds.includes(rowAllocId) && currentStatus !== STATUS.allocation.HOSTEL_VERIFIED) { // Prevent double update
             const row = i + 1;
 
-            // 1. Update Status
-            allocWs.getRange(row, SHEETS.allocations.cols.status).setValue(STATUS.allocation.HOSTEL_VERIFIED);
-
             // Define pledgeId early for logging
             const pledgeId = data[i][SHEETS.allocations.cols.pledgeId - 1];
 
+            // 1. Update Status (validated and audited by the transition service)
+            const result = transitionStatus({
+                type: 'ALLOCATION',
+                sheet: allocWs,
+                row: row,
+                targetStatus: STATUS.allocation.HOSTEL_VERIFIED,
+                targetId: `${rowAllocId} (${pledgeId})`,
+                actor: 'SYSTEM/Watchdog',
+                eventType: 'HOSTEL_VERIFICATION',
+                description: `Allocation Verified by Hostel (${verifiedBy === 'TOKEN' ? 'Token' : 'AI'})`,
+                metadata: { msgId: hostelReplyMessageId, verifiedBy: verifiedBy }
+            });
+            if (!result.changed) continue; // Refused (e.g. cancelled allocation) - no reply or donor notice
+
             // 2. Log Hostel Reply
             allocWs.getRange(row, SHEETS.allocations.cols.hostelReplyId).setValue(formatIdForSheet(hostelReplyMessageId));
             allocWs.getRange(row, SHEETS.allocations.cols.hostelReplyDate).setValue(new Date());
 
-            logAuditEvent(
-                'SYSTEM/Watchdog',
-                'HOSTEL_VERIFICATION',
-                `${rowAllocId} (${pledgeId})`,
-                'Allocation Verified by Hostel (AI)',
-                currentStatus,
-                STATUS.allocation.HOSTEL_VERIFIED,
-                { msgId: hostelReplyMessageId }
-            );
-
             // 3. Send Final Notification to Donor
             // We need to fetch donor details. To perform this efficiently, we might want to do it in batch, 
             // but for now, line-by-line is safer and easier to implement.
@@ -242,6 +372,7 @@ function getOpenAllocationsMap() {
         if (status === STATUS.allocation.PENDING_HOSTEL) {
             const pledgeId = data[i][SHEETS.allocations.cols.pledgeId - 1];
             const details = {
+                pledgeId: pledgeId, // Needed for Pledge Status update
                 allocId: data[i][SHEETS.allocations.cols.allocId - 1],
                 cms: data[i][SHEETS.allocations.cols.cmsId - 1],
                 amount: data[i][SHEETS.allocations.cols.amount - 1],
@@ -261,12 +392,35 @@ function getOpenAllocationsMap() {
 
 /**
  * Helper: Sends an alert email to the admin for manual review.
+ * @param {Object} [query] [V61] The recorded hostel query ({ queryId, draftId, assignee }), if any
  */
-function sendAlertEmail(pledgeId, analysis, link) {
-    const subject = `[ACTION REQUIRED] Ambiguous Hostel Reply for ${pledgeId}`;
+function sendAlertEmail(pledgeId, analysis, link, query) {
+    const subject = analysis.status === 'QUERY'
+        ? `[ACTION REQUIRED] Hostel Query for ${pledgeId}`
+        : `[ACTION REQUIRED] Ambiguous Hostel Reply for ${pledgeId}`;
     const body = `
       <p>The AI Watchdog could not automatically verify the hostel reply.</p>
       <p><strong>Reasoning:</strong> ${analysis.reasoning}</p>
+      ${query ? `<p><strong>Logged as:</strong> ${query.queryId} (assigned to ${query.assignee}). ${query.draftId
+            ? 'A draft reply is waiting on the thread. Check it before sending; the allocations return to Pending Hostel once it is sent.'
+            : 'No reply could be drafted.'}</p>` : ''}
+      <p><a href="${link}">Open Email Thread</a></p>
+    `;
+    MailApp.sendEmail({
+        to: EMAILS.processOwner,
+        subject: subject,
+        htmlBody: body
+    });
+}
+
+/**
+ * Helper: Alerts the admin to verification tokens that fail their signature check.
+ */
+function sendTamperAlertEmail(contextId, tampered, link) {
+    const subject = `[ACTION REQUIRED] Tampered Verification Token in Hostel Reply for ${contextId}`;
+    const body = `
+      <p>The hostel reply contains verification tokens that do not match what the system sent. No allocation was verified from this reply.</p>
+      <ul>${tampered.map(t => `<li><code>${t.token}</code>: ${t.reason}</li>`).join('')}</ul>
       <p><a href="${link}">Open Email Thread</a></p>
     `;
     MailApp.sendEmail({
@@ -306,3 +460,145 @@ function getOpenAllocationsByBatchId(batchId) {
     }
     return list;
 }
+
+/**
+ * [V61] FOLLOW-UP LADDER for unanswered hostel intimations.
+ * Schedule daily. Allocations still Pending Hostel are grouped by the intimation email they were
+ * sent in (one group per single allocation or batch). Each group moves up one rung at a time:
+ * reminder 1..maxReminders to DD Hostels, then one escalation copied to the second contact list.
+ * Every nudge is a threaded reply on the original intimation and is recorded on the group's rows
+ * (followUpCount, lastFollowUpId, lastFollowUpDate) and in the Audit Trail.
+ */
+function runHostelFollowUps() {
+    const FUNC_NAME = 'runHostelFollowUps';
+    const settings = MAPPINGS.hostelFollowUp;
+    const cols = SHEETS.allocations.cols;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const allocWs = SpreadsheetApp.openById(CONFIG.ssId_operations).getSheetByName(SHEETS.allocations.name);
+    const data = allocWs.getDataRange().getValues();
+    const groups = new Map(); // Map<IntimationID, Group>
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i][cols.status - 1] !== STATUS.allocation.PENDING_HOSTEL) continue;
+
+        const intimationId = String(data[i][cols.hostelIntimationId - 1] || '');
+        const intimationDate = data[i][cols.hostelIntimationDate - 1];
+        if (!intimationId || !(intimationDate instanceof Date)) continue; // Not sent yet
+
+        if (!groups.has(intimationId)) {
+            groups.set(intimationId, {
+                intimationId: intimationId,
+                intimationDate: intimationDate,
+                contextId: data[i][cols.batchId - 1] || data[i][cols.pledgeId - 1],
+                followUpCount: 0,
+                lastFollowUpId: '',
+                lastFollowUpDate: null,
+                rows: [],
+                allocations: []
+            });
+        }
+        const group = groups.get(intimationId);
+        const count = Number(data[i][cols.followUpCount - 1]) || 0;
+        const lastDate = data[i][cols.lastFollowUpDate - 1];
+        if (count > group.followUpCount) group.followUpCount = count;
+        if (lastDate instanceof Date && (!group.lastFollowUpDate || lastDate > group.lastFollowUpDate)) {
+            group.lastFollowUpDate = lastDate;
+            group.lastFollowUpId = String(data[i][cols.lastFollowUpId - 1] || '');
+        }
+        group.rows.push(i + 1);
+        group.allocations.push({
+            allocId: data[i][cols.allocId - 1],
+            cmsId: data[i][cols.cmsId - 1],
+            amount: data[i][cols.amount - 1]
+        });
+    }
+
+    const now = new Date();
+    let sent = 0;
+
+    for (const group of groups.values()) {
+        if (group.followUpCount > settings.maxReminders) continue; // Ladder finished (escalated)
+
+        const dueFrom = group.followUpCount === 0
+            ? group.intimationDate.getTime() + settings.firstReminderDays * DAY_MS
+            : (group.lastFollowUpDate || group.intimationDate).getTime() + settings.repeatDays * DAY_MS;
+        if (now.getTime() < dueFrom) continue;
+
+        if (sent >= settings.maxPerRun) {
+            writeLog('INFO', FUNC_NAME, `Stopped at ${settings.maxPerRun} follow-ups. The rest wait for the next run.`);
+            break;
+        }
+
+        const step = group.followUpCount + 1;
+        const escalate = step > settings.maxReminders;
+        const daysWaiting = Math.floor((now.getTime() - group.intimationDate.getTime()) / DAY_MS);
+
+        let msgId;
+        try {
+            msgId = sendHostelFollowUp_(group, step, escalate, daysWaiting);
+        } catch (e) {
+            writeLog('ERROR', FUNC_NAME, `Follow-up ${step} failed: ${e.message}`, group.contextId);
+            continue; // Retried next run
+        }
+
+        const formattedId = formatIdForSheet(msgId);
+        group.rows.forEach(row => {
+            allocWs.getRange(row, cols.followUpCount, 1, 3).setValues([[step, formattedId, now]]);
+        });
+        sent++;
+
+        logAuditEvent(
+            'SYSTEM/Watchdog',
+            escalate ? 'HOSTEL_ESCALATION' : 'HOSTEL_FOLLOW_UP',
+            group.contextId,
+            escalate
+                ? `No hostel reply after ${daysWaiting} days - escalated`
+                : `Hostel reminder ${step} of ${settings.maxReminders} sent after ${daysWaiting} days`,
+            group.followUpCount,
+            step,
+            { allocIds: group.allocations.map(a => a.allocId), msgId: formattedId }
+        );
+        writeLog('INFO', FUNC_NAME, `${escalate ? 'Escalation' : `Reminder ${step}`} sent for ${group.allocations.length} allocation(s).`, group.contextId);
+    }
+
+    writeLog('INFO', FUNC_NAME, `Follow-up run complete. ${sent} nudge(s) sent.`);
+}
+
+/**
+ * Helper: Sends one rung of the follow-up ladder as a reply on the intimation thread.
+ * The escalation copies MAPPINGS.hostelFollowUp.escalationContacts (or the process owner while the list is empty).
+ * @returns {string} The Message ID of the nudge
+ */
+function sendHostelFollowUp_(group, step, escalate, daysWaiting) {
+    const total = group.allocations.reduce((sum, a) => sum + (Number(a.amount) || 0), 0);
+    const rowsHtml = group.allocations.map(a =>
+        `<tr><td>${a.allocId}</td><td>${a.cmsId}</td><td>PKR ${Number(a.amount).toLocaleString()}</td></tr>`).join('');
+
+    const subject = escalate
+        ? `Escalation: Hostel Confirmation Pending (Ref: ${group.contextId})`
+        : `Reminder: Hostel Confirmation Pending (Ref: ${group.contextId})`;
+    const htmlBody = `
+      <p>Dear Sir/Madam,</p>
+      <p>${escalate
+            ? `We have not received a confirmation for the allocation below in <strong>${daysWaiting} days</strong>, despite ${step - 1} reminder(s). We are escalating it for your kind attention.`
+            : `This is a gentle reminder (${step}) that we are awaiting confirmation for the allocation below, sent ${daysWaiting} days ago.`}</p>
+      <table border="1" cellpadding="6" style="border-collapse: collapse;">
+        <tr><th>Allocation Ref</th><th>CMS ID</th><th>Amount</th></tr>
+        ${rowsHtml}
+      </table>
+      <p><strong>Total:</strong> PKR ${total.toLocaleString()}</p>
+      <p>Please reply to this email (or use the confirmation link in the original email) once the funds are credited.</p>
+      <p>NUST Hostels Admin Directorate</p>
+    `;
+
+    const options = {};
+    if (escalate) {
+        const contacts = MAPPINGS.hostelFollowUp.escalationContacts || [];
+        const alwaysCC = Array.isArray(EMAILS.alwaysCC) ? EMAILS.alwaysCC : [EMAILS.alwaysCC];
+        const escalationCC = contacts.length > 0 ? contacts : [EMAILS.processOwner];
+        options.cc = [...new Set(alwaysCC.concat(escalationCC))].filter(e => e).join(',');
+    }
+
+    return sendOrReply(EMAILS.ddHostels, subject, htmlBody, options, [group.lastFollowUpId, group.intimationId]);
+}
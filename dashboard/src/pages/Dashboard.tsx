@@ -7,7 +7,7 @@ import { Leaderboard } from '../components/Leaderboard';
 import { CompositionCharts } from '../components/CompositionCharts';
 import { PledgeTracker } from '../components/PledgeTracker';
 import { TrendsChart } from '../components/TrendsChart';
-import { Users, Wallet, TrendingUp, Heart, AlertCircle, Repeat } from 'lucide-react';
+import { Users, Wallet, TrendingUp, Heart, AlertCircle, Repeat, HandCoins, Landmark } from 'lucide-react';
 
 // Mock data for development (before API is deployed)
 const mockSummary = {
@@ -18,7 +18,11 @@ const mockSummary = {
         totalVerified: 7200000,
         totalAllocated: 5800000,
         balance: 1400000,
-        fundingGap: 2300000 // (Based on ~9.5M need)
+        fundingGap: 2300000, // (Based on ~9.5M need)
+        funds: {
+            zakat: { verified: 3000000, allocated: 2400000, balance: 600000 },
+            general: { verified: 4200000, allocated: 3400000, balance: 800000 }
+        }
     },
     processingDays: {
         pledgeToReceipt: 3.5,
@@ -185,6 +189,32 @@ export function Dashboard() {
                 />
             </section>
 
+            {/* Fund Balances Row (Zakat is ring-fenced for Zakat-eligible students) */}
+            {summaryData.financials.funds && (
+                <section className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <KPICard
+                        title="Zakat Balance"
+                        value={summaryData.financials.funds.zakat.balance}
+                        prefix="PKR "
+                        formatter={formatCurrency}
+                        icon={<HandCoins className="w-5 h-5 text-amber-400" />}
+                        color="amber"
+                        isLoading={summaryLoading}
+                        tooltip="Unallocated Zakat funds; these can only go to Zakat-eligible students"
+                    />
+                    <KPICard
+                        title="General Balance"
+                        value={summaryData.financials.funds.general.balance}
+                        prefix="PKR "
+                        formatter={formatCurrency}
+                        icon={<Landmark className="w-5 h-5 text-blue-400" />}
+                        color="blue"
+                        isLoading={summaryLoading}
+                        tooltip="Unallocated general funds, available for any student"
+                    />
+                </section>
+            )}
+
             {/* Processing Gauges & Status Pipeline */}
             <section className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <ProcessingGauges
@@ -14,6 +14,18 @@ export interface FinancialMetrics {
     totalAllocated: number;
     balance: number;
     fundingGap: number;
+    funds?: FundBalances;      // Zakat vs General split
+}
+
+export interface FundBalance {
+    verified: number;
+    allocated: number;
+    balance: number;
+}
+
+export interface FundBalances {
+    zakat: FundBalance;
+    general: FundBalance;
 }
 
 export interface ProcessingDays {
@@ -14,6 +14,8 @@ function syncStudentData() {
     // Create a map of total allocations per student: { '12345': 50000, '67890': 20000 }
     const allocationMap = {};
     for (let i = 1; i < allocData.length; i++) { // Skip header
+      if (!isAllocationActive(allocData[i][SHEETS.allocations.cols.status - 1])) continue;
+
       const cmsId = String(allocData[i][SHEETS.allocations.cols.cmsId - 1]);
       const amount = Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0;
 
@@ -40,12 +42,7 @@ function syncStudentData() {
       const pendingAmount = totalDue - allocatedSoFar;
 
       // Determine Status based on FSM
-      let status = STATUS.student.NEED_IDENTIFIED;
-      if (pendingAmount <= 0) {
-        status = STATUS.student.FULLY_FUNDED;
-      } else if (allocatedSoFar > 0) {
-        status = STATUS.student.ALLOCATION_IN_PROGRESS;
-      }
+      const status = deriveStudentStatus(totalDue, allocatedSoFar);
 
       // Prepare data for Write-Back (Columns 7, 8, 9: Amount Cleared, Pending Amount, Status)
       writeBackData.push([allocatedSoFar, pendingAmount, status]);
@@ -98,6 +95,8 @@ function syncPledgeData() {
     // Map: { 'PLEDGE-2025-1': 5000, 'PLEDGE-2025-2': 10000 }
     const usedMap = {};
     for (let i = 1; i < allocData.length; i++) {
+      if (!isAllocationActive(allocData[i][SHEETS.allocations.cols.status - 1])) continue;
+
       const pId = String(allocData[i][SHEETS.allocations.cols.pledgeId - 1]);
       const amt = Number(allocData[i][SHEETS.allocations.cols.amount - 1]) || 0;
       usedMap[pId] = (usedMap[pId] || 0) + amt;
@@ -111,8 +110,7 @@ function syncPledgeData() {
 
     for (let i = 1; i < rawData.length; i++) {
       const pId = String(rawData[i][SHEETS.donations.cols.pledgeId - 1]);
-      const durationText = String(rawData[i][SHEETS.donations.cols.duration - 1]);
-      const totalPledged = getPledgeAmountFromDuration(durationText);
+      const totalPledged = resolvePledgeAmount(rawData[i]); // [V61] Stored at submission
       const verifiedTotal = Number(rawData[i][SHEETS.donations.cols.verifiedTotalAmount - 1]) || 0; // Col 23
 
       const used = usedMap[pId] || 0;
@@ -122,7 +120,7 @@ function syncPledgeData() {
       const cashBalance = verifiedTotal - used;
 
       // Pledge Outstanding = Pledged - Verified
-      const pledgeOutstanding = Math.max(0, totalPledged - verifiedTotal);
+      const pledgeOutstanding = getPledgeOutstanding(rawData[i], verifiedTotal);
 
       if (pId && pId.startsWith("PLEDGE")) {
         // Col 1: ID, Col 2: Total, Col 3: Used, Col 4: Cash Balance (Available), Col 5: Pledge Outstanding, Col 6: Verified